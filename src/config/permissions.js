@@ -0,0 +1,97 @@
+// Permission model
+// A permission is "<resource>:<action>:<scope>" where scope is one of:
+//   own  - only the caller's own records
+//   team - the caller's reports, direct and indirect (down the users.manager_id tree), and the caller
+//   any  - every user
+// A wider scope implies the narrower ones.
+
+const ROLES = ['employee', 'manager', 'hr', 'admin'];
+const SCOPES = ['own', 'team', 'any'];
+
+const EMPLOYEE_PERMISSIONS = [
+  'attendance:read:own',
+  'attendance:write:own',
+  'reports:read:own',
+  'screenshots:read:own',
+  'screenshots:delete:own',
+  'leave:read:own',
+  'leave:write:own',
+];
+
+const ROLE_PERMISSIONS = {
+  employee: EMPLOYEE_PERMISSIONS,
+  manager: [
+    ...EMPLOYEE_PERMISSIONS,
+    'attendance:read:team',
+    'attendance:approve:team',
+    'reports:read:team',
+    'screenshots:read:team',
+    'users:read:team',
+    'leave:read:team',
+    'leave:approve:team',
+  ],
+  hr: [
+    ...EMPLOYEE_PERMISSIONS,
+    'attendance:read:any',
+    'attendance:write:any',
+    'attendance:approve:any',
+    'reports:read:any',
+    'users:read:any',
+    'users:write:any',
+    'users:delete:any',
+    'devices:read:any',
+    'departments:write:any',
+    'shifts:write:any',
+    'holidays:write:any',
+    'offices:write:any',
+    'leave:read:any',
+    'leave:approve:any',
+    'leave:manage:any',
+  ],
+  admin: ['*'],
+};
+
+/**
+ * Widest scope a role has for resource:action
+ * @param {string} role - User role
+ * @param {string} resource - e.g. 'reports'
+ * @param {string} action - e.g. 'read'
+ * @returns {string|null} 'any' | 'team' | 'own' | null
+ */
+const getScope = (role, resource, action) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  if (granted.includes('*')) return 'any';
+
+  for (const scope of [...SCOPES].reverse()) {
+    if (granted.includes(`${resource}:${action}:${scope}`)) {
+      return scope;
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether a role holds a permission (a wider scope satisfies a narrower one)
+ * @param {string} role - User role
+ * @param {string} permission - "<resource>:<action>:<scope>"
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  const [resource, action, scope = 'own'] = permission.split(':');
+  const grantedScope = getScope(role, resource, action);
+  return grantedScope !== null && SCOPES.indexOf(grantedScope) >= SCOPES.indexOf(scope);
+};
+
+const getRolePermissions = (role) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') ? ['*'] : [...granted];
+};
+
+module.exports = {
+  ROLES,
+  SCOPES,
+  ROLE_PERMISSIONS,
+  getScope,
+  hasPermission,
+  getRolePermissions,
+};
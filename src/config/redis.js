@@ -32,6 +32,9 @@ async function connectRedis() {
 }
 
 const safeRedisClient = {
+  isConnected() {
+    return isRedisConnected && !!redisClient;
+  },
   async set(...args) {
     if (isRedisConnected && redisClient) {
       try {
@@ -52,6 +55,26 @@ const safeRedisClient = {
     }
     return null;
   },
+  async incr(...args) {
+    if (isRedisConnected && redisClient) {
+      try {
+        return await redisClient.incr(...args);
+      } catch (error) {
+        console.warn('Redis incr operation failed:', error.message);
+      }
+    }
+    return null;
+  },
+  async expire(...args) {
+    if (isRedisConnected && redisClient) {
+      try {
+        return await redisClient.expire(...args);
+      } catch (error) {
+        console.warn('Redis expire operation failed:', error.message);
+      }
+    }
+    return null;
+  },
   async del(...args) {
     if (isRedisConnected && redisClient) {
       try {
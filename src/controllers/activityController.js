@@ -1,4 +1,5 @@
 const activityService = require('../services/activityService');
+const accessService = require('../services/accessService');
 const { successResponse, errorResponse } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
@@ -53,15 +54,14 @@ const getCurrentActivity = async (req, res, next) => {
 
 const getActivityHistory = async (req, res, next) => {
   try {
-    let userId = req.user.id;
     const { date, user_id } = req.query;
 
-    // If admin and user_id is provided, use that user_id
-    if (req.user.role === 'admin' && user_id) {
-      userId = user_id;
+    const target = await accessService.resolveTargetUser(req.user, user_id, 'attendance', 'read');
+    if (target.error) {
+      return errorResponse(res, target.error, target.message, 403);
     }
 
-    const history = await activityService.getActivityHistory(userId, date);
+    const history = await activityService.getActivityHistory(target.userId, date);
 
     return successResponse(res, { history, count: history.length });
   } catch (error) {
@@ -1,4 +1,7 @@
 const attendanceService = require('../services/attendanceService');
+const attendanceCorrectionService = require('../services/attendanceCorrectionService');
+const accessService = require('../services/accessService');
+const auditService = require('../services/auditService');
 const { successResponse, errorResponse, getClientIp } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
@@ -11,7 +14,8 @@ const checkIn = async (req, res, next) => {
     const result = await attendanceService.checkIn(userId, ipAddress, location);
 
     if (result.error) {
-      return errorResponse(res, result.error, result.message, 400);
+      const forbidden = ['OUTSIDE_GEOFENCE', 'ACCOUNT_INACTIVE'].includes(result.error);
+      return errorResponse(res, result.error, result.message, forbidden ? 403 : 400);
     }
 
     return successResponse(res, result.attendance, 'Checked in successfully', 201);
@@ -77,11 +81,14 @@ const getToday = async (req, res, next) => {
 const getHistory = async (req, res, next) => {
   try {
     const { start_date, end_date, user_id } = req.query;
-    
-    const targetUserId = req.user.role === 'admin' && user_id ? user_id : req.user.id;
-    
+
+    const target = await accessService.resolveTargetUser(req.user, user_id, 'attendance', 'read');
+    if (target.error) {
+      return errorResponse(res, target.error, target.message, 403);
+    }
+
     const history = await attendanceService.getAttendanceHistory(
-      targetUserId,
+      target.userId,
       start_date,
       end_date
     );
@@ -97,15 +104,27 @@ const updateNotes = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { notes } = req.body;
-    const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
 
-    const attendance = await attendanceService.updateNotes(id, userId, notes, isAdmin);
+    const record = await attendanceService.findAttendanceRecord(id);
+    if (!record || !(await accessService.canAccessUser(req.user, record.user_id, 'attendance', 'write'))) {
+      return errorResponse(res, 'ATTENDANCE_NOT_FOUND', 'Attendance record not found', 404);
+    }
+
+    const attendance = await attendanceService.updateNotes(id, record.user_id, notes, false);
 
     if (!attendance) {
       return errorResponse(res, 'ATTENDANCE_NOT_FOUND', 'Attendance record not found', 404);
     }
 
+    await auditService.record(req, {
+      action: 'attendance.updated',
+      targetType: 'attendance_record',
+      targetId: id,
+      before: { notes: record.notes },
+      after: { notes: attendance.notes },
+      metadata: { user_id: record.user_id, date: record.date },
+    });
+
     return successResponse(res, { attendance }, 'Notes updated successfully');
   } catch (error) {
     logger.error('Update notes controller error:', error);
@@ -113,6 +132,64 @@ const updateNotes = async (req, res, next) => {
   }
 };
 
+/**
+ * A record with its activity segments and breaks
+ * GET /api/attendance/:id/timeline
+ */
+const getTimeline = async (req, res, next) => {
+  try {
+    const timeline = await attendanceService.getRecordTimeline(req.params.id);
+    if (!timeline || !(await accessService.canAccessUser(req.user, timeline.attendance.user_id, 'attendance', 'read'))) {
+      return errorResponse(res, 'ATTENDANCE_NOT_FOUND', 'Attendance record not found', 404);
+    }
+    return successResponse(res, timeline);
+  } catch (error) {
+    logger.error('Get attendance timeline error:', error);
+    next(error);
+  }
+};
+
+const EDITABLE_FIELDS = ['check_in_time', 'check_out_time', 'segments', 'breaks', 'status'];
+
+const editErrorStatus = {
+  ATTENDANCE_NOT_FOUND: 404,
+  SEGMENT_NOT_FOUND: 404,
+  BREAK_NOT_FOUND: 404,
+  RECORD_OPEN: 409,
+  RECORD_CHANGED: 409,
+  SELF_EDIT: 403,
+};
+
+/**
+ * Edit times, segments, breaks or status of any record (HR)
+ * PUT /api/attendance/:id
+ */
+const editRecord = async (req, res, next) => {
+  try {
+    const changes = Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])
+    );
+    const result = await attendanceCorrectionService.editRecord(req.user, req.params.id, changes);
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, editErrorStatus[result.error] || 400);
+    }
+
+    await auditService.record(req, {
+      action: 'attendance.edited',
+      targetType: 'attendance_record',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.record,
+      metadata: { user_id: result.record.user_id, changes, reason: req.body.reason },
+    });
+
+    return successResponse(res, { attendance: result.record }, 'Attendance record updated successfully');
+  } catch (error) {
+    logger.error('Edit attendance error:', error);
+    next(error);
+  }
+};
+
 const saveDailyNote = async (req, res, next) => {
   try {
     const userId = req.user.id;
@@ -133,13 +210,17 @@ const saveDailyNote = async (req, res, next) => {
 const getDailyNote = async (req, res, next) => {
   try {
     const { date, user_id } = req.query;
-    const userId = req.user.role === 'admin' && user_id ? user_id : req.user.id;
 
     if (!date) {
       return errorResponse(res, 'BAD_REQUEST', 'Date parameter is required', 400);
     }
 
-    const noteRecord = await attendanceService.getDailyNote(userId, date);
+    const target = await accessService.resolveTargetUser(req.user, user_id, 'attendance', 'read');
+    if (target.error) {
+      return errorResponse(res, target.error, target.message, 403);
+    }
+
+    const noteRecord = await attendanceService.getDailyNote(target.userId, date);
     return successResponse(res, noteRecord);
   } catch (error) {
     logger.error('Get daily note controller error:', error);
@@ -154,6 +235,8 @@ module.exports = {
   getToday,
   getHistory,
   updateNotes,
+  getTimeline,
+  editRecord,
   saveDailyNote,
   getDailyNote,
 };
@@ -1,134 +1,506 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
-const { successResponse, errorResponse } = require('../utils/helpers');
+const sessionService = require('../services/sessionService');
+const inviteService = require('../services/inviteService');
+const passwordService = require('../services/passwordService');
+const mfaService = require('../services/mfaService');
+const oidcService = require('../services/oidcService');
+const loginThrottleService = require('../services/loginThrottleService');
+const auditService = require('../services/auditService');
+const profileService = require('../services/profileService');
+const { getRolePermissions } = require('../config/permissions');
+const { successResponse, errorResponse, getClientIp } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
+// Open registration only exists to create the first admin of a fresh install.
+// Every other account is created through an invite (see acceptInvite).
 const register = async (req, res, next) => {
   try {
-    const { email, password, name, employee_id, role = 'employee' } = req.body;
+    const { email, password, name, employee_id } = req.body;
 
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const result = await inviteService.bootstrapFirstAdmin({ email, password, name, employee_id });
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, 403);
+    }
 
-    const result = await pool.query(
-      `INSERT INTO users (email, password_hash, name, employee_id, role) 
-       VALUES ($1, $2, $3, $4, $5) 
-       RETURNING id, email, name, employee_id, role, status, created_at`,
-      [email, hashedPassword, name, employee_id, role]
-    );
+    await auditService.record(req, {
+      action: 'user.created',
+      actor: result.user,
+      targetType: 'user',
+      targetId: result.user.id,
+      after: result.user,
+      metadata: { via: 'bootstrap' },
+    });
 
-    const user = result.rows[0];
     logger.info(`New user registered: ${email}`);
-
-    return successResponse(res, { user }, 'User registered successfully', 201);
+    return successResponse(res, { user: result.user }, 'Administrator account created successfully', 201);
   } catch (error) {
     logger.error('Registration error:', error);
     next(error);
   }
 };
 
+const getInvite = async (req, res, next) => {
+  try {
+    const result = await inviteService.findOpenInvite(req.params.token);
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, result.error === 'INVITE_EXPIRED' ? 410 : 400);
+    }
+
+    const { email, name, employee_id, role, expires_at } = result.invite;
+    return successResponse(res, { invite: { email, name, employee_id, role, expires_at } });
+  } catch (error) {
+    logger.error('Get invite error:', error);
+    next(error);
+  }
+};
+
+const acceptInvite = async (req, res, next) => {
+  try {
+    const { token, password, name } = req.body;
+
+    const result = await inviteService.acceptInvite(token, { password, name });
+    if (result.error) {
+      const statusCodes = { INVITE_EXPIRED: 410, USER_EXISTS: 409 };
+      return errorResponse(res, result.error, result.message, statusCodes[result.error] || 400);
+    }
+
+    await auditService.record(req, {
+      action: 'auth.invite_accepted',
+      actor: result.user,
+      targetType: 'user',
+      targetId: result.user.id,
+      after: result.user,
+    });
+
+    return successResponse(res, { user: result.user }, 'Invitation accepted, you can now log in', 201);
+  } catch (error) {
+    logger.error('Accept invite error:', error);
+    next(error);
+  }
+};
+
 const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
+    const ipAddress = getClientIp(req);
 
+    const throttle = await loginThrottleService.checkAllowed(email, ipAddress);
+    if (throttle.error) {
+      await recordLoginFailure(req, { email }, throttle.error);
+      res.set('Retry-After', String(Math.ceil(throttle.retryAfter)));
+      return errorResponse(res, throttle.error, throttle.message, 429);
+    }
+
+    // Invites, imports and password resets store and match emails lowercased; an
+    // exact match wins if older accounts differ only by case
     const result = await pool.query(
-      'SELECT * FROM users WHERE email = $1',
+      'SELECT * FROM users WHERE LOWER(email) = LOWER($1) ORDER BY (email = $1) DESC LIMIT 1',
       [email]
     );
 
     if (result.rows.length === 0) {
+      await loginThrottleService.recordFailure(email, ipAddress);
+      await recordLoginFailure(req, { email }, 'UNKNOWN_USER');
       return errorResponse(res, 'INVALID_CREDENTIALS', 'Invalid email or password', 401);
     }
 
     const user = result.rows[0];
 
     if (user.status !== 'active') {
+      await recordLoginFailure(req, user, 'ACCOUNT_INACTIVE');
       return errorResponse(res, 'ACCOUNT_INACTIVE', 'Your account is inactive', 403);
     }
 
+    const lockRemaining = loginThrottleService.getLockRemaining(user);
+    if (lockRemaining > 0) {
+      await recordLoginFailure(req, user, 'ACCOUNT_LOCKED');
+      res.set('Retry-After', String(lockRemaining));
+      return errorResponse(res, 'ACCOUNT_LOCKED', `Account is temporarily locked, try again in ${Math.ceil(lockRemaining / 60)} minutes`, 423);
+    }
+
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!isValidPassword) {
+      const failure = await loginThrottleService.recordFailure(email, ipAddress, user);
+      await recordLoginFailure(req, user, 'INVALID_PASSWORD', { locked: failure.locked });
+      if (failure.locked) {
+        res.set('Retry-After', String(failure.retryAfter));
+        return errorResponse(res, 'ACCOUNT_LOCKED', 'Too many failed login attempts, account has been temporarily locked', 423);
+      }
       return errorResponse(res, 'INVALID_CREDENTIALS', 'Invalid email or password', 401);
     }
 
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        role: user.role,
-        employee_id: user.employee_id 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRY || '24h' }
-    );
+    if (!oidcService.isPasswordLoginAllowed(user)) {
+      await recordLoginFailure(req, user, 'PASSWORD_LOGIN_DISABLED');
+      return errorResponse(res, 'PASSWORD_LOGIN_DISABLED', 'Sign in with your company account instead', 403);
+    }
 
-    const userData = {
-      id: user.id,
-      email: user.email,
-      name: user.name,
-      employee_id: user.employee_id,
-      role: user.role,
-      profile_picture_url: user.profile_picture_url,
-    };
+    // Second step: the password alone does not open a session when MFA applies.
+    // The failure counter is only reset once the login completes, so a known
+    // password cannot be used to wipe out wrong codes.
+    if (await mfaService.isEnabled(user.id)) {
+      return successResponse(res, {
+        mfa_required: true,
+        mfa_token: mfaService.issueChallengeToken(user, 'verify'),
+      }, 'Enter your authentication code to continue');
+    }
 
-    logger.info(`User logged in: ${email}`);
+    if (await mfaService.isRequiredForRole(user.role)) {
+      return successResponse(res, {
+        mfa_enrollment_required: true,
+        mfa_token: mfaService.issueChallengeToken(user, 'enroll'),
+      }, 'Two-factor authentication must be set up for your account');
+    }
 
-    return successResponse(res, { user: userData, token }, 'Login successful');
+    await loginThrottleService.recordSuccess(email);
+    return startSession(req, res, user);
   } catch (error) {
     logger.error('Login error:', error);
     next(error);
   }
 };
 
-const logout = async (req, res) => {
-  logger.info(`User logged out: ${req.user.email}`);
-  return successResponse(res, null, 'Logout successful');
+const startSession = async (req, res, user, method = 'password', extraData = {}, message = 'Login successful') => {
+  const { session, accessToken, refreshToken } = await sessionService.createSession(user, {
+    ipAddress: getClientIp(req),
+    userAgent: req.headers['user-agent'],
+  });
+
+  await auditService.record(req, {
+    action: 'auth.login',
+    actor: user,
+    targetType: 'session',
+    targetId: session.id,
+    metadata: { method },
+  });
+
+  const userData = {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    employee_id: user.employee_id,
+    role: user.role,
+    profile_picture_url: user.profile_picture_url,
+  };
+
+  logger.info(`User logged in: ${user.email}`);
+
+  return successResponse(res, { user: userData, token: accessToken, refresh_token: refreshToken, ...extraData }, message);
+};
+
+const recordLoginFailure = (req, actor, reason, metadata = {}) => auditService.record(req, {
+  action: 'auth.login_failed',
+  outcome: 'failure',
+  actor,
+  metadata: { reason, ...metadata },
+});
+
+// Resolve the user behind an MFA challenge token (still active and not locked)
+const loadChallengeUser = async (res, mfaToken, purpose) => {
+  const payload = mfaService.verifyChallengeToken(mfaToken, purpose);
+  if (payload.error) {
+    errorResponse(res, payload.error, payload.message, 401);
+    return null;
+  }
+
+  const result = await pool.query('SELECT * FROM users WHERE id = $1', [payload.id]);
+  const user = result.rows[0];
+  if (!user || user.status !== 'active') {
+    errorResponse(res, 'ACCOUNT_INACTIVE', 'Your account is inactive', 403);
+    return null;
+  }
+
+  const lockRemaining = loginThrottleService.getLockRemaining(user);
+  if (lockRemaining > 0) {
+    res.set('Retry-After', String(lockRemaining));
+    errorResponse(res, 'ACCOUNT_LOCKED', `Account is temporarily locked, try again in ${Math.ceil(lockRemaining / 60)} minutes`, 423);
+    return null;
+  }
+
+  return user;
+};
+
+const verifyMfa = async (req, res, next) => {
+  try {
+    const { mfa_token, code } = req.body;
+    const ipAddress = getClientIp(req);
+
+    const user = await loadChallengeUser(res, mfa_token, 'verify');
+    if (!user) return;
+
+    const throttle = await loginThrottleService.checkAllowed(user.email, ipAddress);
+    if (throttle.error) {
+      res.set('Retry-After', String(Math.ceil(throttle.retryAfter)));
+      return errorResponse(res, throttle.error, throttle.message, 429);
+    }
+
+    const result = await mfaService.verifyCode(user.id, code);
+    if (result.error) {
+      // Wrong codes count towards the same lockout as wrong passwords.
+      const failure = await loginThrottleService.recordFailure(user.email, ipAddress, user);
+      await recordLoginFailure(req, user, 'INVALID_MFA_CODE', { locked: failure.locked });
+      if (failure.locked) {
+        res.set('Retry-After', String(failure.retryAfter));
+        return errorResponse(res, 'ACCOUNT_LOCKED', 'Too many failed login attempts, account has been temporarily locked', 423);
+      }
+      return errorResponse(res, result.error, result.message, 401);
+    }
+
+    await loginThrottleService.recordSuccess(user.email);
+    return startSession(req, res, user, `mfa_${result.method}`);
+  } catch (error) {
+    logger.error('Verify MFA error:', error);
+    next(error);
+  }
+};
+
+const startMfaEnrollment = async (req, res, next) => {
+  try {
+    const user = await loadChallengeUser(res, req.body.mfa_token, 'enroll');
+    if (!user) return;
+
+    const result = await mfaService.beginEnrollment(user);
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, 409);
+    }
+
+    return successResponse(res, { secret: result.secret, otpauth_url: result.otpauthUrl });
+  } catch (error) {
+    logger.error('Start MFA enrollment error:', error);
+    next(error);
+  }
+};
+
+const confirmMfaEnrollment = async (req, res, next) => {
+  try {
+    const user = await loadChallengeUser(res, req.body.mfa_token, 'enroll');
+    if (!user) return;
+
+    const result = await mfaService.confirmEnrollment(user.id, req.body.code);
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, result.error === 'INVALID_MFA_CODE' ? 401 : 409);
+    }
+
+    await auditService.record(req, { action: 'auth.mfa_enabled', actor: user, targetType: 'user', targetId: user.id });
+    await loginThrottleService.recordSuccess(user.email);
+
+    // Enrollment completes the login: hand out the session together with the recovery codes.
+    return startSession(req, res, user, 'mfa_totp', { recovery_codes: result.recoveryCodes }, 'Two-factor authentication enabled');
+  } catch (error) {
+    logger.error('Confirm MFA enrollment error:', error);
+    next(error);
+  }
+};
+
+const startOidcLogin = async (req, res, next) => {
+  try {
+    if (!oidcService.isEnabled()) {
+      return errorResponse(res, 'SSO_NOT_CONFIGURED', 'Single sign-on is not configured', 404);
+    }
+
+    const { authorizationUrl, expiresIn } = await oidcService.createAuthorizationRequest(req.query.redirect_to);
+    return successResponse(res, { authorization_url: authorizationUrl, expires_in: expiresIn });
+  } catch (error) {
+    logger.error('Start OIDC login error:', error);
+    next(error);
+  }
+};
+
+// The IdP redirects the browser to the frontend, which forwards code and state here.
+const completeOidcLogin = async (req, res, next) => {
+  try {
+    if (!oidcService.isEnabled()) {
+      return errorResponse(res, 'SSO_NOT_CONFIGURED', 'Single sign-on is not configured', 404);
+    }
+
+    const result = await oidcService.completeLogin({ code: req.body.code, state: req.body.state });
+    if (result.error) {
+      await auditService.record(req, {
+        action: 'auth.login_failed',
+        outcome: 'failure',
+        actor: result.user,
+        metadata: { reason: result.error, method: 'sso' },
+      });
+
+      const statusCodes = {
+        SSO_USER_NOT_FOUND: 403,
+        ACCOUNT_INACTIVE: 403,
+        SSO_ACCOUNT_CONFLICT: 409,
+        SSO_EXCHANGE_FAILED: 502,
+      };
+      return errorResponse(res, result.error, result.message, statusCodes[result.error] || 401);
+    }
+
+    // The identity provider is responsible for the second factor of SSO logins.
+    return startSession(req, res, result.user, 'sso', { redirect_to: result.redirectTo });
+  } catch (error) {
+    logger.error('Complete OIDC login error:', error);
+    next(error);
+  }
+};
+
+const logout = async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.user.sid, 'logout', req.user.id);
+    await auditService.record(req, { action: 'auth.logout', targetType: 'session', targetId: req.user.sid });
+    logger.info(`User logged out: ${req.user.email}`);
+    return successResponse(res, null, 'Logout successful');
+  } catch (error) {
+    logger.error('Logout error:', error);
+    next(error);
+  }
 };
 
 const refreshToken = async (req, res, next) => {
   try {
-    const newToken = jwt.sign(
-      { 
-        id: req.user.id, 
-        email: req.user.email, 
-        role: req.user.role,
-        employee_id: req.user.employee_id 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRY || '24h' }
-    );
+    const result = await sessionService.rotateRefreshToken(req.body.refresh_token, {
+      ipAddress: getClientIp(req),
+      userAgent: req.headers['user-agent'],
+    });
+
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, 401);
+    }
 
-    return successResponse(res, { token: newToken }, 'Token refreshed successfully');
+    return successResponse(
+      res,
+      { token: result.accessToken, refresh_token: result.refreshToken },
+      'Token refreshed successfully'
+    );
   } catch (error) {
     logger.error('Token refresh error:', error);
     next(error);
   }
 };
 
-const getMe = async (req, res, next) => {
+const forgotPassword = async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT id, email, name, employee_id, role, profile_picture_url, status, created_at 
-       FROM users WHERE id = $1`,
-      [req.user.id]
+    await passwordService.requestReset(req.body.email, getClientIp(req));
+    await auditService.record(req, { action: 'auth.password_reset_requested', actor: { email: req.body.email } });
+
+    // Same answer whether or not the account exists.
+    return successResponse(res, null, 'If an account exists for this email, a password reset link has been sent');
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    next(error);
+  }
+};
+
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const result = await passwordService.resetPassword(token, password);
+    if (result.error) {
+      await auditService.record(req, {
+        action: 'auth.password_reset',
+        outcome: 'failure',
+        actor: result.user,
+        metadata: { reason: result.error },
+      });
+      return errorResponse(res, result.error, result.message, result.error === 'ACCOUNT_INACTIVE' ? 403 : 400);
+    }
+
+    await auditService.record(req, {
+      action: 'auth.password_reset',
+      actor: result.user,
+      targetType: 'user',
+      targetId: result.user.id,
+    });
+
+    return successResponse(res, null, 'Password has been reset, please log in with your new password');
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    next(error);
+  }
+};
+
+const changePassword = async (req, res, next) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    const result = await passwordService.changePassword(req.user, current_password, new_password);
+    await auditService.record(req, {
+      action: 'auth.password_changed',
+      outcome: result.error ? 'failure' : 'success',
+      targetType: 'user',
+      targetId: req.user.id,
+      metadata: result.error ? { reason: result.error } : { revoked_sessions: result.revokedSessions },
+    });
+
+    if (result.error) {
+      const statusCode = result.error === 'USER_NOT_FOUND' ? 404 : 400;
+      return errorResponse(res, result.error, result.message, statusCode);
+    }
+
+    return successResponse(
+      res,
+      { revoked_sessions: result.revokedSessions },
+      'Password changed successfully'
     );
+  } catch (error) {
+    logger.error('Change password error:', error);
+    next(error);
+  }
+};
 
-    if (result.rows.length === 0) {
+const getMe = async (req, res, next) => {
+  try {
+    const user = await profileService.getProfile(req.user.id);
+
+    if (!user) {
       return errorResponse(res, 'USER_NOT_FOUND', 'User not found', 404);
     }
 
-    return successResponse(res, { user: result.rows[0] });
+    return successResponse(res, { user, permissions: getRolePermissions(user.role) });
   } catch (error) {
     logger.error('Get me error:', error);
     next(error);
   }
 };
 
+// Employees edit their own contact details; employment data stays with HR
+const updateMe = async (req, res, next) => {
+  try {
+    const result = await profileService.updateOwnProfile(req.user.id, req.body);
+
+    if (result.error) {
+      const statusCode = result.error === 'USER_NOT_FOUND' ? 404 : 400;
+      return errorResponse(res, result.error, result.message, statusCode);
+    }
+
+    await auditService.record(req, {
+      action: 'user.updated',
+      targetType: 'user',
+      targetId: req.user.id,
+      before: result.before,
+      after: result.user,
+      metadata: { source: 'self_service' },
+    });
+
+    return successResponse(res, { user: result.user }, 'Profile updated successfully');
+  } catch (error) {
+    logger.error('Update me error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   register,
+  getInvite,
+  acceptInvite,
   login,
+  verifyMfa,
+  startMfaEnrollment,
+  confirmMfaEnrollment,
+  startOidcLogin,
+  completeOidcLogin,
   logout,
   refreshToken,
+  forgotPassword,
+  resetPassword,
+  changePassword,
   getMe,
+  updateMe,
 };
@@ -0,0 +1,83 @@
+const deviceService = require('../services/deviceService');
+const auditService = require('../services/auditService');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const registerDevice = async (req, res, next) => {
+  try {
+    const { name, os, tracker_version, scopes } = req.body;
+
+    const { device, deviceKey } = await deviceService.registerDevice(req.user.id, {
+      name,
+      os,
+      tracker_version,
+      scopes,
+    });
+
+    await auditService.record(req, {
+      action: 'device.registered',
+      targetType: 'device',
+      targetId: device.id,
+      metadata: { name: device.name, scopes: device.scopes },
+    });
+
+    return successResponse(
+      res,
+      { device, device_key: deviceKey },
+      'Device registered successfully. Store the device key now, it will not be shown again.',
+      201
+    );
+  } catch (error) {
+    logger.error('Register device error:', error);
+    next(error);
+  }
+};
+
+const getMyDevices = async (req, res, next) => {
+  try {
+    const devices = await deviceService.listForUser(req.user.id);
+    return successResponse(res, { devices, count: devices.length });
+  } catch (error) {
+    logger.error('Get my devices error:', error);
+    next(error);
+  }
+};
+
+const revokeMyDevice = async (req, res, next) => {
+  try {
+    const device = await deviceService.revokeDevice(req.params.id, 'revoked_by_user', req.user.id);
+
+    if (!device) {
+      return errorResponse(res, 'DEVICE_NOT_FOUND', 'Device not found or already revoked', 404);
+    }
+
+    await auditService.record(req, {
+      action: 'device.revoked',
+      targetType: 'device',
+      targetId: device.id,
+      metadata: { user_id: req.user.id, name: device.name },
+    });
+
+    return successResponse(res, { device }, 'Device revoked successfully');
+  } catch (error) {
+    logger.error('Revoke device error:', error);
+    next(error);
+  }
+};
+
+const getAllDevices = async (req, res, next) => {
+  try {
+    const devices = await deviceService.listAll();
+    return successResponse(res, { devices, count: devices.length });
+  } catch (error) {
+    logger.error('Get all devices error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  registerDevice,
+  getMyDevices,
+  revokeMyDevice,
+  getAllDevices,
+};
@@ -0,0 +1,225 @@
+const holidayService = require('../services/holidayService');
+const auditService = require('../services/auditService');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const holidayErrorStatus = {
+  CALENDAR_NOT_FOUND: 404,
+  HOLIDAY_NOT_FOUND: 404,
+  CALENDAR_EXISTS: 409,
+  HOLIDAY_EXISTS: 409,
+  CALENDAR_IN_USE: 409,
+  DEFAULT_CALENDAR_REQUIRED: 409,
+  IMPORT_TOO_LARGE: 413,
+};
+
+const fail = (res, result) => errorResponse(
+  res, result.error, result.message, holidayErrorStatus[result.error] || 400
+);
+
+const range = (req) => ({
+  startDate: req.query.start_date || null,
+  endDate: req.query.end_date || null,
+});
+
+const getCalendars = async (req, res, next) => {
+  try {
+    const calendars = await holidayService.listCalendars();
+    return successResponse(res, { calendars, count: calendars.length });
+  } catch (error) {
+    logger.error('Get holiday calendars error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the caller's own calendar and holidays
+ * GET /api/holiday-calendars/me
+ */
+const getMyCalendar = async (req, res, next) => {
+  try {
+    const result = await holidayService.getUserCalendar(req.user.id, range(req));
+    return successResponse(res, result);
+  } catch (error) {
+    logger.error('Get own holiday calendar error:', error);
+    next(error);
+  }
+};
+
+const getCalendar = async (req, res, next) => {
+  try {
+    const calendar = await holidayService.getCalendar(req.params.id);
+    if (!calendar) {
+      return errorResponse(res, 'CALENDAR_NOT_FOUND', 'Holiday calendar not found', 404);
+    }
+    const holidays = await holidayService.listHolidays(req.params.id, range(req));
+    return successResponse(res, { calendar, holidays });
+  } catch (error) {
+    logger.error('Get holiday calendar error:', error);
+    next(error);
+  }
+};
+
+const createCalendar = async (req, res, next) => {
+  try {
+    const result = await holidayService.createCalendar(req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'holiday_calendar.created',
+      targetType: 'holiday_calendar',
+      targetId: result.calendar.id,
+      after: result.calendar,
+    });
+
+    return successResponse(res, { calendar: result.calendar }, 'Holiday calendar created successfully', 201);
+  } catch (error) {
+    logger.error('Create holiday calendar error:', error);
+    next(error);
+  }
+};
+
+const updateCalendar = async (req, res, next) => {
+  try {
+    const result = await holidayService.updateCalendar(req.params.id, req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'holiday_calendar.updated',
+      targetType: 'holiday_calendar',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.calendar,
+    });
+
+    return successResponse(res, { calendar: result.calendar }, 'Holiday calendar updated successfully');
+  } catch (error) {
+    logger.error('Update holiday calendar error:', error);
+    next(error);
+  }
+};
+
+const deleteCalendar = async (req, res, next) => {
+  try {
+    const result = await holidayService.deleteCalendar(req.params.id);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'holiday_calendar.deleted',
+      targetType: 'holiday_calendar',
+      targetId: req.params.id,
+      before: result.calendar,
+    });
+
+    return successResponse(res, null, 'Holiday calendar deleted successfully');
+  } catch (error) {
+    logger.error('Delete holiday calendar error:', error);
+    next(error);
+  }
+};
+
+const addHoliday = async (req, res, next) => {
+  try {
+    const result = await holidayService.addHoliday(req.params.id, req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'holiday.created',
+      targetType: 'holiday',
+      targetId: result.holiday.id,
+      after: result.holiday,
+    });
+
+    return successResponse(res, { holiday: result.holiday }, 'Holiday added successfully', 201);
+  } catch (error) {
+    logger.error('Add holiday error:', error);
+    next(error);
+  }
+};
+
+const updateHoliday = async (req, res, next) => {
+  try {
+    const result = await holidayService.updateHoliday(req.params.id, req.params.holidayId, req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'holiday.updated',
+      targetType: 'holiday',
+      targetId: req.params.holidayId,
+      before: result.before,
+      after: result.holiday,
+    });
+
+    return successResponse(res, { holiday: result.holiday }, 'Holiday updated successfully');
+  } catch (error) {
+    logger.error('Update holiday error:', error);
+    next(error);
+  }
+};
+
+const deleteHoliday = async (req, res, next) => {
+  try {
+    const result = await holidayService.deleteHoliday(req.params.id, req.params.holidayId);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'holiday.deleted',
+      targetType: 'holiday',
+      targetId: req.params.holidayId,
+      before: result.holiday,
+    });
+
+    return successResponse(res, null, 'Holiday deleted successfully');
+  } catch (error) {
+    logger.error('Delete holiday error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Import holidays from an iCalendar (.ics) feed
+ * POST /api/holiday-calendars/:id/import
+ * Body: the raw .ics (Content-Type: text/calendar) or JSON { ics }
+ * Query: dry_run=true to preview
+ */
+const importHolidays = async (req, res, next) => {
+  try {
+    const ics = typeof req.body === 'string' ? req.body : req.body?.ics;
+    if (typeof ics !== 'string' || !ics.trim()) {
+      return errorResponse(res, 'INVALID_ICS', 'Send the .ics file as text/calendar or as JSON { "ics": "..." }', 400);
+    }
+
+    const dryRunValue = req.query.dry_run ?? req.body?.dry_run;
+    const dryRun = dryRunValue === true || dryRunValue === 'true';
+
+    const result = await holidayService.importIcs(req.params.id, ics, { dryRun });
+    if (result.error) return fail(res, result);
+
+    if (!dryRun) {
+      await auditService.record(req, {
+        action: 'holiday_calendar.imported',
+        targetType: 'holiday_calendar',
+        targetId: req.params.id,
+        metadata: result.summary,
+      });
+    }
+
+    return successResponse(res, result, dryRun ? 'Import preview generated' : 'Import completed');
+  } catch (error) {
+    logger.error('Import holidays error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getCalendars,
+  getMyCalendar,
+  getCalendar,
+  createCalendar,
+  updateCalendar,
+  deleteCalendar,
+  addHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays,
+};
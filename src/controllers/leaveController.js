@@ -0,0 +1,254 @@
+const leaveService = require('../services/leaveService');
+const accessService = require('../services/accessService');
+const auditService = require('../services/auditService');
+const { hasPermission } = require('../config/permissions');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const leaveErrorStatus = {
+  LEAVE_TYPE_NOT_FOUND: 404,
+  LEAVE_REQUEST_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  LEAVE_TYPE_EXISTS: 409,
+  LEAVE_OVERLAP: 409,
+  LEAVE_NOT_PENDING: 409,
+  LEAVE_NOT_CANCELLABLE: 409,
+  INSUFFICIENT_BALANCE: 409,
+  SELF_REVIEW: 403,
+};
+
+const fail = (res, result) => errorResponse(
+  res, result.error, result.message, leaveErrorStatus[result.error] || 400
+);
+
+const currentYear = () => new Date().getFullYear();
+
+const getTypes = async (req, res, next) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true'
+      && hasPermission(req.user.role, 'leave:manage:any');
+    const types = await leaveService.listTypes({ includeInactive });
+    return successResponse(res, { types, count: types.length });
+  } catch (error) {
+    logger.error('Get leave types error:', error);
+    next(error);
+  }
+};
+
+const createType = async (req, res, next) => {
+  try {
+    const result = await leaveService.createType(req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'leave_type.created',
+      targetType: 'leave_type',
+      targetId: result.type.id,
+      after: result.type,
+    });
+
+    return successResponse(res, { type: result.type }, 'Leave type created successfully', 201);
+  } catch (error) {
+    logger.error('Create leave type error:', error);
+    next(error);
+  }
+};
+
+const updateType = async (req, res, next) => {
+  try {
+    const result = await leaveService.updateType(req.params.id, req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'leave_type.updated',
+      targetType: 'leave_type',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.type,
+    });
+
+    return successResponse(res, { type: result.type }, 'Leave type updated successfully');
+  } catch (error) {
+    logger.error('Update leave type error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get leave balances
+ * GET /api/leave/balances?user_id&year
+ */
+const getBalances = async (req, res, next) => {
+  try {
+    const target = await accessService.resolveTargetUser(req.user, req.query.user_id, 'leave', 'read');
+    if (target.error) {
+      return errorResponse(res, target.error, target.message, 403);
+    }
+
+    const year = req.query.year || currentYear();
+    const balances = await leaveService.getBalances(target.userId, year);
+    return successResponse(res, { user_id: target.userId, year, balances });
+  } catch (error) {
+    logger.error('Get leave balances error:', error);
+    next(error);
+  }
+};
+
+const adjustBalance = async (req, res, next) => {
+  try {
+    const result = await leaveService.adjustBalance(req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'leave_balance.adjusted',
+      targetType: 'user',
+      targetId: req.body.user_id,
+      before: result.before,
+      after: result.balance,
+      metadata: { days: req.body.days, reason: req.body.reason || null },
+    });
+
+    return successResponse(res, { balance: result.balance }, 'Leave balance adjusted successfully');
+  } catch (error) {
+    logger.error('Adjust leave balance error:', error);
+    next(error);
+  }
+};
+
+/**
+ * List leave requests the caller can see
+ * GET /api/leave/requests?user_id&status&year
+ */
+const getRequests = async (req, res, next) => {
+  try {
+    const { user_id: userId, status = null, year = null } = req.query;
+    if (userId && !(await accessService.canAccessUser(req.user, userId, 'leave', 'read'))) {
+      return errorResponse(res, 'FORBIDDEN', 'You do not have permission to access this user\'s data', 403);
+    }
+
+    const requests = await leaveService.listRequests({
+      userId: userId || null,
+      status,
+      year,
+      scopeFilter: accessService.buildUserScopeFilter(req.user, 'leave', 'read', 'u'),
+    });
+    return successResponse(res, { requests, count: requests.length });
+  } catch (error) {
+    logger.error('Get leave requests error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Pending requests the caller may approve (their reports, or everyone for HR)
+ * GET /api/leave/approvals
+ */
+const getApprovals = async (req, res, next) => {
+  try {
+    const requests = (await leaveService.listRequests({
+      status: 'pending',
+      scopeFilter: accessService.buildUserScopeFilter(req.user, 'leave', 'approve', 'u'),
+    })).filter((request) => request.user_id !== req.user.id);
+    return successResponse(res, { requests, count: requests.length });
+  } catch (error) {
+    logger.error('Get leave approvals error:', error);
+    next(error);
+  }
+};
+
+const getRequest = async (req, res, next) => {
+  try {
+    const request = await leaveService.getRequest(req.params.id);
+    if (!request || !(await accessService.canAccessUser(req.user, request.user_id, 'leave', 'read'))) {
+      return errorResponse(res, 'LEAVE_REQUEST_NOT_FOUND', 'Leave request not found', 404);
+    }
+    return successResponse(res, { request });
+  } catch (error) {
+    logger.error('Get leave request error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Apply for leave
+ * POST /api/leave/requests
+ */
+const applyLeave = async (req, res, next) => {
+  try {
+    const result = await leaveService.applyLeave(req.user.id, req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'leave.requested',
+      targetType: 'leave_request',
+      targetId: result.request.id,
+      after: result.request,
+    });
+
+    return successResponse(res, { request: result.request }, 'Leave request submitted', 201);
+  } catch (error) {
+    logger.error('Apply leave error:', error);
+    next(error);
+  }
+};
+
+const review = (decision) => async (req, res, next) => {
+  try {
+    const request = await leaveService.getRequest(req.params.id);
+    if (!request || !(await accessService.canAccessUser(req.user, request.user_id, 'leave', 'approve'))) {
+      return errorResponse(res, 'LEAVE_REQUEST_NOT_FOUND', 'Leave request not found', 404);
+    }
+
+    const result = await leaveService.reviewRequest(req.user, req.params.id, decision, req.body.comment || null);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: `leave.${decision}`,
+      targetType: 'leave_request',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.request,
+    });
+
+    return successResponse(res, { request: result.request }, `Leave request ${decision}`);
+  } catch (error) {
+    logger.error(`Leave review (${decision}) error:`, error);
+    next(error);
+  }
+};
+
+const cancelRequest = async (req, res, next) => {
+  try {
+    const canOverride = hasPermission(req.user.role, 'leave:approve:any');
+    const result = await leaveService.cancelRequest(req.user, req.params.id, canOverride);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'leave.cancelled',
+      targetType: 'leave_request',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.request,
+    });
+
+    return successResponse(res, { request: result.request }, 'Leave request cancelled');
+  } catch (error) {
+    logger.error('Cancel leave error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getTypes,
+  createType,
+  updateType,
+  getBalances,
+  adjustBalance,
+  getRequests,
+  getApprovals,
+  getRequest,
+  applyLeave,
+  approveRequest: review('approved'),
+  rejectRequest: review('rejected'),
+  cancelRequest,
+};
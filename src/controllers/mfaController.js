@@ -0,0 +1,113 @@
+const bcrypt = require('bcrypt');
+const pool = require('../config/database');
+const mfaService = require('../services/mfaService');
+const sessionService = require('../services/sessionService');
+const auditService = require('../services/auditService');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const getMfaStatus = async (req, res, next) => {
+  try {
+    const status = await mfaService.getStatus(req.user);
+    return successResponse(res, { mfa: status });
+  } catch (error) {
+    logger.error('Get MFA status error:', error);
+    next(error);
+  }
+};
+
+const setupMfa = async (req, res, next) => {
+  try {
+    const result = await mfaService.beginEnrollment(req.user);
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, 409);
+    }
+
+    return successResponse(
+      res,
+      { secret: result.secret, otpauth_url: result.otpauthUrl },
+      'Scan the QR code with your authenticator app, then confirm with a code'
+    );
+  } catch (error) {
+    logger.error('Setup MFA error:', error);
+    next(error);
+  }
+};
+
+const enableMfa = async (req, res, next) => {
+  try {
+    const result = await mfaService.confirmEnrollment(req.user.id, req.body.code);
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, result.error === 'INVALID_MFA_CODE' ? 400 : 409);
+    }
+
+    // Existing sessions were opened with the password only.
+    await sessionService.revokeAllForUser(req.user.id, 'mfa_enabled', req.user.sid);
+    await auditService.record(req, { action: 'auth.mfa_enabled', targetType: 'user', targetId: req.user.id });
+
+    return successResponse(
+      res,
+      { recovery_codes: result.recoveryCodes },
+      'Two-factor authentication enabled. Store the recovery codes somewhere safe.'
+    );
+  } catch (error) {
+    logger.error('Enable MFA error:', error);
+    next(error);
+  }
+};
+
+const disableMfa = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (await mfaService.isRequiredForRole(req.user.role)) {
+      return errorResponse(res, 'MFA_REQUIRED', 'Two-factor authentication is required for your role', 403);
+    }
+
+    const result = await pool.query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    const isValidPassword = result.rows.length > 0 && await bcrypt.compare(password, result.rows[0].password_hash);
+    if (!isValidPassword) {
+      return errorResponse(res, 'INVALID_CURRENT_PASSWORD', 'Current password is incorrect', 400);
+    }
+
+    const verification = await mfaService.verifyCode(req.user.id, code);
+    if (verification.error) {
+      return errorResponse(res, verification.error, verification.message, 400);
+    }
+
+    await mfaService.removeForUser(req.user.id);
+    await auditService.record(req, { action: 'auth.mfa_disabled', targetType: 'user', targetId: req.user.id });
+    logger.info(`MFA disabled by user ${req.user.email}`);
+
+    return successResponse(res, null, 'Two-factor authentication disabled');
+  } catch (error) {
+    logger.error('Disable MFA error:', error);
+    next(error);
+  }
+};
+
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const verification = await mfaService.verifyCode(req.user.id, req.body.code);
+    if (verification.error) {
+      return errorResponse(res, verification.error, verification.message, 400);
+    }
+
+    const recoveryCodes = await mfaService.replaceRecoveryCodes(req.user.id);
+    await auditService.record(req, { action: 'auth.recovery_codes_regenerated', targetType: 'user', targetId: req.user.id });
+    logger.info(`Recovery codes regenerated for user ${req.user.email}`);
+
+    return successResponse(res, { recovery_codes: recoveryCodes }, 'New recovery codes generated, old codes no longer work');
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,103 @@
+const officeLocationService = require('../services/officeLocationService');
+const auditService = require('../services/auditService');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const officeErrorStatus = {
+  OFFICE_NOT_FOUND: 404,
+  OFFICE_EXISTS: 409,
+  OFFICE_IN_USE: 409,
+};
+
+const fail = (res, result) => errorResponse(
+  res, result.error, result.message, officeErrorStatus[result.error] || 400
+);
+
+const getOffices = async (req, res, next) => {
+  try {
+    const offices = await officeLocationService.listOffices();
+    return successResponse(res, { offices, count: offices.length });
+  } catch (error) {
+    logger.error('Get office locations error:', error);
+    next(error);
+  }
+};
+
+const getOffice = async (req, res, next) => {
+  try {
+    const office = await officeLocationService.getOffice(req.params.id);
+    if (!office) {
+      return errorResponse(res, 'OFFICE_NOT_FOUND', 'Office location not found', 404);
+    }
+    return successResponse(res, { office });
+  } catch (error) {
+    logger.error('Get office location error:', error);
+    next(error);
+  }
+};
+
+const createOffice = async (req, res, next) => {
+  try {
+    const result = await officeLocationService.createOffice(req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'office_location.created',
+      targetType: 'office_location',
+      targetId: result.office.id,
+      after: result.office,
+    });
+
+    return successResponse(res, { office: result.office }, 'Office location created successfully', 201);
+  } catch (error) {
+    logger.error('Create office location error:', error);
+    next(error);
+  }
+};
+
+const updateOffice = async (req, res, next) => {
+  try {
+    const result = await officeLocationService.updateOffice(req.params.id, req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'office_location.updated',
+      targetType: 'office_location',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.office,
+    });
+
+    return successResponse(res, { office: result.office }, 'Office location updated successfully');
+  } catch (error) {
+    logger.error('Update office location error:', error);
+    next(error);
+  }
+};
+
+const deleteOffice = async (req, res, next) => {
+  try {
+    const result = await officeLocationService.deleteOffice(req.params.id);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'office_location.deleted',
+      targetType: 'office_location',
+      targetId: req.params.id,
+      before: result.office,
+    });
+
+    return successResponse(res, null, 'Office location deleted successfully');
+  } catch (error) {
+    logger.error('Delete office location error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getOffices,
+  getOffice,
+  createOffice,
+  updateOffice,
+  deleteOffice,
+};
@@ -0,0 +1,193 @@
+const organizationService = require('../services/organizationService');
+const auditService = require('../services/auditService');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const organizationErrorStatus = {
+  DEPARTMENT_NOT_FOUND: 404,
+  TEAM_NOT_FOUND: 404,
+  SHIFT_NOT_FOUND: 404,
+  DEPARTMENT_EXISTS: 409,
+  TEAM_EXISTS: 409,
+  DEPARTMENT_NOT_EMPTY: 409,
+  TEAM_NOT_EMPTY: 409,
+};
+
+const fail = (res, result) => errorResponse(
+  res, result.error, result.message, organizationErrorStatus[result.error] || 400
+);
+
+const getDepartments = async (req, res, next) => {
+  try {
+    const departments = await organizationService.listDepartments();
+    return successResponse(res, { departments, count: departments.length });
+  } catch (error) {
+    logger.error('Get departments error:', error);
+    next(error);
+  }
+};
+
+const getDepartment = async (req, res, next) => {
+  try {
+    const department = await organizationService.getDepartment(req.params.id);
+    if (!department) {
+      return errorResponse(res, 'DEPARTMENT_NOT_FOUND', 'Department not found', 404);
+    }
+    return successResponse(res, { department });
+  } catch (error) {
+    logger.error('Get department error:', error);
+    next(error);
+  }
+};
+
+const createDepartment = async (req, res, next) => {
+  try {
+    const result = await organizationService.createDepartment(req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'department.created',
+      targetType: 'department',
+      targetId: result.department.id,
+      after: result.department,
+    });
+
+    return successResponse(res, { department: result.department }, 'Department created successfully', 201);
+  } catch (error) {
+    logger.error('Create department error:', error);
+    next(error);
+  }
+};
+
+const updateDepartment = async (req, res, next) => {
+  try {
+    const result = await organizationService.updateDepartment(req.params.id, req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'department.updated',
+      targetType: 'department',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.department,
+    });
+
+    return successResponse(res, { department: result.department }, 'Department updated successfully');
+  } catch (error) {
+    logger.error('Update department error:', error);
+    next(error);
+  }
+};
+
+const deleteDepartment = async (req, res, next) => {
+  try {
+    const result = await organizationService.deleteDepartment(req.params.id);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'department.deleted',
+      targetType: 'department',
+      targetId: req.params.id,
+      before: result.department,
+    });
+
+    return successResponse(res, null, 'Department deleted successfully');
+  } catch (error) {
+    logger.error('Delete department error:', error);
+    next(error);
+  }
+};
+
+const getTeams = async (req, res, next) => {
+  try {
+    const teams = await organizationService.listTeams(req.query.department_id || null);
+    return successResponse(res, { teams, count: teams.length });
+  } catch (error) {
+    logger.error('Get teams error:', error);
+    next(error);
+  }
+};
+
+const getTeam = async (req, res, next) => {
+  try {
+    const team = await organizationService.getTeam(req.params.id);
+    if (!team) {
+      return errorResponse(res, 'TEAM_NOT_FOUND', 'Team not found', 404);
+    }
+    return successResponse(res, { team });
+  } catch (error) {
+    logger.error('Get team error:', error);
+    next(error);
+  }
+};
+
+const createTeam = async (req, res, next) => {
+  try {
+    const result = await organizationService.createTeam(req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'team.created',
+      targetType: 'team',
+      targetId: result.team.id,
+      after: result.team,
+    });
+
+    return successResponse(res, { team: result.team }, 'Team created successfully', 201);
+  } catch (error) {
+    logger.error('Create team error:', error);
+    next(error);
+  }
+};
+
+const updateTeam = async (req, res, next) => {
+  try {
+    const result = await organizationService.updateTeam(req.params.id, req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'team.updated',
+      targetType: 'team',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.team,
+    });
+
+    return successResponse(res, { team: result.team }, 'Team updated successfully');
+  } catch (error) {
+    logger.error('Update team error:', error);
+    next(error);
+  }
+};
+
+const deleteTeam = async (req, res, next) => {
+  try {
+    const result = await organizationService.deleteTeam(req.params.id);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'team.deleted',
+      targetType: 'team',
+      targetId: req.params.id,
+      before: result.team,
+    });
+
+    return successResponse(res, null, 'Team deleted successfully');
+  } catch (error) {
+    logger.error('Delete team error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getDepartments,
+  getDepartment,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+  getTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+};
@@ -0,0 +1,158 @@
+const regularizationService = require('../services/regularizationService');
+const accessService = require('../services/accessService');
+const auditService = require('../services/auditService');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const regularizationErrorStatus = {
+  REGULARIZATION_NOT_FOUND: 404,
+  REGULARIZATION_PENDING: 409,
+  REGULARIZATION_NOT_PENDING: 409,
+  RECORD_OPEN: 409,
+  SELF_REVIEW: 403,
+};
+
+const fail = (res, result) => errorResponse(
+  res, result.error, result.message, regularizationErrorStatus[result.error] || 400
+);
+
+/**
+ * List regularization requests the caller can see
+ * GET /api/regularizations?user_id&status
+ */
+const getRequests = async (req, res, next) => {
+  try {
+    const { user_id: userId, status = null } = req.query;
+    if (userId && !(await accessService.canAccessUser(req.user, userId, 'attendance', 'read'))) {
+      return errorResponse(res, 'FORBIDDEN', 'You do not have permission to access this user\'s data', 403);
+    }
+
+    const requests = await regularizationService.listRequests({
+      userId: userId || null,
+      status,
+      scopeFilter: accessService.buildUserScopeFilter(req.user, 'attendance', 'read', 'u'),
+    });
+    return successResponse(res, { requests, count: requests.length });
+  } catch (error) {
+    logger.error('Get regularizations error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Pending requests the caller may approve (their reports, or everyone for HR)
+ * GET /api/regularizations/approvals
+ */
+const getApprovals = async (req, res, next) => {
+  try {
+    const requests = (await regularizationService.listRequests({
+      status: 'pending',
+      scopeFilter: accessService.buildUserScopeFilter(req.user, 'attendance', 'approve', 'u'),
+    })).filter((request) => request.user_id !== req.user.id);
+    return successResponse(res, { requests, count: requests.length });
+  } catch (error) {
+    logger.error('Get regularization approvals error:', error);
+    next(error);
+  }
+};
+
+const getRequest = async (req, res, next) => {
+  try {
+    const request = await regularizationService.getRequest(req.params.id);
+    if (!request || !(await accessService.canAccessUser(req.user, request.user_id, 'attendance', 'read'))) {
+      return errorResponse(res, 'REGULARIZATION_NOT_FOUND', 'Regularization request not found', 404);
+    }
+    return successResponse(res, { request });
+  } catch (error) {
+    logger.error('Get regularization error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Request a correction to one of the caller's days
+ * POST /api/regularizations
+ */
+const submitRequest = async (req, res, next) => {
+  try {
+    const result = await regularizationService.submitRequest(req.user.id, req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'regularization.requested',
+      targetType: 'attendance_regularization',
+      targetId: result.request.id,
+      after: result.request,
+    });
+
+    return successResponse(res, { request: result.request }, 'Regularization request submitted', 201);
+  } catch (error) {
+    logger.error('Submit regularization error:', error);
+    next(error);
+  }
+};
+
+const review = (decision) => async (req, res, next) => {
+  try {
+    const request = await regularizationService.getRequest(req.params.id);
+    if (!request || !(await accessService.canAccessUser(req.user, request.user_id, 'attendance', 'approve'))) {
+      return errorResponse(res, 'REGULARIZATION_NOT_FOUND', 'Regularization request not found', 404);
+    }
+
+    const result = await regularizationService.reviewRequest(req.user, req.params.id, decision, req.body.comment || null);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: `regularization.${decision}`,
+      targetType: 'attendance_regularization',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.request,
+    });
+    if (result.record) {
+      await auditService.record(req, {
+        action: 'attendance.regularized',
+        targetType: 'attendance_record',
+        targetId: result.record.id,
+        before: result.recordBefore,
+        after: result.record,
+        metadata: { regularization_id: req.params.id },
+      });
+    }
+
+    return successResponse(res, { request: result.request, attendance: result.record }, `Regularization request ${decision}`);
+  } catch (error) {
+    logger.error(`Regularization review (${decision}) error:`, error);
+    next(error);
+  }
+};
+
+const cancelRequest = async (req, res, next) => {
+  try {
+    const result = await regularizationService.cancelRequest(req.user, req.params.id);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'regularization.cancelled',
+      targetType: 'attendance_regularization',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.request,
+    });
+
+    return successResponse(res, { request: result.request }, 'Regularization request cancelled');
+  } catch (error) {
+    logger.error('Cancel regularization error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getRequests,
+  getApprovals,
+  getRequest,
+  submitRequest,
+  approveRequest: review('approved'),
+  rejectRequest: review('rejected'),
+  cancelRequest,
+};
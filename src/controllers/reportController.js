@@ -1,11 +1,17 @@
 const reportService = require('../services/reportService');
+const accessService = require('../services/accessService');
 const { successResponse, errorResponse } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 const getDailyReport = async (req, res, next) => {
   try {
     const { date, user_id } = req.query;
-    const targetUserId = user_id ? user_id : req.user.id;
+
+    const target = await accessService.resolveTargetUser(req.user, user_id, 'reports', 'read');
+    if (target.error) {
+      return errorResponse(res, target.error, target.message, 403);
+    }
+    const targetUserId = target.userId;
 
     const report = await reportService.getDailyReport(targetUserId, date);
 
@@ -22,9 +28,24 @@ const getDailyReport = async (req, res, next) => {
 
 const getWeeklyReport = async (req, res, next) => {
   try {
-    const { start_date, end_date, user_id } = req.query;
+    const {
+      start_date, end_date, user_id, department_id, team_id,
+    } = req.query;
+
+    if (!user_id && (department_id || team_id)) {
+      const report = await reportService.getGroupWeeklyReport(start_date, end_date, {
+        scopeFilter: accessService.buildUserScopeFilter(req.user, 'reports', 'read', 'u'),
+        departmentId: department_id,
+        teamId: team_id,
+      });
+      return successResponse(res, { report });
+    }
 
-    const targetUserId = user_id ? user_id : req.user.id;
+    const target = await accessService.resolveTargetUser(req.user, user_id, 'reports', 'read');
+    if (target.error) {
+      return errorResponse(res, target.error, target.message, 403);
+    }
+    const targetUserId = target.userId;
 
     const report = await reportService.getWeeklyReport(targetUserId, start_date, end_date);
 
@@ -37,9 +58,28 @@ const getWeeklyReport = async (req, res, next) => {
 
 const getMonthlyReport = async (req, res, next) => {
   try {
-    const { month, year, user_id } = req.query;
+    const {
+      month, year, user_id, department_id, team_id,
+    } = req.query;
+
+    if (!user_id && (department_id || team_id)) {
+      const report = await reportService.getGroupMonthlyReport(
+        month ? parseInt(month) : undefined,
+        year ? parseInt(year) : undefined,
+        {
+          scopeFilter: accessService.buildUserScopeFilter(req.user, 'reports', 'read', 'u'),
+          departmentId: department_id,
+          teamId: team_id,
+        }
+      );
+      return successResponse(res, { report });
+    }
 
-    const targetUserId = user_id ? user_id : req.user.id;
+    const target = await accessService.resolveTargetUser(req.user, user_id, 'reports', 'read');
+    if (target.error) {
+      return errorResponse(res, target.error, target.message, 403);
+    }
+    const targetUserId = target.userId;
 
     const report = await reportService.getMonthlyReport(
       targetUserId,
@@ -56,14 +96,14 @@ const getMonthlyReport = async (req, res, next) => {
 
 const getProductivitySummary = async (req, res, next) => {
   try {
-    const allowedRoles = ['admin', 'hr'];
-    const hasAccess = allowedRoles.includes(req.user.role);
-
     const { user_id, period = 'week' } = req.query;
-    // const isAdmin = req.user.role === 'admin'|| req.user.role === 'hr';
-    const targetUserId = hasAccess && user_id ? user_id : req.user.id;
 
-    const summary = await reportService.getProductivitySummary(targetUserId, period);
+    const target = await accessService.resolveTargetUser(req.user, user_id, 'reports', 'read');
+    if (target.error) {
+      return errorResponse(res, target.error, target.message, 403);
+    }
+
+    const summary = await reportService.getProductivitySummary(target.userId, period);
 
     return successResponse(res, { summary });
   } catch (error) {
@@ -74,8 +114,14 @@ const getProductivitySummary = async (req, res, next) => {
 
 const getTeamOverview = async (req, res, next) => {
   try {
-    const { date } = req.query;
-    const overview = await reportService.getTeamOverview(date);
+    const { date, department_id, team_id } = req.query;
+
+    // Managers see their reporting line (direct and indirect); reports:read:any sees everyone.
+    const overview = await reportService.getTeamOverview(date, {
+      scopeFilter: accessService.buildUserScopeFilter(req.user, 'reports', 'read', 'u'),
+      departmentId: department_id,
+      teamId: team_id,
+    });
 
     return successResponse(res, { overview });
   } catch (error) {
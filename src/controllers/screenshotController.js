@@ -6,6 +6,10 @@ const pool = require('../config/database');
 const { successResponse, errorResponse, formatDate } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const attendanceService = require('../services/attendanceService');
+const timezoneService = require('../services/timezoneService');
+const accessService = require('../services/accessService');
+const auditService = require('../services/auditService');
+const { withFileUrls, verifyScreenshotSignature } = require('../utils/screenshotUrls');
 
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -67,7 +71,7 @@ const uploadScreenshot = async (req, res, next) => {
       // Split/close any open previous day shifts first
       await attendanceService.checkAndSplitShift(userId, client);
 
-      const today = formatDate(new Date());
+      const today = await timezoneService.getUserDate(userId, new Date(), client);
 
       const attendanceResult = await client.query(
         'SELECT * FROM attendance_records WHERE user_id = $1 AND date = $2',
@@ -98,8 +102,8 @@ const uploadScreenshot = async (req, res, next) => {
       const screenshotResult = await client.query(
         `INSERT INTO screenshots 
          (user_id, attendance_record_id, timestamp, screenshot_url, thumbnail_url, 
-          file_size_kb, active_window_title, active_application, screen_resolution) 
-         VALUES ($1, $2, NOW(), $3, $4, $5, $6, $7, $8) 
+          file_size_kb, active_window_title, active_application, screen_resolution, device_id) 
+         VALUES ($1, $2, NOW(), $3, $4, $5, $6, $7, $8, $9) 
          RETURNING *`,
         [
           userId,
@@ -110,6 +114,7 @@ const uploadScreenshot = async (req, res, next) => {
           active_window_title,
           active_application,
           screen_resolution,
+          req.user.device_id || null,
         ]
       );
 
@@ -130,13 +135,27 @@ const uploadScreenshot = async (req, res, next) => {
   });
 };
 
+// Screenshots the caller may not access are reported as not found
+const findAccessibleScreenshot = async (user, id, action) => {
+  const result = await pool.query('SELECT * FROM screenshots WHERE id = $1', [id]);
+  const screenshot = result.rows[0];
+
+  if (!screenshot || !(await accessService.canAccessUser(user, screenshot.user_id, 'screenshots', action))) {
+    return null;
+  }
+  return screenshot;
+};
+
 const listScreenshots = async (req, res, next) => {
   try {
     const { date, user_id } = req.query;
-    const isAdmin = req.user.role === 'admin';
-    
-    const targetUserId = isAdmin && user_id ? user_id : req.user.id;
-    const targetDate = date || formatDate(new Date());
+
+    const target = await accessService.resolveTargetUser(req.user, user_id, 'screenshots', 'read');
+    if (target.error) {
+      return errorResponse(res, target.error, target.message, 403);
+    }
+    const targetUserId = target.userId;
+    const targetDate = date || await timezoneService.getUserDate(targetUserId);
 
     const result = await pool.query(
       `SELECT s.* 
@@ -147,7 +166,7 @@ const listScreenshots = async (req, res, next) => {
       [targetUserId, targetDate]
     );
 
-    return successResponse(res, { screenshots: result.rows, count: result.rows.length });
+    return successResponse(res, { screenshots: result.rows.map(withFileUrls), count: result.rows.length });
   } catch (error) {
     logger.error('List screenshots error:', error);
     next(error);
@@ -157,21 +176,13 @@ const listScreenshots = async (req, res, next) => {
 const getScreenshot = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
-
-    const query = isAdmin
-      ? 'SELECT * FROM screenshots WHERE id = $1'
-      : 'SELECT * FROM screenshots WHERE id = $1 AND user_id = $2';
-
-    const params = isAdmin ? [id] : [id, userId];
-    const result = await pool.query(query, params);
+    const screenshot = await findAccessibleScreenshot(req.user, id, 'read');
 
-    if (result.rows.length === 0) {
+    if (!screenshot) {
       return errorResponse(res, 'SCREENSHOT_NOT_FOUND', 'Screenshot not found', 404);
     }
 
-    return successResponse(res, { screenshot: result.rows[0] });
+    return successResponse(res, { screenshot: withFileUrls(screenshot) });
   } catch (error) {
     logger.error('Get screenshot error:', error);
     next(error);
@@ -181,22 +192,12 @@ const getScreenshot = async (req, res, next) => {
 const deleteScreenshot = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
-
-    const query = isAdmin
-      ? 'SELECT * FROM screenshots WHERE id = $1'
-      : 'SELECT * FROM screenshots WHERE id = $1 AND user_id = $2';
-
-    const params = isAdmin ? [id] : [id, userId];
-    const result = await pool.query(query, params);
+    const screenshot = await findAccessibleScreenshot(req.user, id, 'delete');
 
-    if (result.rows.length === 0) {
+    if (!screenshot) {
       return errorResponse(res, 'SCREENSHOT_NOT_FOUND', 'Screenshot not found', 404);
     }
 
-    const screenshot = result.rows[0];
-
     await fs.unlink(screenshot.screenshot_url).catch(() => {});
     if (screenshot.thumbnail_url) {
       await fs.unlink(screenshot.thumbnail_url).catch(() => {});
@@ -204,6 +205,13 @@ const deleteScreenshot = async (req, res, next) => {
 
     await pool.query('DELETE FROM screenshots WHERE id = $1', [id]);
 
+    await auditService.record(req, {
+      action: 'screenshot.deleted',
+      targetType: 'screenshot',
+      targetId: id,
+      metadata: { user_id: screenshot.user_id, timestamp: screenshot.timestamp },
+    });
+
     logger.info(`Screenshot ${id} deleted`);
     return successResponse(res, null, 'Screenshot deleted successfully');
   } catch (error) {
@@ -215,24 +223,22 @@ const deleteScreenshot = async (req, res, next) => {
 const serveScreenshotFile = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { type } = req.query;
-    const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
 
-    const query = isAdmin
-      ? 'SELECT * FROM screenshots WHERE id = $1'
-      : 'SELECT * FROM screenshots WHERE id = $1 AND user_id = $2';
+    // Access was checked when the URL was signed; the signature binds it to this screenshot and variant.
+    const signature = verifyScreenshotSignature(id, req.query);
+    if (signature.error) {
+      return errorResponse(res, signature.error, signature.message, 403);
+    }
 
-    const params = isAdmin ? [id] : [id, userId];
-    const result = await pool.query(query, params);
+    const result = await pool.query('SELECT screenshot_url, thumbnail_url FROM screenshots WHERE id = $1', [id]);
+    const screenshot = result.rows[0];
 
-    if (result.rows.length === 0) {
+    if (!screenshot) {
       return errorResponse(res, 'SCREENSHOT_NOT_FOUND', 'Screenshot not found', 404);
     }
 
-    const screenshot = result.rows[0];
     const filePath =
-      type === 'full'
+      signature.variant === 'full'
         ? screenshot.screenshot_url
         : screenshot.thumbnail_url || screenshot.screenshot_url;
 
@@ -240,6 +246,10 @@ const serveScreenshotFile = async (req, res, next) => {
       return errorResponse(res, 'FILE_NOT_FOUND', 'Screenshot file is missing on server', 404);
     }
 
+    res.set({
+      'Cache-Control': `private, max-age=${signature.expiresIn}`,
+      'Referrer-Policy': 'no-referrer',
+    });
     return res.sendFile(path.resolve(filePath));
   } catch (error) {
     logger.error('Serve screenshot file error:', error);
@@ -1,5 +1,9 @@
 const pool = require('../config/database');
-const { successResponse, errorResponse } = require('../utils/helpers');
+const settingsService = require('../services/settingsService');
+const officeLocationService = require('../services/officeLocationService');
+const auditService = require('../services/auditService');
+const { ROLES } = require('../config/permissions');
+const { successResponse, errorResponse, isValidTimeZone } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 const getSettings = async (req, res, next) => {
@@ -31,6 +35,33 @@ const updateSetting = async (req, res, next) => {
       return errorResponse(res, 'INVALID_INPUT', 'Setting value is required', 400);
     }
 
+    if (key === 'mfa_policy') {
+      const roles = value.required_roles;
+      if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) {
+        return errorResponse(res, 'INVALID_INPUT', 'mfa_policy.required_roles must be a list of roles', 400);
+      }
+    }
+
+    if (key === 'default_timezone' && !isValidTimeZone(value.timezone)) {
+      return errorResponse(res, 'INVALID_INPUT', 'default_timezone.timezone must be an IANA timezone such as "Asia/Kolkata"', 400);
+    }
+
+    if (key === 'attendance_status_rules') {
+      const { full_day_minutes: fullDay, half_day_minutes: halfDay } = value;
+      if (!Number.isInteger(fullDay) || !Number.isInteger(halfDay) || halfDay < 0 || halfDay > fullDay) {
+        return errorResponse(res, 'INVALID_INPUT', 'attendance_status_rules needs whole full_day_minutes and half_day_minutes, with half_day_minutes between 0 and full_day_minutes', 400);
+      }
+    }
+
+    if (key === 'geofence_policy' && !officeLocationService.GEOFENCE_POLICIES.includes(value.default_policy)) {
+      return errorResponse(res, 'INVALID_INPUT', `geofence_policy.default_policy must be one of ${officeLocationService.GEOFENCE_POLICIES.join(', ')}`, 400);
+    }
+
+    const previous = await pool.query(
+      'SELECT setting_value, description FROM system_settings WHERE setting_key = $1',
+      [key]
+    );
+
     const result = await pool.query(
       `INSERT INTO system_settings (setting_key, setting_value, description, updated_by, updated_at) 
        VALUES ($1, $2, $3, $4, NOW())
@@ -40,6 +71,16 @@ const updateSetting = async (req, res, next) => {
       [key, JSON.stringify(value), description, req.user.id]
     );
 
+    settingsService.invalidate(key);
+
+    await auditService.record(req, {
+      action: 'setting.updated',
+      targetType: 'setting',
+      targetId: key,
+      before: previous.rows[0] || null,
+      after: { setting_value: result.rows[0].setting_value, description: result.rows[0].description },
+    });
+
     logger.info(`Setting updated: ${key}`);
     return successResponse(res, { setting: result.rows[0] }, 'Setting updated successfully');
   } catch (error) {
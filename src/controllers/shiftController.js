@@ -0,0 +1,103 @@
+const shiftService = require('../services/shiftService');
+const auditService = require('../services/auditService');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const shiftErrorStatus = {
+  SHIFT_NOT_FOUND: 404,
+  SHIFT_EXISTS: 409,
+  SHIFT_IN_USE: 409,
+};
+
+const fail = (res, result) => errorResponse(
+  res, result.error, result.message, shiftErrorStatus[result.error] || 400
+);
+
+const getShifts = async (req, res, next) => {
+  try {
+    const shifts = await shiftService.listShifts();
+    return successResponse(res, { shifts, count: shifts.length });
+  } catch (error) {
+    logger.error('Get shifts error:', error);
+    next(error);
+  }
+};
+
+const getShift = async (req, res, next) => {
+  try {
+    const shift = await shiftService.getShift(req.params.id);
+    if (!shift) {
+      return errorResponse(res, 'SHIFT_NOT_FOUND', 'Shift not found', 404);
+    }
+    return successResponse(res, { shift });
+  } catch (error) {
+    logger.error('Get shift error:', error);
+    next(error);
+  }
+};
+
+const createShift = async (req, res, next) => {
+  try {
+    const result = await shiftService.createShift(req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'shift.created',
+      targetType: 'shift',
+      targetId: result.shift.id,
+      after: result.shift,
+    });
+
+    return successResponse(res, { shift: result.shift }, 'Shift created successfully', 201);
+  } catch (error) {
+    logger.error('Create shift error:', error);
+    next(error);
+  }
+};
+
+const updateShift = async (req, res, next) => {
+  try {
+    const result = await shiftService.updateShift(req.params.id, req.body);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'shift.updated',
+      targetType: 'shift',
+      targetId: req.params.id,
+      before: result.before,
+      after: result.shift,
+    });
+
+    return successResponse(res, { shift: result.shift }, 'Shift updated successfully');
+  } catch (error) {
+    logger.error('Update shift error:', error);
+    next(error);
+  }
+};
+
+const deleteShift = async (req, res, next) => {
+  try {
+    const result = await shiftService.deleteShift(req.params.id);
+    if (result.error) return fail(res, result);
+
+    await auditService.record(req, {
+      action: 'shift.deleted',
+      targetType: 'shift',
+      targetId: req.params.id,
+      before: result.shift,
+    });
+
+    return successResponse(res, null, 'Shift deleted successfully');
+  } catch (error) {
+    logger.error('Delete shift error:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getShifts,
+  getShift,
+  createShift,
+  updateShift,
+  deleteShift,
+};
@@ -1,17 +1,81 @@
 const bcrypt = require('bcrypt');
 const pool = require('../config/database');
+const sessionService = require('../services/sessionService');
+const loginThrottleService = require('../services/loginThrottleService');
+const inviteService = require('../services/inviteService');
+const mailService = require('../services/mailService');
+const mfaService = require('../services/mfaService');
+const deviceService = require('../services/deviceService');
+const accessService = require('../services/accessService');
+const auditService = require('../services/auditService');
+const userDirectoryService = require('../services/userDirectoryService');
+const offboardingService = require('../services/offboardingService');
+const userImportService = require('../services/userImportService');
+const organizationService = require('../services/organizationService');
+const profileService = require('../services/profileService');
+const shiftService = require('../services/shiftService');
+const holidayService = require('../services/holidayService');
+const { parseCsv } = require('../utils/csv');
+const { getScope } = require('../config/permissions');
 const { successResponse, errorResponse } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
+const ORGANIZATION_ERROR_STATUS = {
+  DEPARTMENT_NOT_FOUND: 400,
+  TEAM_NOT_FOUND: 400,
+  TEAM_DEPARTMENT_MISMATCH: 400,
+};
+
+const isValidManager = async (managerId) => {
+  const result = await pool.query(
+    `SELECT 1 FROM users WHERE id = $1 AND status = 'active'`,
+    [managerId]
+  );
+  return result.rows.length > 0;
+};
+
 const getAllUsers = async (req, res, next) => {
   try {
-    const result = await pool.query(
-      `SELECT id, email, name, employee_id, role, status, profile_picture_url, created_at 
-       FROM users 
-       ORDER BY created_at DESC`
-    );
+    // Managers only see their direct reports (and themselves)
+    const scopeFilter = accessService.buildUserScopeFilter(req.user, 'users', 'read', 'u');
+    if (!scopeFilter) {
+      return errorResponse(res, 'FORBIDDEN', 'You do not have permission to perform this action', 403);
+    }
+
+    const {
+      q, role, status, department, department_id, team_id, manager_id, sort, order, limit, cursor, include,
+    } = req.query;
+    const includeAttendance = (include || '').split(',').includes('attendance');
 
-    return successResponse(res, { users: result.rows, count: result.rows.length });
+    if (includeAttendance && !getScope(req.user.role, 'attendance', 'read')) {
+      return errorResponse(res, 'FORBIDDEN', 'You do not have permission to view attendance', 403);
+    }
+
+    const pageSize = parseInt(limit, 10) || 50;
+    const result = await userDirectoryService.listUsers(scopeFilter, {
+      q: q ? q.trim() : null,
+      roles: role ? role.split(',') : [],
+      status,
+      department,
+      departmentId: department_id,
+      teamId: team_id,
+      managerId: manager_id,
+      sort,
+      order,
+      limit: pageSize,
+      cursor,
+      includeAttendance,
+    });
+
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, 400);
+    }
+
+    return successResponse(res, {
+      users: result.users,
+      count: result.users.length,
+      pagination: { limit: pageSize, total: result.total, next_cursor: result.nextCursor, has_more: !!result.nextCursor },
+    });
   } catch (error) {
     logger.error('Get all users error:', error);
     next(error);
@@ -20,17 +84,65 @@ const getAllUsers = async (req, res, next) => {
 
 const createUser = async (req, res, next) => {
   try {
-    const { email, password, name, employee_id, role = 'employee' } = req.body;
+    const {
+      email, password, name, employee_id, role = 'employee', manager_id = null, joining_date = null,
+    } = req.body;
+
+    if (!inviteService.canGrantRole(req.user, role)) {
+      return errorResponse(res, 'FORBIDDEN_ROLE', 'Only admins can create admin accounts', 403);
+    }
+
+    if (manager_id && !(await isValidManager(manager_id))) {
+      return errorResponse(res, 'INVALID_MANAGER', 'Manager not found', 400);
+    }
+
+    const assignment = await organizationService.resolveAssignment({
+      department_id: req.body.department_id || null,
+      team_id: req.body.team_id || null,
+    });
+    if (assignment.error) {
+      return errorResponse(res, assignment.error, assignment.message, ORGANIZATION_ERROR_STATUS[assignment.error]);
+    }
+
+    const invalidShift = await shiftService.validateShift(req.body.shift_id);
+    if (invalidShift) {
+      return errorResponse(res, invalidShift.error, invalidShift.message, 400);
+    }
+    const invalidCalendar = await holidayService.validateCalendar(req.body.holiday_calendar_id);
+    if (invalidCalendar) {
+      return errorResponse(res, invalidCalendar.error, invalidCalendar.message, 400);
+    }
 
     const hashedPassword = await bcrypt.hash(password, 10);
+    const {
+      designation = null, employment_type = null, work_location = null, timezone = null, work_schedule = null, phone = null,
+      shift_id = null, holiday_calendar_id = null, geofence_policy = null,
+    } = req.body;
 
     const result = await pool.query(
-      `INSERT INTO users (email, password_hash, name, employee_id, role) 
-       VALUES ($1, $2, $3, $4, $5) 
-       RETURNING id, email, name, employee_id, role, status, created_at`,
-      [email, hashedPassword, name, employee_id, role]
+      `INSERT INTO users (email, password_hash, name, employee_id, role, manager_id, department_id, team_id, joining_date,
+                          designation, employment_type, work_location, timezone, work_schedule, phone, shift_id,
+                          holiday_calendar_id, geofence_policy) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18) 
+       RETURNING id, email, name, employee_id, role, manager_id, department_id, team_id,
+                 TO_CHAR(joining_date, 'YYYY-MM-DD') AS joining_date, designation, employment_type,
+                 work_location, timezone, work_schedule, phone, shift_id, holiday_calendar_id, geofence_policy,
+                 status, created_at`,
+      [
+        email, hashedPassword, name, employee_id, role, manager_id,
+        assignment.department_id, assignment.team_id, joining_date,
+        designation, employment_type, work_location, timezone, work_schedule, phone, shift_id,
+        holiday_calendar_id, geofence_policy,
+      ]
     );
 
+    await auditService.record(req, {
+      action: 'user.created',
+      targetType: 'user',
+      targetId: result.rows[0].id,
+      after: result.rows[0],
+    });
+
     logger.info(`User created by admin: ${email}`);
     return successResponse(res, { user: result.rows[0] }, 'User created successfully', 201);
   } catch (error) {
@@ -42,13 +154,113 @@ const createUser = async (req, res, next) => {
   }
 };
 
+// Rows come from a text/csv body, a JSON array, `{ users: [...] }` or `{ csv: "..." }`
+const readImportRows = (req) => {
+  const csvText = typeof req.body === 'string' ? req.body : (typeof req.body?.csv === 'string' ? req.body.csv : null);
+  if (csvText !== null) {
+    const parsed = parseCsv(csvText);
+    return parsed.error ? parsed : { rows: parsed.rows, format: 'csv' };
+  }
+  if (Array.isArray(req.body)) return { rows: req.body, format: 'json' };
+  if (Array.isArray(req.body?.users)) return { rows: req.body.users, format: 'json' };
+  return { error: 'INVALID_IMPORT', message: 'Send a CSV body (text/csv) or JSON with a users array' };
+};
+
+// Audit one applied import row
+const recordImportedRow = (req, entry) => {
+  if (entry.action === 'update') {
+    return auditService.record(req, {
+      action: 'user.updated',
+      targetType: 'user',
+      targetId: entry.after.id,
+      before: entry.before,
+      after: entry.after,
+      metadata: { source: 'import' },
+    });
+  }
+  if (entry.action === 'update_invite') {
+    return auditService.record(req, {
+      action: 'invite.updated',
+      targetType: 'invite',
+      targetId: entry.invite.id,
+      before: entry.before,
+      after: entry.after,
+      metadata: { source: 'import' },
+    });
+  }
+  return auditService.record(req, {
+    action: 'invite.created',
+    targetType: 'invite',
+    targetId: entry.invite.id,
+    metadata: { email: entry.invite.email, employee_id: entry.invite.employee_id, role: entry.invite.role, source: 'import' },
+  });
+};
+
+const importUsers = async (req, res, next) => {
+  try {
+    const input = readImportRows(req);
+    if (input.error) {
+      return errorResponse(res, input.error, input.message, 400);
+    }
+
+    const flag = (name, fallback) => {
+      const value = req.query[name] ?? req.body?.[name];
+      return value === undefined ? fallback : value === true || value === 'true';
+    };
+    const dryRun = flag('dry_run', false);
+
+    const result = await userImportService.importUsers(req.user, input.rows, {
+      dryRun,
+      sendInvites: flag('send_invites', true),
+      onApplied: (entry) => recordImportedRow(req, entry),
+    });
+
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, result.error === 'IMPORT_TOO_LARGE' ? 413 : 400);
+    }
+
+    if (!dryRun) {
+      await auditService.record(req, {
+        action: 'user.imported',
+        metadata: { format: input.format, ...result.summary },
+      });
+    }
+
+    return successResponse(
+      res,
+      { summary: result.summary, rows: result.rows },
+      dryRun ? 'Import preview generated' : 'Import completed'
+    );
+  } catch (error) {
+    logger.error('Import users error:', error);
+    next(error);
+  }
+};
+
 const getUserById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    if (!(await accessService.canAccessUser(req.user, id, 'users', 'read'))) {
+      return errorResponse(res, 'USER_NOT_FOUND', 'User not found', 404);
+    }
+
     const result = await pool.query(
-      `SELECT id, email, name, employee_id, role, status, profile_picture_url, created_at 
-       FROM users WHERE id = $1`,
+      `SELECT u.id, u.email, u.name, u.employee_id, u.role, u.manager_id, m.name AS manager_name,
+              u.department_id, d.name AS department, u.team_id, t.name AS team, u.designation, u.employment_type,
+              TO_CHAR(u.joining_date, 'YYYY-MM-DD') AS joining_date, u.work_location, u.timezone, u.work_schedule,
+              u.phone, u.shift_id, sh.id AS effective_shift_id, sh.name AS shift,
+              u.holiday_calendar_id, hc.id AS effective_holiday_calendar_id, hc.name AS holiday_calendar,
+              u.geofence_policy, u.status, u.profile_picture_url, u.locked_until,
+              TO_CHAR(u.last_working_day, 'YYYY-MM-DD') AS last_working_day, u.terminated_at, u.offboarded_by,
+              u.offboarding_reason, u.anonymized_at, u.created_at
+       FROM users u
+       LEFT JOIN users m ON m.id = u.manager_id
+       LEFT JOIN departments d ON d.id = u.department_id
+       LEFT JOIN teams t ON t.id = u.team_id
+       LEFT JOIN shifts sh ON sh.id = COALESCE(u.shift_id, d.shift_id)
+       ${holidayService.calendarJoinSql()}
+       WHERE u.id = $1`,
       [id]
     );
 
@@ -66,7 +278,28 @@ const getUserById = async (req, res, next) => {
 const updateUser = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, role, status, profile_picture_url } = req.body;
+    const {
+      name, role, status, profile_picture_url, manager_id, department_id, team_id, joining_date, shift_id,
+      holiday_calendar_id,
+    } = req.body;
+
+    const before = await pool.query(
+      `SELECT id, email, name, employee_id, role, manager_id, department_id, team_id, designation, employment_type,
+              TO_CHAR(joining_date, 'YYYY-MM-DD') AS joining_date, work_location, timezone, work_schedule, phone,
+              shift_id, holiday_calendar_id, geofence_policy, status, profile_picture_url,
+              TO_CHAR(last_working_day, 'YYYY-MM-DD') AS last_working_day, terminated_at, anonymized_at
+       FROM users WHERE id = $1`,
+      [id]
+    );
+    if (before.rows.length === 0) {
+      return errorResponse(res, 'USER_NOT_FOUND', 'User not found', 404);
+    }
+    if (!accessService.canManageUser(req.user, before.rows[0])) {
+      return errorResponse(res, 'FORBIDDEN', 'Only admins can modify admin accounts', 403);
+    }
+    if (before.rows[0].anonymized_at) {
+      return errorResponse(res, 'USER_ANONYMIZED', 'Anonymized users cannot be edited or reactivated', 409);
+    }
 
     const updates = [];
     const values = [];
@@ -77,6 +310,9 @@ const updateUser = async (req, res, next) => {
       values.push(name);
     }
     if (role) {
+      if (!inviteService.canGrantRole(req.user, role)) {
+        return errorResponse(res, 'FORBIDDEN_ROLE', 'Only admins can grant the admin role', 403);
+      }
       updates.push(`role = $${paramCount++}`);
       values.push(role);
     }
@@ -88,16 +324,76 @@ const updateUser = async (req, res, next) => {
       updates.push(`profile_picture_url = $${paramCount++}`);
       values.push(profile_picture_url);
     }
+    if (department_id !== undefined || team_id !== undefined) {
+      const assignment = await organizationService.resolveAssignment(
+        { department_id, team_id },
+        before.rows[0].team_id
+      );
+      if (assignment.error) {
+        return errorResponse(res, assignment.error, assignment.message, ORGANIZATION_ERROR_STATUS[assignment.error]);
+      }
+      for (const field of ['department_id', 'team_id']) {
+        if (assignment[field] === undefined) continue;
+        updates.push(`${field} = $${paramCount++}`);
+        values.push(assignment[field] || null);
+      }
+    }
+    if (joining_date !== undefined) {
+      updates.push(`joining_date = $${paramCount++}`);
+      values.push(joining_date || null);
+    }
+    if (shift_id !== undefined) {
+      const invalidShift = await shiftService.validateShift(shift_id);
+      if (invalidShift) {
+        return errorResponse(res, invalidShift.error, invalidShift.message, 400);
+      }
+      updates.push(`shift_id = $${paramCount++}`);
+      values.push(shift_id || null);
+    }
+    if (holiday_calendar_id !== undefined) {
+      const invalidCalendar = await holidayService.validateCalendar(holiday_calendar_id);
+      if (invalidCalendar) {
+        return errorResponse(res, invalidCalendar.error, invalidCalendar.message, 400);
+      }
+      updates.push(`holiday_calendar_id = $${paramCount++}`);
+      values.push(holiday_calendar_id || null);
+    }
+    const employmentUpdates = profileService.buildEmploymentUpdates(req.body, values);
+    updates.push(...employmentUpdates);
+    paramCount += employmentUpdates.length;
+    if (manager_id !== undefined) {
+      if (manager_id === id) {
+        return errorResponse(res, 'INVALID_MANAGER', 'A user cannot be their own manager', 400);
+      }
+      if (manager_id && !(await isValidManager(manager_id))) {
+        return errorResponse(res, 'INVALID_MANAGER', 'Manager not found', 400);
+      }
+      if (await accessService.wouldCreateCycle(id, manager_id)) {
+        return errorResponse(res, 'INVALID_MANAGER', 'The manager reports to this user; reporting lines cannot loop', 400);
+      }
+      updates.push(`manager_id = $${paramCount++}`);
+      values.push(manager_id);
+    }
 
     if (updates.length === 0) {
       return errorResponse(res, 'NO_UPDATES', 'No fields to update', 400);
     }
 
+    // Rehiring an offboarded employee clears their termination
+    if (status && before.rows[0].status === 'terminated') {
+      updates.push('last_working_day = NULL', 'terminated_at = NULL', 'offboarded_by = NULL', 'offboarding_reason = NULL');
+    }
+
     updates.push(`updated_at = NOW()`);
     values.push(id);
 
     const query = `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramCount} 
-                   RETURNING id, email, name, employee_id, role, status, profile_picture_url, updated_at`;
+                   RETURNING id, email, name, employee_id, role, manager_id, department_id, team_id,
+                             designation, employment_type, TO_CHAR(joining_date, 'YYYY-MM-DD') AS joining_date,
+                             work_location, timezone, work_schedule, phone, shift_id, holiday_calendar_id,
+                             geofence_policy, status, profile_picture_url,
+                             TO_CHAR(last_working_day, 'YYYY-MM-DD') AS last_working_day, terminated_at,
+                             anonymized_at, updated_at`;
 
     const result = await pool.query(query, values);
 
@@ -105,6 +401,14 @@ const updateUser = async (req, res, next) => {
       return errorResponse(res, 'USER_NOT_FOUND', 'User not found', 404);
     }
 
+    await auditService.record(req, {
+      action: 'user.updated',
+      targetType: 'user',
+      targetId: id,
+      before: before.rows[0],
+      after: result.rows[0],
+    });
+
     logger.info(`User updated: ${id}`);
     return successResponse(res, { user: result.rows[0] }, 'User updated successfully');
   } catch (error) {
@@ -113,20 +417,113 @@ const updateUser = async (req, res, next) => {
   }
 };
 
+const OFFBOARDING_ERROR_STATUS = {
+  FORBIDDEN: 403,
+  USER_NOT_FOUND: 404,
+  CANNOT_OFFBOARD_SELF: 400,
+  CONFIRMATION_MISMATCH: 400,
+  ALREADY_OFFBOARDED: 409,
+  ALREADY_ANONYMIZED: 409,
+  NOT_OFFBOARDED: 409,
+};
+
+const runOffboarding = async (req, res, { lastWorkingDay, reason, dataHandling } = {}) => {
+  const { id } = req.params;
+  const result = await offboardingService.offboardUser(req.user, id, { lastWorkingDay, reason, dataHandling });
+
+  if (result.error) {
+    return errorResponse(res, result.error, result.message, OFFBOARDING_ERROR_STATUS[result.error] || 400);
+  }
+
+  await auditService.record(req, {
+    action: 'user.offboarded',
+    targetType: 'user',
+    targetId: id,
+    before: result.before,
+    after: result.user,
+    metadata: result.summary,
+  });
+
+  return successResponse(res, { user: result.user, summary: result.summary }, 'User offboarded successfully');
+};
+
+const offboardUser = async (req, res, next) => {
+  try {
+    const { last_working_day, reason, data_handling } = req.body;
+    return await runOffboarding(req, res, {
+      lastWorkingDay: last_working_day,
+      reason,
+      dataHandling: data_handling,
+    });
+  } catch (error) {
+    logger.error('Offboard user error:', error);
+    next(error);
+  }
+};
+
+// Soft delete: kept for existing clients, offboards with today as the last working day.
+// Permanent removal is DELETE /api/users/:id/purge.
 const deleteUser = async (req, res, next) => {
+  try {
+    return await runOffboarding(req, res);
+  } catch (error) {
+    logger.error('Delete user error:', error);
+    next(error);
+  }
+};
+
+const anonymizeUser = async (req, res, next) => {
   try {
     const { id } = req.params;
+    const result = await offboardingService.anonymizeUser(req.user, id);
 
-    const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING id', [id]);
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, OFFBOARDING_ERROR_STATUS[result.error] || 400);
+    }
 
-    if (result.rows.length === 0) {
-      return errorResponse(res, 'USER_NOT_FOUND', 'User not found', 404);
+    await auditService.record(req, {
+      action: 'user.anonymized',
+      targetType: 'user',
+      targetId: id,
+      before: result.before,
+      after: result.user,
+      metadata: result.summary,
+    });
+
+    return successResponse(res, { user: result.user, summary: result.summary }, 'User anonymized successfully');
+  } catch (error) {
+    logger.error('Anonymize user error:', error);
+    next(error);
+  }
+};
+
+const purgeUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const result = await offboardingService.purgeUser(id, req.body.confirm_employee_id);
+
+    if (result.error) {
+      await auditService.record(req, {
+        action: 'user.purged',
+        outcome: 'failure',
+        targetType: 'user',
+        targetId: id,
+        metadata: { reason: result.error },
+      });
+      return errorResponse(res, result.error, result.message, OFFBOARDING_ERROR_STATUS[result.error] || 400);
     }
 
-    logger.info(`User deleted: ${id}`);
-    return successResponse(res, null, 'User deleted successfully');
+    await auditService.record(req, {
+      action: 'user.purged',
+      targetType: 'user',
+      targetId: id,
+      before: result.user,
+      metadata: result.summary,
+    });
+
+    return successResponse(res, { summary: result.summary }, 'User and all related data permanently deleted');
   } catch (error) {
-    logger.error('Delete user error:', error);
+    logger.error('Purge user error:', error);
     next(error);
   }
 };
@@ -135,6 +532,10 @@ const getUserAttendanceSummary = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    if (!(await accessService.canAccessUser(req.user, id, 'attendance', 'read'))) {
+      return errorResponse(res, 'FORBIDDEN', 'You do not have permission to access this user\'s data', 403);
+    }
+
     const summary = await pool.query(
       `SELECT 
          COUNT(*) as total_days,
@@ -165,11 +566,271 @@ const getUserAttendanceSummary = async (req, res, next) => {
   }
 };
 
+const inviteErrorStatus = {
+  FORBIDDEN_ROLE: 403,
+  INVITE_NOT_FOUND: 404,
+  USER_EXISTS: 409,
+  INVITE_EXISTS: 409,
+  INVITE_CLOSED: 409,
+};
+
+const getInvites = async (req, res, next) => {
+  try {
+    const invites = await inviteService.listInvites(req.query.status);
+    return successResponse(res, { invites, count: invites.length });
+  } catch (error) {
+    logger.error('Get invites error:', error);
+    next(error);
+  }
+};
+
+const createInvite = async (req, res, next) => {
+  try {
+    const assignment = await organizationService.resolveAssignment({
+      department_id: req.body.department_id || null,
+      team_id: req.body.team_id || null,
+    });
+    if (assignment.error) {
+      return errorResponse(res, assignment.error, assignment.message, ORGANIZATION_ERROR_STATUS[assignment.error]);
+    }
+
+    const result = await inviteService.createInvite({ ...req.body, ...assignment }, req.user);
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, inviteErrorStatus[result.error] || 400);
+    }
+
+    const mail = await mailService.sendInviteEmail(result.invite, result.acceptUrl);
+
+    await auditService.record(req, {
+      action: 'invite.created',
+      targetType: 'invite',
+      targetId: result.invite.id,
+      metadata: { email: result.invite.email, employee_id: result.invite.employee_id, role: result.invite.role },
+    });
+
+    return successResponse(
+      res,
+      { invite: result.invite, invite_token: result.token, accept_url: result.acceptUrl, email_sent: mail.sent },
+      'Invite created successfully',
+      201
+    );
+  } catch (error) {
+    logger.error('Create invite error:', error);
+    next(error);
+  }
+};
+
+const resendInvite = async (req, res, next) => {
+  try {
+    const result = await inviteService.resendInvite(req.params.inviteId, req.user);
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, inviteErrorStatus[result.error] || 400);
+    }
+
+    const mail = await mailService.sendInviteEmail(result.invite, result.acceptUrl);
+
+    await auditService.record(req, {
+      action: 'invite.resent',
+      targetType: 'invite',
+      targetId: result.invite.id,
+      metadata: { email: result.invite.email },
+    });
+
+    return successResponse(
+      res,
+      { invite: result.invite, invite_token: result.token, accept_url: result.acceptUrl, email_sent: mail.sent },
+      'Invite resent successfully'
+    );
+  } catch (error) {
+    logger.error('Resend invite error:', error);
+    next(error);
+  }
+};
+
+const revokeInvite = async (req, res, next) => {
+  try {
+    const result = await inviteService.revokeInvite(req.params.inviteId);
+    if (result.error) {
+      return errorResponse(res, result.error, result.message, inviteErrorStatus[result.error] || 400);
+    }
+
+    await auditService.record(req, {
+      action: 'invite.revoked',
+      targetType: 'invite',
+      targetId: result.invite.id,
+      metadata: { email: result.invite.email },
+    });
+
+    return successResponse(res, { invite: result.invite }, 'Invite revoked successfully');
+  } catch (error) {
+    logger.error('Revoke invite error:', error);
+    next(error);
+  }
+};
+
+const unlockUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const user = await loginThrottleService.unlockUser(id);
+
+    if (!user) {
+      return errorResponse(res, 'USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    await auditService.record(req, { action: 'user.unlocked', targetType: 'user', targetId: id });
+
+    logger.info(`User ${id} unlocked by ${req.user.id}`);
+    return successResponse(res, { user }, 'User unlocked successfully');
+  } catch (error) {
+    logger.error('Unlock user error:', error);
+    next(error);
+  }
+};
+
+const resetUserMfa = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const userResult = await pool.query('SELECT id, email FROM users WHERE id = $1', [id]);
+    if (userResult.rows.length === 0) {
+      return errorResponse(res, 'USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    const removed = await mfaService.removeForUser(id);
+    if (!removed) {
+      return errorResponse(res, 'MFA_NOT_ENABLED', 'User has no two-factor authentication configured', 400);
+    }
+
+    // Whoever held the old factor must not keep a session.
+    const revoked = await sessionService.revokeAllForUser(id, 'mfa_reset');
+
+    await auditService.record(req, {
+      action: 'user.mfa_reset',
+      targetType: 'user',
+      targetId: id,
+      metadata: { revoked_sessions: revoked },
+    });
+
+    logger.info(`MFA reset for user ${userResult.rows[0].email} by ${req.user.email}`);
+    return successResponse(res, { revoked_sessions: revoked }, 'Two-factor authentication reset successfully');
+  } catch (error) {
+    logger.error('Reset user MFA error:', error);
+    next(error);
+  }
+};
+
+const getUserDevices = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const devices = await deviceService.listForUser(id, req.query.include_revoked === 'true');
+
+    return successResponse(res, { devices, count: devices.length });
+  } catch (error) {
+    logger.error('Get user devices error:', error);
+    next(error);
+  }
+};
+
+const revokeUserDevice = async (req, res, next) => {
+  try {
+    const { id, deviceId } = req.params;
+    const device = await deviceService.revokeDevice(deviceId, 'revoked_by_admin', id);
+
+    if (!device) {
+      return errorResponse(res, 'DEVICE_NOT_FOUND', 'Device not found or already revoked', 404);
+    }
+
+    await auditService.record(req, {
+      action: 'device.revoked',
+      targetType: 'device',
+      targetId: deviceId,
+      metadata: { user_id: id, name: device.name },
+    });
+
+    logger.info(`Device ${deviceId} of user ${id} revoked by ${req.user.email}`);
+    return successResponse(res, { device }, 'Device revoked successfully');
+  } catch (error) {
+    logger.error('Revoke user device error:', error);
+    next(error);
+  }
+};
+
+const getUserSessions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const sessions = await sessionService.listActiveSessions(id);
+
+    return successResponse(res, { sessions, count: sessions.length });
+  } catch (error) {
+    logger.error('Get user sessions error:', error);
+    next(error);
+  }
+};
+
+const revokeUserSession = async (req, res, next) => {
+  try {
+    const { id, sessionId } = req.params;
+    const session = await sessionService.revokeSession(sessionId, 'admin_revoked', id);
+
+    if (!session) {
+      return errorResponse(res, 'SESSION_NOT_FOUND', 'Active session not found', 404);
+    }
+
+    await auditService.record(req, {
+      action: 'session.revoked',
+      targetType: 'session',
+      targetId: sessionId,
+      metadata: { user_id: id },
+    });
+
+    logger.info(`Session ${sessionId} of user ${id} revoked by ${req.user.id}`);
+    return successResponse(res, { session }, 'Session revoked successfully');
+  } catch (error) {
+    logger.error('Revoke user session error:', error);
+    next(error);
+  }
+};
+
+const revokeAllUserSessions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const revoked = await sessionService.revokeAllForUser(id, 'admin_revoked');
+
+    await auditService.record(req, {
+      action: 'user.sessions_revoked',
+      targetType: 'user',
+      targetId: id,
+      metadata: { revoked },
+    });
+
+    logger.info(`All sessions of user ${id} revoked by ${req.user.id}`);
+    return successResponse(res, { revoked }, 'Sessions revoked successfully');
+  } catch (error) {
+    logger.error('Revoke all user sessions error:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   getAllUsers,
   createUser,
   getUserById,
   updateUser,
+  importUsers,
   deleteUser,
+  offboardUser,
+  anonymizeUser,
+  purgeUser,
   getUserAttendanceSummary,
+  getInvites,
+  createInvite,
+  resendInvite,
+  revokeInvite,
+  unlockUser,
+  resetUserMfa,
+  getUserDevices,
+  revokeUserDevice,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
 };
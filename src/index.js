@@ -15,6 +15,8 @@ const autoCheckOutIdleUsers = require('./jobs/autoCheckOutIdle');
 const createDailyAttendance = require('./jobs/createDailyAttendance');
 const cleanupOldData = require('./jobs/cleanupOldData');
 const dailyReportJob = require('./jobs/dailyReportJob');
+const evaluateAttendanceStatus = require('./jobs/evaluateAttendanceStatus');
+const leaveAccrual = require('./jobs/leaveAccrual');
 
 validateConfig();
 
@@ -26,6 +28,15 @@ const screenshotRoutes = require('./routes/screenshots');
 const reportRoutes = require('./routes/reports');
 const userRoutes = require('./routes/users');
 const settingsRoutes = require('./routes/settings');
+const deviceRoutes = require('./routes/devices');
+const auditRoutes = require('./routes/audit');
+const departmentRoutes = require('./routes/departments');
+const teamRoutes = require('./routes/teams');
+const shiftRoutes = require('./routes/shifts');
+const holidayCalendarRoutes = require('./routes/holidayCalendars');
+const officeLocationRoutes = require('./routes/officeLocations');
+const leaveRoutes = require('./routes/leave');
+const regularizationRoutes = require('./routes/regularizations');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -49,6 +60,15 @@ app.get('/', (req, res) => {
       reports: '/api/reports',
       users: '/api/users',
       settings: '/api/settings',
+      devices: '/api/devices',
+      audit: '/api/audit',
+      departments: '/api/departments',
+      teams: '/api/teams',
+      shifts: '/api/shifts',
+      holidayCalendars: '/api/holiday-calendars',
+      officeLocations: '/api/office-locations',
+      leave: '/api/leave',
+      regularizations: '/api/regularizations',
     },
   });
 });
@@ -65,6 +85,15 @@ app.use('/api/screenshots', screenshotRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/holiday-calendars', holidayCalendarRoutes);
+app.use('/api/office-locations', officeLocationRoutes);
+app.use('/api/leave', leaveRoutes);
+app.use('/api/regularizations', regularizationRoutes);
  
 app.use(notFound);
 app.use(errorHandler);
@@ -109,19 +138,34 @@ cron.schedule('* * * * *', async () => {
   }
 });
 
-// Auto-checkout job (Daily at 23:59 IST)
-const checkOutTimeZone = 'Asia/Kolkata';
-logger.info(`Scheduling auto-checkout job to run at 23:59 timezone: ${checkOutTimeZone}`);
-cron.schedule('59 23 * * *', async () => {
+// Auto-checkout job (Every 1 minute)
+// Closes open records as each user's business day ends (23:59 local, or their shift's day boundary).
+cron.schedule('* * * * *', async () => {
   try {
-    const { formatDate } = require('./utils/helpers');
-    const todayIST = formatDate(new Date());
-    await autoCheckOutUsers(todayIST);
+    await autoCheckOutUsers();
   } catch (error) {
     logger.error('Auto-checkout job failed:', error);
   }
-}, {
-  timezone: checkOutTimeZone,
+});
+
+// Attendance status job (Every 15 minutes)
+// Marks present / half_day / absent once each record's business day has ended.
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    await evaluateAttendanceStatus();
+  } catch (error) {
+    logger.error('Attendance status job failed:', error);
+  }
+});
+
+// Leave accrual job (1 January, 00:30)
+// Creates the new year's leave balances with last year's carry-forward.
+cron.schedule('30 0 1 1 *', async () => {
+  try {
+    await leaveAccrual();
+  } catch (error) {
+    logger.error('Leave accrual job failed:', error);
+  }
 });
 
 // Cleanup old screenshots and related data (Daily at 02:00)
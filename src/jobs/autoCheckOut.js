@@ -1,6 +1,13 @@
 const pool = require('../config/database');
 const logger = require('../utils/logger');
-const { formatDate } = require('../utils/helpers');
+const timezoneService = require('../services/timezoneService');
+const attendanceStatusService = require('../services/attendanceStatusService');
+const attendanceSessionService = require('../services/attendanceSessionService');
+const { toDateString } = require('../utils/helpers');
+
+// Scheduled runs pick up records whose end of day falls within the next minute or has
+// already passed, so a skipped or overrunning tick does not leave a day open
+const DUE_WINDOW_MS = 60 * 1000;
 
 function clampDurations(totalWork, totalActive, totalIdle) {
     const work = Math.max(0, totalWork || 0);
@@ -18,34 +25,49 @@ function clampDurations(totalWork, totalActive, totalIdle) {
     return { totalWork: work, totalActive: active, totalIdle: idle };
 }
 
+/**
+ * Check out records still open at the end of their business day (23:59:59.999 in the
+ * user's timezone, or just before the day boundary of the shift they checked into).
+ * With a date, closes that date's records whose day is over (used by the backfill);
+ * without one, closes the records whose business day is about to end or has ended.
+ */
 async function autoCheckOutUsers(targetDate) {
     const client = await pool.connect();
 
     try {
-        const dateStr = targetDate || formatDate(new Date());
-        logger.info(`Running auto-checkout job for end of day (${dateStr})...`);
-
-        // Compute endOfDay for dateStr in Asia/Kolkata timezone
-        const recordEndOfDay = new Date(`${dateStr}T23:59:59.999+05:30`);
+        if (targetDate) {
+            logger.info(`Running auto-checkout job for end of day (${targetDate})...`);
+        }
 
-        // Find all users who are still checked in for the target date
+        // Find all users who are still checked in for the target date (or around today)
         const openRecords = await client.query(`
-                    SELECT id, user_id, check_in_time, date
-                    FROM attendance_records
-                    WHERE date::date = $1::date
-                        AND check_out_time IS NULL
-                `, [dateStr]);
-
-        if (openRecords.rows.length === 0) {
-            logger.info('No open attendance records found to auto-checkout.');
+                    SELECT ar.id, ar.user_id, ar.check_in_time, ar.date, ar.shift_id, u.timezone
+                    FROM attendance_records ar
+                    JOIN users u ON u.id = ar.user_id
+                    WHERE ${targetDate ? 'ar.date::date = $1::date' : 'ar.date::date BETWEEN CURRENT_DATE - 1 AND CURRENT_DATE + 1'}
+                        AND ar.check_out_time IS NULL
+                `, targetDate ? [targetDate] : []);
+
+        const now = new Date();
+        const dueRecords = [];
+        for (const record of openRecords.rows) {
+            const timeZone = await timezoneService.resolve(record.timezone);
+            const recordEndOfDay = await timezoneService.getRecordDayEnd(record, timeZone, client);
+            const untilEndOfDay = recordEndOfDay.getTime() - now.getTime();
+            if (untilEndOfDay <= DUE_WINDOW_MS) dueRecords.push({ ...record, recordEndOfDay });
+        }
+
+        if (dueRecords.length === 0) {
+            if (targetDate) logger.info('No open attendance records found to auto-checkout.');
             return { checkedOut: 0 };
         }
 
-        logger.info(`Found ${openRecords.rows.length} users to auto-checkout...`);
+        logger.info(`Found ${dueRecords.length} users to auto-checkout...`);
 
         let checkedOutCount = 0;
 
-        for (const record of openRecords.rows) {
+        for (const record of dueRecords) {
+            const { recordEndOfDay } = record;
             await client.query('BEGIN');
 
             try {
@@ -86,7 +108,6 @@ async function autoCheckOutUsers(targetDate) {
 
                 // If they have a recent heartbeat (within 15 minutes of recordEndOfDay)
                 // AND the current time is close to that end of day (so we don't skip them if we are backfilling past days)
-                const now = new Date();
                 const isRecent = Math.abs(now.getTime() - recordEndOfDay.getTime()) < 12 * 60 * 60 * 1000;
                 if (isRecent && mostRecentHeartbeat && (recordEndOfDay.getTime() - mostRecentHeartbeat.getTime() <= 15 * 60 * 1000)) {
                     logger.info(`User ${record.user_id} is active (last heartbeat at ${mostRecentHeartbeat.toISOString()}). Skipping auto-checkout to allow night shift split.`);
@@ -132,22 +153,15 @@ async function autoCheckOutUsers(targetDate) {
                     WHERE attendance_record_id = $2 AND break_end_time IS NULL
                 `, [recordEndOfDay, record.id]);
 
-                // 3. Calculate totals from state-based counters
-                const totalActive = attendance.active_seconds || 0;
-                const totalIdle = attendance.idle_seconds || 0;
-                const totalBreak = attendance.lunch_seconds || 0;
-                const rawTotalWork = totalActive + totalIdle;
-
-                // Safety cap: total work can never exceed wall-clock time (check-in → end-of-day).
-                const wallClockSeconds = Math.max(0, Math.floor((recordEndOfDay - new Date(attendance.check_in_time)) / 1000));
-                const totalWork = Math.min(rawTotalWork, wallClockSeconds);
-
-                if (rawTotalWork > wallClockSeconds) {
-                    logger.warn(
-                        `[AUTO-CHECKOUT CLAMP] record=${record.id} rawWork=${rawTotalWork}s exceeds wallClock=${wallClockSeconds}s. ` +
-                        `Clamped. active=${totalActive}s, idle=${totalIdle}s, lunch=${totalBreak}s`
-                    );
-                }
+                // 3. Close the open session from the state-based counters (clamped to its wall-clock time);
+                // the day's totals are the sum of its sessions
+                const { totals } = await attendanceSessionService.closeSession(
+                    attendance,
+                    { time: recordEndOfDay },
+                    client,
+                    'AUTO-CHECKOUT'
+                );
+                const { totalWork, totalActive, totalIdle, totalBreak } = totals;
 
                 // 4. Update attendance record with final totals
                 await client.query(`
@@ -160,10 +174,11 @@ async function autoCheckOutUsers(targetDate) {
                             updated_at = NOW()
                     WHERE id = $6
                 `, [recordEndOfDay, totalWork, totalActive, totalIdle, totalBreak, record.id]);
+                await attendanceStatusService.evaluateRecord(record.id, client);
 
                 await client.query('COMMIT');
                 const userIdDisplay = record.user_id ? String(record.user_id).substring(0, 8) : 'unknown';
-                logger.info(`Auto-checked out user ${userIdDisplay} for date ${record.date} at ${recordEndOfDay.toISOString()} (state-based: work=${totalWork}s, active=${totalActive}s, idle=${totalIdle}s, lunch=${totalBreak}s)`);
+                logger.info(`Auto-checked out user ${userIdDisplay} for date ${toDateString(record.date)} at ${recordEndOfDay.toISOString()} (state-based: work=${totalWork}s, active=${totalActive}s, idle=${totalIdle}s, lunch=${totalBreak}s)`);
                 checkedOutCount++;
 
             } catch (error) {
@@ -183,7 +198,8 @@ async function autoCheckOutUsers(targetDate) {
     }
 }
 
-// Backfill missed auto-checkouts for past dates (records with date < CURRENT_DATE)
+// Backfill missed auto-checkouts for days that are over (records up to CURRENT_DATE;
+// autoCheckOutUsers skips users whose local day has not ended yet)
 async function backfillMissedAutoCheckOuts() {
     const client = await pool.connect();
     try {
@@ -191,7 +207,7 @@ async function backfillMissedAutoCheckOuts() {
         const res = await client.query(`
             SELECT id, user_id, check_in_time, date
             FROM attendance_records
-            WHERE date::date < CURRENT_DATE::date
+            WHERE date::date <= CURRENT_DATE::date
                 AND check_out_time IS NULL
             ORDER BY date ASC
         `);
@@ -207,7 +223,7 @@ async function backfillMissedAutoCheckOuts() {
         // Process each record by invoking autoCheckOutUsers for that date
         const processedDates = new Set();
         for (const record of res.rows) {
-            const dateStr = new Date(record.date).toISOString().slice(0, 10);
+            const dateStr = toDateString(record.date);
             if (processedDates.has(dateStr)) continue; // we'll process per-date
             processedDates.add(dateStr);
 
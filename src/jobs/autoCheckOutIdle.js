@@ -1,6 +1,7 @@
 const pool = require('../config/database');
 const logger = require('../utils/logger');
 const { redisClient } = require('../config/redis');
+const attendanceSessionService = require('../services/attendanceSessionService');
 
 const MAX_IDLE_DURATION = 60 * 60; // 60 minutes in seconds
 
@@ -37,7 +38,7 @@ async function autoCheckOutIdleUsers() {
             await client.query('BEGIN');
 
             try {
-                // Call checkAndSplitShift to handle any midnight crossing splits
+                // Call checkAndSplitShift to handle any day-boundary splits
                 const attendanceService = require('../services/attendanceService');
                 await attendanceService.checkAndSplitShift(record.user_id, client);
 
@@ -81,11 +82,11 @@ async function autoCheckOutIdleUsers() {
           WHERE attendance_record_id = $2 AND break_end_time IS NULL
         `, [checkOutTime, record.id]);
 
-                // Calculate totals from state-based counters
-                const totalActive = attendance.active_seconds || 0;
-                const totalIdle = attendance.idle_seconds || 0;
-                const totalBreak = attendance.lunch_seconds || 0;
-                const totalWork = totalActive + totalIdle;
+                // Close the open session from the state-based counters; the day's totals are the sum of its sessions
+                const { totals } = await attendanceSessionService.closeSession(
+                    attendance, { time: checkOutTime }, client, 'AUTO-CHECKOUT-IDLE'
+                );
+                const { totalWork, totalActive, totalIdle, totalBreak } = totals;
 
                 // Auto check-out the employee
                 await client.query(`
@@ -1,5 +1,6 @@
 const pool = require('../config/database');
 const logger = require('../utils/logger');
+const attendanceSessionService = require('../services/attendanceSessionService');
 
 const MAX_BREAK_DURATION = 2 * 60 * 60; // 2 hours in seconds
 
@@ -55,7 +56,7 @@ async function autoCloseExcessiveBreaks() {
       await client.query('BEGIN');
 
       try {
-        // Call checkAndSplitShift to handle any midnight crossing splits
+        // Call checkAndSplitShift to handle any day-boundary splits
         const attendanceService = require('../services/attendanceService');
         await attendanceService.checkAndSplitShift(brk.user_id, client);
 
@@ -90,11 +91,11 @@ async function autoCloseExcessiveBreaks() {
           WHERE id = $3
         `, [breakEndTime, MAX_BREAK_DURATION, brk.break_id]);
 
-        // Calculate totals from state-based counters
-        const totalActive = attendance.active_seconds || 0;
-        const totalIdle = attendance.idle_seconds || 0;
-        const totalBreak = attendance.lunch_seconds || 0;
-        const totalWork = totalActive + totalIdle;
+        // Close the open session from the state-based counters; the day's totals are the sum of its sessions
+        const { totals } = await attendanceSessionService.closeSession(
+          attendance, { time: breakEndTime }, client, 'AUTO-CLOSE-BREAK'
+        );
+        const { totalWork, totalActive, totalIdle, totalBreak } = totals;
 
         // Auto check-out the employee at the break end time
         await client.query(`
@@ -83,6 +83,27 @@ async function cleanupOldData() {
        WHERE date < NOW() - INTERVAL '${RETENTION_DAYS} days'`
     );
 
+    // 3) Delete login sessions (and their refresh tokens) that ended before the retention window
+    const sessionsResult = await client.query(
+      `DELETE FROM user_sessions
+       WHERE COALESCE(revoked_at, expires_at) < NOW() - INTERVAL '${RETENTION_DAYS} days'`
+    );
+
+    // 4) Forget failed-login counters (Postgres fallback) that are well past their window
+    await client.query(
+      `DELETE FROM login_failures WHERE last_failed_at < NOW() - INTERVAL '1 day'`
+    );
+
+    // 5) Drop password reset tokens that can no longer be used
+    await client.query(
+      `DELETE FROM password_reset_tokens WHERE COALESCE(used_at, expires_at) < NOW() - INTERVAL '1 day'`
+    );
+
+    // 6) Drop SSO sign-in requests that were never completed
+    await client.query(
+      `DELETE FROM oidc_login_states WHERE expires_at < NOW()`
+    );
+
     await client.query('COMMIT');
 
     logger.info(`Cleanup job completed. Deleted: ${oldScreenshots.length} screenshots, ` +
@@ -90,7 +111,8 @@ async function cleanupOldData() {
       `${activityLogsResult.rowCount} activity_logs rows, ` +
       `${lunchBreaksResult.rowCount} lunch_breaks rows, ` +
       `${productivityResult.rowCount} productivity_summary rows, ` +
-      `${attendanceResult.rowCount} attendance_records older than ${RETENTION_DAYS} days.`);
+      `${attendanceResult.rowCount} attendance_records, ` +
+      `${sessionsResult.rowCount} user_sessions older than ${RETENTION_DAYS} days.`);
 
     return {
       deletedScreenshots: oldScreenshots.length,
@@ -99,6 +121,7 @@ async function cleanupOldData() {
       deletedLunchBreaks: lunchBreaksResult.rowCount,
       deletedProductivitySummaries: productivityResult.rowCount,
       deletedAttendanceRecords: attendanceResult.rowCount,
+      deletedSessions: sessionsResult.rowCount,
       retentionDays: RETENTION_DAYS,
     };
   } catch (error) {
@@ -1,29 +1,44 @@
 const pool = require('../config/database');
 const logger = require('../utils/logger');
+const timezoneService = require('../services/timezoneService');
+const shiftService = require('../services/shiftService');
+const holidayService = require('../services/holidayService');
 
 /**
  * Create an attendance_records row for every active user for the given date (or today).
- * Rows are created with null check_in/check_out so the UI can show 'N/A' until user acts.
+ * Rows are created with null check_in/check_out so the UI can show 'N/A' until user acts,
+ * and count as absent until the user checks in. Users whose date is a day off (a holiday
+ * in their calendar, or outside their shift's working days / the calendar's weekly offs)
+ * get no row; checking in on a day off still creates one.
+ * Without a date, "today" is the current business date in each user's own timezone
+ * (for shift workers, the day their current shift started).
  */
 async function createDailyAttendance(targetDate) {
   const client = await pool.connect();
   try {
-    const dateToUse = targetDate ? new Date(targetDate) : new Date();
-    const dateStr = dateToUse.toISOString().slice(0, 10); // YYYY-MM-DD
-    logger.info(`Creating daily attendance entries for date ${dateStr}...`);
+    const dateStr = targetDate ? new Date(targetDate).toISOString().slice(0, 10) : null; // YYYY-MM-DD
+    const defaultTimeZone = await timezoneService.getDefaultTimeZone();
+    logger.info(`Creating daily attendance entries for ${dateStr ? `date ${dateStr}` : 'each user\'s local date'}...`);
 
     // Insert a row per active user if not exists. Adjust users selection as needed (e.g., active flag).
     const sql = `
-      INSERT INTO attendance_records (user_id, date, created_at)
-      SELECT u.id, $1::date, NOW()
+      INSERT INTO attendance_records (user_id, date, status, created_at)
+      SELECT u.id, d.date, 'absent', NOW()
       FROM users u
+      LEFT JOIN departments dept ON dept.id = u.department_id
+      LEFT JOIN shifts s ON s.id = COALESCE(u.shift_id, dept.shift_id)
+      ${holidayService.calendarJoinSql()}
+      CROSS JOIN LATERAL (
+        SELECT COALESCE($1::date, ${shiftService.businessDateSql('NOW() AT TIME ZONE COALESCE(u.timezone, $2)')}) AS date
+      ) d
       WHERE u.status = 'active'
+        AND ${holidayService.workingDaySql('d.date')}
         AND NOT EXISTS (
-          SELECT 1 FROM attendance_records ar WHERE ar.user_id = u.id AND ar.date::date = $1::date
+          SELECT 1 FROM attendance_records ar WHERE ar.user_id = u.id AND ar.date::date = d.date
         )
     `;
 
-    const res = await client.query(sql, [dateStr]);
+    const res = await client.query(sql, [dateStr, defaultTimeZone]);
     logger.info('Daily attendance creation completed.');
     return { created: res.rowCount || 0 };
   } catch (error) {
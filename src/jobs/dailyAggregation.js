@@ -1,5 +1,6 @@
 const pool = require('../config/database');
 const logger = require('../utils/logger');
+const timezoneService = require('../services/timezoneService');
 const { formatDate } = require('../utils/helpers');
 
 async function runDailyAggregation() {
@@ -7,7 +8,8 @@ async function runDailyAggregation() {
   try {
     logger.info('Starting daily aggregation job...');
 
-    const yesterday = formatDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+    const timeZone = await timezoneService.getDefaultTimeZone();
+    const yesterday = formatDate(new Date(Date.now() - 24 * 60 * 60 * 1000), timeZone);
 
     const attendanceRecords = await client.query(
       'SELECT * FROM attendance_records WHERE date = $1',
@@ -1,6 +1,8 @@
 const cron = require('node-cron');
 const reportService = require('../services/reportService');
 const teamsService = require('../services/teamsService');
+const timezoneService = require('../services/timezoneService');
+const holidayService = require('../services/holidayService');
 const { formatDate, formatTime } = require('../utils/helpers');
 const logger = require('../utils/logger');
  
@@ -14,43 +16,70 @@ const formatDuration = (seconds) => {
 
 const runDailyReport = async () => {
   try {
-    // Get yesterday's date
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const dateStr = formatDate(yesterday);
+    // Get yesterday's date in the organization's timezone
+    const timeZone = await timezoneService.getDefaultTimeZone();
+    const dateStr = formatDate(new Date(Date.now() - 24 * 60 * 60 * 1000), timeZone);
 
     logger.info(`Running daily report job for ${dateStr}`);
-    const data = await reportService.getTeamOverview(dateStr);
+    // The job reports on everyone; scopes only come from a request's caller
+    const data = await reportService.getTeamOverview(dateStr, { scopeFilter: { clause: 'TRUE', params: [] } });
+    const orgDay = await holidayService.getOrganizationDayType(dateStr);
+    let dayOffNote = null;
+    if (orgDay.holiday) dayOffNote = `Holiday: ${orgDay.holiday}`;
+    else if (orgDay.weekly_off) dayOffNote = 'Weekly off';
     
     if (!data.employees || data.employees.length === 0) {
       logger.info('No attendance records found for yesterday. Skipping report.');
       return;
     }
 
-    // Header
-    let markdownTable = `### Daily Attendance Summary: ${dateStr}\n\n`;
-    markdownTable += "| Employee | In Time | Out Time | Lunch | Work | Active |\n";
-    markdownTable += "| :--- | :--- | :--- | :--- | :--- | :--- |\n";
-
+    // One table per department, employees without one last
+    const groups = new Map();
+    const notCheckedIn = [];
     for (const emp of data.employees) {
-      // Skip users who didn't check in at all
-      if (!emp.check_in_time) continue;
-
-      const inTime = formatTime(emp.check_in_time);
-      const outTime = formatTime(emp.check_out_time);
-      const lunch = formatDuration(emp.total_break_duration);
-      const work = formatDuration(emp.total_work_duration);
-      const active = formatDuration(emp.total_active_duration);
-      
-      markdownTable += `| **${emp.name}** | ${inTime} | ${outTime} | ${lunch} | ${work} | ${active} |\n`;
+      // Skip users who didn't check in at all; only a working day without leave counts as missed
+      if (!emp.check_in_time) {
+        if (emp.is_working_day && emp.status !== 'on_leave') notCheckedIn.push(emp.name);
+        continue;
+      }
+
+      const department = emp.department || null;
+      if (!groups.has(department)) groups.set(department, []);
+      groups.get(department).push(emp);
     }
 
-    // Check if we actually have any rows (excluding those who didn't check in)
-    if (markdownTable.split('\n').length <= 4) {
-      logger.info('No check-ins found for yesterday. Skipping report.');
+    if (groups.size === 0) {
+      logger.info(`No check-ins found for yesterday${dayOffNote ? ` (${dayOffNote})` : ''}. Skipping report.`);
       return;
     }
 
+    const departments = [...groups.keys()].filter(Boolean).sort((a, b) => a.localeCompare(b));
+    if (groups.has(null)) departments.push(null);
+
+    let markdownTable = `### Daily Attendance Summary: ${dateStr}\n`;
+    if (dayOffNote) markdownTable += `${dayOffNote}.\n`;
+    markdownTable += `Times are in each employee's timezone (default ${timeZone}).\n`;
+    for (const department of departments) {
+      markdownTable += `\n#### ${department || 'No department'}\n\n`;
+      markdownTable += "| Employee | Team | In Time | Out Time | Lunch | Work | Active |\n";
+      markdownTable += "| :--- | :--- | :--- | :--- | :--- | :--- | :--- |\n";
+
+      for (const emp of groups.get(department)) {
+        const employeeTimeZone = emp.timezone || timeZone;
+        const inTime = formatTime(emp.check_in_time, employeeTimeZone);
+        const outTime = formatTime(emp.check_out_time, employeeTimeZone);
+        const lunch = formatDuration(emp.total_break_duration);
+        const work = formatDuration(emp.total_work_duration);
+        const active = formatDuration(emp.total_active_duration);
+
+        markdownTable += `| **${emp.name}** | ${emp.team || '-'} | ${inTime} | ${outTime} | ${lunch} | ${work} | ${active} |\n`;
+      }
+    }
+
+    if (notCheckedIn.length > 0) {
+      markdownTable += `\nNot checked in (working day): ${notCheckedIn.join(', ')}\n`;
+    }
+
     await teamsService.sendDailyReport(markdownTable);
     logger.info(`Daily report for ${dateStr} sent to Teams.`);
   } catch (error) {
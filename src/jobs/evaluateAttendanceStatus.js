@@ -0,0 +1,21 @@
+const logger = require('../utils/logger');
+const attendanceStatusService = require('../services/attendanceStatusService');
+const createDailyAttendance = require('./createDailyAttendance');
+
+/**
+ * Settle attendance statuses (present / half_day / absent / on_leave) for
+ * records whose business day has ended, including days nobody checked into:
+ * each run first creates the missing rows for every user's current business
+ * date, so a working day without a check-in has a row to settle as absent.
+ */
+async function evaluateAttendanceStatus() {
+  await createDailyAttendance();
+
+  const result = await attendanceStatusService.evaluateEndedDays();
+  if (result.evaluated > 0) {
+    logger.info(`Attendance status evaluated for ${result.evaluated} records`);
+  }
+  return result;
+}
+
+module.exports = evaluateAttendanceStatus;
@@ -0,0 +1,14 @@
+const logger = require('../utils/logger');
+const leaveService = require('../services/leaveService');
+
+/**
+ * Yearly leave accrual: create this year's balances for every active
+ * employee, carrying forward what is left of last year's.
+ */
+async function leaveAccrual(year = new Date().getFullYear()) {
+  const result = await leaveService.accrueYear(year);
+  logger.info(`Leave accrual completed: ${JSON.stringify(result)}`);
+  return result;
+}
+
+module.exports = leaveAccrual;
@@ -1,7 +1,10 @@
 const jwt = require('jsonwebtoken');
-const { errorResponse } = require('../utils/helpers');
+const { errorResponse, getClientIp } = require('../utils/helpers');
+const sessionService = require('../services/sessionService');
+const deviceService = require('../services/deviceService');
+const { hasPermission } = require('../config/permissions');
 
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   let token = null;
 
@@ -9,21 +12,77 @@ const authenticateToken = (req, res, next) => {
     token = authHeader.split(' ')[1];
   }
 
-  if (!token && req.query && req.query.token) {
-    token = req.query.token;
-  }
-
   if (!token) {
     return errorResponse(res, 'NO_TOKEN', 'Authentication token is required', 401);
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     return errorResponse(res, 'INVALID_TOKEN', 'Invalid or expired token', 401);
   }
+
+  // Every access token is bound to a server-side session so it can be revoked.
+  if (!decoded.sid) {
+    return errorResponse(res, 'INVALID_TOKEN', 'Invalid or expired token', 401);
+  }
+
+  try {
+    const isActive = await sessionService.isSessionActive(decoded.sid);
+    if (!isActive) {
+      return errorResponse(res, 'SESSION_REVOKED', 'Your session has ended, please log in again', 401);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.user = decoded;
+  next();
+};
+
+/**
+ * Authentication for tracker endpoints: accepts a device key
+ * (`Authorization: Device <key>`) limited to the given scope, or a normal user token.
+ */
+const authenticateTracker = (scope) => {
+  return async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    if (!authHeader || !authHeader.startsWith('Device ')) {
+      return authenticateToken(req, res, next);
+    }
+
+    try {
+      const device = await deviceService.findByKey(authHeader.slice('Device '.length).trim());
+
+      if (!device || device.revoked_at) {
+        return errorResponse(res, 'INVALID_DEVICE_KEY', 'Device key is invalid or has been revoked', 401);
+      }
+      if (device.status !== 'active') {
+        return errorResponse(res, 'ACCOUNT_INACTIVE', 'Your account is inactive', 403);
+      }
+      if (!device.scopes.includes(scope)) {
+        return errorResponse(res, 'FORBIDDEN', 'This device key is not allowed to perform this action', 403);
+      }
+
+      await deviceService.touch(device.id, {
+        ipAddress: getClientIp(req),
+        trackerVersion: req.headers['x-tracker-version'] || null,
+      });
+
+      req.user = {
+        id: device.user_id,
+        email: device.email,
+        role: device.role,
+        employee_id: device.employee_id,
+        device_id: device.id,
+      };
+      req.device = device;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
 };
 
 const authorizeRoles = (...roles) => {
@@ -40,7 +99,27 @@ const authorizeRoles = (...roles) => {
   };
 };
 
+/**
+ * Allow the request when the caller's role holds at least one of the permissions
+ * (see config/permissions.js). Scope checks against a concrete user happen in the controller.
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return errorResponse(res, 'UNAUTHORIZED', 'User not authenticated', 401);
+    }
+
+    if (!permissions.some(permission => hasPermission(req.user.role, permission))) {
+      return errorResponse(res, 'FORBIDDEN', 'You do not have permission to perform this action', 403);
+    }
+
+    next();
+  };
+};
+
 module.exports = {
   authenticateToken,
+  authenticateTracker,
   authorizeRoles,
+  requirePermission,
 };
@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const attendanceController = require('../controllers/attendanceController');
-const { authenticateToken } = require('../middleware/auth');
-const { checkInValidation } = require('../utils/validators');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { checkInValidation, attendanceEditValidation } = require('../utils/validators');
 
 router.post('/check-in', authenticateToken, checkInValidation, attendanceController.checkIn);
 router.post('/check-out', authenticateToken, checkInValidation, attendanceController.checkOut);
 router.get('/status', authenticateToken, attendanceController.getStatus);
 router.get('/today', authenticateToken, attendanceController.getToday);
 router.get('/history', authenticateToken, attendanceController.getHistory);
+router.get('/:id/timeline', authenticateToken, attendanceController.getTimeline);
+router.put('/:id', authenticateToken, requirePermission('attendance:write:any'), attendanceEditValidation, attendanceController.editRecord);
 router.put('/:id/notes', authenticateToken, attendanceController.updateNotes);
 router.post('/notes', authenticateToken, attendanceController.saveDailyNote);
 router.get('/notes', authenticateToken, attendanceController.getDailyNote);
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { auditQueryValidation } = require('../utils/validators');
+
+router.use(authenticateToken, requirePermission('audit:read:any'));
+
+router.get('/', auditQueryValidation, auditController.getAuditEvents);
+router.get('/export', auditQueryValidation, auditController.exportAuditEvents);
+
+module.exports = router;
@@ -1,30 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const mfaController = require('../controllers/mfaController');
 const { authenticateToken } = require('../middleware/auth');
-const { registerValidation, loginValidation } = require('../utils/validators');
-const rateLimit = require('express-rate-limit');
-
-// const loginLimiter = rateLimit({
-//   windowMs: 15 * 60 * 1000,
-//   max: 5,
-//   message: {
-//     success: false,
-//     error: {
-//       code: 'TOO_MANY_REQUESTS',
-//       message: 'Too many login attempts, please try again later',
-//     },
-//   },
-// });
-
-// // In development, skip rate limiting to avoid 429s while testing
-// const isProduction = process.env.NODE_ENV === 'production';
-const loginMiddlewares = [loginValidation];
+const {
+  registerValidation,
+  acceptInviteValidation,
+  loginValidation,
+  refreshTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  oidcCallbackValidation,
+  mfaTokenValidation,
+  mfaVerifyValidation,
+  mfaCodeValidation,
+  disableMfaValidation,
+  updateProfileValidation,
+} = require('../utils/validators');
 
 router.post('/register', registerValidation, authController.register);
-router.post('/login', ...loginMiddlewares, authController.login);
+router.get('/invites/:token', authController.getInvite);
+router.post('/accept-invite', acceptInviteValidation, authController.acceptInvite);
+router.post('/login', loginValidation, authController.login);
+router.post('/mfa/verify', mfaVerifyValidation, authController.verifyMfa);
+router.post('/mfa/enroll', mfaTokenValidation, authController.startMfaEnrollment);
+router.post('/mfa/enroll/confirm', mfaVerifyValidation, authController.confirmMfaEnrollment);
+router.get('/oidc/authorize', authController.startOidcLogin);
+router.post('/oidc/callback', oidcCallbackValidation, authController.completeOidcLogin);
 router.post('/logout', authenticateToken, authController.logout);
-router.post('/refresh-token', authenticateToken, authController.refreshToken);
+router.post('/refresh-token', refreshTokenValidation, authController.refreshToken);
+router.post('/forgot-password', forgotPasswordValidation, authController.forgotPassword);
+router.post('/reset-password', resetPasswordValidation, authController.resetPassword);
+router.post('/change-password', authenticateToken, changePasswordValidation, authController.changePassword);
+router.get('/mfa', authenticateToken, mfaController.getMfaStatus);
+router.post('/mfa/setup', authenticateToken, mfaController.setupMfa);
+router.post('/mfa/enable', authenticateToken, mfaCodeValidation, mfaController.enableMfa);
+router.post('/mfa/disable', authenticateToken, disableMfaValidation, mfaController.disableMfa);
+router.post('/mfa/recovery-codes', authenticateToken, mfaCodeValidation, mfaController.regenerateRecoveryCodes);
 router.get('/me', authenticateToken, authController.getMe);
+router.put('/me', authenticateToken, updateProfileValidation, authController.updateMe);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { departmentValidation, updateDepartmentValidation } = require('../utils/validators');
+
+router.get('/', authenticateToken, organizationController.getDepartments);
+router.post('/', authenticateToken, requirePermission('departments:write:any'), departmentValidation, organizationController.createDepartment);
+router.get('/:id', authenticateToken, organizationController.getDepartment);
+router.put('/:id', authenticateToken, requirePermission('departments:write:any'), updateDepartmentValidation, organizationController.updateDepartment);
+router.delete('/:id', authenticateToken, requirePermission('departments:write:any'), organizationController.deleteDepartment);
+
+module.exports = router;
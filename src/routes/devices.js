@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const deviceController = require('../controllers/deviceController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { registerDeviceValidation, idParamValidation } = require('../utils/validators');
+
+router.post('/', authenticateToken, registerDeviceValidation, deviceController.registerDevice);
+router.get('/', authenticateToken, deviceController.getMyDevices);
+router.get('/all', authenticateToken, requirePermission('devices:read:any'), deviceController.getAllDevices);
+router.delete('/:id', authenticateToken, idParamValidation('id', 'Invalid device ID'), deviceController.revokeMyDevice);
+
+module.exports = router;
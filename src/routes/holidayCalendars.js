@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const holidayController = require('../controllers/holidayController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  calendarValidation,
+  updateCalendarValidation,
+  holidayValidation,
+  updateHolidayValidation,
+  holidayRangeValidation,
+} = require('../utils/validators');
+
+// Holiday feeds may be posted as a raw .ics file
+const icsBody = express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' });
+
+router.get('/', authenticateToken, holidayController.getCalendars);
+router.post('/', authenticateToken, requirePermission('holidays:write:any'), calendarValidation, holidayController.createCalendar);
+router.get('/me', authenticateToken, holidayRangeValidation, holidayController.getMyCalendar);
+router.get('/:id', authenticateToken, holidayRangeValidation, holidayController.getCalendar);
+router.put('/:id', authenticateToken, requirePermission('holidays:write:any'), updateCalendarValidation, holidayController.updateCalendar);
+router.delete('/:id', authenticateToken, requirePermission('holidays:write:any'), holidayController.deleteCalendar);
+router.post('/:id/holidays', authenticateToken, requirePermission('holidays:write:any'), holidayValidation, holidayController.addHoliday);
+router.put('/:id/holidays/:holidayId', authenticateToken, requirePermission('holidays:write:any'), updateHolidayValidation, holidayController.updateHoliday);
+router.delete('/:id/holidays/:holidayId', authenticateToken, requirePermission('holidays:write:any'), holidayController.deleteHoliday);
+router.post('/:id/import', authenticateToken, requirePermission('holidays:write:any'), icsBody, holidayController.importHolidays);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const leaveController = require('../controllers/leaveController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  leaveTypeValidation,
+  updateLeaveTypeValidation,
+  leaveRequestValidation,
+  leaveReviewValidation,
+  leaveBalanceAdjustValidation,
+  leaveListValidation,
+} = require('../utils/validators');
+
+router.get('/types', authenticateToken, leaveController.getTypes);
+router.post('/types', authenticateToken, requirePermission('leave:manage:any'), leaveTypeValidation, leaveController.createType);
+router.put('/types/:id', authenticateToken, requirePermission('leave:manage:any'), updateLeaveTypeValidation, leaveController.updateType);
+router.get('/balances', authenticateToken, requirePermission('leave:read:own'), leaveListValidation, leaveController.getBalances);
+router.post('/balances/adjust', authenticateToken, requirePermission('leave:manage:any'), leaveBalanceAdjustValidation, leaveController.adjustBalance);
+router.get('/requests', authenticateToken, requirePermission('leave:read:own'), leaveListValidation, leaveController.getRequests);
+router.post('/requests', authenticateToken, requirePermission('leave:write:own'), leaveRequestValidation, leaveController.applyLeave);
+router.get('/approvals', authenticateToken, requirePermission('leave:approve:team'), leaveController.getApprovals);
+router.get('/requests/:id', authenticateToken, requirePermission('leave:read:own'), leaveController.getRequest);
+router.post('/requests/:id/approve', authenticateToken, requirePermission('leave:approve:team'), leaveReviewValidation, leaveController.approveRequest);
+router.post('/requests/:id/reject', authenticateToken, requirePermission('leave:approve:team'), leaveReviewValidation, leaveController.rejectRequest);
+router.post('/requests/:id/cancel', authenticateToken, requirePermission('leave:write:own'), leaveController.cancelRequest);
+
+module.exports = router;
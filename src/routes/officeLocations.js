@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const officeLocationController = require('../controllers/officeLocationController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { officeValidation, updateOfficeValidation } = require('../utils/validators');
+
+router.get('/', authenticateToken, officeLocationController.getOffices);
+router.post('/', authenticateToken, requirePermission('offices:write:any'), officeValidation, officeLocationController.createOffice);
+router.get('/:id', authenticateToken, officeLocationController.getOffice);
+router.put('/:id', authenticateToken, requirePermission('offices:write:any'), updateOfficeValidation, officeLocationController.updateOffice);
+router.delete('/:id', authenticateToken, requirePermission('offices:write:any'), officeLocationController.deleteOffice);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const regularizationController = require('../controllers/regularizationController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  regularizationValidation,
+  regularizationReviewValidation,
+  regularizationListValidation,
+} = require('../utils/validators');
+
+router.get('/', authenticateToken, requirePermission('attendance:read:own'), regularizationListValidation, regularizationController.getRequests);
+router.post('/', authenticateToken, requirePermission('attendance:write:own'), regularizationValidation, regularizationController.submitRequest);
+router.get('/approvals', authenticateToken, requirePermission('attendance:approve:team'), regularizationController.getApprovals);
+router.get('/:id', authenticateToken, requirePermission('attendance:read:own'), regularizationController.getRequest);
+router.post('/:id/approve', authenticateToken, requirePermission('attendance:approve:team'), regularizationReviewValidation, regularizationController.approveRequest);
+router.post('/:id/reject', authenticateToken, requirePermission('attendance:approve:team'), regularizationReviewValidation, regularizationController.rejectRequest);
+router.post('/:id/cancel', authenticateToken, requirePermission('attendance:write:own'), regularizationController.cancelRequest);
+
+module.exports = router;
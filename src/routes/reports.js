@@ -1,14 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { orgFilterValidation } = require('../utils/validators');
 
 router.get('/daily', authenticateToken, reportController.getDailyReport);
-router.get('/weekly', authenticateToken, reportController.getWeeklyReport);
-router.get('/monthly', authenticateToken, reportController.getMonthlyReport);
+router.get('/weekly', authenticateToken, orgFilterValidation, reportController.getWeeklyReport);
+router.get('/monthly', authenticateToken, orgFilterValidation, reportController.getMonthlyReport);
 router.get('/productivity-summary', authenticateToken, reportController.getProductivitySummary);
-router.get('/team-overview', authenticateToken, reportController.getTeamOverview);
-router.get('/export', authenticateToken, authorizeRoles('admin'), reportController.exportReport);
+router.get('/team-overview', authenticateToken, requirePermission('reports:read:team'), orgFilterValidation, reportController.getTeamOverview);
+router.get('/export', authenticateToken, requirePermission('reports:export:any'), reportController.exportReport);
 
 module.exports = router;  
  
\ No newline at end of file
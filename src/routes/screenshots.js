@@ -1,12 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const screenshotController = require('../controllers/screenshotController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authenticateTracker } = require('../middleware/auth');
 
-router.post('/upload', authenticateToken, screenshotController.uploadScreenshot);
+router.post('/upload', authenticateTracker('screenshots'), screenshotController.uploadScreenshot);
 router.get('/list', authenticateToken, screenshotController.listScreenshots);
 router.get('/:id', authenticateToken, screenshotController.getScreenshot);
-router.get('/:id/file', authenticateToken, screenshotController.serveScreenshotFile);
+// Authorized by the signed URL from /list or /:id, not by a user token
+router.get('/:id/file', screenshotController.serveScreenshotFile);
 router.delete('/:id', authenticateToken, screenshotController.deleteScreenshot);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const shiftController = require('../controllers/shiftController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { shiftValidation, updateShiftValidation } = require('../utils/validators');
+
+router.get('/', authenticateToken, shiftController.getShifts);
+router.post('/', authenticateToken, requirePermission('shifts:write:any'), shiftValidation, shiftController.createShift);
+router.get('/:id', authenticateToken, shiftController.getShift);
+router.put('/:id', authenticateToken, requirePermission('shifts:write:any'), updateShiftValidation, shiftController.updateShift);
+router.delete('/:id', authenticateToken, requirePermission('shifts:write:any'), shiftController.deleteShift);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { teamValidation, updateTeamValidation, orgFilterValidation } = require('../utils/validators');
+
+router.get('/', authenticateToken, orgFilterValidation, organizationController.getTeams);
+router.post('/', authenticateToken, requirePermission('departments:write:any'), teamValidation, organizationController.createTeam);
+router.get('/:id', authenticateToken, organizationController.getTeam);
+router.put('/:id', authenticateToken, requirePermission('departments:write:any'), updateTeamValidation, organizationController.updateTeam);
+router.delete('/:id', authenticateToken, requirePermission('departments:write:any'), organizationController.deleteTeam);
+
+module.exports = router;
@@ -1,14 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { registerValidation } = require('../utils/validators');
-
-router.get('/', authenticateToken, authorizeRoles('admin','hr'), userController.getAllUsers);
-router.post('/', authenticateToken, authorizeRoles('admin','hr'), registerValidation, userController.createUser);
-router.get('/:id', authenticateToken, authorizeRoles('admin','hr'), userController.getUserById);
-router.put('/:id', authenticateToken, authorizeRoles('admin','hr'), userController.updateUser);
-router.delete('/:id', authenticateToken, authorizeRoles('admin','hr'), userController.deleteUser);
-router.get('/:id/attendance-summary', authenticateToken, authorizeRoles('admin'), userController.getUserAttendanceSummary);
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  registerValidation,
+  updateUserValidation,
+  userListValidation,
+  offboardValidation,
+  purgeUserValidation,
+  userImportValidation,
+  inviteValidation,
+  idParamValidation,
+} = require('../utils/validators');
+
+const inviteIdValidation = idParamValidation('inviteId', 'Invalid invite ID');
+const deviceIdValidation = idParamValidation('deviceId', 'Invalid device ID');
+const sessionIdValidation = idParamValidation('sessionId', 'Invalid session ID');
+
+// Bulk imports may be posted as raw CSV
+const csvBody = express.text({ type: ['text/csv', 'application/csv'], limit: '5mb' });
+
+router.get('/', authenticateToken, requirePermission('users:read:team'), userListValidation, userController.getAllUsers);
+router.post('/', authenticateToken, requirePermission('users:write:any'), registerValidation, userController.createUser);
+router.post('/import', authenticateToken, requirePermission('users:write:any'), csvBody, userImportValidation, userController.importUsers);
+router.get('/invites', authenticateToken, requirePermission('users:write:any'), userController.getInvites);
+router.post('/invites', authenticateToken, requirePermission('users:write:any'), inviteValidation, userController.createInvite);
+router.post('/invites/:inviteId/resend', authenticateToken, requirePermission('users:write:any'), inviteIdValidation, userController.resendInvite);
+router.delete('/invites/:inviteId', authenticateToken, requirePermission('users:write:any'), inviteIdValidation, userController.revokeInvite);
+router.get('/:id', authenticateToken, requirePermission('users:read:team'), userController.getUserById);
+router.put('/:id', authenticateToken, requirePermission('users:write:any'), updateUserValidation, userController.updateUser);
+router.delete('/:id', authenticateToken, requirePermission('users:delete:any'), userController.deleteUser);
+router.post('/:id/offboard', authenticateToken, requirePermission('users:delete:any'), offboardValidation, userController.offboardUser);
+router.post('/:id/anonymize', authenticateToken, requirePermission('users:delete:any'), userController.anonymizeUser);
+router.delete('/:id/purge', authenticateToken, requirePermission('users:purge:any'), purgeUserValidation, userController.purgeUser);
+router.get('/:id/attendance-summary', authenticateToken, requirePermission('attendance:read:team'), userController.getUserAttendanceSummary);
+router.post('/:id/unlock', authenticateToken, requirePermission('users:write:any'), userController.unlockUser);
+router.delete('/:id/mfa', authenticateToken, requirePermission('users:security:any'), userController.resetUserMfa);
+router.get('/:id/devices', authenticateToken, requirePermission('devices:read:any'), userController.getUserDevices);
+router.delete('/:id/devices/:deviceId', authenticateToken, requirePermission('users:security:any'), deviceIdValidation, userController.revokeUserDevice);
+router.get('/:id/sessions', authenticateToken, requirePermission('users:security:any'), userController.getUserSessions);
+router.delete('/:id/sessions', authenticateToken, requirePermission('users:security:any'), userController.revokeAllUserSessions);
+router.delete('/:id/sessions/:sessionId', authenticateToken, requirePermission('users:security:any'), sessionIdValidation, userController.revokeUserSession);
 
 module.exports = router;
@@ -0,0 +1,113 @@
+const pool = require('../config/database');
+const { getScope } = require('../config/permissions');
+
+// Everyone below a manager in the users.manager_id tree. UNION (not UNION ALL)
+// stops the recursion even if bad data ever forms a cycle.
+const reportsSubquery = (managerParam) => `
+  WITH RECURSIVE reports AS (
+    SELECT id FROM users WHERE manager_id = ${managerParam}
+    UNION
+    SELECT u.id FROM users u JOIN reports r ON u.manager_id = r.id
+  )
+  SELECT id FROM reports`;
+
+/**
+ * Access Service
+ * Resolves permission scopes (own / team / any) against concrete users.
+ */
+class AccessService {
+  /**
+   * Whether targetUserId reports to managerId, directly or further down the hierarchy
+   * @param {string} managerId - Manager user ID
+   * @param {string} targetUserId - User to check
+   * @returns {Promise<boolean>}
+   */
+  async isInReportingLine(managerId, targetUserId) {
+    const result = await pool.query(
+      `SELECT 1 FROM (${reportsSubquery('$1')}) r WHERE r.id = $2`,
+      [managerId, targetUserId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Whether making managerId the manager of userId would close a loop
+   * @param {string} userId - User getting a new manager
+   * @param {string} managerId - Proposed manager
+   * @returns {Promise<boolean>}
+   */
+  async wouldCreateCycle(userId, managerId) {
+    if (!managerId) return false;
+    if (userId === managerId) return true;
+    return this.isInReportingLine(userId, managerId);
+  }
+
+  /**
+   * Whether the caller may perform resource:action on records of targetUserId
+   * @param {Object} actor - req.user
+   * @param {string} targetUserId - Owner of the records
+   * @param {string} resource - e.g. 'attendance'
+   * @param {string} action - e.g. 'read'
+   * @returns {Promise<boolean>}
+   */
+  async canAccessUser(actor, targetUserId, resource, action) {
+    const scope = getScope(actor.role, resource, action);
+    if (!scope || !targetUserId) return false;
+    if (scope === 'any') return true;
+    if (targetUserId === actor.id) return true;
+    if (scope === 'team') return this.isInReportingLine(actor.id, targetUserId);
+    return false;
+  }
+
+  /**
+   * Whether the caller may change another user's account: profile, role,
+   * status, offboarding or anonymization. users:write:any and users:delete:any
+   * cover everyone except admins, whose accounts only other admins manage.
+   * @param {Object} actor - req.user
+   * @param {Object} target - User row with at least role
+   * @returns {boolean}
+   */
+  canManageUser(actor, target) {
+    return target.role !== 'admin' || actor.role === 'admin';
+  }
+
+  /**
+   * Pick the user a request is about (?user_id= or the caller) and check access
+   * @param {Object} actor - req.user
+   * @param {string} requestedUserId - Optional user_id from the request
+   * @param {string} resource - e.g. 'reports'
+   * @param {string} action - e.g. 'read'
+   * @returns {Promise<Object>} { userId } or { error, message }
+   */
+  async resolveTargetUser(actor, requestedUserId, resource, action) {
+    const userId = requestedUserId || actor.id;
+    if (await this.canAccessUser(actor, userId, resource, action)) {
+      return { userId };
+    }
+    return { error: 'FORBIDDEN', message: 'You do not have permission to access this user\'s data' };
+  }
+
+  /**
+   * SQL filter restricting a users query to what the caller may see
+   * @param {Object} actor - req.user
+   * @param {string} resource - e.g. 'users'
+   * @param {string} action - e.g. 'read'
+   * @param {string} alias - Table alias of users in the query
+   * @param {number} paramIndex - Index of the next positional parameter
+   * @returns {Object|null} { clause, params } ('TRUE' for any scope) or null when nothing is visible
+   */
+  buildUserScopeFilter(actor, resource, action, alias = 'u', paramIndex = 1) {
+    const scope = getScope(actor.role, resource, action);
+    if (scope === 'any') return { clause: 'TRUE', params: [] };
+    if (scope === 'team') {
+      return {
+        clause: `(${alias}.id = $${paramIndex} OR ${alias}.id IN (${reportsSubquery(`$${paramIndex}`)}))`,
+        params: [actor.id],
+      };
+    }
+    if (scope === 'own') return { clause: `${alias}.id = $${paramIndex}`, params: [actor.id] };
+    return null;
+  }
+}
+
+module.exports = new AccessService();
@@ -1,10 +1,11 @@
 const pool = require('../config/database');
 const { redisClient } = require('../config/redis');
-const { formatDate, formatTime } = require('../utils/helpers');
+const { formatTime } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const stateTransitionService = require('./stateTransitionService');
 const attendanceService = require('./attendanceService');
 const teamsService = require('./teamsService');
+const timezoneService = require('./timezoneService');
 
 const IDLE_THRESHOLD = 600; // 10 minutes in seconds
 const AUTO_CHECKOUT_THRESHOLD = 3600; // 60 minutes in seconds
@@ -51,7 +52,8 @@ class ActivityService {
       // Split/close any open previous day shifts first relative to the heartbeat date
       await attendanceService.checkAndSplitShift(userId, client, referenceDate);
 
-      const heartbeatDate = formatDate(referenceDate);
+      const timeZone = await timezoneService.getUserTimeZone(userId, client);
+      const heartbeatDate = await timezoneService.getUserDate(userId, referenceDate, client);
       // FOR UPDATE prevents a concurrent background job (checkForIdleUsers) from
       // reading the same stale row and double-incrementing active_seconds/idle_seconds.
       const attendanceResult = await client.query(
@@ -121,7 +123,7 @@ class ActivityService {
         // Fetch user name for notification
         const userResult = await pool.query('SELECT name FROM users WHERE id = $1', [userId]);
         const userName = userResult.rows[0]?.name || 'Unknown User';
-        const currentTime = formatTime(new Date());
+        const currentTime = formatTime(new Date(), timeZone);
         
         teamsService.sendAutoCheckOutAlert(userName, currentTime, 'Inactive for more than 60 minutes').catch(err => logger.error('Teams auto-checkout alert error:', err));
 
@@ -365,7 +367,7 @@ class ActivityService {
       client.release();
     }
 
-    const today = formatDate(new Date());
+    const today = await timezoneService.getUserDate(userId);
     const result = await pool.query(
       `SELECT al.* 
        FROM activity_logs al
@@ -380,7 +382,7 @@ class ActivityService {
   }
 
   async getActivityHistory(userId, date) {
-    const targetDate = date || formatDate(new Date());
+    const targetDate = date || await timezoneService.getUserDate(userId);
 
     const result = await pool.query(
       `SELECT uat.* 
@@ -460,7 +462,8 @@ class ActivityService {
       // Split/close any open previous day shifts first
       await attendanceService.checkAndSplitShift(userId, client);
 
-      const today = formatDate(new Date());
+      const timeZone = await timezoneService.getUserTimeZone(userId, client);
+      const today = await timezoneService.getUserDate(userId, new Date(), client);
       const attendanceResult = await client.query(
         'SELECT * FROM attendance_records WHERE user_id = $1 AND date = $2',
         [userId, today]
@@ -521,7 +524,7 @@ class ActivityService {
       // Fetch user name for notification
       const userResult = await client.query('SELECT name FROM users WHERE id = $1', [userId]);
       const userName = userResult.rows[0]?.name || 'Unknown User';
-      const lunchStartTime = formatTime(new Date());
+      const lunchStartTime = formatTime(new Date(), timeZone);
       
       teamsService.sendLunchOutAlert(userName, lunchStartTime).catch(err => logger.error('Teams lunch-out alert error:', err));
 
@@ -543,7 +546,8 @@ class ActivityService {
       // Split/close any open previous day shifts first
       await attendanceService.checkAndSplitShift(userId, client);
 
-      const today = formatDate(new Date());
+      const timeZone = await timezoneService.getUserTimeZone(userId, client);
+      const today = await timezoneService.getUserDate(userId, new Date(), client);
       const attendanceResult = await client.query(
         'SELECT * FROM attendance_records WHERE user_id = $1 AND date = $2',
         [userId, today]
@@ -606,7 +610,7 @@ class ActivityService {
       // Fetch user name for notification
       const userResult = await client.query('SELECT name FROM users WHERE id = $1', [userId]);
       const userName = userResult.rows[0]?.name || 'Unknown User';
-      const lunchEndTime = formatTime(new Date());
+      const lunchEndTime = formatTime(new Date(), timeZone);
       
       const durationSeconds = updatedBreak.rows[0].duration;
       const minutes = Math.floor(durationSeconds / 60);
@@ -638,7 +642,7 @@ class ActivityService {
       client.release();
     }
 
-    const today = formatDate(new Date());
+    const today = await timezoneService.getUserDate(userId);
     const result = await pool.query(
       `SELECT lb.* 
        FROM lunch_breaks lb
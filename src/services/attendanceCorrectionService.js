@@ -0,0 +1,487 @@
+const pool = require('../config/database');
+const { redisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+const shiftService = require('./shiftService');
+const holidayService = require('./holidayService');
+const timezoneService = require('./timezoneService');
+const attendanceStatusService = require('./attendanceStatusService');
+const attendanceSessionService = require('./attendanceSessionService');
+const { toDateString } = require('../utils/helpers');
+
+const previousDate = (dateStr) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// Segments are { type, start, end } with start/end in epoch milliseconds
+
+const clip = (segments, from, to) => segments
+  .map((segment) => ({ ...segment, start: Math.max(segment.start, from), end: Math.min(segment.end, to) }))
+  .filter((segment) => segment.end > segment.start);
+
+// Remove the given intervals from every segment, splitting where needed
+const subtract = (segments, intervals) => intervals.reduce((remaining, cut) => remaining.flatMap((segment) => {
+  if (cut.end <= segment.start || cut.start >= segment.end) return [segment];
+  const pieces = [];
+  if (cut.start > segment.start) pieces.push({ ...segment, end: cut.start });
+  if (cut.end < segment.end) pieces.push({ ...segment, start: cut.end });
+  return pieces;
+}), segments);
+
+// Sort and drop overlaps (the earlier segment wins)
+const normalize = (segments) => {
+  const sorted = [...segments].sort((a, b) => a.start - b.start);
+  const result = [];
+  for (const segment of sorted) {
+    const previous = result[result.length - 1];
+    const start = previous ? Math.max(segment.start, previous.end) : segment.start;
+    if (segment.end > start) result.push({ ...segment, start });
+  }
+  return result;
+};
+
+// Fill uncovered time between from and to with segments of the given type
+const fillGaps = (segments, from, to, type) => {
+  const filled = [];
+  let cursor = from;
+  for (const segment of segments) {
+    if (segment.start > cursor) filled.push({ type, start: cursor, end: segment.start });
+    filled.push(segment);
+    cursor = Math.max(cursor, segment.end);
+  }
+  if (to > cursor) filled.push({ type, start: cursor, end: to });
+  return filled;
+};
+
+// Join touching segments of the same type
+const merge = (segments) => segments.reduce((merged, segment) => {
+  const previous = merged[merged.length - 1];
+  if (previous && previous.type === segment.type && previous.end === segment.start) {
+    previous.end = segment.end;
+  } else {
+    merged.push({ ...segment });
+  }
+  return merged;
+}, []);
+
+const isOpen = (record) => Boolean(record.check_in_time && !record.check_out_time);
+
+const seconds = (segment) => Math.floor((segment.end - segment.start) / 1000);
+
+// Seconds per type; meetings count as active
+const sumSegments = (segments) => segments.reduce((totals, segment) => {
+  totals[segment.type === 'meeting' ? 'active' : segment.type] += seconds(segment);
+  return totals;
+}, { active: 0, idle: 0, lunch_break: 0, untracked: 0 });
+
+// The record's closed sessions clipped to from..to as { source, start, end }, with
+// the first and last stretched to the new check-in and check-out. A record
+// without sessions gets a single one.
+const toSessionIntervals = (sessions, from, to) => {
+  const intervals = clip(sessions
+    .filter((session) => session.check_out_time)
+    .map((session) => ({
+      source: session,
+      start: new Date(session.check_in_time).getTime(),
+      end: new Date(session.check_out_time).getTime(),
+    })), from, to);
+  if (intervals.length === 0) return [{ source: null, start: from, end: to }];
+  intervals[0].start = from;
+  intervals[intervals.length - 1].end = to;
+  return intervals;
+};
+
+// Grow session intervals over the given spans, joining the sessions they bridge
+const cover = (intervals, spans) => [...intervals, ...spans.map(({ start, end }) => ({ source: null, start, end }))]
+  .sort((a, b) => a.start - b.start)
+  .reduce((covered, interval) => {
+    const previous = covered[covered.length - 1];
+    if (previous && interval.start <= previous.end) {
+      previous.end = Math.max(previous.end, interval.end);
+      previous.source = previous.source || interval.source;
+    } else {
+      covered.push({ ...interval });
+    }
+    return covered;
+  }, []);
+
+/**
+ * Attendance Correction Service
+ * Rewrites a settled attendance record from a corrected timeline and
+ * recomputes everything derived from it, so records edited after the fact
+ * (regularization, admin edits) look as if they had been tracked that way.
+ *
+ * activity_logs is the source of truth: active_seconds / idle_seconds /
+ * lunch_seconds / untracked_seconds and the total_* columns are sums of its
+ * segments, total_work_duration is clamped to the wall-clock time of the
+ * sessions exactly like checkOut does, lateness and early departure are
+ * re-measured and the status is re-evaluated.
+ *
+ * The day keeps its sessions: the first and last move with check-in and
+ * check-out, and the time between two sessions stays off the clock instead
+ * of being filled in or counted as untracked.
+ */
+class AttendanceCorrectionService {
+  /**
+   * First and last instant of a record's business day
+   * @param {Object} record - { user_id, date, shift_id }
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} { start, end } (Dates)
+   */
+  async getBusinessDayBounds(record, client = pool) {
+    const timeZone = await timezoneService.getUserTimeZone(record.user_id, client);
+    const shift = await shiftService.getRecordShift(record, client);
+    const dateStr = toDateString(record.date);
+    return {
+      start: new Date(shiftService.getBusinessDayEnd(shift, previousDate(dateStr), timeZone).getTime() + 1),
+      end: shiftService.getBusinessDayEnd(shift, dateStr, timeZone),
+    };
+  }
+
+  /**
+   * Closed activity segments of a record, oldest first
+   * @returns {Promise<Array>} [{ id, type, start, end }]
+   */
+  async getSegments(recordId, client = pool) {
+    const result = await client.query(
+      `SELECT id, activity_type, start_time, end_time FROM activity_logs
+       WHERE attendance_record_id = $1 AND end_time IS NOT NULL
+       ORDER BY start_time`,
+      [recordId]
+    );
+    return result.rows.map((row) => ({
+      id: row.id,
+      type: row.activity_type,
+      start: new Date(row.start_time).getTime(),
+      end: new Date(row.end_time).getTime(),
+    }));
+  }
+
+  /**
+   * Lunch breaks of a record
+   * @returns {Promise<Array>} [{ id, start, end }]
+   */
+  async getBreaks(recordId, client = pool) {
+    const result = await client.query(
+      `SELECT id, break_start_time, break_end_time FROM lunch_breaks
+       WHERE attendance_record_id = $1 AND break_end_time IS NOT NULL
+       ORDER BY break_start_time`,
+      [recordId]
+    );
+    return result.rows.map((row) => ({
+      id: row.id,
+      start: new Date(row.break_start_time).getTime(),
+      end: new Date(row.break_end_time).getTime(),
+    }));
+  }
+
+  /**
+   * Replace a record's activity_logs with the given segments
+   */
+  async replaceSegments(record, segments, client) {
+    await client.query('DELETE FROM activity_logs WHERE attendance_record_id = $1', [record.id]);
+    for (const segment of segments) {
+      await client.query(
+        `INSERT INTO activity_logs (user_id, attendance_record_id, activity_type, start_time, end_time, duration)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [record.user_id, record.id, segment.type, new Date(segment.start), new Date(segment.end), seconds(segment)]
+      );
+    }
+  }
+
+  /**
+   * Replace a record's lunch_breaks with its lunch_break segments
+   */
+  async replaceBreaks(record, segments, client) {
+    await client.query('DELETE FROM lunch_breaks WHERE attendance_record_id = $1', [record.id]);
+    for (const segment of segments.filter((entry) => entry.type === 'lunch_break')) {
+      await client.query(
+        `INSERT INTO lunch_breaks (user_id, attendance_record_id, break_start_time, break_end_time, duration)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [record.user_id, record.id, new Date(segment.start), new Date(segment.end), seconds(segment)]
+      );
+    }
+  }
+
+  /**
+   * Rewrite a record's timeline to new check-in/check-out times
+   * Tracked segments are clipped to the new times; time they do not cover
+   * within a session is counted as active (the correction vouches the
+   * employee worked then), while gaps between sessions stay off the clock.
+   * When `breaks` is given it replaces the recorded lunch breaks, carving
+   * them out of whatever was tracked at those times.
+   * @param {Object} record - attendance_records row (not open)
+   * @param {Object} correction - { checkIn, checkOut, breaks? } (Dates; breaks [{ start, end }])
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object>} The recomputed record
+   */
+  async rewriteTimeline(record, { checkIn, checkOut, breaks }, client) {
+    const from = new Date(checkIn).getTime();
+    const to = new Date(checkOut).getTime();
+
+    const sessions = toSessionIntervals(await attendanceSessionService.getSessions(record.id, client), from, to);
+    let segments = normalize(clip(await this.getSegments(record.id, client), from, to));
+    if (breaks) {
+      const lunch = clip(breaks.map((entry) => ({
+        type: 'lunch_break',
+        start: new Date(entry.start).getTime(),
+        end: new Date(entry.end).getTime(),
+      })), from, to);
+      segments = normalize([
+        ...subtract(segments.filter((segment) => segment.type !== 'lunch_break'), lunch),
+        ...lunch,
+      ]);
+    }
+
+    const filled = sessions.flatMap((session) => fillGaps(
+      clip(segments, session.start, session.end), session.start, session.end, 'active'
+    ));
+    return this.applyTimeline(record, { from, to, segments: merge(filled), sessions }, client);
+  }
+
+  /**
+   * Store a finished timeline: check-in/check-out, activity_logs,
+   * lunch_breaks and one session per interval with its share of the
+   * segments, then recompute the record
+   * @param {Object} record - attendance_records row
+   * @param {Object} timeline - { from, to, segments, sessions } where from/to are
+   *   check-in/check-out (epoch ms), segments are sorted, non-overlapping and
+   *   within the sessions, and sessions are sorted { source, start, end } intervals
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object>} The recomputed record
+   */
+  async applyTimeline(record, { from, to, segments, sessions }, client) {
+    await this.replaceSegments(record, segments, client);
+    await this.replaceBreaks(record, segments, client);
+    await client.query(
+      'UPDATE attendance_records SET check_in_time = $2, check_out_time = $3 WHERE id = $1',
+      [record.id, new Date(from), new Date(to)]
+    );
+
+    await attendanceSessionService.replaceSessions(record, sessions.map((session) => {
+      const totals = sumSegments(clip(segments, session.start, session.end));
+      return {
+        source: session.source,
+        start: new Date(session.start),
+        end: new Date(session.end),
+        work: Math.min(totals.active + totals.idle, seconds(session)),
+        active: totals.active,
+        idle: totals.idle,
+        break: totals.lunch_break,
+      };
+    }), client);
+
+    return this.recompute(record.id, client);
+  }
+
+  /**
+   * Validate an admin edit and work out the resulting timeline
+   * Removed segments and breaks leave their time untracked; added segments
+   * (and breaks, as lunch_break segments) replace whatever was recorded under them.
+   * Sessions follow the new check-in/check-out, and an added segment between
+   * two sessions extends or bridges them (or becomes a session of its own).
+   * @returns {Promise<Object>} { from, to, segments, sessions }, null when no times change, or { error, message }
+   */
+  async planEdit(record, changes, client = pool) {
+    const { segments: segmentChanges = {}, breaks: breakChanges = {} } = changes;
+    const timed = changes.check_in_time !== undefined || changes.check_out_time !== undefined
+      || changes.segments !== undefined || changes.breaks !== undefined;
+    if (!timed) return null;
+
+    const checkIn = changes.check_in_time || record.check_in_time;
+    const checkOut = changes.check_out_time || record.check_out_time;
+    if (!checkIn || !checkOut) {
+      return { error: 'INVALID_TIMES', message: 'A record without a check-in needs both check_in_time and check_out_time' };
+    }
+    const from = new Date(checkIn).getTime();
+    const to = new Date(checkOut).getTime();
+    if (to <= from) {
+      return { error: 'INVALID_TIMES', message: 'check_out_time must be after check_in_time' };
+    }
+    if (to > Date.now()) {
+      return { error: 'INVALID_TIMES', message: 'check_out_time cannot be in the future' };
+    }
+    const bounds = await this.getBusinessDayBounds(record, client);
+    if (from < bounds.start.getTime() || to > bounds.end.getTime()) {
+      return {
+        error: 'INVALID_TIMES',
+        message: `Check-in and check-out must both fall within the working day of ${toDateString(record.date)}`,
+      };
+    }
+
+    const existing = await this.getSegments(record.id, client);
+    const removedSegments = new Set(segmentChanges.remove || []);
+    const unknownSegment = [...removedSegments].find((id) => !existing.some((segment) => segment.id === id));
+    if (unknownSegment) {
+      return { error: 'SEGMENT_NOT_FOUND', message: `Activity segment ${unknownSegment} does not belong to this record` };
+    }
+
+    const breaks = await this.getBreaks(record.id, client);
+    const removedBreaks = (breakChanges.remove || []).map((id) => breaks.find((entry) => entry.id === id) || id);
+    const unknownBreak = removedBreaks.find((entry) => typeof entry === 'string');
+    if (unknownBreak) {
+      return { error: 'BREAK_NOT_FOUND', message: `Break ${unknownBreak} does not belong to this record` };
+    }
+
+    const added = [
+      ...(segmentChanges.add || []).map((entry) => ({ type: entry.activity_type, start: entry.start, end: entry.end })),
+      ...(breakChanges.add || []).map((entry) => ({ type: 'lunch_break', start: entry.start, end: entry.end })),
+    ]
+      .map((segment) => ({ ...segment, start: new Date(segment.start).getTime(), end: new Date(segment.end).getTime() }))
+      .sort((a, b) => a.start - b.start);
+    const invalid = added.some((segment, index) => segment.start < from || segment.end > to
+      || (index > 0 && segment.start < added[index - 1].end));
+    if (invalid) {
+      return {
+        error: 'INVALID_SEGMENTS',
+        message: 'Added segments and breaks must not overlap each other and must fall between check-in and check-out',
+      };
+    }
+
+    const sessions = cover(
+      toSessionIntervals(await attendanceSessionService.getSessions(record.id, client), from, to),
+      added
+    );
+
+    // A removed break takes its lunch_break segments with it
+    const kept = existing.filter((segment) => !removedSegments.has(segment.id));
+    const breakless = subtract(kept.filter((segment) => segment.type === 'lunch_break'), removedBreaks);
+    const remaining = [...kept.filter((segment) => segment.type !== 'lunch_break'), ...breakless];
+    const segments = normalize([
+      ...subtract(sessions.flatMap((session) => clip(remaining, session.start, session.end)), added),
+      ...added,
+    ]);
+
+    return { from, to, segments: merge(segments), sessions };
+  }
+
+  /**
+   * Edit any closed (or never checked-in) record: times, activity segments,
+   * breaks and status. Totals are recomputed from the resulting segments.
+   * Nobody edits their own record, as nobody approves their own regularization.
+   * @param {Object} actor - req.user
+   * @param {string} recordId - Attendance record ID
+   * @param {Object} changes - { check_in_time?, check_out_time?, segments?: { add, remove },
+   *   breaks?: { add, remove }, status? } where status null releases a pinned status
+   * @returns {Promise<Object>} { before, record } or { error, message }
+   */
+  async editRecord(actor, recordId, changes) {
+    const before = (await pool.query('SELECT * FROM attendance_records WHERE id = $1', [recordId])).rows[0];
+    if (!before) {
+      return { error: 'ATTENDANCE_NOT_FOUND', message: 'Attendance record not found' };
+    }
+    if (before.user_id === actor.id) {
+      return { error: 'SELF_EDIT', message: 'You cannot edit your own attendance record' };
+    }
+    if (isOpen(before)) {
+      return { error: 'RECORD_OPEN', message: 'The employee is still checked in on this record' };
+    }
+
+    const plan = await this.planEdit(before, changes);
+    if (plan?.error) return plan;
+    if (!plan && changes.status === undefined) {
+      return { error: 'NO_CHANGES', message: 'Nothing to change' };
+    }
+
+    let record;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Lock the record; it must not have changed since the edit was planned
+      const locked = await client.query(
+        'SELECT updated_at FROM attendance_records WHERE id = $1 FOR UPDATE',
+        [recordId]
+      );
+      if (String(locked.rows[0]?.updated_at) !== String(before.updated_at)) {
+        await client.query('ROLLBACK');
+        return { error: 'RECORD_CHANGED', message: 'The record changed while it was being edited; try again' };
+      }
+
+      if (changes.status !== undefined) {
+        await client.query(
+          `UPDATE attendance_records
+           SET status = COALESCE($2, status), status_override = $2 IS NOT NULL, updated_at = NOW()
+           WHERE id = $1`,
+          [recordId, changes.status]
+        );
+      }
+      record = plan
+        ? await this.applyTimeline(before, plan, client)
+        : await attendanceStatusService.evaluateRecord(recordId, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info(`Attendance ${recordId} edited${plan ? ` (${plan.segments.length} segments)` : ''}`);
+    return { before, record };
+  }
+
+  /**
+   * Recompute every derived field of a closed record from its activity_logs
+   * @param {string} recordId - Attendance record ID
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object>} The record as stored afterwards
+   */
+  async recompute(recordId, client) {
+    const result = await client.query('SELECT * FROM attendance_records WHERE id = $1', [recordId]);
+    const record = result.rows[0];
+    if (!record.check_in_time || !record.check_out_time) {
+      return attendanceStatusService.evaluateRecord(recordId, client);
+    }
+
+    const totals = sumSegments(await this.getSegments(recordId, client));
+
+    // Same safety cap as checkOut: work can never exceed the time checked in,
+    // which is check-in to check-out for a record without sessions
+    const sessions = (await attendanceSessionService.getSessions(recordId, client))
+      .filter((session) => session.check_out_time);
+    const spans = sessions.length > 0
+      ? sessions.map((session) => ({ start: session.check_in_time, end: session.check_out_time }))
+      : [{ start: record.check_in_time, end: record.check_out_time }];
+    const rawTotalWork = totals.active + totals.idle;
+    const wallClockSeconds = spans.reduce(
+      (sum, span) => sum + Math.max(0, Math.floor((new Date(span.end) - new Date(span.start)) / 1000)),
+      0
+    );
+    const totalWork = Math.min(rawTotalWork, wallClockSeconds);
+    if (rawTotalWork > wallClockSeconds) {
+      logger.warn(
+        `[CORRECTION CLAMP] attendance=${recordId} rawWork=${rawTotalWork}s exceeds wallClock=${wallClockSeconds}s. ` +
+        `Clamped to wallClock. active=${totals.active}s, idle=${totals.idle}s, lunch=${totals.lunch_break}s`
+      );
+    }
+
+    // Lateness against the shift stamped at check-in, or the current one for a day that never had a check-in
+    const dateStr = toDateString(record.date);
+    const shift = await shiftService.getRecordShift(record, client);
+    let lateBy = null;
+    let leftEarly = null;
+    if (shift && (await holidayService.getDayType(record.user_id, dateStr, shift, client)).working) {
+      const timeZone = await timezoneService.getUserTimeZone(record.user_id, client);
+      lateBy = shiftService.getLateByMinutes(shift, dateStr, record.check_in_time, timeZone);
+      leftEarly = shiftService.getLeftEarlyMinutes(shift, dateStr, record.check_out_time, timeZone);
+    }
+
+    await client.query(
+      `UPDATE attendance_records
+       SET active_seconds = $2, idle_seconds = $3, lunch_seconds = $4, untracked_seconds = $5,
+           total_active_duration = $2, total_idle_duration = $3, total_break_duration = $4,
+           total_work_duration = $6, late_by_minutes = $7, left_early_minutes = $8,
+           shift_id = COALESCE(shift_id, $9), current_state = NULL, last_state_change_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1`,
+      [recordId, totals.active, totals.idle, totals.lunch_break, totals.untracked, totalWork, lateBy, leftEarly, shift?.id || null]
+    );
+
+    await redisClient.del(`user:${record.user_id}:attendance`);
+    return attendanceStatusService.evaluateRecord(recordId, client);
+  }
+}
+
+module.exports = new AttendanceCorrectionService();
@@ -1,10 +1,16 @@
 const pool = require('../config/database');
 
 const { redisClient } = require('../config/redis');
-const { calculateDuration, formatDate, formatTime } = require('../utils/helpers');
+const { calculateDuration, formatTime, toDateString } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const stateTransitionService = require('./stateTransitionService');
 const teamsService = require('./teamsService');
+const timezoneService = require('./timezoneService');
+const shiftService = require('./shiftService');
+const holidayService = require('./holidayService');
+const attendanceStatusService = require('./attendanceStatusService');
+const attendanceSessionService = require('./attendanceSessionService');
+const officeLocationService = require('./officeLocationService');
 
 // Helper to enforce invariants and prevent runaway sums
 function clampDurations(totalWork, totalActive, totalIdle) {
@@ -34,9 +40,17 @@ class AttendanceService {
     try {
       await client.query('BEGIN');
 
+      // The share lock waits for an offboarding in progress (see offboardingService)
+      const account = await client.query('SELECT status FROM users WHERE id = $1 FOR SHARE', [userId]);
+      if (account.rows[0]?.status !== 'active') {
+        await client.query('ROLLBACK');
+        return { error: 'ACCOUNT_INACTIVE', message: 'Your account is inactive' };
+      }
+
       await this.checkAndSplitShift(userId, client);
 
-      const today = formatDate(new Date());
+      const timeZone = await timezoneService.getUserTimeZone(userId, client);
+      const today = await timezoneService.getUserDate(userId, new Date(), client);
 
       const existingAttendance = await client.query(
         'SELECT * FROM attendance_records WHERE user_id = $1 AND date::date = $2::date',
@@ -44,6 +58,7 @@ class AttendanceService {
       );
 
       let attendance;
+      let sessionStart = null;
 
       if (existingAttendance.rows.length > 0) {
         const existing = existingAttendance.rows[0];
@@ -54,7 +69,8 @@ class AttendanceService {
           return { error: 'ALREADY_CHECKED_IN', message: 'You are already marked in' };
         }
 
-        // If checked out, allow re-check-in by updating the record
+        // If checked out, re-checking in starts another session of the same day.
+        // The record's totals keep the finished sessions; time between sessions is not work.
         if (existing.check_out_time) {
           // Close any open lunch breaks that might have been missed (safety net)
           await client.query(
@@ -64,49 +80,35 @@ class AttendanceService {
             [userId, existing.id]
           );
 
-          // Calculate gap between last check-out and now
-          const nowMs = new Date().getTime();
-          const checkOutMs = new Date(existing.check_out_time).getTime();
-          const gapSeconds = Math.max(0, Math.floor((nowMs - checkOutMs) / 1000));
-
-          // Log this gap as 'untracked' in activity_logs to keep reports consistent
-          if (gapSeconds > 0) {
-            await client.query(
-              `INSERT INTO activity_logs (user_id, attendance_record_id, activity_type, start_time, end_time, duration) 
-               VALUES ($1, $2, 'untracked', $3, NOW(), $4)`,
-              [userId, existing.id, existing.check_out_time, gapSeconds]
-            );
-            logger.info(`Logged gap of ${gapSeconds}s as untracked time for user ${userId} during re-check-in`);
-          }
-
-          const currentUntracked = existing.untracked_seconds || 0;
-          const newUntracked = currentUntracked + gapSeconds;
-
           const updateResult = await client.query(
             `UPDATE attendance_records 
              SET check_out_time = NULL,
                  check_out_ip = NULL,
                  check_out_location = NULL,
-                 total_work_duration = NULL,
-                 total_active_duration = NULL,
-                 total_idle_duration = NULL,
-                 total_break_duration = NULL,
+                 check_out_geofence = NULL,
+                 check_out_office_id = NULL,
+                 check_out_distance_meters = NULL,
                  current_state = NULL,
                  last_state_change_at = NULL,
-                 untracked_seconds = $2,
+                 left_early_minutes = NULL,
+                 status = CASE WHEN status_override THEN status ELSE 'present' END,
+                 status_evaluated_at = NULL,
                  updated_at = NOW()
              WHERE id = $1
              RETURNING *`,
-            [existing.id, newUntracked]
+            [existing.id]
           );
           attendance = updateResult.rows[0];
-          logger.info(`User ${userId} re-checked in. Gap of ${gapSeconds}s logged in activity_logs as untracked.`);
+          sessionStart = new Date();
+          logger.info(`User ${userId} re-checked in after checking out at ${existing.check_out_time}; new session started.`);
         }
         // If an attendance row exists but has no check_in_time (pre-created), update it to set check-in
         if (!existing.check_in_time && !existing.check_out_time) {
           const updated = await client.query(
             `UPDATE attendance_records
-             SET check_in_time = NOW(), check_in_ip = $1, check_in_location = $2, updated_at = NOW()
+             SET check_in_time = NOW(), check_in_ip = $1, check_in_location = $2,
+                 status = CASE WHEN status_override THEN status ELSE 'present' END,
+                 status_evaluated_at = NULL, updated_at = NOW()
              WHERE id = $3
              RETURNING *`,
             [ipAddress, location ? JSON.stringify(location) : null, existing.id]
@@ -126,6 +128,56 @@ class AttendanceService {
         attendance = attendanceResult.rows[0];
       }
 
+      // Classify the location against the office geofences; a reject policy refuses check-ins outside them
+      const fence = await officeLocationService.classify(userId, location, client);
+      if (fence.geofence === 'outside' && fence.policy === 'reject') {
+        await client.query('ROLLBACK');
+        return location
+          ? { error: 'OUTSIDE_GEOFENCE', message: 'You can only check in at an office location' }
+          : { error: 'LOCATION_REQUIRED', message: 'Share your location to check in' };
+      }
+
+      // The record keeps the first check-in's classification, each session its own
+      if (!existingAttendance.rows[0]?.check_in_time) {
+        const updated = await client.query(
+          `UPDATE attendance_records
+           SET check_in_geofence = $2, check_in_office_id = $3, check_in_distance_meters = $4,
+               geofence_flagged = geofence_flagged OR $5
+           WHERE id = $1
+           RETURNING *`,
+          [attendance.id, fence.geofence, fence.office_id, fence.distance_meters, fence.flagged]
+        );
+        attendance = updated.rows[0];
+      } else if (fence.flagged) {
+        const updated = await client.query(
+          'UPDATE attendance_records SET geofence_flagged = TRUE WHERE id = $1 RETURNING *',
+          [attendance.id]
+        );
+        attendance = updated.rows[0];
+      }
+
+      // Lateness is judged once, on the first check-in of the day, against the assigned shift;
+      // nobody is late on a holiday
+      if (!existingAttendance.rows[0]?.check_in_time) {
+        const shift = await shiftService.getUserShift(userId, client);
+        if (shift) {
+          const day = await holidayService.getDayType(userId, today, shift, client);
+          const lateBy = day.working ? shiftService.getLateByMinutes(shift, today, attendance.check_in_time, timeZone) : null;
+          const updated = await client.query(
+            `UPDATE attendance_records SET shift_id = $2, late_by_minutes = $3 WHERE id = $1 RETURNING *`,
+            [attendance.id, shift.id, lateBy]
+          );
+          attendance = updated.rows[0];
+        }
+      }
+
+      await attendanceSessionService.openSession(attendance, {
+        time: sessionStart || attendance.check_in_time,
+        ip: ipAddress,
+        location,
+        fence,
+      }, client);
+
       // Initialize state as WORKING
       attendance = await stateTransitionService.applyStateTransition(
         attendance,
@@ -150,7 +202,7 @@ class AttendanceService {
       // Fetch user name for notification
       const userResult = await client.query('SELECT name FROM users WHERE id = $1', [userId]);
       const userName = userResult.rows[0]?.name || 'Unknown User';
-      const checkInTime = formatTime(attendance.check_in_time);
+      const checkInTime = formatTime(attendance.check_in_time, timeZone);
       
       // Send notification asynchronously
       teamsService.sendCheckInAlert(userName, checkInTime).catch(err => logger.error('Teams check-in alert error:', err));
@@ -168,15 +220,25 @@ class AttendanceService {
     }
   }
 
-  async checkOut(userId, ipAddress, location = null, checkoutTime = null) {
-    const client = await pool.connect();
+  /**
+   * Close the user's open session for the day
+   * Pass outerClient to check out inside a caller's transaction (offboarding):
+   * a savepoint then stands in for our own transaction, so the check-out
+   * commits or rolls back together with the caller's work.
+   */
+  async checkOut(userId, ipAddress, location = null, checkoutTime = null, outerClient = null) {
+    const client = outerClient || await pool.connect();
+    const tx = outerClient
+      ? { begin: 'SAVEPOINT check_out', commit: 'RELEASE SAVEPOINT check_out', rollback: 'ROLLBACK TO SAVEPOINT check_out' }
+      : { begin: 'BEGIN', commit: 'COMMIT', rollback: 'ROLLBACK' };
     const finalCheckoutTime = checkoutTime ? new Date(checkoutTime) : new Date();
     try {
-      await client.query('BEGIN');
+      await client.query(tx.begin);
 
       await this.checkAndSplitShift(userId, client, finalCheckoutTime);
 
-      const today = formatDate(finalCheckoutTime);
+      const timeZone = await timezoneService.getUserTimeZone(userId, client);
+      const today = await timezoneService.getUserDate(userId, finalCheckoutTime, client);
 
       const attendanceResult = await client.query(
         'SELECT * FROM attendance_records WHERE user_id = $1 AND date::date = $2::date',
@@ -184,14 +246,14 @@ class AttendanceService {
       );
 
       if (attendanceResult.rows.length === 0) {
-        await client.query('ROLLBACK');
+        await client.query(tx.rollback);
         return { error: 'NOT_CHECKED_IN', message: 'You have not checked in today' };
       }
 
       let attendance = attendanceResult.rows[0];
 
       if (attendance.check_out_time) {
-        await client.query('ROLLBACK');
+        await client.query(tx.rollback);
         return { error: 'ALREADY_CHECKED_OUT', message: 'You have already checked out today' };
       }
 
@@ -220,28 +282,30 @@ class AttendanceService {
 
       logger.info(`Closed ${closedBreaks.rows.length} open lunch breaks for user ${userId}`);
 
-      // Calculate totals from state-based counters
-      const totalActive = attendance.active_seconds || 0;
-      const totalIdle = attendance.idle_seconds || 0;
-      const totalBreak = attendance.lunch_seconds || 0;
-
-      // Calculate total work time: active + idle (excludes lunch)
-      const rawTotalWork = totalActive + totalIdle;
-
-      // Safety cap: total work can never exceed wall-clock time (check-in to now).
-      // If state counters drifted due to a race condition, this prevents impossible values.
-      const wallClockSeconds = Math.max(0, Math.floor((finalCheckoutTime - new Date(attendance.check_in_time)) / 1000));
-      const totalWork = Math.min(rawTotalWork, wallClockSeconds);
-
-      if (rawTotalWork > wallClockSeconds) {
-        logger.warn(
-          `[CHECKOUT CLAMP] user=${userId} rawWork=${rawTotalWork}s exceeds wallClock=${wallClockSeconds}s. ` +
-          `Clamped to wallClock. active=${totalActive}s, idle=${totalIdle}s, lunch=${totalBreak}s`
-        );
+      // Check-outs are classified too, but never refused
+      const fence = await officeLocationService.classify(userId, location, client);
+
+      // Close this session from the state-based counters; the day's totals are the sum of its sessions
+      // (work = active + idle, excluding lunch, clamped to each session's wall-clock time)
+      const { totals } = await attendanceSessionService.closeSession(attendance, {
+        time: finalCheckoutTime,
+        ip: ipAddress,
+        location,
+        fence,
+      }, client, 'CHECKOUT');
+      const { totalWork, totalActive, totalIdle, totalBreak } = totals;
+
+      // Early departure is measured against the shift stamped on the record at check-in
+      let leftEarly = null;
+      if (attendance.shift_id) {
+        const shift = await shiftService.getShift(attendance.shift_id, client);
+        if (shift && (await holidayService.getDayType(userId, today, shift, client)).working) {
+          leftEarly = shiftService.getLeftEarlyMinutes(shift, today, finalCheckoutTime, timeZone);
+        }
       }
 
       // Update legacy fields for backward compatibility
-      const updatedAttendance = await client.query(
+      await client.query(
         `UPDATE attendance_records 
          SET check_out_time = $8, 
              check_out_ip = $1, 
@@ -250,19 +314,29 @@ class AttendanceService {
              total_active_duration = $4,
              total_idle_duration = $5,
              total_break_duration = $6,
+             left_early_minutes = $9,
+             check_out_geofence = $10,
+             check_out_office_id = $11,
+             check_out_distance_meters = $12,
+             geofence_flagged = geofence_flagged OR $13,
              updated_at = NOW()
-         WHERE id = $7 
-         RETURNING *`,
-        [ipAddress, location ? JSON.stringify(location) : null, totalWork, totalActive, totalIdle, totalBreak, attendance.id, finalCheckoutTime]
+         WHERE id = $7`,
+        [
+          ipAddress, location ? JSON.stringify(location) : null, totalWork, totalActive, totalIdle, totalBreak,
+          attendance.id, finalCheckoutTime, leftEarly, fence.geofence, fence.office_id, fence.distance_meters,
+          fence.flagged,
+        ]
       );
 
+      // Settle present / half_day / absent now; a re-check-in reopens it
+      const attendanceData = await attendanceStatusService.evaluateRecord(attendance.id, client);
+
       await redisClient.del(`user:${userId}:attendance`);
       await redisClient.del(`user:${userId}:current_activity`);
       await redisClient.del(`user:${userId}:current_state`);
       await redisClient.del(`user:${userId}:last_activity`);
 
-      const attendanceData = updatedAttendance.rows[0];
-      const checkOutTime = formatTime(attendanceData.check_out_time);
+      const checkOutTime = formatTime(attendanceData.check_out_time, timeZone);
       
       // Calculate work hours for notification
       const hours = Math.floor(attendanceData.total_work_duration / 3600);
@@ -276,16 +350,16 @@ class AttendanceService {
       // Send notification asynchronously
       teamsService.sendCheckOutAlert(userName, checkOutTime, workHoursStr).catch(err => logger.error('Teams check-out alert error:', err));
 
-      await client.query('COMMIT');
+      await client.query(tx.commit);
 
-      logger.info(`User ${userId} checked out at ${updatedAttendance.rows[0].check_out_time}`);
-      return { attendance: updatedAttendance.rows[0] };
+      logger.info(`User ${userId} checked out at ${attendanceData.check_out_time}`);
+      return { attendance: attendanceData };
     } catch (error) {
-      await client.query('ROLLBACK');
+      await client.query(tx.rollback);
       logger.error('Check-out error:', error);
       throw error;
     } finally {
-      client.release();
+      if (!outerClient) client.release();
     }
   }
 
@@ -302,7 +376,7 @@ class AttendanceService {
       client.release();
     }
 
-    const today = formatDate(new Date());
+    const today = await timezoneService.getUserDate(userId);
     const result = await pool.query(
       'SELECT * FROM attendance_records WHERE user_id = $1 AND date::date = $2::date',
       [userId, today]
@@ -333,7 +407,8 @@ class AttendanceService {
         tracked_time: (attendance.total_active_duration || 0) + (attendance.total_idle_duration || 0),
         untracked_time: attendance.untracked_seconds || 0,
         activity_logs: logsResult.rows,
-        daily_note: noteResult.rows[0]?.note_text || null
+        daily_note: noteResult.rows[0]?.note_text || null,
+        sessions: await attendanceSessionService.getSessions(attendance.id)
       };
     }
 
@@ -428,7 +503,8 @@ class AttendanceService {
       untracked_time: attendance.untracked_seconds || 0,
       current_state: attendance.current_state,
       activity_logs: logsResult.rows,
-      daily_note: noteResult.rows[0]?.note_text || null
+      daily_note: noteResult.rows[0]?.note_text || null,
+      sessions: await attendanceSessionService.getSessions(attendance.id)
     };
   }
 
@@ -446,6 +522,8 @@ class AttendanceService {
     if (endDate) params.push(endDate);
 
     const result = await pool.query(query, params);
+    const timeZone = await timezoneService.getUserTimeZone(userId);
+    const todayStr = await timezoneService.getUserDate(userId);
 
     // For each record, if it's not checked out yet, calculate real-time durations
     const enrichedRecords = await Promise.all(result.rows.map(async (record) => {
@@ -466,7 +544,8 @@ class AttendanceService {
           ...record,
           untracked_time: record.untracked_seconds || 0,
           activity_logs: logsResult.rows,
-          daily_note: noteResult.rows[0]?.note_text || null
+          daily_note: noteResult.rows[0]?.note_text || null,
+          sessions: await attendanceSessionService.getSessions(record.id)
         };
       }
 
@@ -479,8 +558,8 @@ class AttendanceService {
        */
       // If record is for today and NOT checked out, calculate using counters + current state (Same as getTodayAttendance)
       const now = new Date();
-      const recordDateObj = new Date(record.date);
-      const isToday = recordDateObj.toDateString() === now.toDateString();
+      const recordDateStr = toDateString(record.date);
+      const isToday = recordDateStr === todayStr;
 
       if (isToday && !record.check_out_time) {
         // Get accumulated time from state counters
@@ -553,7 +632,8 @@ class AttendanceService {
           tracked_time: trackedTime,
           untracked_time: record.untracked_seconds || 0,
           activity_logs: logsResult.rows,
-          daily_note: noteResult.rows[0]?.note_text || null
+          daily_note: noteResult.rows[0]?.note_text || null,
+          sessions: await attendanceSessionService.getSessions(record.id)
         };
       }
 
@@ -561,21 +641,14 @@ class AttendanceService {
        * For past records without a checkout time we calculate durations in "real time".
        * However, if the record date is in the past (before today) we should NOT
        * keep accumulating time indefinitely. In those cases we cap the end time
-       * at that record's end-of-day (23:59:59), which effectively simulates an
+       * at the end of that record's business day, which effectively simulates an
        * automatic checkout at the end of the working day.
        */
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      const recordDateOnly = new Date(
-        recordDateObj.getFullYear(),
-        recordDateObj.getMonth(),
-        recordDateObj.getDate()
-      );
-
+      const recordShift = await shiftService.getRecordShift(record);
       let effectiveEndTime = now;
-      if (recordDateOnly.getTime() < today.getTime()) {
-        // Past day with missing checkout – cap at 23:59:59 of that date
-        effectiveEndTime = new Date(recordDateOnly);
-        effectiveEndTime.setHours(23, 59, 59, 999);
+      if (recordDateStr < todayStr) {
+        // Past day with missing checkout – cap at that business day's end in the user's timezone
+        effectiveEndTime = shiftService.getBusinessDayEnd(recordShift, recordDateStr, timeZone);
       }
 
       // Get activity logs
@@ -632,18 +705,12 @@ class AttendanceService {
         let duration = brk.duration || 0;
         if (!brk.end_time && brk.start_time) {
           const breakStart = new Date(brk.start_time);
-          const breakStartDate = new Date(breakStart.getFullYear(), breakStart.getMonth(), breakStart.getDate());
-          const effectiveEndDate = new Date(
-            effectiveEndTime.getFullYear(),
-            effectiveEndTime.getMonth(),
-            effectiveEndTime.getDate()
-          );
+          const breakStartDate = shiftService.getBusinessDate(recordShift, breakStart, timeZone);
 
           // If break started on a different day than our effective end time, cap it at that day's end
-          if (breakStartDate.getTime() !== effectiveEndDate.getTime()) {
-            const endOfDay = new Date(breakStart);
-            endOfDay.setHours(23, 59, 59, 999);
-            duration = Math.floor((endOfDay - breakStart) / 1000);
+          if (breakStartDate !== shiftService.getBusinessDate(recordShift, effectiveEndTime, timeZone)) {
+            const breakDayEnd = shiftService.getBusinessDayEnd(recordShift, breakStartDate, timeZone);
+            duration = Math.floor((breakDayEnd - breakStart) / 1000);
             logger.warn(`Break started on different day for record ${record.id}, capped at end of day: ${duration}s`);
           } else {
             // Calculate duration but cap at maximum
@@ -657,8 +724,13 @@ class AttendanceService {
         totalBreak += duration;
       });
 
-      // Calculate total work time: (check-in to effective end) minus breaks
-      const totalElapsed = Math.floor((effectiveEndTime - new Date(record.check_in_time)) / 1000);
+      // Calculate total work time: time inside sessions (the open one up to the effective end) minus breaks
+      const sessions = await attendanceSessionService.getSessions(record.id);
+      const totalElapsed = sessions.length > 0
+        ? sessions.reduce((sum, session) => sum + Math.floor(
+          ((session.check_out_time ? new Date(session.check_out_time) : effectiveEndTime) - new Date(session.check_in_time)) / 1000
+        ), 0)
+        : Math.floor((effectiveEndTime - new Date(record.check_in_time)) / 1000);
       const totalWork = totalElapsed - totalBreak;
 
       // Enforce invariants: active+idle must not exceed totalWork
@@ -693,13 +765,49 @@ class AttendanceService {
         tracked_time: trackedTime,
         untracked_time: untrackedTime,
         activity_logs: logsResult.rows,
-        daily_note: noteResult.rows[0]?.note_text || null
+        daily_note: noteResult.rows[0]?.note_text || null,
+        sessions
       };
     }));
 
     return enrichedRecords;
   }
 
+  async findAttendanceRecord(attendanceId) {
+    const result = await pool.query(
+      'SELECT id, user_id, date, notes FROM attendance_records WHERE id = $1',
+      [attendanceId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * A record with its activity segments and breaks, for review and editing
+   * @param {string} attendanceId - Attendance record ID
+   * @returns {Promise<Object|null>} { attendance, segments, breaks }
+   */
+  async getRecordTimeline(attendanceId) {
+    const result = await pool.query('SELECT * FROM attendance_records WHERE id = $1', [attendanceId]);
+    if (result.rows.length === 0) return null;
+
+    const segments = await pool.query(
+      `SELECT id, activity_type, start_time, end_time, duration
+       FROM activity_logs
+       WHERE attendance_record_id = $1
+       ORDER BY start_time`,
+      [attendanceId]
+    );
+    const breaks = await pool.query(
+      `SELECT id, break_start_time, break_end_time, duration
+       FROM lunch_breaks
+       WHERE attendance_record_id = $1
+       ORDER BY break_start_time`,
+      [attendanceId]
+    );
+
+    return { attendance: result.rows[0], segments: segments.rows, breaks: breaks.rows };
+  }
+
   async updateNotes(attendanceId, userId, notes, isAdmin) {
     const query = isAdmin
       ? 'UPDATE attendance_records SET notes = $1, updated_at = NOW() WHERE id = $2 RETURNING *'
@@ -712,7 +820,8 @@ class AttendanceService {
   }
 
   async checkAndSplitShift(userId, client, referenceDate = null) {
-    const todayStr = formatDate(referenceDate || new Date());
+    const timeZone = await timezoneService.getUserTimeZone(userId, client);
+    const todayStr = await timezoneService.getUserDate(userId, referenceDate || new Date(), client);
 
     // Find any open attendance record from a previous date
     const openRecordsResult = await client.query(
@@ -729,12 +838,14 @@ class AttendanceService {
     logger.info(`Found ${openRecordsResult.rows.length} open previous records for user ${userId}. Processing split...`);
 
     for (let record of openRecordsResult.rows) {
-      const prevDateStr = formatDate(record.date); // e.g. '2026-06-22'
-      const endOfPrevDay = new Date(`${prevDateStr}T23:59:59.999+05:30`);
-      const startOfNextDay = new Date(endOfPrevDay.getTime() + 1); // exactly 00:00:00.000 of next day
-      const nextDateStr = formatDate(startOfNextDay); // e.g. '2026-06-23'
+      const recordShift = await shiftService.getRecordShift(record, client);
+      const prevDateStr = toDateString(record.date); // e.g. '2026-06-22'
+      // The shift's day boundary, or midnight without a shift, in the user's timezone
+      const endOfPrevDay = shiftService.getBusinessDayEnd(recordShift, prevDateStr, timeZone);
+      const startOfNextDay = new Date(endOfPrevDay.getTime() + 1); // exactly the start of the next business day
+      const nextDateStr = shiftService.getBusinessDate(recordShift, startOfNextDay, timeZone); // e.g. '2026-06-23'
 
-      logger.info(`Splitting attendance record ${record.id} for user ${userId} at midnight crossing ${prevDateStr} -> ${nextDateStr}`);
+      logger.info(`Splitting attendance record ${record.id} for user ${userId} at day boundary ${prevDateStr} -> ${nextDateStr}`);
 
       // Keep track of the user's state prior to split
       const prevState = record.current_state || 'WORKING';
@@ -758,13 +869,9 @@ class AttendanceService {
         [endOfPrevDay, record.id]
       );
 
-      // Calculate totals and update the record
-      const totalActive = record.active_seconds || 0;
-      const totalIdle = record.idle_seconds || 0;
-      const totalBreak = record.lunch_seconds || 0;
-      const rawTotalWork = totalActive + totalIdle;
-      const wallClockSeconds = Math.max(0, Math.floor((endOfPrevDay - new Date(record.check_in_time)) / 1000));
-      const totalWork = Math.min(rawTotalWork, wallClockSeconds);
+      // Close the session at the end of that day and update the record
+      const { totals } = await attendanceSessionService.closeSession(record, { time: endOfPrevDay }, client, 'SPLIT');
+      const { totalWork, totalActive, totalIdle, totalBreak } = totals;
 
       await client.query(
         `UPDATE attendance_records 
@@ -779,8 +886,14 @@ class AttendanceService {
          WHERE id = $6`,
         [endOfPrevDay, totalWork, totalActive, totalIdle, totalBreak, record.id]
       );
+      await attendanceStatusService.evaluateRecord(record.id, client);
 
-      // 2. Insert/Check-in for the new day
+      // 2. Insert/Check-in for the new day, carrying over the record's check-in classification
+      const fence = {
+        geofence: record.check_in_geofence,
+        office_id: record.check_in_office_id,
+        distance_meters: record.check_in_distance_meters,
+      };
       // Check if a record for the next day already exists
       const existingNextResult = await client.query(
         `SELECT * FROM attendance_records WHERE user_id = $1 AND date = $2::date FOR UPDATE`,
@@ -799,12 +912,24 @@ class AttendanceService {
                  check_in_location = $3,
                  current_state = $4,
                  last_state_change_at = $1,
+                 shift_id = $6,
+                 check_in_geofence = $7,
+                 check_in_office_id = $8,
+                 check_in_distance_meters = $9,
+                 status = CASE WHEN status_override THEN status ELSE 'present' END,
+                 status_evaluated_at = NULL,
                  updated_at = NOW()
              WHERE id = $5
              RETURNING *`,
-            [startOfNextDay, record.check_in_ip, record.check_in_location, prevState, existingNext.id]
+            [
+              startOfNextDay, record.check_in_ip, record.check_in_location, prevState, existingNext.id, record.shift_id,
+              fence.geofence, fence.office_id, fence.distance_meters,
+            ]
           );
           nextRecord = updateNextResult.rows[0];
+          await attendanceSessionService.openSession(nextRecord, {
+            time: startOfNextDay, ip: record.check_in_ip, location: record.check_in_location, fence,
+          }, client);
         } else {
           nextRecord = existingNext;
         }
@@ -812,12 +937,19 @@ class AttendanceService {
         // Insert new record
         const insertNextResult = await client.query(
           `INSERT INTO attendance_records 
-           (user_id, date, check_in_time, check_in_ip, check_in_location, current_state, last_state_change_at) 
-           VALUES ($1, $2::date, $3, $4, $5, $6, $3) 
+           (user_id, date, check_in_time, check_in_ip, check_in_location, current_state, last_state_change_at, shift_id,
+            check_in_geofence, check_in_office_id, check_in_distance_meters) 
+           VALUES ($1, $2::date, $3, $4, $5, $6, $3, $7, $8, $9, $10) 
            RETURNING *`,
-          [userId, nextDateStr, startOfNextDay, record.check_in_ip, record.check_in_location, prevState]
+          [
+            userId, nextDateStr, startOfNextDay, record.check_in_ip, record.check_in_location, prevState, record.shift_id,
+            fence.geofence, fence.office_id, fence.distance_meters,
+          ]
         );
         nextRecord = insertNextResult.rows[0];
+        await attendanceSessionService.openSession(nextRecord, {
+          time: startOfNextDay, ip: record.check_in_ip, location: record.check_in_location, fence,
+        }, client);
       }
 
       // 3. Open appropriate logs for the new record
@@ -0,0 +1,181 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+const SESSION_COLUMNS = `id, attendance_record_id, check_in_time, check_out_time, check_in_ip, check_out_ip,
+  check_in_location, check_out_location, check_in_geofence, check_in_office_id, check_in_distance_meters,
+  check_out_geofence, check_out_office_id, check_out_distance_meters, work_duration, active_duration,
+  idle_duration, break_duration`;
+
+/**
+ * Attendance Session Service
+ * One row per check-in/check-out pair within an attendance record, so a day
+ * can hold several sessions (checking out for an errand and back in later).
+ *
+ * The record keeps the day view: check_in_time is the first check-in,
+ * check_out_time the last check-out (NULL while a session is open), and the
+ * total_* columns are the sums of the closed sessions. The state counters on
+ * the record (active_seconds, idle_seconds, lunch_seconds) run for the whole
+ * day; a session's share is what they gained while it was open.
+ */
+class AttendanceSessionService {
+  /**
+   * Sessions of a record, oldest first
+   * @param {string} recordId - Attendance record ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Array>}
+   */
+  async getSessions(recordId, client = pool) {
+    const result = await client.query(
+      `SELECT ${SESSION_COLUMNS} FROM attendance_sessions
+       WHERE attendance_record_id = $1
+       ORDER BY check_in_time`,
+      [recordId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Start a session
+   * @param {Object} record - attendance_records row
+   * @param {Object} checkIn - { time, ip, location, fence } (fence from officeLocationService.classify)
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object>} The session
+   */
+  async openSession(record, { time, ip = null, location = null, fence = null }, client) {
+    const result = await client.query(
+      `INSERT INTO attendance_sessions
+         (attendance_record_id, user_id, check_in_time, check_in_ip, check_in_location, check_in_geofence,
+          check_in_office_id, check_in_distance_meters)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${SESSION_COLUMNS}`,
+      [
+        record.id, record.user_id, time, ip, location ? JSON.stringify(location) : null,
+        fence?.geofence || null, fence?.office_id || null, fence?.distance_meters ?? null,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * End the record's open session and work out the day's totals
+   * Call after stateTransitionService.finalizeState so the record's counters
+   * include the time up to check-out. The session's work time is clamped to its
+   * own wall-clock time, like checkOut always did for the whole day.
+   * @param {Object} record - attendance_records row with finalized counters
+   * @param {Object} checkOut - { time, ip, location, fence }
+   * @param {Object} client - Transaction client
+   * @param {string} source - Label for the clamp warning (e.g. 'CHECKOUT')
+   * @returns {Promise<Object>} { session, totals: { totalWork, totalActive, totalIdle, totalBreak } }
+   */
+  async closeSession(record, { time, ip = null, location = null, fence = null }, client, source = 'CHECKOUT') {
+    let open = (await client.query(
+      `SELECT id, check_in_time FROM attendance_sessions
+       WHERE attendance_record_id = $1 AND check_out_time IS NULL
+       FOR UPDATE`,
+      [record.id]
+    )).rows[0];
+    if (!open) {
+      // Records opened before sessions existed
+      open = await this.openSession(record, { time: record.check_in_time, ip: record.check_in_ip }, client);
+    }
+
+    const previous = (await client.query(
+      `SELECT COALESCE(SUM(active_duration), 0)::int AS active, COALESCE(SUM(idle_duration), 0)::int AS idle,
+              COALESCE(SUM(break_duration), 0)::int AS break
+       FROM attendance_sessions
+       WHERE attendance_record_id = $1 AND check_out_time IS NOT NULL`,
+      [record.id]
+    )).rows[0];
+
+    const active = Math.max(0, (record.active_seconds || 0) - previous.active);
+    const idle = Math.max(0, (record.idle_seconds || 0) - previous.idle);
+    const lunch = Math.max(0, (record.lunch_seconds || 0) - previous.break);
+
+    // Safety cap: work can never exceed the session's wall-clock time.
+    // If state counters drifted due to a race condition, this prevents impossible values.
+    const rawWork = active + idle;
+    const wallClockSeconds = Math.max(0, Math.floor((new Date(time) - new Date(open.check_in_time)) / 1000));
+    const work = Math.min(rawWork, wallClockSeconds);
+    if (rawWork > wallClockSeconds) {
+      logger.warn(
+        `[${source} CLAMP] record=${record.id} session=${open.id} rawWork=${rawWork}s exceeds wallClock=${wallClockSeconds}s. ` +
+        `Clamped to wallClock. active=${active}s, idle=${idle}s, lunch=${lunch}s`
+      );
+    }
+
+    const session = (await client.query(
+      `UPDATE attendance_sessions
+       SET check_out_time = $2, check_out_ip = $3, check_out_location = $4,
+           work_duration = $5, active_duration = $6, idle_duration = $7, break_duration = $8,
+           check_out_geofence = $9, check_out_office_id = $10, check_out_distance_meters = $11, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${SESSION_COLUMNS}`,
+      [
+        open.id, time, ip, location ? JSON.stringify(location) : null, work, active, idle, lunch,
+        fence?.geofence || null, fence?.office_id || null, fence?.distance_meters ?? null,
+      ]
+    )).rows[0];
+
+    return { session, totals: await this.getTotals(record.id, client) };
+  }
+
+  /**
+   * Day totals summed over a record's closed sessions
+   * @returns {Promise<Object>} { totalWork, totalActive, totalIdle, totalBreak }
+   */
+  async getTotals(recordId, client = pool) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(work_duration), 0)::int AS work, COALESCE(SUM(active_duration), 0)::int AS active,
+              COALESCE(SUM(idle_duration), 0)::int AS idle, COALESCE(SUM(break_duration), 0)::int AS break
+       FROM attendance_sessions
+       WHERE attendance_record_id = $1 AND check_out_time IS NOT NULL`,
+      [recordId]
+    );
+    const totals = result.rows[0];
+    return { totalWork: totals.work, totalActive: totals.active, totalIdle: totals.idle, totalBreak: totals.break };
+  }
+
+  /**
+   * Replace a corrected record's sessions (see attendanceCorrectionService)
+   * Each session keeps the IP, location and geofence of the one it was
+   * corrected from; the first and last fall back to the record's check-in and
+   * check-out, and a session the correction added has none of its own.
+   * @param {Object} record - attendance_records row
+   * @param {Array} sessions - Oldest first: { source, start, end, work, active, idle, break }
+   *   where source is the previous session row or null
+   * @param {Object} client - Transaction client
+   */
+  async replaceSessions(record, sessions, client) {
+    await client.query('DELETE FROM attendance_sessions WHERE attendance_record_id = $1', [record.id]);
+
+    for (const [index, session] of sessions.entries()) {
+      const source = session.source || {};
+      const atCheckIn = index === 0 ? record : {};
+      const atCheckOut = index === sessions.length - 1 ? record : {};
+      await client.query(
+        `INSERT INTO attendance_sessions
+           (attendance_record_id, user_id, check_in_time, check_out_time, check_in_ip, check_out_ip,
+            check_in_location, check_out_location, check_in_geofence, check_in_office_id, check_in_distance_meters,
+            check_out_geofence, check_out_office_id, check_out_distance_meters,
+            work_duration, active_duration, idle_duration, break_duration)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)`,
+        [
+          record.id, record.user_id, session.start, session.end,
+          source.check_in_ip || atCheckIn.check_in_ip || null,
+          source.check_out_ip || atCheckOut.check_out_ip || null,
+          source.check_in_location || atCheckIn.check_in_location || null,
+          source.check_out_location || atCheckOut.check_out_location || null,
+          source.check_in_geofence || atCheckIn.check_in_geofence || null,
+          source.check_in_office_id || atCheckIn.check_in_office_id || null,
+          source.check_in_distance_meters ?? atCheckIn.check_in_distance_meters ?? null,
+          source.check_out_geofence || atCheckOut.check_out_geofence || null,
+          source.check_out_office_id || atCheckOut.check_out_office_id || null,
+          source.check_out_distance_meters ?? atCheckOut.check_out_distance_meters ?? null,
+          session.work, session.active, session.idle, session.break,
+        ]
+      );
+    }
+  }
+}
+
+module.exports = new AttendanceSessionService();
@@ -0,0 +1,150 @@
+const pool = require('../config/database');
+const settingsService = require('./settingsService');
+const shiftService = require('./shiftService');
+const holidayService = require('./holidayService');
+const timezoneService = require('./timezoneService');
+const logger = require('../utils/logger');
+const { toDateString } = require('../utils/helpers');
+
+const DEFAULT_RULES = { full_day_minutes: 480, half_day_minutes: 240 };
+
+/**
+ * Attendance Status Service
+ * Decides attendance_records.status once a record is settled: checked out
+ * (or auto-checked-out), or its business day ended without a check-in.
+ *
+ * - on approved leave (attendance_records.leave_request_id): on_leave unless
+ *   the employee worked a full day anyway; a half-day leave needs only
+ *   `half_day_minutes` of work for present
+ * - worked at least `full_day_minutes` → present, `half_day_minutes` → half_day
+ * - otherwise absent; on a day off (a holiday in the employee's calendar, or
+ *   a day their shift or the calendar's weekly offs exclude) the status is
+ *   cleared instead (NULL), so days off count neither way
+ *
+ * Thresholds come from the `attendance_status_rules` setting. A record that
+ * is still open keeps the provisional 'present' set at check-in.
+ */
+class AttendanceStatusService {
+  async getRules() {
+    const rules = await settingsService.get('attendance_status_rules', DEFAULT_RULES);
+    const valid = Number.isInteger(rules?.full_day_minutes) && Number.isInteger(rules?.half_day_minutes)
+      && rules.half_day_minutes >= 0 && rules.half_day_minutes <= rules.full_day_minutes;
+    return valid ? rules : DEFAULT_RULES;
+  }
+
+  /**
+   * Status a settled record should carry
+   * @param {Object} record - attendance_records row
+   * @param {Object} rules - { full_day_minutes, half_day_minutes }
+   * @param {boolean} workingDay - Whether the record's date is a working day for the employee
+   * @param {Object|null} leave - Approved leave covering the day ({ half_day }), if any
+   * @returns {string|null}
+   */
+  determineStatus(record, rules, workingDay, leave = null) {
+    if (!record.check_in_time) {
+      if (leave) return 'on_leave';
+      return workingDay ? 'absent' : null;
+    }
+
+    const workedMinutes = Math.floor((record.total_work_duration || 0) / 60);
+    const fullDayMinutes = leave?.half_day ? rules.half_day_minutes : rules.full_day_minutes;
+    if (workedMinutes >= fullDayMinutes) return 'present';
+    if (leave) return 'on_leave';
+    if (workedMinutes >= rules.half_day_minutes) return 'half_day';
+    return workingDay ? 'absent' : null;
+  }
+
+  /**
+   * Approved leave a record is linked to
+   * @returns {Promise<Object|null>} { id, half_day } or null
+   */
+  async getRecordLeave(record, client = pool) {
+    if (!record.leave_request_id) return null;
+    const result = await client.query(
+      `SELECT id, half_day FROM leave_requests WHERE id = $1 AND status = 'approved'`,
+      [record.leave_request_id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Recompute a record's status; call after anything that changes its times
+   * or totals. Open records are left alone.
+   * @param {string} recordId - Attendance record ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|null>} The record as stored afterwards
+   */
+  async evaluateRecord(recordId, client = pool) {
+    const result = await client.query('SELECT * FROM attendance_records WHERE id = $1', [recordId]);
+    const record = result.rows[0];
+    if (!record || (record.check_in_time && !record.check_out_time)) {
+      return record || null;
+    }
+
+    const shift = await shiftService.getRecordShift(record, client);
+    const day = await holidayService.getDayType(record.user_id, toDateString(record.date), shift, client);
+    const leave = await this.getRecordLeave(record, client);
+    // A status set by hand (admin edit) is kept until it is released
+    const status = record.status_override
+      ? record.status
+      : this.determineStatus(record, await this.getRules(), day.working, leave);
+
+    const updated = await client.query(
+      `UPDATE attendance_records SET status = $2, status_evaluated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [recordId, status]
+    );
+    if (status !== record.status) {
+      logger.info(`Attendance ${recordId} (${toDateString(record.date)}) status ${record.status} -> ${status}`);
+    }
+    return updated.rows[0];
+  }
+
+  /**
+   * Settle records whose business day has ended and that have not been
+   * evaluated since their last change. Whether a day has ended depends on the
+   * employee's timezone and shift, so it is checked here rather than in SQL;
+   * records of days still running are paged past instead of holding up the
+   * older ones behind them.
+   * @param {number} limit - Maximum records evaluated per run; the rest wait for the next
+   * @returns {Promise<Object>} { evaluated }
+   */
+  async evaluateEndedDays(limit = 500) {
+    const now = new Date();
+    let evaluated = 0;
+    let after = null;
+
+    while (evaluated < limit) {
+      const pending = await pool.query(
+        `SELECT ar.id, ar.user_id, ar.date, ar.shift_id, u.timezone
+         FROM attendance_records ar
+         JOIN users u ON u.id = ar.user_id
+         WHERE ar.status_evaluated_at IS NULL
+           AND ar.date <= CURRENT_DATE
+           AND (ar.check_in_time IS NULL OR ar.check_out_time IS NOT NULL)
+           AND ($2::date IS NULL OR (ar.date, ar.id) > ($2::date, $3::uuid))
+         ORDER BY ar.date, ar.id
+         LIMIT $1`,
+        [limit, after?.date ?? null, after?.id ?? null]
+      );
+
+      for (const record of pending.rows) {
+        after = { date: toDateString(record.date), id: record.id };
+        const timeZone = await timezoneService.resolve(record.timezone);
+        const dayEnd = await timezoneService.getRecordDayEnd(record, timeZone);
+        if (dayEnd > now) continue;
+
+        await this.evaluateRecord(record.id);
+        evaluated++;
+        if (evaluated >= limit) break;
+      }
+
+      if (pending.rows.length < limit) break;
+    }
+
+    return { evaluated };
+  }
+}
+
+module.exports = new AttendanceStatusService();
@@ -0,0 +1,153 @@
+const pool = require('../config/database');
+const { getClientIp } = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+// Never copied into before/after snapshots.
+const REDACTED_FIELDS = ['password_hash', 'key_hash', 'token_hash', 'secret_encrypted'];
+const EXPORT_MAX_ROWS = 50000;
+
+const EVENT_COLUMNS = `id, occurred_at, actor_id, actor_email, actor_role, action, outcome,
+  target_type, target_id, changes, metadata, ip_address, user_agent`;
+
+const redact = (record) => {
+  if (!record) return null;
+  const copy = { ...record };
+  REDACTED_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+};
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level diff of two snapshots
+ * @param {Object|null} before - State before the change
+ * @param {Object|null} after - State after the change
+ * @returns {Object|null} { field: { before, after } } for changed fields only
+ */
+const diff = (before, after) => {
+  const previous = redact(before) || {};
+  const next = redact(after) || {};
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+    if (field === 'updated_at') continue;
+    if (!isEqual(previous[field], next[field])) {
+      changes[field] = { before: previous[field] ?? null, after: next[field] ?? null };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Audit Service
+ * Append-only security log. `audit_events` rejects UPDATE and DELETE at the
+ * database level; actors are stored by value so events outlive their users.
+ */
+class AuditService {
+  /**
+   * Record an event. Failures are logged and swallowed so auditing never
+   * breaks the request being audited.
+   * @param {Object} req - Express request (actor, IP and user agent), may be null for jobs
+   * @param {Object} event - { action, outcome, actor, targetType, targetId, before, after, metadata }
+   */
+  async record(req, {
+    action,
+    outcome = 'success',
+    actor = null,
+    targetType = null,
+    targetId = null,
+    before = null,
+    after = null,
+    metadata = null,
+  }) {
+    const who = actor || req?.user || {};
+    const changes = before || after ? diff(before, after) : null;
+
+    try {
+      await pool.query(
+        `INSERT INTO audit_events
+           (actor_id, actor_email, actor_role, action, outcome, target_type, target_id,
+            changes, metadata, ip_address, user_agent)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          who.id || null,
+          who.email || null,
+          who.role || null,
+          action,
+          outcome,
+          targetType,
+          targetId ? String(targetId) : null,
+          changes ? JSON.stringify(changes) : null,
+          metadata ? JSON.stringify(metadata) : null,
+          req ? getClientIp(req) : null,
+          req ? (req.headers['user-agent'] || null) : null,
+        ]
+      );
+    } catch (error) {
+      logger.error(`Failed to record audit event ${action}:`, error);
+    }
+  }
+
+  buildFilters(filters) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    if (filters.action) {
+      // "user.*" matches every user action
+      if (filters.action.endsWith('.*')) add('action LIKE ?', `${filters.action.slice(0, -1)}%`);
+      else add('action = ?', filters.action);
+    }
+    if (filters.outcome) add('outcome = ?', filters.outcome);
+    if (filters.actor_id) add('actor_id = ?', filters.actor_id);
+    if (filters.actor_email) add('LOWER(actor_email) = LOWER(?)', filters.actor_email);
+    if (filters.target_type) add('target_type = ?', filters.target_type);
+    if (filters.target_id) add('target_id = ?', filters.target_id);
+    if (filters.from) add('occurred_at >= ?', filters.from);
+    if (filters.to) add('occurred_at <= ?', filters.to);
+
+    return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * Page through events, newest first
+   * @param {Object} filters - action, outcome, actor_id, actor_email, target_type, target_id, from, to
+   * @param {Object} pagination - { limit, offset }
+   * @returns {Promise<Object>} { events, total }
+   */
+  async listEvents(filters, { limit, offset }) {
+    const { where, params } = this.buildFilters(filters);
+
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM audit_events ${where}`, params);
+    const result = await pool.query(
+      `SELECT ${EVENT_COLUMNS} FROM audit_events ${where}
+       ORDER BY occurred_at DESC, id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return { events: result.rows, total: countResult.rows[0].total };
+  }
+
+  /**
+   * Events for a CSV export (capped at EXPORT_MAX_ROWS)
+   * @param {Object} filters - Same as listEvents
+   * @returns {Promise<Array>}
+   */
+  async exportEvents(filters) {
+    const { where, params } = this.buildFilters(filters);
+    const result = await pool.query(
+      `SELECT ${EVENT_COLUMNS} FROM audit_events ${where}
+       ORDER BY occurred_at DESC, id DESC
+       LIMIT ${EXPORT_MAX_ROWS}`,
+      params
+    );
+    return result.rows;
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+// What a device key may be used for. Keys never grant access to anything else.
+const DEVICE_SCOPES = ['heartbeat', 'screenshots'];
+const KEY_PREFIX = 'trk_';
+const LAST_SEEN_UPDATE_SECONDS = 60;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const DEVICE_COLUMNS = `id, user_id, name, os, tracker_version, key_prefix, scopes,
+  last_seen_at, last_ip, created_at, revoked_at, revoked_reason`;
+
+/**
+ * Device Service
+ * Registry of desktop trackers. Each device gets a long-lived key
+ * (only the SHA-256 hash is stored) limited to tracker scopes.
+ */
+class DeviceService {
+  /**
+   * Register a device for a user and return its key (shown only once)
+   * @param {string} userId - Owner
+   * @param {Object} data - { name, os, tracker_version, scopes }
+   * @returns {Promise<Object>} { device, deviceKey }
+   */
+  async registerDevice(userId, { name, os = null, tracker_version = null, scopes = DEVICE_SCOPES }) {
+    const deviceKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const result = await pool.query(
+      `INSERT INTO devices (user_id, name, os, tracker_version, key_prefix, key_hash, scopes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${DEVICE_COLUMNS}`,
+      [userId, name, os, tracker_version, deviceKey.slice(0, 12), hashKey(deviceKey), scopes]
+    );
+
+    logger.info(`Device registered for user ${userId}: ${name}`);
+    return { device: result.rows[0], deviceKey };
+  }
+
+  /**
+   * Resolve a device key to its device and owner
+   * @param {string} deviceKey - Key presented by the tracker
+   * @returns {Promise<Object|null>} Device row joined with user fields, or null
+   */
+  async findByKey(deviceKey) {
+    if (!deviceKey || !deviceKey.startsWith(KEY_PREFIX)) return null;
+
+    const result = await pool.query(
+      `SELECT d.id, d.user_id, d.name, d.scopes, d.revoked_at, d.last_seen_at,
+              u.email, u.role, u.employee_id, u.status
+       FROM devices d
+       JOIN users u ON u.id = d.user_id
+       WHERE d.key_hash = $1`,
+      [hashKey(deviceKey)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record that a device was seen (at most once per minute per device)
+   * @param {string} deviceId - Device
+   * @param {Object} context - { ipAddress, trackerVersion }
+   */
+  async touch(deviceId, { ipAddress = null, trackerVersion = null } = {}) {
+    await pool.query(
+      `UPDATE devices
+       SET last_seen_at = NOW(),
+           last_ip = COALESCE($2, last_ip),
+           tracker_version = COALESCE($3, tracker_version)
+       WHERE id = $1
+         AND (last_seen_at IS NULL
+              OR last_seen_at < NOW() - make_interval(secs => $4::int)
+              OR tracker_version IS DISTINCT FROM COALESCE($3, tracker_version))`,
+      [deviceId, ipAddress, trackerVersion, LAST_SEEN_UPDATE_SECONDS]
+    );
+  }
+
+  /**
+   * Devices of one user
+   * @param {string} userId - Owner
+   * @param {boolean} includeRevoked - Also return revoked devices
+   * @returns {Promise<Array>}
+   */
+  async listForUser(userId, includeRevoked = false) {
+    const result = await pool.query(
+      `SELECT ${DEVICE_COLUMNS} FROM devices
+       WHERE user_id = $1 ${includeRevoked ? '' : 'AND revoked_at IS NULL'}
+       ORDER BY last_seen_at DESC NULLS LAST, created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Active devices of all users with owner details (admin overview)
+   * @returns {Promise<Array>}
+   */
+  async listAll() {
+    const result = await pool.query(
+      `SELECT d.id, d.user_id, u.name AS user_name, u.email, u.employee_id,
+              d.name, d.os, d.tracker_version, d.key_prefix, d.scopes,
+              d.last_seen_at, d.last_ip, d.created_at
+       FROM devices d
+       JOIN users u ON u.id = d.user_id
+       WHERE d.revoked_at IS NULL
+       ORDER BY u.name, d.last_seen_at DESC NULLS LAST`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Revoke a device key
+   * @param {string} deviceId - Device to revoke
+   * @param {string} reason - Short machine-readable reason
+   * @param {string} userId - Optional owner check
+   * @returns {Promise<Object|null>} Revoked device or null if not found / already revoked
+   */
+  async revokeDevice(deviceId, reason, userId = null) {
+    const result = await pool.query(
+      `UPDATE devices SET revoked_at = NOW(), revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL ${userId ? 'AND user_id = $3' : ''}
+       RETURNING ${DEVICE_COLUMNS}`,
+      userId ? [deviceId, reason, userId] : [deviceId, reason]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    logger.info(`Device ${deviceId} revoked (${reason})`);
+    return result.rows[0];
+  }
+}
+
+module.exports = new DeviceService();
@@ -0,0 +1,445 @@
+const pool = require('../config/database');
+const shiftService = require('./shiftService');
+const logger = require('../utils/logger');
+const { parseIcs } = require('../utils/ics');
+
+const CALENDAR_FIELDS = ['name', 'region', 'weekly_off', 'is_default'];
+const HOLIDAY_FIELDS = ['date', 'name'];
+
+const CALENDAR_COLUMNS = `hc.id, hc.name, hc.region, hc.weekly_off, hc.is_default, hc.created_at, hc.updated_at,
+  (SELECT COUNT(*)::int FROM users u WHERE u.holiday_calendar_id = hc.id AND u.status <> 'terminated') AS user_count,
+  (SELECT COUNT(*)::int FROM holidays h WHERE h.calendar_id = hc.id) AS holiday_count`;
+
+const HOLIDAY_COLUMNS = `id, calendar_id, TO_CHAR(date, 'YYYY-MM-DD') AS date, name, source_uid, created_at, updated_at`;
+
+const UNIQUE_VIOLATION = '23505';
+
+// Largest ICS document accepted by importIcs, in VEVENTs
+const MAX_IMPORT_EVENTS = 1000;
+
+/**
+ * Calendar an employee follows: their own, else the organization default
+ * @param {string} userAlias - Alias of the users row
+ * @param {string} alias - Alias to give holiday_calendars
+ * @returns {string} LEFT JOIN fragment
+ */
+const calendarJoinSql = (userAlias = 'u', alias = 'hc') => `LEFT JOIN holiday_calendars ${alias}
+  ON ${alias}.id = COALESCE(${userAlias}.holiday_calendar_id, (SELECT id FROM holiday_calendars WHERE is_default))`;
+
+/**
+ * Whether a date is a working day for an employee: not a holiday in their
+ * calendar, and one of their shift's working days, or without a shift not one
+ * of the calendar's weekly offs
+ * @param {string} day - SQL date expression
+ * @param {string} shiftAlias - Alias of the (left-joined) shifts row
+ * @param {string} calendarAlias - Alias of the (left-joined) holiday_calendars row
+ * @returns {string} Boolean SQL expression
+ */
+const workingDaySql = (day, shiftAlias = 's', calendarAlias = 'hc') => `(
+  NOT EXISTS (SELECT 1 FROM holidays wh WHERE wh.calendar_id = ${calendarAlias}.id AND wh.date = ${day})
+  AND CASE
+    WHEN ${shiftAlias}.id IS NOT NULL THEN EXTRACT(DOW FROM ${day})::int = ANY(${shiftAlias}.working_days)
+    ELSE NOT (EXTRACT(DOW FROM ${day})::int = ANY(COALESCE(${calendarAlias}.weekly_off, '{}')))
+  END
+)`;
+
+/**
+ * Holiday Service
+ * Holiday calendars (a region's or office's public holidays plus its weekly
+ * offs) and the working-day rules built on them. Employees follow
+ * users.holiday_calendar_id, else the calendar marked is_default; a shift's
+ * working_days take precedence over the calendar's weekly_off.
+ */
+class HolidayService {
+  constructor() {
+    this.calendarJoinSql = calendarJoinSql;
+    this.workingDaySql = workingDaySql;
+  }
+
+  async listCalendars() {
+    const result = await pool.query(
+      `SELECT ${CALENDAR_COLUMNS} FROM holiday_calendars hc ORDER BY hc.is_default DESC, hc.name`
+    );
+    return result.rows;
+  }
+
+  async getCalendar(calendarId, client = pool) {
+    const result = await client.query(
+      `SELECT ${CALENDAR_COLUMNS} FROM holiday_calendars hc WHERE hc.id = $1`,
+      [calendarId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Holidays of a calendar, optionally within a date range
+   * @param {string} calendarId - Calendar ID
+   * @param {Object} range - { startDate, endDate } (YYYY-MM-DD, both optional)
+   * @returns {Promise<Array>}
+   */
+  async listHolidays(calendarId, { startDate = null, endDate = null } = {}) {
+    const result = await pool.query(
+      `SELECT ${HOLIDAY_COLUMNS} FROM holidays
+       WHERE calendar_id = $1
+         AND ($2::date IS NULL OR date >= $2::date)
+         AND ($3::date IS NULL OR date <= $3::date)
+       ORDER BY date`,
+      [calendarId, startDate, endDate]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Create a calendar; making it the default takes that over from the current one
+   * @param {Object} data - { name, region, weekly_off, is_default }
+   * @returns {Promise<Object>} { calendar } or { error, message }
+   */
+  async createCalendar({ name, region = null, weekly_off = [0], is_default = false }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (is_default) {
+        await client.query('UPDATE holiday_calendars SET is_default = FALSE, updated_at = NOW() WHERE is_default');
+      }
+      const result = await client.query(
+        `INSERT INTO holiday_calendars (name, region, weekly_off, is_default)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [name, region, weekly_off, is_default]
+      );
+      const calendar = await this.getCalendar(result.rows[0].id, client);
+      await client.query('COMMIT');
+
+      logger.info(`Holiday calendar created: ${name}`);
+      return { calendar };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'CALENDAR_EXISTS', message: 'A holiday calendar with this name already exists' };
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update a calendar
+   * @param {string} calendarId - Calendar ID
+   * @param {Object} data - Any of CALENDAR_FIELDS
+   * @returns {Promise<Object>} { before, calendar } or { error, message }
+   */
+  async updateCalendar(calendarId, data) {
+    const before = await this.getCalendar(calendarId);
+    if (!before) {
+      return { error: 'CALENDAR_NOT_FOUND', message: 'Holiday calendar not found' };
+    }
+
+    const fields = CALENDAR_FIELDS.filter((field) => data[field] !== undefined);
+    if (fields.length === 0) {
+      return { error: 'NO_UPDATES', message: 'No fields to update' };
+    }
+    if (before.is_default && data.is_default === false) {
+      return { error: 'DEFAULT_CALENDAR_REQUIRED', message: 'Make another calendar the default instead' };
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      if (data.is_default && !before.is_default) {
+        await client.query('UPDATE holiday_calendars SET is_default = FALSE, updated_at = NOW() WHERE is_default');
+      }
+      await client.query(
+        `UPDATE holiday_calendars
+         SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1`,
+        [calendarId, ...fields.map((field) => data[field])]
+      );
+      const calendar = await this.getCalendar(calendarId, client);
+      await client.query('COMMIT');
+      return { before, calendar };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'CALENDAR_EXISTS', message: 'A holiday calendar with this name already exists' };
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Delete a calendar nobody follows; its holidays go with it
+   * @param {string} calendarId - Calendar ID
+   * @returns {Promise<Object>} { calendar } or { error, message }
+   */
+  async deleteCalendar(calendarId) {
+    const calendar = await this.getCalendar(calendarId);
+    if (!calendar) {
+      return { error: 'CALENDAR_NOT_FOUND', message: 'Holiday calendar not found' };
+    }
+    if (calendar.is_default || calendar.user_count > 0) {
+      return {
+        error: 'CALENDAR_IN_USE',
+        message: 'Reassign the calendar\'s employees (and make another calendar the default) before deleting it',
+      };
+    }
+
+    await pool.query('DELETE FROM holiday_calendars WHERE id = $1', [calendarId]);
+    logger.info(`Holiday calendar deleted: ${calendar.name}`);
+    return { calendar };
+  }
+
+  /**
+   * Check that a calendar referenced by a user exists
+   * @param {string|null|undefined} calendarId - Calendar ID (null/undefined need no check)
+   * @returns {Promise<Object|null>} { error, message } or null when valid
+   */
+  async validateCalendar(calendarId) {
+    if (calendarId && !(await this.getCalendar(calendarId))) {
+      return { error: 'CALENDAR_NOT_FOUND', message: 'Holiday calendar not found' };
+    }
+    return null;
+  }
+
+  async getHoliday(calendarId, holidayId) {
+    const result = await pool.query(
+      `SELECT ${HOLIDAY_COLUMNS} FROM holidays WHERE id = $1 AND calendar_id = $2`,
+      [holidayId, calendarId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Add a holiday to a calendar
+   * @param {string} calendarId - Calendar ID
+   * @param {Object} data - { date, name }
+   * @returns {Promise<Object>} { holiday } or { error, message }
+   */
+  async addHoliday(calendarId, { date, name }) {
+    if (!(await this.getCalendar(calendarId))) {
+      return { error: 'CALENDAR_NOT_FOUND', message: 'Holiday calendar not found' };
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO holidays (calendar_id, date, name)
+         VALUES ($1, $2, $3)
+         RETURNING ${HOLIDAY_COLUMNS}`,
+        [calendarId, date, name]
+      );
+      return { holiday: result.rows[0] };
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'HOLIDAY_EXISTS', message: 'The calendar already has a holiday on this date' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a holiday
+   * @returns {Promise<Object>} { before, holiday } or { error, message }
+   */
+  async updateHoliday(calendarId, holidayId, data) {
+    const before = await this.getHoliday(calendarId, holidayId);
+    if (!before) {
+      return { error: 'HOLIDAY_NOT_FOUND', message: 'Holiday not found' };
+    }
+
+    const fields = HOLIDAY_FIELDS.filter((field) => data[field] !== undefined);
+    if (fields.length === 0) {
+      return { error: 'NO_UPDATES', message: 'No fields to update' };
+    }
+
+    try {
+      const result = await pool.query(
+        `UPDATE holidays
+         SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${HOLIDAY_COLUMNS}`,
+        [holidayId, ...fields.map((field) => data[field])]
+      );
+      return { before, holiday: result.rows[0] };
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'HOLIDAY_EXISTS', message: 'The calendar already has a holiday on this date' };
+      }
+      throw error;
+    }
+  }
+
+  async deleteHoliday(calendarId, holidayId) {
+    const holiday = await this.getHoliday(calendarId, holidayId);
+    if (!holiday) {
+      return { error: 'HOLIDAY_NOT_FOUND', message: 'Holiday not found' };
+    }
+
+    await pool.query('DELETE FROM holidays WHERE id = $1', [holidayId]);
+    return { holiday };
+  }
+
+  /**
+   * Import holidays from an iCalendar feed
+   * Each all-day (or multi-day) event becomes one holiday per date; a date
+   * that already has a holiday takes the event's name.
+   * @param {string} calendarId - Calendar ID
+   * @param {string} ics - iCalendar document
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} { summary, holidays, skipped } or { error, message }
+   */
+  async importIcs(calendarId, ics, { dryRun = false } = {}) {
+    if (!(await this.getCalendar(calendarId))) {
+      return { error: 'CALENDAR_NOT_FOUND', message: 'Holiday calendar not found' };
+    }
+
+    const parsed = parseIcs(ics);
+    if (parsed.error) return parsed;
+    if (parsed.events.length > MAX_IMPORT_EVENTS) {
+      return { error: 'IMPORT_TOO_LARGE', message: `At most ${MAX_IMPORT_EVENTS} events per import` };
+    }
+
+    // One entry per date; a later event on the same date wins
+    const byDate = new Map();
+    for (const event of parsed.events) {
+      for (const date of event.dates) {
+        byDate.set(date, { date, name: event.name, source_uid: event.uid });
+      }
+    }
+    const entries = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+    const existing = await pool.query(
+      `SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, name FROM holidays WHERE calendar_id = $1 AND date = ANY($2::date[])`,
+      [calendarId, entries.map((entry) => entry.date)]
+    );
+    const existingNames = new Map(existing.rows.map((row) => [row.date, row.name]));
+
+    const holidays = entries.map((entry) => {
+      let action = 'create';
+      if (existingNames.has(entry.date)) {
+        action = existingNames.get(entry.date) === entry.name ? 'unchanged' : 'update';
+      }
+      return { ...entry, action };
+    });
+
+    if (!dryRun) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        for (const holiday of holidays.filter((entry) => entry.action !== 'unchanged')) {
+          await client.query(
+            `INSERT INTO holidays (calendar_id, date, name, source_uid)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (calendar_id, date)
+             DO UPDATE SET name = EXCLUDED.name, source_uid = EXCLUDED.source_uid, updated_at = NOW()`,
+            [calendarId, holiday.date, holiday.name, holiday.source_uid]
+          );
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+      logger.info(`Imported ${holidays.length} holiday dates into calendar ${calendarId}`);
+    }
+
+    const count = (action) => holidays.filter((entry) => entry.action === action).length;
+    return {
+      summary: {
+        events: parsed.events.length + parsed.skipped.length,
+        dates: holidays.length,
+        created: count('create'),
+        updated: count('update'),
+        unchanged: count('unchanged'),
+        skipped: parsed.skipped.length,
+      },
+      holidays,
+      skipped: parsed.skipped,
+    };
+  }
+
+  /**
+   * Calendar an employee follows, with its holidays in a date range
+   * @param {string} userId - User ID
+   * @param {Object} range - { startDate, endDate }
+   * @returns {Promise<Object>} { calendar, holidays }; calendar is null when none applies
+   */
+  async getUserCalendar(userId, range = {}) {
+    const result = await pool.query(
+      `SELECT hc.id FROM users u ${calendarJoinSql()} WHERE u.id = $1`,
+      [userId]
+    );
+    const calendarId = result.rows[0]?.id;
+    if (!calendarId) {
+      return { calendar: null, holidays: [] };
+    }
+    return {
+      calendar: await this.getCalendar(calendarId),
+      holidays: await this.listHolidays(calendarId, range),
+    };
+  }
+
+  /**
+   * Whether a business date is a working day for an employee
+   * @param {string} userId - User ID
+   * @param {string} dateStr - YYYY-MM-DD
+   * @param {Object|null|undefined} shift - Shift the day follows; undefined looks up the user's current one
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} { working, holiday, weekly_off } (holiday name or null)
+   */
+  async getDayType(userId, dateStr, shift = undefined, client = pool) {
+    const result = await client.query(
+      `SELECT h.name AS holiday, EXTRACT(DOW FROM $2::date)::int = ANY(COALESCE(hc.weekly_off, '{}')) AS weekly_off
+       FROM users u
+       ${calendarJoinSql()}
+       LEFT JOIN holidays h ON h.calendar_id = hc.id AND h.date = $2::date
+       WHERE u.id = $1`,
+      [userId, dateStr]
+    );
+    const row = result.rows[0] || { holiday: null, weekly_off: false };
+    const dayShift = shift === undefined ? await shiftService.getUserShift(userId, client) : shift;
+    const weeklyOff = dayShift ? !shiftService.isWorkingDay(dayShift, dateStr) : row.weekly_off;
+
+    return { working: !row.holiday && !weeklyOff, holiday: row.holiday || null, weekly_off: weeklyOff };
+  }
+
+  /**
+   * Whether a date is a working day in the default calendar
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {Promise<Object>} { working, holiday, weekly_off }
+   */
+  async getOrganizationDayType(dateStr) {
+    const result = await pool.query(
+      `SELECT h.name AS holiday, EXTRACT(DOW FROM $1::date)::int = ANY(hc.weekly_off) AS weekly_off
+       FROM holiday_calendars hc
+       LEFT JOIN holidays h ON h.calendar_id = hc.id AND h.date = $1::date
+       WHERE hc.is_default`,
+      [dateStr]
+    );
+    const row = result.rows[0];
+    if (!row) return { working: true, holiday: null, weekly_off: false };
+    return { working: !row.holiday && !row.weekly_off, holiday: row.holiday, weekly_off: row.weekly_off };
+  }
+
+  /**
+   * Scalar SQL counting an employee's working days in a date range
+   * @param {string} userId - SQL expression for the user ID
+   * @param {string} start - SQL date expression
+   * @param {string} end - SQL date expression
+   * @returns {string}
+   */
+  workingDaysCountSql(userId, start, end) {
+    return `(SELECT COUNT(*)::int
+      FROM generate_series(${start}, ${end}, INTERVAL '1 day') wd(day)
+      JOIN users wu ON wu.id = ${userId}
+      LEFT JOIN departments wdept ON wdept.id = wu.department_id
+      LEFT JOIN shifts ws ON ws.id = COALESCE(wu.shift_id, wdept.shift_id)
+      ${calendarJoinSql('wu', 'whc')}
+      WHERE ${workingDaySql('wd.day::date', 'ws', 'whc')})`;
+  }
+}
+
+module.exports = new HolidayService();
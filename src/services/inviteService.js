@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+const INVITE_EXPIRY_HOURS = parseInt(process.env.INVITE_EXPIRY_HOURS || '72', 10);
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+// Advisory lock key used to serialise first-admin bootstrap registrations
+const BOOTSTRAP_LOCK_KEY = 7310001;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const INVITE_COLUMNS = `id, email, name, employee_id, role, department_id, team_id, manager_id,
+  TO_CHAR(joining_date, 'YYYY-MM-DD') AS joining_date, invited_by, expires_at, sent_count,
+  last_sent_at, accepted_at, accepted_user_id, revoked_at, created_at, updated_at`;
+
+/**
+ * Derive a display status from the invite timestamps
+ * @param {Object} invite - user_invites row
+ * @returns {string} pending | accepted | revoked | expired
+ */
+const getInviteStatus = (invite) => {
+  if (invite.accepted_at) return 'accepted';
+  if (invite.revoked_at) return 'revoked';
+  if (new Date(invite.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+};
+
+const withStatus = (invite) => ({ ...invite, status: getInviteStatus(invite) });
+
+/**
+ * Invite Service
+ * Accounts are created only through invitations issued by admin/HR. An invite
+ * token is a JWT (typ "invite") signed with JWT_SECRET; only its SHA-256 hash
+ * is stored so the token is single-use and can be rotated by a resend.
+ */
+class InviteService {
+  /**
+   * Sign a fresh invite token for an invite row
+   * @param {string} inviteId - Invite the token belongs to
+   * @returns {{ token: string, expiresAt: Date }}
+   */
+  signInviteToken(inviteId) {
+    const token = jwt.sign(
+      { typ: 'invite', inv: inviteId, nonce: crypto.randomBytes(16).toString('hex') },
+      process.env.JWT_SECRET,
+      { expiresIn: `${INVITE_EXPIRY_HOURS}h` }
+    );
+    const expiresAt = new Date(Date.now() + INVITE_EXPIRY_HOURS * 60 * 60 * 1000);
+    return { token, expiresAt };
+  }
+
+  buildAcceptUrl(token) {
+    return `${APP_BASE_URL}/accept-invite?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Whether an inviter may hand out the given role
+   * Only admins can invite other admins.
+   * @param {Object} inviter - req.user
+   * @param {string} role - Role on the invite
+   * @returns {boolean}
+   */
+  canGrantRole(inviter, role) {
+    return role !== 'admin' || inviter.role === 'admin';
+  }
+
+  /**
+   * Create an invite and return it with its one-time token
+   * @param {Object} data - { email, name, employee_id, role, department_id, team_id, manager_id, joining_date }
+   * @param {Object} inviter - req.user
+   * @returns {Promise<Object>} { invite, token, acceptUrl } or { error, message }
+   */
+  async createInvite({
+    email,
+    name = null,
+    employee_id,
+    role = 'employee',
+    department_id = null,
+    team_id = null,
+    manager_id = null,
+    joining_date = null,
+  }, inviter) {
+    if (!this.canGrantRole(inviter, role)) {
+      return { error: 'FORBIDDEN_ROLE', message: 'Only admins can invite admins' };
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const existingUser = await client.query(
+        'SELECT id FROM users WHERE LOWER(email) = $1 OR employee_id = $2',
+        [normalizedEmail, employee_id]
+      );
+      if (existingUser.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return { error: 'USER_EXISTS', message: 'A user with this email or employee ID already exists' };
+      }
+
+      // An expired invite still holds the "one open invite per email" slot; release it.
+      await client.query(
+        `UPDATE user_invites SET revoked_at = NOW(), updated_at = NOW()
+         WHERE LOWER(email) = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= NOW()`,
+        [normalizedEmail]
+      );
+
+      const openInvite = await client.query(
+        `SELECT id FROM user_invites
+         WHERE (LOWER(email) = $1 OR employee_id = $2) AND accepted_at IS NULL AND revoked_at IS NULL`,
+        [normalizedEmail, employee_id]
+      );
+      if (openInvite.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return { error: 'INVITE_EXISTS', message: 'An open invite already exists for this email or employee ID, resend it instead' };
+      }
+
+      const inviteId = crypto.randomUUID();
+      const { token, expiresAt } = this.signInviteToken(inviteId);
+
+      const result = await client.query(
+        `INSERT INTO user_invites
+           (id, email, name, employee_id, role, department_id, team_id, manager_id, joining_date,
+            token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+         RETURNING ${INVITE_COLUMNS}`,
+        [
+          inviteId, normalizedEmail, name, employee_id, role, department_id, team_id, manager_id, joining_date,
+          hashToken(token), inviter.id, expiresAt,
+        ]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`Invite ${inviteId} created for ${normalizedEmail} (${role}) by ${inviter.email}`);
+      return { invite: withStatus(result.rows[0]), token, acceptUrl: this.buildAcceptUrl(token) };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Create invite error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * List invites, newest first
+   * @param {string} status - Optional filter: pending | accepted | revoked | expired
+   * @returns {Promise<Array>}
+   */
+  async listInvites(status = null) {
+    const conditions = {
+      pending: 'accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()',
+      accepted: 'accepted_at IS NOT NULL',
+      revoked: 'revoked_at IS NOT NULL AND accepted_at IS NULL',
+      expired: 'accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= NOW()',
+    };
+
+    const where = status && conditions[status] ? `WHERE ${conditions[status]}` : '';
+    const result = await pool.query(
+      `SELECT ${INVITE_COLUMNS} FROM user_invites ${where} ORDER BY created_at DESC`
+    );
+    return result.rows.map(withStatus);
+  }
+
+  /**
+   * Issue a new token for an open (or expired) invite; the previous token stops working
+   * @param {string} inviteId - Invite to resend
+   * @param {Object} inviter - req.user
+   * @returns {Promise<Object>} { invite, token, acceptUrl } or { error, message }
+   */
+  async resendInvite(inviteId, inviter) {
+    const existing = await pool.query(`SELECT ${INVITE_COLUMNS} FROM user_invites WHERE id = $1`, [inviteId]);
+    const invite = existing.rows[0];
+
+    if (!invite) {
+      return { error: 'INVITE_NOT_FOUND', message: 'Invite not found' };
+    }
+    if (invite.accepted_at || invite.revoked_at) {
+      return { error: 'INVITE_CLOSED', message: `Invite has already been ${getInviteStatus(invite)}` };
+    }
+    if (!this.canGrantRole(inviter, invite.role)) {
+      return { error: 'FORBIDDEN_ROLE', message: 'Only admins can invite admins' };
+    }
+
+    const { token, expiresAt } = this.signInviteToken(inviteId);
+    const result = await pool.query(
+      `UPDATE user_invites
+       SET token_hash = $2, expires_at = $3, sent_count = sent_count + 1,
+           last_sent_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING ${INVITE_COLUMNS}`,
+      [inviteId, hashToken(token), expiresAt]
+    );
+
+    if (result.rows.length === 0) {
+      return { error: 'INVITE_CLOSED', message: 'Invite is no longer open' };
+    }
+
+    logger.info(`Invite ${inviteId} resent to ${invite.email} by ${inviter.email}`);
+    return { invite: withStatus(result.rows[0]), token, acceptUrl: this.buildAcceptUrl(token) };
+  }
+
+  /**
+   * Change the details of an open invite; the link already sent keeps working
+   * @param {string} inviteId - Open invite
+   * @param {Object} details - { email, name, role, department_id, team_id, manager_id, joining_date }
+   * @returns {Promise<Object|null>} Updated invite or null if it is no longer open
+   */
+  async updateInviteDetails(inviteId, {
+    email, name, role, department_id, team_id, manager_id, joining_date,
+  }) {
+    const result = await pool.query(
+      `UPDATE user_invites
+       SET email = $2, name = $3, role = $4, department_id = $5, team_id = $6, manager_id = $7,
+           joining_date = $8, updated_at = NOW()
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING ${INVITE_COLUMNS}`,
+      [inviteId, email.trim().toLowerCase(), name, role, department_id, team_id, manager_id, joining_date]
+    );
+    return result.rows.length > 0 ? withStatus(result.rows[0]) : null;
+  }
+
+  /**
+   * Revoke an open invite
+   * @param {string} inviteId - Invite to revoke
+   * @returns {Promise<Object>} { invite } or { error, message }
+   */
+  async revokeInvite(inviteId) {
+    const result = await pool.query(
+      `UPDATE user_invites SET revoked_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING ${INVITE_COLUMNS}`,
+      [inviteId]
+    );
+
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT id FROM user_invites WHERE id = $1', [inviteId]);
+      return exists.rows.length === 0
+        ? { error: 'INVITE_NOT_FOUND', message: 'Invite not found' }
+        : { error: 'INVITE_CLOSED', message: 'Invite is no longer open' };
+    }
+
+    logger.info(`Invite ${inviteId} revoked`);
+    return { invite: withStatus(result.rows[0]) };
+  }
+
+  /**
+   * Resolve an invite token to its open invite
+   * @param {string} token - Invite token from the link
+   * @param {Object} client - Optional transaction client (row is locked FOR UPDATE)
+   * @returns {Promise<Object>} { invite } or { error, message }
+   */
+  async findOpenInvite(token, client = pool) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return error.name === 'TokenExpiredError'
+        ? { error: 'INVITE_EXPIRED', message: 'This invitation has expired, ask for a new one' }
+        : { error: 'INVALID_INVITE', message: 'Invalid invitation link' };
+    }
+
+    if (payload.typ !== 'invite') {
+      return { error: 'INVALID_INVITE', message: 'Invalid invitation link' };
+    }
+
+    const result = await client.query(
+      `SELECT ${INVITE_COLUMNS} FROM user_invites WHERE token_hash = $1 ${client === pool ? '' : 'FOR UPDATE'}`,
+      [hashToken(token)]
+    );
+    const invite = result.rows[0];
+
+    // A resent invite keeps its id but gets a new hash, so old links land here too.
+    if (!invite || invite.id !== payload.inv) {
+      return { error: 'INVALID_INVITE', message: 'This invitation link is no longer valid' };
+    }
+
+    const status = getInviteStatus(invite);
+    if (status === 'expired') {
+      return { error: 'INVITE_EXPIRED', message: 'This invitation has expired, ask for a new one' };
+    }
+    if (status !== 'pending') {
+      return { error: 'INVALID_INVITE', message: `This invitation has already been ${status}` };
+    }
+
+    return { invite };
+  }
+
+  /**
+   * Accept an invite: create the user account with the chosen password
+   * @param {string} token - Invite token
+   * @param {Object} data - { password, name }
+   * @returns {Promise<Object>} { user } or { error, message }
+   */
+  async acceptInvite(token, { password, name }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const found = await this.findOpenInvite(token, client);
+      if (found.error) {
+        await client.query('ROLLBACK');
+        return found;
+      }
+
+      const { invite } = found;
+      const displayName = (name || invite.name || '').trim();
+      if (!displayName) {
+        await client.query('ROLLBACK');
+        return { error: 'NAME_REQUIRED', message: 'Name is required' };
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      let user;
+      try {
+        const userResult = await client.query(
+          `INSERT INTO users
+             (email, password_hash, name, employee_id, role, department_id, team_id, manager_id, joining_date)
+           VALUES ($1, $2, $3, $4, $5, $6, $7,
+                   (SELECT id FROM users WHERE id = $8 AND status = 'active'), $9)
+           RETURNING id, email, name, employee_id, role, department_id, team_id, manager_id, status, created_at`,
+          [
+            invite.email, hashedPassword, displayName, invite.employee_id, invite.role,
+            invite.department_id, invite.team_id, invite.manager_id, invite.joining_date,
+          ]
+        );
+        user = userResult.rows[0];
+      } catch (error) {
+        if (error.code !== '23505') throw error;
+        await client.query('ROLLBACK');
+        return { error: 'USER_EXISTS', message: 'An account with this email or employee ID already exists' };
+      }
+
+      await client.query(
+        `UPDATE user_invites SET accepted_at = NOW(), accepted_user_id = $2, updated_at = NOW()
+         WHERE id = $1`,
+        [invite.id, user.id]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`Invite ${invite.id} accepted, user created: ${user.email}`);
+      return { user };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Accept invite error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create the very first account as an admin. Only works while the users table is empty.
+   * @param {Object} data - { email, password, name, employee_id }
+   * @returns {Promise<Object>} { user } or { error, message }
+   */
+  async bootstrapFirstAdmin({ email, password, name, employee_id }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Two concurrent bootstrap requests must not both see an empty table.
+      await client.query('SELECT pg_advisory_xact_lock($1)', [BOOTSTRAP_LOCK_KEY]);
+
+      const countResult = await client.query('SELECT EXISTS (SELECT 1 FROM users) AS has_users');
+      if (countResult.rows[0].has_users) {
+        await client.query('ROLLBACK');
+        return {
+          error: 'REGISTRATION_DISABLED',
+          message: 'Self-registration is disabled. Ask an administrator for an invitation.',
+        };
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const result = await client.query(
+        `INSERT INTO users (email, password_hash, name, employee_id, role)
+         VALUES ($1, $2, $3, $4, 'admin')
+         RETURNING id, email, name, employee_id, role, status, created_at`,
+        [email.trim().toLowerCase(), hashedPassword, name, employee_id]
+      );
+
+      await client.query('COMMIT');
+
+      logger.info(`First admin account bootstrapped: ${email}`);
+      return { user: result.rows[0] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Bootstrap admin error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new InviteService();
@@ -0,0 +1,634 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const holidayService = require('./holidayService');
+const timezoneService = require('./timezoneService');
+const attendanceStatusService = require('./attendanceStatusService');
+
+const TYPE_FIELDS = ['code', 'name', 'is_paid', 'yearly_allowance', 'max_carry_forward', 'allow_half_day', 'is_active'];
+
+const TYPE_COLUMNS = `id, code, name, is_paid, yearly_allowance::float AS yearly_allowance,
+  max_carry_forward::float AS max_carry_forward, allow_half_day, is_active, created_at, updated_at`;
+
+const REQUEST_COLUMNS = `lr.id, lr.user_id, u.name AS user_name, u.employee_id, lr.leave_type_id, lt.code AS leave_type,
+  lt.name AS leave_type_name, TO_CHAR(lr.start_date, 'YYYY-MM-DD') AS start_date,
+  TO_CHAR(lr.end_date, 'YYYY-MM-DD') AS end_date, lr.half_day, lr.days::float AS days, lr.reason, lr.status,
+  lr.reviewed_by, r.name AS reviewed_by_name, lr.reviewed_at, lr.review_comment, lr.created_at, lr.updated_at`;
+
+const REQUEST_JOINS = `JOIN users u ON u.id = lr.user_id
+  JOIN leave_types lt ON lt.id = lr.leave_type_id
+  LEFT JOIN users r ON r.id = lr.reviewed_by`;
+
+const UNIQUE_VIOLATION = '23505';
+
+// Longest single application, in calendar days
+const MAX_REQUEST_DAYS = 90;
+
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Leave is counted in half days
+const roundToHalf = (value) => Math.round(value * 2) / 2;
+
+/**
+ * Leave Service
+ * Leave types, yearly balances, applications and their approval.
+ *
+ * Balances are kept per user, type and calendar year: `allocated` is the
+ * type's yearly allowance (pro-rated in the year the employee joined),
+ * `carried_forward` is last year's unused balance up to the type's
+ * `max_carry_forward`, `adjusted` is HR's manual correction. Used and pending
+ * days are summed from the requests themselves. Unpaid types have no balance.
+ *
+ * An approved request links the employee's attendance_records on its working
+ * days (leave_request_id), which makes them on_leave; see attendanceStatusService.
+ */
+class LeaveService {
+  async listTypes({ includeInactive = false } = {}) {
+    const result = await pool.query(
+      `SELECT ${TYPE_COLUMNS} FROM leave_types
+       WHERE $1 OR is_active
+       ORDER BY is_paid DESC, name`,
+      [includeInactive]
+    );
+    return result.rows;
+  }
+
+  async getType(typeId, client = pool) {
+    const result = await client.query(`SELECT ${TYPE_COLUMNS} FROM leave_types WHERE id = $1`, [typeId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a leave type
+   * @param {Object} data - TYPE_FIELDS; code and name required
+   * @returns {Promise<Object>} { type } or { error, message }
+   */
+  async createType(data) {
+    const fields = TYPE_FIELDS.filter((field) => data[field] !== undefined);
+    try {
+      const result = await pool.query(
+        `INSERT INTO leave_types (${fields.join(', ')})
+         VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+         RETURNING ${TYPE_COLUMNS}`,
+        fields.map((field) => data[field])
+      );
+      logger.info(`Leave type created: ${data.code}`);
+      return { type: result.rows[0] };
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'LEAVE_TYPE_EXISTS', message: 'A leave type with this code already exists' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a leave type; a new allowance applies to balances created from then on
+   * @param {string} typeId - Leave type ID
+   * @param {Object} data - Any of TYPE_FIELDS
+   * @returns {Promise<Object>} { before, type } or { error, message }
+   */
+  async updateType(typeId, data) {
+    const before = await this.getType(typeId);
+    if (!before) {
+      return { error: 'LEAVE_TYPE_NOT_FOUND', message: 'Leave type not found' };
+    }
+
+    const fields = TYPE_FIELDS.filter((field) => data[field] !== undefined);
+    if (fields.length === 0) {
+      return { error: 'NO_UPDATES', message: 'No fields to update' };
+    }
+
+    try {
+      const result = await pool.query(
+        `UPDATE leave_types
+         SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${TYPE_COLUMNS}`,
+        [typeId, ...fields.map((field) => data[field])]
+      );
+      return { before, type: result.rows[0] };
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'LEAVE_TYPE_EXISTS', message: 'A leave type with this code already exists' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Days an employee has been granted (or has applied for) of a type in a year
+   * @returns {Promise<Object>} { used, pending }
+   */
+  async getUsage(userId, typeId, year, client = pool, excludeRequestId = null) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(days) FILTER (WHERE status = 'approved'), 0)::float AS used,
+              COALESCE(SUM(days) FILTER (WHERE status = 'pending'), 0)::float AS pending
+       FROM leave_requests
+       WHERE user_id = $1 AND leave_type_id = $2 AND EXTRACT(YEAR FROM start_date) = $3
+         AND ($4::uuid IS NULL OR id <> $4::uuid)`,
+      [userId, typeId, year, excludeRequestId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * What is left of the previous year's balance, up to the type's cap
+   * @param {string} userId - User ID
+   * @param {Object} type - Leave type row
+   * @param {number} year - Year the days are carried into
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<number>}
+   */
+  async getCarryForward(userId, type, year, client = pool) {
+    if (!(type.max_carry_forward > 0)) return 0;
+
+    const previous = await client.query(
+      `SELECT (allocated + carried_forward + adjusted)::float AS total
+       FROM leave_balances WHERE user_id = $1 AND leave_type_id = $2 AND year = $3`,
+      [userId, type.id, year - 1]
+    );
+    if (!previous.rows[0]) return 0;
+
+    const { used } = await this.getUsage(userId, type.id, year - 1, client);
+    return Math.min(type.max_carry_forward, Math.max(0, previous.rows[0].total - used));
+  }
+
+  /**
+   * Re-derive an existing balance's carry-forward from the previous year as it
+   * stands now. A balance created ahead of time (leave applied for next year)
+   * only saw the usage at that moment; the yearly accrual and every change to
+   * the previous year's approved leave or adjustment bring it up to date.
+   * @param {string} userId - User ID
+   * @param {Object} type - Leave type row
+   * @param {number} year - Year of the balance to refresh
+   * @param {Object} client - Optional transaction client
+   */
+  async refreshCarryForward(userId, type, year, client = pool) {
+    if (!type.is_paid) return;
+    const carriedForward = await this.getCarryForward(userId, type, year, client);
+    await client.query(
+      `UPDATE leave_balances SET carried_forward = $4, updated_at = NOW()
+       WHERE user_id = $1 AND leave_type_id = $2 AND year = $3 AND carried_forward <> $4`,
+      [userId, type.id, year, carriedForward]
+    );
+  }
+
+  // Approved leave in a year changes what carries into the next one
+  async refreshFollowingYear(request, client) {
+    const type = await this.getType(request.leave_type_id, client);
+    await this.refreshCarryForward(request.user_id, type, Number(request.start_date.slice(0, 4)) + 1, client);
+  }
+
+  /**
+   * The balance row for a user, type and year, creating it on first use
+   * Creation is the yearly accrual: the allowance (pro-rated by month in the
+   * joining year) plus what is left of last year's balance, up to the cap
+   * (kept current by refreshCarryForward).
+   * @param {string} userId - User ID
+   * @param {Object} type - Leave type row
+   * @param {number} year - Calendar year
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} leave_balances row (numbers as floats)
+   */
+  async ensureBalance(userId, type, year, client = pool) {
+    const existing = await client.query(
+      `SELECT id, allocated::float AS allocated, carried_forward::float AS carried_forward, adjusted::float AS adjusted
+       FROM leave_balances WHERE user_id = $1 AND leave_type_id = $2 AND year = $3`,
+      [userId, type.id, year]
+    );
+    if (existing.rows[0]) return existing.rows[0];
+
+    const user = await client.query(
+      `SELECT EXTRACT(YEAR FROM joining_date)::int AS joining_year, EXTRACT(MONTH FROM joining_date)::int AS joining_month
+       FROM users WHERE id = $1`,
+      [userId]
+    );
+    const { joining_year: joiningYear, joining_month: joiningMonth } = user.rows[0] || {};
+
+    let allocated = type.yearly_allowance;
+    if (joiningYear === year) {
+      allocated = roundToHalf((type.yearly_allowance * (13 - joiningMonth)) / 12);
+    } else if (joiningYear > year) {
+      allocated = 0;
+    }
+
+    const carriedForward = await this.getCarryForward(userId, type, year, client);
+
+    const result = await client.query(
+      `INSERT INTO leave_balances (user_id, leave_type_id, year, allocated, carried_forward)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, leave_type_id, year) DO UPDATE SET updated_at = leave_balances.updated_at
+       RETURNING id, allocated::float AS allocated, carried_forward::float AS carried_forward, adjusted::float AS adjusted`,
+      [userId, type.id, year, allocated, carriedForward]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Lock an employee's balance row until the transaction ends (paid types only)
+   * @param {Object} client - Transaction client
+   */
+  async lockBalance(userId, type, year, client) {
+    if (!type.is_paid) return;
+    await this.ensureBalance(userId, type, year, client);
+    await client.query(
+      'SELECT id FROM leave_balances WHERE user_id = $1 AND leave_type_id = $2 AND year = $3 FOR UPDATE',
+      [userId, type.id, year]
+    );
+  }
+
+  /**
+   * Balance of one type, with used, pending and available days
+   * available is null for unpaid types, which are not limited
+   */
+  async getBalance(userId, type, year, client = pool, excludeRequestId = null) {
+    const usage = await this.getUsage(userId, type.id, year, client, excludeRequestId);
+    if (!type.is_paid) {
+      return {
+        leave_type_id: type.id, leave_type: type.code, name: type.name, year, is_paid: false,
+        allocated: 0, carried_forward: 0, adjusted: 0, ...usage, available: null,
+      };
+    }
+
+    const balance = await this.ensureBalance(userId, type, year, client);
+    const total = balance.allocated + balance.carried_forward + balance.adjusted;
+    return {
+      leave_type_id: type.id,
+      leave_type: type.code,
+      name: type.name,
+      year,
+      is_paid: true,
+      allocated: balance.allocated,
+      carried_forward: balance.carried_forward,
+      adjusted: balance.adjusted,
+      ...usage,
+      available: total - usage.used - usage.pending,
+    };
+  }
+
+  /**
+   * An employee's balances for every active leave type
+   * @param {string} userId - User ID
+   * @param {number} year - Calendar year
+   * @returns {Promise<Array>}
+   */
+  async getBalances(userId, year) {
+    const types = await this.listTypes();
+    const balances = [];
+    for (const type of types) {
+      balances.push(await this.getBalance(userId, type, year));
+    }
+    return balances;
+  }
+
+  /**
+   * Add to (or, negative, take from) an employee's balance
+   * @param {Object} data - { user_id, leave_type_id, year, days }
+   * @returns {Promise<Object>} { before, balance } or { error, message }
+   */
+  async adjustBalance({ user_id: userId, leave_type_id: typeId, year, days }) {
+    const type = await this.getType(typeId);
+    if (!type) {
+      return { error: 'LEAVE_TYPE_NOT_FOUND', message: 'Leave type not found' };
+    }
+    if (!type.is_paid) {
+      return { error: 'UNPAID_LEAVE_TYPE', message: 'Unpaid leave types have no balance' };
+    }
+    const user = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (user.rows.length === 0) {
+      return { error: 'USER_NOT_FOUND', message: 'User not found' };
+    }
+
+    const before = await this.getBalance(userId, type, year);
+    await pool.query(
+      `UPDATE leave_balances SET adjusted = adjusted + $4, updated_at = NOW()
+       WHERE user_id = $1 AND leave_type_id = $2 AND year = $3`,
+      [userId, typeId, year, days]
+    );
+    await this.refreshCarryForward(userId, type, year + 1);
+    return { before, balance: await this.getBalance(userId, type, year) };
+  }
+
+  /**
+   * Create every active employee's balances for a year (the yearly accrual)
+   * Balances are otherwise created on first use; running this on 1 January
+   * settles the carry-forward of those created ahead of time as well.
+   * @param {number} year - Calendar year
+   * @returns {Promise<Object>} { year, balances }
+   */
+  async accrueYear(year) {
+    const types = (await this.listTypes()).filter((type) => type.is_paid);
+    const users = await pool.query(`SELECT id FROM users WHERE status = 'active'`);
+
+    let balances = 0;
+    for (const user of users.rows) {
+      for (const type of types) {
+        await this.ensureBalance(user.id, type, year);
+        await this.refreshCarryForward(user.id, type, year);
+        balances++;
+      }
+    }
+    logger.info(`Leave accrual for ${year}: ${balances} balances across ${users.rows.length} employees`);
+    return { year, balances };
+  }
+
+  /**
+   * Working days a leave would cover, per the employee's shift and holiday calendar
+   * @param {string} userId - User ID
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Array<string>>} Dates (YYYY-MM-DD)
+   */
+  async getLeaveDates(userId, startDate, endDate, client = pool) {
+    const dates = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      const day = await holidayService.getDayType(userId, date, undefined, client);
+      if (day.working) dates.push(date);
+    }
+    return dates;
+  }
+
+  async getRequest(requestId, client = pool) {
+    const result = await client.query(
+      `SELECT ${REQUEST_COLUMNS} FROM leave_requests lr ${REQUEST_JOINS} WHERE lr.id = $1`,
+      [requestId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List leave requests
+   * @param {Object} filters - { userId, status, year, scopeFilter } (scopeFilter from accessService, alias u)
+   * @returns {Promise<Array>}
+   */
+  async listRequests({ userId = null, status = null, year = null, scopeFilter = null } = {}) {
+    const params = [userId, status, year];
+    let scope = 'TRUE';
+    if (scopeFilter) {
+      // Scope filters number their params from 1; shift them after ours
+      const offset = params.length;
+      scope = scopeFilter.clause.replace(/\$(\d+)/g, (match, n) => `$${parseInt(n, 10) + offset}`);
+      params.push(...scopeFilter.params);
+    }
+
+    const result = await pool.query(
+      `SELECT ${REQUEST_COLUMNS}
+       FROM leave_requests lr
+       ${REQUEST_JOINS}
+       WHERE ($1::uuid IS NULL OR lr.user_id = $1::uuid)
+         AND ($2::text IS NULL OR lr.status = $2::text)
+         AND ($3::int IS NULL OR EXTRACT(YEAR FROM lr.start_date) = $3::int)
+         AND ${scope}
+       ORDER BY lr.start_date DESC, lr.created_at DESC`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Apply for leave
+   * @param {string} userId - Applicant
+   * @param {Object} data - { leave_type_id, start_date, end_date, half_day, reason }
+   * @returns {Promise<Object>} { request } or { error, message }
+   */
+  async applyLeave(userId, {
+    leave_type_id: typeId, start_date: startDate, end_date: endDate = startDate, half_day: halfDay = false, reason = null,
+  }) {
+    const type = await this.getType(typeId);
+    if (!type || !type.is_active) {
+      return { error: 'LEAVE_TYPE_NOT_FOUND', message: 'Leave type not found' };
+    }
+    if (endDate < startDate) {
+      return { error: 'INVALID_DATES', message: 'end_date cannot be before start_date' };
+    }
+    if (startDate.slice(0, 4) !== endDate.slice(0, 4)) {
+      return { error: 'INVALID_DATES', message: 'A leave cannot span two years; apply for each year separately' };
+    }
+    if (addDays(startDate, MAX_REQUEST_DAYS) <= endDate) {
+      return { error: 'INVALID_DATES', message: `A single leave can cover at most ${MAX_REQUEST_DAYS} days` };
+    }
+    if (halfDay && (!type.allow_half_day || startDate !== endDate)) {
+      return {
+        error: 'HALF_DAY_NOT_ALLOWED',
+        message: type.allow_half_day ? 'A half-day leave covers a single date' : `${type.name} cannot be taken as a half day`,
+      };
+    }
+
+    const overlap = await pool.query(
+      `SELECT 1 FROM leave_requests
+       WHERE user_id = $1 AND status IN ('pending', 'approved') AND start_date <= $3 AND end_date >= $2
+       LIMIT 1`,
+      [userId, startDate, endDate]
+    );
+    if (overlap.rows.length > 0) {
+      return { error: 'LEAVE_OVERLAP', message: 'You already have leave pending or approved on these dates' };
+    }
+
+    const dates = await this.getLeaveDates(userId, startDate, endDate);
+    if (dates.length === 0) {
+      return { error: 'NO_WORKING_DAYS', message: 'The selected dates are all holidays or weekly offs' };
+    }
+    const days = halfDay ? 0.5 : dates.length;
+
+    const year = Number(startDate.slice(0, 4));
+    const balance = await this.getBalance(userId, type, year);
+    if (balance.available !== null && balance.available < days) {
+      return {
+        error: 'INSUFFICIENT_BALANCE',
+        message: `Only ${balance.available} day(s) of ${type.name} available for ${year}`,
+      };
+    }
+
+    const result = await pool.query(
+      `INSERT INTO leave_requests (user_id, leave_type_id, start_date, end_date, half_day, days, reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [userId, typeId, startDate, endDate, halfDay, days, reason]
+    );
+
+    logger.info(`Leave requested by ${userId}: ${type.code} ${startDate}..${endDate} (${days} days)`);
+    return { request: await this.getRequest(result.rows[0].id) };
+  }
+
+  /**
+   * Approve or reject a pending request
+   * @param {Object} reviewer - req.user; access to the applicant is checked by the caller
+   * @param {string} requestId - Leave request ID
+   * @param {string} decision - 'approved' | 'rejected'
+   * @param {string|null} comment - Optional note to the applicant
+   * @returns {Promise<Object>} { before, request } or { error, message }
+   */
+  async reviewRequest(reviewer, requestId, decision, comment = null) {
+    const before = await this.getRequest(requestId);
+    if (!before) {
+      return { error: 'LEAVE_REQUEST_NOT_FOUND', message: 'Leave request not found' };
+    }
+    if (before.user_id === reviewer.id) {
+      return { error: 'SELF_REVIEW', message: 'You cannot review your own leave request' };
+    }
+    if (before.status !== 'pending') {
+      return { error: 'LEAVE_NOT_PENDING', message: `The request is already ${before.status}` };
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Lock the request so two reviewers cannot both act on it
+      const locked = await client.query(
+        'SELECT status FROM leave_requests WHERE id = $1 FOR UPDATE',
+        [requestId]
+      );
+      if (locked.rows[0].status !== 'pending') {
+        await client.query('ROLLBACK');
+        return { error: 'LEAVE_NOT_PENDING', message: `The request is already ${locked.rows[0].status}` };
+      }
+
+      if (decision === 'approved') {
+        const type = await this.getType(before.leave_type_id, client);
+        const year = Number(before.start_date.slice(0, 4));
+        // Lock the balance too, so approving two requests at once cannot overdraw it
+        await this.lockBalance(before.user_id, type, year, client);
+        const balance = await this.getBalance(before.user_id, type, year, client, requestId);
+        if (balance.available !== null && balance.available < before.days) {
+          await client.query('ROLLBACK');
+          return {
+            error: 'INSUFFICIENT_BALANCE',
+            message: `Only ${balance.available} day(s) of ${type.name} available`,
+          };
+        }
+      }
+
+      await client.query(
+        `UPDATE leave_requests
+         SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_comment = $4, updated_at = NOW()
+         WHERE id = $1`,
+        [requestId, decision, reviewer.id, comment]
+      );
+      if (decision === 'approved') {
+        await this.markAttendance(before, client);
+        await this.refreshFollowingYear(before, client);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info(`Leave request ${requestId} ${decision} by ${reviewer.id}`);
+    return { before, request: await this.getRequest(requestId) };
+  }
+
+  /**
+   * Withdraw a request
+   * The applicant may cancel while it is pending, or an approved leave that
+   * has not started; reviewers with `leave:approve:any` may cancel any approved leave.
+   * @param {Object} actor - req.user
+   * @param {string} requestId - Leave request ID
+   * @param {boolean} canOverride - Whether the actor may cancel a started leave or someone else's
+   * @returns {Promise<Object>} { before, request } or { error, message }
+   */
+  async cancelRequest(actor, requestId, canOverride = false) {
+    const before = await this.getRequest(requestId);
+    if (!before) {
+      return { error: 'LEAVE_REQUEST_NOT_FOUND', message: 'Leave request not found' };
+    }
+    if (before.user_id !== actor.id && !canOverride) {
+      return { error: 'LEAVE_REQUEST_NOT_FOUND', message: 'Leave request not found' };
+    }
+    if (!['pending', 'approved'].includes(before.status)) {
+      return { error: 'LEAVE_NOT_CANCELLABLE', message: `The request is already ${before.status}` };
+    }
+    if (before.status === 'approved' && !canOverride) {
+      const today = await timezoneService.getUserDate(before.user_id);
+      if (before.start_date <= today) {
+        return { error: 'LEAVE_NOT_CANCELLABLE', message: 'Leave that has started can only be cancelled by HR' };
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE leave_requests SET status = 'cancelled', updated_at = NOW() WHERE id = $1`,
+        [requestId]
+      );
+      if (before.status === 'approved') {
+        await this.unmarkAttendance(before, client);
+        await this.refreshFollowingYear(before, client);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info(`Leave request ${requestId} cancelled by ${actor.id}`);
+    return { before, request: await this.getRequest(requestId) };
+  }
+
+  /**
+   * Link an approved leave to the attendance records of its working days,
+   * creating them where the day has none yet
+   * Days without a check-in become on_leave; days already worked are re-evaluated.
+   */
+  async markAttendance(request, client) {
+    const dates = await this.getLeaveDates(request.user_id, request.start_date, request.end_date, client);
+    for (const date of dates) {
+      const result = await client.query(
+        `INSERT INTO attendance_records (user_id, date, status, leave_request_id)
+         VALUES ($1, $2, 'on_leave', $3)
+         ON CONFLICT (user_id, date) DO UPDATE
+         SET leave_request_id = EXCLUDED.leave_request_id,
+             status = CASE WHEN attendance_records.check_in_time IS NULL THEN 'on_leave' ELSE attendance_records.status END,
+             status_evaluated_at = NULL,
+             updated_at = NOW()
+         RETURNING id, check_out_time`,
+        [request.user_id, date, request.id]
+      );
+      if (result.rows[0].check_out_time) {
+        await attendanceStatusService.evaluateRecord(result.rows[0].id, client);
+      }
+    }
+  }
+
+  /**
+   * Undo markAttendance for a cancelled leave
+   * Untouched future days are removed again; past and current ones go back to
+   * absent until the status job settles them.
+   */
+  async unmarkAttendance(request, client) {
+    const today = await timezoneService.getUserDate(request.user_id, new Date(), client);
+    await client.query(
+      `DELETE FROM attendance_records
+       WHERE leave_request_id = $1 AND check_in_time IS NULL AND date > $2`,
+      [request.id, today]
+    );
+    const result = await client.query(
+      `UPDATE attendance_records
+       SET leave_request_id = NULL,
+           status = CASE WHEN check_in_time IS NULL THEN 'absent' ELSE status END,
+           status_evaluated_at = NULL,
+           updated_at = NOW()
+       WHERE leave_request_id = $1
+       RETURNING id, check_out_time`,
+      [request.id]
+    );
+    for (const record of result.rows) {
+      if (record.check_out_time) {
+        await attendanceStatusService.evaluateRecord(record.id, client);
+      }
+    }
+  }
+}
+
+module.exports = new LeaveService();
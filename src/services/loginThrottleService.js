@@ -0,0 +1,214 @@
+const pool = require('../config/database');
+const { redisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const IP_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS || '20', 10);
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10);
+const DELAY_AFTER_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 30;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Login Throttle Service
+ * Tracks failed logins per email and per client IP. Counters live in Redis
+ * and fall back to the login_failures table when Redis is not connected.
+ *
+ * - After DELAY_AFTER_ATTEMPTS failures for an email, each further attempt must
+ *   wait an exponentially growing delay (1s, 2s, 4s ... capped at MAX_DELAY_SECONDS).
+ * - After MAX_FAILED_ATTEMPTS failures the account is locked for LOCKOUT_MINUTES
+ *   (persisted in users.locked_until so the lock survives Redis restarts).
+ * - After IP_MAX_FAILED_ATTEMPTS failures from one IP, that IP is blocked until the window expires.
+ */
+class LoginThrottleService {
+  /**
+   * Check whether a login attempt may proceed
+   * @param {string} email - Email the attempt is for
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Object>} {} when allowed, otherwise { error, message, retryAfter }
+   */
+  async checkAllowed(email, ipAddress) {
+    if (ipAddress) {
+      const ipState = await this.getState('ip', ipAddress);
+      if (ipState.count >= IP_MAX_FAILED_ATTEMPTS) {
+        const retryAfter = Math.max(1, ATTEMPT_WINDOW_MINUTES * 60 - ipState.secondsSinceFirstFailure);
+        return {
+          error: 'TOO_MANY_ATTEMPTS',
+          message: 'Too many failed login attempts from this address, please try again later',
+          retryAfter,
+        };
+      }
+    }
+
+    const emailState = await this.getState('email', normalizeEmail(email));
+    if (emailState.count >= DELAY_AFTER_ATTEMPTS) {
+      const delay = Math.min(MAX_DELAY_SECONDS, 2 ** (emailState.count - DELAY_AFTER_ATTEMPTS));
+      const remaining = Math.ceil(delay - emailState.secondsSinceLastFailure);
+      if (remaining > 0) {
+        return {
+          error: 'LOGIN_THROTTLED',
+          message: `Too many failed attempts, please wait ${remaining} seconds before trying again`,
+          retryAfter: remaining,
+        };
+      }
+    }
+
+    return {};
+  }
+
+  /**
+   * Seconds until a user's lockout expires (0 when not locked)
+   * @param {Object} user - User row with locked_until
+   * @returns {number}
+   */
+  getLockRemaining(user) {
+    if (!user || !user.locked_until) return 0;
+    return Math.max(0, Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000));
+  }
+
+  /**
+   * Record a failed login and lock the account once the threshold is reached
+   * @param {string} email - Email the attempt was for
+   * @param {string} ipAddress - Client IP
+   * @param {Object} user - Matching user row, or null for unknown emails
+   * @returns {Promise<Object>} { locked, lockedUntil, retryAfter }
+   */
+  async recordFailure(email, ipAddress, user = null) {
+    const normalizedEmail = normalizeEmail(email);
+    const emailCount = await this.increment('email', normalizedEmail);
+    if (ipAddress) {
+      await this.increment('ip', ipAddress);
+    }
+
+    if (user && emailCount >= MAX_FAILED_ATTEMPTS) {
+      const result = await pool.query(
+        `UPDATE users
+         SET locked_until = NOW() + make_interval(mins => $2::int)
+         WHERE id = $1
+         RETURNING locked_until`,
+        [user.id, LOCKOUT_MINUTES]
+      );
+      await this.clear('email', normalizedEmail);
+
+      logger.warn(`Account ${normalizedEmail} locked for ${LOCKOUT_MINUTES} minutes after ${emailCount} failed login attempts (last from ${ipAddress})`);
+      return {
+        locked: true,
+        lockedUntil: result.rows[0]?.locked_until,
+        retryAfter: LOCKOUT_MINUTES * 60,
+      };
+    }
+
+    return { locked: false };
+  }
+
+  /**
+   * Reset the email counter after a successful login
+   * @param {string} email - Email that logged in
+   */
+  async recordSuccess(email) {
+    await this.clear('email', normalizeEmail(email));
+  }
+
+  /**
+   * Lift a lockout and forget recent failures (admin action)
+   * @param {string} userId - User to unlock
+   * @returns {Promise<Object|null>} Updated user or null when not found
+   */
+  async unlockUser(userId) {
+    const result = await pool.query(
+      `UPDATE users SET locked_until = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, email, name, employee_id, role, status, locked_until`,
+      [userId]
+    );
+
+    const user = result.rows[0];
+    if (!user) return null;
+
+    await this.clear('email', normalizeEmail(user.email));
+    logger.info(`Account ${user.email} unlocked`);
+    return user;
+  }
+
+  async getState(scope, identifier) {
+    if (redisClient.isConnected()) {
+      const [count, firstTs, lastTs] = await Promise.all([
+        redisClient.get(`login:fail:${scope}:${identifier}`),
+        redisClient.get(`login:fail:${scope}:${identifier}:first`),
+        redisClient.get(`login:fail:${scope}:${identifier}:last`),
+      ]);
+      const now = Date.now();
+      return {
+        count: parseInt(count || '0', 10),
+        secondsSinceFirstFailure: firstTs ? (now - parseInt(firstTs, 10)) / 1000 : 0,
+        secondsSinceLastFailure: lastTs ? (now - parseInt(lastTs, 10)) / 1000 : Infinity,
+      };
+    }
+
+    const result = await pool.query(
+      `SELECT failed_count,
+              EXTRACT(EPOCH FROM (NOW() - first_failed_at)) AS since_first,
+              EXTRACT(EPOCH FROM (NOW() - last_failed_at)) AS since_last
+       FROM login_failures
+       WHERE scope = $1 AND identifier = $2
+         AND first_failed_at > NOW() - make_interval(mins => $3::int)`,
+      [scope, identifier, ATTEMPT_WINDOW_MINUTES]
+    );
+
+    const row = result.rows[0];
+    if (!row) {
+      return { count: 0, secondsSinceFirstFailure: 0, secondsSinceLastFailure: Infinity };
+    }
+
+    return {
+      count: row.failed_count,
+      secondsSinceFirstFailure: parseFloat(row.since_first),
+      secondsSinceLastFailure: parseFloat(row.since_last),
+    };
+  }
+
+  async increment(scope, identifier) {
+    const key = `login:fail:${scope}:${identifier}`;
+    const windowSeconds = ATTEMPT_WINDOW_MINUTES * 60;
+
+    const count = await redisClient.incr(key);
+    if (count !== null) {
+      const now = String(Date.now());
+      if (count === 1) {
+        await redisClient.expire(key, windowSeconds);
+        await redisClient.set(`${key}:first`, now, { EX: windowSeconds });
+      }
+      await redisClient.set(`${key}:last`, now, { EX: windowSeconds });
+      return count;
+    }
+
+    // Redis unavailable: keep the counter in Postgres, restarting it once the window has passed.
+    const result = await pool.query(
+      `INSERT INTO login_failures (scope, identifier, failed_count, first_failed_at, last_failed_at)
+       VALUES ($1, $2, 1, NOW(), NOW())
+       ON CONFLICT (scope, identifier) DO UPDATE SET
+         failed_count = CASE
+           WHEN login_failures.first_failed_at < NOW() - make_interval(mins => $3::int) THEN 1
+           ELSE login_failures.failed_count + 1
+         END,
+         first_failed_at = CASE
+           WHEN login_failures.first_failed_at < NOW() - make_interval(mins => $3::int) THEN NOW()
+           ELSE login_failures.first_failed_at
+         END,
+         last_failed_at = NOW()
+       RETURNING failed_count`,
+      [scope, identifier, ATTEMPT_WINDOW_MINUTES]
+    );
+    return result.rows[0].failed_count;
+  }
+
+  async clear(scope, identifier) {
+    const key = `login:fail:${scope}:${identifier}`;
+    await redisClient.del([key, `${key}:first`, `${key}:last`]);
+    await pool.query('DELETE FROM login_failures WHERE scope = $1 AND identifier = $2', [scope, identifier]);
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const APP_NAME = process.env.APP_NAME || 'Attendance System';
+
+/**
+ * Built-in transports. Each one receives a normalised message
+ * ({ from, to, subject, text, html }) and resolves with delivery info.
+ */
+const transports = {
+  // Writes every message as an .eml file so flows can be tested without an SMTP server.
+  outbox: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.env.UPLOAD_DIR || './uploads', 'outbox');
+
+    return {
+      async send(message) {
+        fs.mkdirSync(outboxDir, { recursive: true });
+
+        const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const filePath = path.join(outboxDir, `${messageId}.eml`);
+        const eml = [
+          `Message-ID: <${messageId}@outbox>`,
+          `Date: ${new Date().toUTCString()}`,
+          `From: ${message.from}`,
+          `To: ${message.to}`,
+          `Subject: ${message.subject}`,
+          'Content-Type: text/plain; charset=utf-8',
+          '',
+          message.text,
+        ].join('\r\n');
+
+        fs.writeFileSync(filePath, eml);
+        return { messageId, path: filePath };
+      },
+    };
+  },
+
+  // Only logs that a message would have been sent (no body, it may contain tokens).
+  log: () => ({
+    async send(message) {
+      logger.info(`[mail:log] To: ${message.to} | Subject: ${message.subject}`);
+      return { messageId: null };
+    },
+  }),
+
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+
+    return {
+      async send(message) {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      },
+    };
+  },
+};
+
+/**
+ * Mail Service
+ * Sends transactional email through a pluggable transport selected with
+ * MAIL_TRANSPORT (outbox | log | smtp). Additional transports can be added
+ * at runtime with registerTransport().
+ */
+class MailService {
+  constructor() {
+    this.transportName = process.env.MAIL_TRANSPORT || 'outbox';
+    this.from = process.env.MAIL_FROM || `${APP_NAME} <no-reply@localhost>`;
+    this.transport = null;
+  }
+
+  /**
+   * Register a custom transport factory
+   * @param {string} name - Transport name used in MAIL_TRANSPORT
+   * @param {Function} factory - Returns an object with async send(message)
+   */
+  registerTransport(name, factory) {
+    transports[name] = factory;
+    if (name === this.transportName) {
+      this.transport = null;
+    }
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const factory = transports[this.transportName];
+      if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${this.transportName}"`);
+      }
+      this.transport = factory();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send an email. Failures are logged and reported, never thrown, so a
+   * mail outage does not break the request that triggered it.
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} { sent, messageId } or { sent: false, error }
+   */
+  async sendMail({ to, subject, text, html }) {
+    try {
+      const info = await this.getTransport().send({ from: this.from, to, subject, text, html });
+      logger.info(`Email "${subject}" sent to ${to} via ${this.transportName}`);
+      return { sent: true, ...info };
+    } catch (error) {
+      logger.error(`Failed to send email "${subject}" to ${to}:`, error.message);
+      return { sent: false, error: error.message };
+    }
+  }
+
+  async sendInviteEmail(invite, acceptUrl) {
+    const greeting = invite.name ? `Hi ${invite.name},` : 'Hi,';
+    return this.sendMail({
+      to: invite.email,
+      subject: `You're invited to ${APP_NAME}`,
+      text: [
+        greeting,
+        '',
+        `You have been invited to join ${APP_NAME} as ${invite.role} (employee ID ${invite.employee_id}).`,
+        'Open the link below to set your password and activate your account:',
+        '',
+        acceptUrl,
+        '',
+        `This link expires on ${new Date(invite.expires_at).toUTCString()}.`,
+      ].join('\n'),
+    });
+  }
+
+  async sendPasswordResetEmail(user, resetUrl, expiresInMinutes) {
+    return this.sendMail({
+      to: user.email,
+      subject: `${APP_NAME} password reset`,
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset your password. Open the link below to choose a new one:',
+        '',
+        resetUrl,
+        '',
+        `The link can be used once and expires in ${expiresInMinutes} minutes.`,
+        'If you did not request this, you can ignore this email.',
+      ].join('\n'),
+    });
+  }
+
+  async sendPasswordChangedEmail(user) {
+    return this.sendMail({
+      to: user.email,
+      subject: `Your ${APP_NAME} password was changed`,
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `Your password was changed on ${new Date().toUTCString()} and your other sessions were signed out.`,
+        'If this was not you, contact your administrator immediately.',
+      ].join('\n'),
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const settingsService = require('./settingsService');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+
+const MFA_ISSUER = process.env.MFA_ISSUER || process.env.APP_NAME || 'Attendance System';
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// AES-256-GCM key for TOTP secrets at rest; falls back to a key derived from JWT_SECRET.
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.MFA_ENCRYPTION_KEY || `${process.env.JWT_SECRET}:mfa`)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const generateRecoveryCode = () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase().replace(/\s/g, '');
+
+/**
+ * MFA Service
+ * TOTP second factor with one-time recovery codes. Whether a role must use
+ * MFA is controlled by the `mfa_policy` system setting ({ required_roles: [] }).
+ */
+class MfaService {
+  async getPolicy() {
+    const policy = await settingsService.get('mfa_policy', { required_roles: [] });
+    return { required_roles: Array.isArray(policy?.required_roles) ? policy.required_roles : [] };
+  }
+
+  async isRequiredForRole(role) {
+    const policy = await this.getPolicy();
+    return policy.required_roles.includes(role);
+  }
+
+  async getRecord(userId) {
+    const result = await pool.query('SELECT * FROM user_mfa WHERE user_id = $1', [userId]);
+    return result.rows[0] || null;
+  }
+
+  async isEnabled(userId) {
+    const record = await this.getRecord(userId);
+    return !!(record && record.enabled_at);
+  }
+
+  /**
+   * MFA state for a user
+   * @param {Object} user - User row (id, role)
+   * @returns {Promise<Object>} { enabled, enabled_at, required, recovery_codes_remaining }
+   */
+  async getStatus(user) {
+    const record = await this.getRecord(user.id);
+    const codes = await pool.query(
+      'SELECT COUNT(*)::int AS remaining FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+
+    return {
+      enabled: !!(record && record.enabled_at),
+      enabled_at: record?.enabled_at || null,
+      required: await this.isRequiredForRole(user.role),
+      recovery_codes_remaining: codes.rows[0].remaining,
+    };
+  }
+
+  /**
+   * Short-lived token handed out after a correct password when a second step is needed
+   * @param {Object} user - User row
+   * @param {string} purpose - 'verify' (enter a code) or 'enroll' (policy requires setup first)
+   * @returns {string}
+   */
+  issueChallengeToken(user, purpose) {
+    return jwt.sign(
+      { typ: 'mfa_challenge', purpose, id: user.id, email: user.email },
+      process.env.JWT_SECRET,
+      { expiresIn: CHALLENGE_TTL }
+    );
+  }
+
+  /**
+   * Validate a challenge token
+   * @param {string} token - mfa_token from the login response
+   * @param {string} purpose - Expected purpose
+   * @returns {Object} Token payload or { error, message }
+   */
+  verifyChallengeToken(token, purpose) {
+    try {
+      const payload = jwt.verify(token, process.env.JWT_SECRET);
+      if (payload.typ !== 'mfa_challenge' || payload.purpose !== purpose) {
+        return { error: 'INVALID_MFA_TOKEN', message: 'Invalid MFA token' };
+      }
+      return payload;
+    } catch (error) {
+      return { error: 'INVALID_MFA_TOKEN', message: 'MFA token is invalid or has expired, please log in again' };
+    }
+  }
+
+  /**
+   * Start (or restart) enrollment with a new secret; MFA stays off until confirmed
+   * @param {Object} user - User row (id, email)
+   * @returns {Promise<Object>} { secret, otpauthUrl } or { error, message }
+   */
+  async beginEnrollment(user) {
+    const record = await this.getRecord(user.id);
+    if (record && record.enabled_at) {
+      return { error: 'MFA_ALREADY_ENABLED', message: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = totp.generateSecret();
+    await pool.query(
+      `INSERT INTO user_mfa (user_id, secret_encrypted)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE SET secret_encrypted = $2, last_used_step = NULL, updated_at = NOW()`,
+      [user.id, encryptSecret(secret)]
+    );
+
+    return { secret, otpauthUrl: totp.buildOtpauthUri(secret, user.email, MFA_ISSUER) };
+  }
+
+  /**
+   * Confirm enrollment with a first valid code and issue recovery codes
+   * @param {string} userId - User enrolling
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Object>} { recoveryCodes } or { error, message }
+   */
+  async confirmEnrollment(userId, code) {
+    const record = await this.getRecord(userId);
+    if (!record) {
+      return { error: 'MFA_NOT_STARTED', message: 'Start two-factor setup first' };
+    }
+    if (record.enabled_at) {
+      return { error: 'MFA_ALREADY_ENABLED', message: 'Two-factor authentication is already enabled' };
+    }
+
+    const step = totp.verifyCode(decryptSecret(record.secret_encrypted), code);
+    if (step === null) {
+      return { error: 'INVALID_MFA_CODE', message: 'Invalid authentication code' };
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE user_mfa SET enabled_at = NOW(), last_used_step = $2, updated_at = NOW()
+         WHERE user_id = $1`,
+        [userId, step]
+      );
+      const recoveryCodes = await this.replaceRecoveryCodes(userId, client);
+      await client.query('COMMIT');
+
+      logger.info(`MFA enabled for user ${userId}`);
+      return { recoveryCodes };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Confirm MFA enrollment error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check a second-factor code: TOTP first, then unused recovery codes
+   * TOTP steps are single-use so a code seen on the wire cannot be replayed.
+   * @param {string} userId - User verifying
+   * @param {string} code - TOTP or recovery code
+   * @returns {Promise<Object>} { method } or { error, message }
+   */
+  async verifyCode(userId, code) {
+    const record = await this.getRecord(userId);
+    if (!record || !record.enabled_at) {
+      return { error: 'MFA_NOT_ENABLED', message: 'Two-factor authentication is not enabled' };
+    }
+
+    const step = totp.verifyCode(decryptSecret(record.secret_encrypted), code);
+    if (step !== null) {
+      const result = await pool.query(
+        `UPDATE user_mfa SET last_used_step = $2, updated_at = NOW()
+         WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+         RETURNING user_id`,
+        [userId, step]
+      );
+      if (result.rows.length === 0) {
+        return { error: 'INVALID_MFA_CODE', message: 'This code has already been used, wait for the next one' };
+      }
+      return { method: 'totp' };
+    }
+
+    const recovery = await pool.query(
+      `UPDATE mfa_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [userId, hashCode(normalizeRecoveryCode(code))]
+    );
+    if (recovery.rows.length > 0) {
+      logger.info(`Recovery code used by user ${userId}`);
+      return { method: 'recovery_code' };
+    }
+
+    return { error: 'INVALID_MFA_CODE', message: 'Invalid authentication code' };
+  }
+
+  async replaceRecoveryCodes(userId, client = pool) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    for (const code of codes) {
+      await client.query(
+        'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, hashCode(code)]
+      );
+    }
+
+    return codes;
+  }
+
+  /**
+   * Remove MFA (secret and recovery codes) for a user
+   * @param {string} userId - User to reset
+   * @returns {Promise<boolean>} Whether MFA was configured
+   */
+  async removeForUser(userId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+      const result = await client.query('DELETE FROM user_mfa WHERE user_id = $1 RETURNING user_id', [userId]);
+      await client.query('COMMIT');
+      return result.rows.length > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Remove MFA error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const pool = require('../config/database');
+const accessService = require('./accessService');
+const attendanceService = require('./attendanceService');
+const sessionService = require('./sessionService');
+const settingsService = require('./settingsService');
+const timezoneService = require('./timezoneService');
+const logger = require('../utils/logger');
+
+const DATA_HANDLING_MODES = ['retain', 'anonymize'];
+const DEFAULT_POLICY = { data_handling: 'retain' };
+
+const OFFBOARDING_COLUMNS = `id, email, name, employee_id, role, manager_id, department_id, team_id, status,
+  TO_CHAR(last_working_day, 'YYYY-MM-DD') AS last_working_day, terminated_at, offboarded_by,
+  offboarding_reason, anonymized_at`;
+
+const removeScreenshotFiles = async (rows) => {
+  for (const shot of rows) {
+    await fs.unlink(shot.screenshot_url).catch(() => {});
+    if (shot.thumbnail_url) {
+      await fs.unlink(shot.thumbnail_url).catch(() => {});
+    }
+  }
+};
+
+/**
+ * Offboarding Service
+ * Employees are never hard-deleted as part of leaving: the user row is marked
+ * terminated and attendance, breaks and summaries stay for payroll and HR.
+ * Personal data can be anonymized per the `offboarding_policy` setting, and
+ * removing everything is a separate, explicitly confirmed purge.
+ */
+class OffboardingService {
+  async getPolicy() {
+    const policy = await settingsService.get('offboarding_policy', DEFAULT_POLICY);
+    return DATA_HANDLING_MODES.includes(policy?.data_handling) ? policy : DEFAULT_POLICY;
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {Object} client - Optional transaction client
+   * @param {boolean} lock - Hold the row until the transaction ends. NO KEY UPDATE
+   *   still lets other connections write rows referencing the user (check-out does).
+   * @returns {Promise<Object|null>}
+   */
+  async findUser(userId, client = pool, lock = false) {
+    const result = await client.query(
+      `SELECT ${OFFBOARDING_COLUMNS} FROM users WHERE id = $1${lock ? ' FOR NO KEY UPDATE' : ''}`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Terminate an employee
+   * Checks out an open attendance record, marks the user terminated, revokes
+   * devices and sessions, and drops untouched placeholder records dated after
+   * the last working day.
+   * @param {Object} actor - User performing the offboarding
+   * @param {string} userId - Employee to offboard
+   * @param {Object} options - { lastWorkingDay, reason, dataHandling }
+   * @returns {Promise<Object>} { before, user, summary } or { error, message }
+   */
+  async offboardUser(actor, userId, { lastWorkingDay = null, reason = null, dataHandling = null } = {}) {
+    if (actor.id === userId) {
+      return { error: 'CANNOT_OFFBOARD_SELF', message: 'You cannot offboard your own account' };
+    }
+
+    // The user row stays locked until the termination commits: a concurrent
+    // offboarding waits and then sees ALREADY_OFFBOARDED, a check-in waits and
+    // then sees an inactive account
+    const client = await pool.connect();
+    let before;
+    let lastDay;
+    let mode;
+    let checkedOut = false;
+    let devicesRevoked;
+    let placeholdersRemoved;
+    try {
+      await client.query('BEGIN');
+
+      before = await this.findUser(userId, client, true);
+      if (!before) {
+        await client.query('ROLLBACK');
+        return { error: 'USER_NOT_FOUND', message: 'User not found' };
+      }
+      if (!accessService.canManageUser(actor, before)) {
+        await client.query('ROLLBACK');
+        return { error: 'FORBIDDEN', message: 'Only admins can offboard admin accounts' };
+      }
+      if (before.status === 'terminated') {
+        await client.query('ROLLBACK');
+        return { error: 'ALREADY_OFFBOARDED', message: 'User has already been offboarded' };
+      }
+
+      const today = await timezoneService.getUserDate(userId);
+      lastDay = lastWorkingDay || today;
+      if (lastDay > today) {
+        await client.query('ROLLBACK');
+        return { error: 'INVALID_LAST_WORKING_DAY', message: 'Last working day cannot be in the future' };
+      }
+      mode = dataHandling || (await this.getPolicy()).data_handling;
+
+      // Close the working day in this transaction, so it only sticks if the termination does
+      const open = await client.query(
+        `SELECT 1 FROM attendance_records
+         WHERE user_id = $1 AND date = $2 AND check_in_time IS NOT NULL AND check_out_time IS NULL`,
+        [userId, today]
+      );
+      if (open.rows.length > 0) {
+        const checkout = await attendanceService.checkOut(userId, null, null, null, client);
+        checkedOut = !checkout.error;
+      }
+
+      await client.query(
+        `UPDATE users
+         SET status = 'terminated', last_working_day = $2, terminated_at = NOW(),
+             offboarded_by = $3, offboarding_reason = $4, locked_until = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [userId, lastDay, actor.id, reason]
+      );
+
+      const devices = await client.query(
+        `UPDATE devices SET revoked_at = NOW(), revoked_reason = 'offboarded'
+         WHERE user_id = $1 AND revoked_at IS NULL
+         RETURNING id`,
+        [userId]
+      );
+      devicesRevoked = devices.rowCount;
+
+      // Absent rows pre-created by the daily job, never checked into
+      const placeholders = await client.query(
+        `DELETE FROM attendance_records
+         WHERE user_id = $1 AND date > $2 AND check_in_time IS NULL`,
+        [userId, lastDay]
+      );
+      placeholdersRemoved = placeholders.rowCount;
+
+      await client.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const sessionsRevoked = await sessionService.revokeAllForUser(userId, 'offboarded');
+
+    const reports = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM users WHERE manager_id = $1 AND status <> 'terminated'`,
+      [userId]
+    );
+
+    let anonymized = null;
+    if (mode === 'anonymize') {
+      anonymized = await this.anonymizeUser(actor, userId);
+    }
+
+    logger.info(`User offboarded: ${userId} (last working day ${lastDay}, data ${mode})`);
+
+    return {
+      before,
+      user: await this.findUser(userId),
+      summary: {
+        data_handling: mode,
+        checked_out: checkedOut,
+        sessions_revoked: sessionsRevoked,
+        devices_revoked: devicesRevoked,
+        placeholder_records_removed: placeholdersRemoved,
+        direct_reports_to_reassign: reports.rows[0].count,
+        anonymized: anonymized && !anonymized.error ? anonymized.summary : null,
+      },
+    };
+  }
+
+  /**
+   * Strip personal data from an offboarded employee
+   * Keeps the user row, employee_id and every duration/status figure so
+   * payroll and reports still add up; removes identity, locations, IPs,
+   * notes, window titles, URLs and screenshots.
+   * @param {Object} actor - User performing the anonymization
+   * @param {string} userId - Terminated employee
+   * @returns {Promise<Object>} { before, user, summary } or { error, message }
+   */
+  async anonymizeUser(actor, userId) {
+    const client = await pool.connect();
+    let screenshots;
+    let before;
+    const summary = {};
+    try {
+      await client.query('BEGIN');
+
+      before = await this.findUser(userId, client, true);
+      if (!before) {
+        await client.query('ROLLBACK');
+        return { error: 'USER_NOT_FOUND', message: 'User not found' };
+      }
+      if (!accessService.canManageUser(actor, before)) {
+        await client.query('ROLLBACK');
+        return { error: 'FORBIDDEN', message: 'Only admins can anonymize admin accounts' };
+      }
+      if (before.status !== 'terminated') {
+        await client.query('ROLLBACK');
+        return { error: 'NOT_OFFBOARDED', message: 'Only offboarded users can be anonymized' };
+      }
+      if (before.anonymized_at) {
+        await client.query('ROLLBACK');
+        return { error: 'ALREADY_ANONYMIZED', message: 'User has already been anonymized' };
+      }
+
+      // Unusable hash: bcrypt never produces it, so no password can match
+      await client.query(
+        `UPDATE users
+         SET name = 'Former employee', email = $2, password_hash = $3, profile_picture_url = NULL,
+             phone = NULL, anonymized_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [userId, `anonymized+${userId}@invalid`, `!anonymized:${crypto.randomBytes(16).toString('hex')}`]
+      );
+
+      // The office and distance are derived from the location and go with it; the
+      // onsite/remote/outside classification stays, like statuses, for reports
+      const attendance = await client.query(
+        `UPDATE attendance_records
+         SET check_in_ip = NULL, check_out_ip = NULL, check_in_location = NULL,
+             check_out_location = NULL, check_in_office_id = NULL, check_in_distance_meters = NULL,
+             check_out_office_id = NULL, check_out_distance_meters = NULL, notes = NULL
+         WHERE user_id = $1`,
+        [userId]
+      );
+      summary.attendance_records_scrubbed = attendance.rowCount;
+
+      await client.query(
+        `UPDATE attendance_sessions
+         SET check_in_ip = NULL, check_out_ip = NULL, check_in_location = NULL, check_out_location = NULL,
+             check_in_office_id = NULL, check_in_distance_meters = NULL,
+             check_out_office_id = NULL, check_out_distance_meters = NULL
+         WHERE user_id = $1`,
+        [userId]
+      );
+
+      await client.query(
+        'UPDATE lunch_breaks SET start_location = NULL, end_location = NULL WHERE user_id = $1',
+        [userId]
+      );
+
+      const notes = await client.query('DELETE FROM attendance_notes WHERE user_id = $1', [userId]);
+      summary.notes_deleted = notes.rowCount;
+
+      const tracking = await client.query(
+        `UPDATE user_activity_tracking
+         SET active_window_title = NULL, url = NULL, metadata = NULL
+         WHERE user_id = $1`,
+        [userId]
+      );
+      summary.activity_samples_scrubbed = tracking.rowCount;
+
+      await client.query('UPDATE productivity_summary SET top_websites = NULL WHERE user_id = $1', [userId]);
+
+      const shots = await client.query(
+        'DELETE FROM screenshots WHERE user_id = $1 RETURNING screenshot_url, thumbnail_url',
+        [userId]
+      );
+      screenshots = shots.rows;
+      summary.screenshots_deleted = screenshots.length;
+
+      await client.query('DELETE FROM user_identities WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM user_mfa WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [userId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Files go only after the rows are gone, so a failed transaction loses nothing
+    await removeScreenshotFiles(screenshots);
+
+    logger.info(`User anonymized: ${userId}`);
+    return { before, user: await this.findUser(userId), summary };
+  }
+
+  /**
+   * Permanently delete an offboarded employee and everything that cascades
+   * from them. The caller must repeat the employee ID as confirmation.
+   * @param {string} userId - Terminated employee
+   * @param {string} confirmation - Must equal the user's employee_id
+   * @returns {Promise<Object>} { user, summary } or { error, message }
+   */
+  async purgeUser(userId, confirmation) {
+    const client = await pool.connect();
+    let user;
+    let screenshots;
+    try {
+      await client.query('BEGIN');
+
+      user = await this.findUser(userId, client);
+      if (!user) {
+        await client.query('ROLLBACK');
+        return { error: 'USER_NOT_FOUND', message: 'User not found' };
+      }
+      if (user.status !== 'terminated') {
+        await client.query('ROLLBACK');
+        return { error: 'NOT_OFFBOARDED', message: 'Offboard the user before purging their data' };
+      }
+      if (confirmation !== user.employee_id) {
+        await client.query('ROLLBACK');
+        return { error: 'CONFIRMATION_MISMATCH', message: 'Confirmation does not match the user\'s employee ID' };
+      }
+
+      const shots = await client.query(
+        'SELECT screenshot_url, thumbnail_url FROM screenshots WHERE user_id = $1',
+        [userId]
+      );
+      screenshots = shots.rows;
+
+      // The only reference to users without ON DELETE behaviour
+      await client.query('UPDATE system_settings SET updated_by = NULL WHERE updated_by = $1', [userId]);
+      await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await removeScreenshotFiles(screenshots);
+
+    logger.info(`User purged: ${userId}`);
+    return { user, summary: { screenshots_deleted: screenshots.length } };
+  }
+}
+
+module.exports = new OffboardingService();
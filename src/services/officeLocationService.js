@@ -0,0 +1,221 @@
+const pool = require('../config/database');
+const settingsService = require('./settingsService');
+const logger = require('../utils/logger');
+
+const OFFICE_FIELDS = ['name', 'address', 'latitude', 'longitude', 'radius_meters', 'is_active'];
+
+const OFFICE_COLUMNS = `o.id, o.name, o.address, o.latitude, o.longitude, o.radius_meters, o.is_active,
+  o.created_at, o.updated_at`;
+
+const GEOFENCE_POLICIES = ['remote', 'flag', 'reject'];
+const DEFAULT_POLICY = { default_policy: 'remote' };
+
+const UNIQUE_VIOLATION = '23505';
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle (haversine) distance between two { latitude, longitude } points, in whole meters
+const distanceMeters = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a))));
+};
+
+/**
+ * Office Location Service
+ * Office geofences (a point and a radius) and the classification of check-in
+ * and check-out locations against them: `onsite` within any active office's
+ * radius, otherwise `remote` or `outside` depending on the employee's
+ * geofence policy. The policy is users.geofence_policy, else the one on the
+ * shift they work, else the `geofence_policy` setting:
+ *   remote - working away from an office is allowed
+ *   flag   - allowed, but the day is flagged for review
+ *   reject - check-in is refused outside every office (check-out never is)
+ */
+class OfficeLocationService {
+  constructor() {
+    this.GEOFENCE_POLICIES = GEOFENCE_POLICIES;
+  }
+
+  /**
+   * List offices, active ones first
+   * @returns {Promise<Array>}
+   */
+  async listOffices() {
+    const result = await pool.query(
+      `SELECT ${OFFICE_COLUMNS} FROM office_locations o ORDER BY o.is_active DESC, o.name`
+    );
+    return result.rows;
+  }
+
+  async getOffice(officeId, client = pool) {
+    const result = await client.query(
+      `SELECT ${OFFICE_COLUMNS} FROM office_locations o WHERE o.id = $1`,
+      [officeId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create an office
+   * @param {Object} data - { name, address, latitude, longitude, radius_meters, is_active }
+   * @returns {Promise<Object>} { office } or { error, message }
+   */
+  async createOffice({ name, address = null, latitude, longitude, radius_meters = 200, is_active = true }) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO office_locations (name, address, latitude, longitude, radius_meters, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [name, address, latitude, longitude, radius_meters, is_active]
+      );
+      logger.info(`Office location created: ${name}`);
+      return { office: await this.getOffice(result.rows[0].id) };
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'OFFICE_EXISTS', message: 'An office location with this name already exists' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update an office; attendance already classified keeps its classification
+   * @param {string} officeId - Office ID
+   * @param {Object} data - Any of OFFICE_FIELDS
+   * @returns {Promise<Object>} { before, office } or { error, message }
+   */
+  async updateOffice(officeId, data) {
+    const before = await this.getOffice(officeId);
+    if (!before) {
+      return { error: 'OFFICE_NOT_FOUND', message: 'Office location not found' };
+    }
+
+    const fields = OFFICE_FIELDS.filter((field) => data[field] !== undefined);
+    if (fields.length === 0) {
+      return { error: 'NO_UPDATES', message: 'No fields to update' };
+    }
+
+    try {
+      await pool.query(
+        `UPDATE office_locations
+         SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1`,
+        [officeId, ...fields.map((field) => data[field])]
+      );
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'OFFICE_EXISTS', message: 'An office location with this name already exists' };
+      }
+      throw error;
+    }
+
+    return { before, office: await this.getOffice(officeId) };
+  }
+
+  /**
+   * Delete an office no attendance has been classified against; others are deactivated
+   * @param {string} officeId - Office ID
+   * @returns {Promise<Object>} { office } or { error, message }
+   */
+  async deleteOffice(officeId) {
+    const office = await this.getOffice(officeId);
+    if (!office) {
+      return { error: 'OFFICE_NOT_FOUND', message: 'Office location not found' };
+    }
+
+    // Later sessions of a day may have been classified at another office than the record
+    const used = await pool.query(
+      `SELECT 1 FROM attendance_records WHERE check_in_office_id = $1 OR check_out_office_id = $1
+       UNION ALL
+       SELECT 1 FROM attendance_sessions WHERE check_in_office_id = $1 OR check_out_office_id = $1
+       LIMIT 1`,
+      [officeId]
+    );
+    if (used.rows.length > 0) {
+      return {
+        error: 'OFFICE_IN_USE',
+        message: 'Attendance has been recorded at this office; set is_active to false instead of deleting it',
+      };
+    }
+
+    await pool.query('DELETE FROM office_locations WHERE id = $1', [officeId]);
+    logger.info(`Office location deleted: ${office.name}`);
+    return { office };
+  }
+
+  /**
+   * Geofence policy an employee follows: their own, else their shift's, else the setting
+   * @param {string} userId - User ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<string>} 'remote' | 'flag' | 'reject'
+   */
+  async getPolicy(userId, client = pool) {
+    const result = await client.query(
+      `SELECT COALESCE(u.geofence_policy, s.geofence_policy) AS policy
+       FROM users u
+       LEFT JOIN departments d ON d.id = u.department_id
+       LEFT JOIN shifts s ON s.id = COALESCE(u.shift_id, d.shift_id)
+       WHERE u.id = $1`,
+      [userId]
+    );
+    if (result.rows[0]?.policy) return result.rows[0].policy;
+
+    const setting = await settingsService.get('geofence_policy', DEFAULT_POLICY);
+    return GEOFENCE_POLICIES.includes(setting?.default_policy) ? setting.default_policy : DEFAULT_POLICY.default_policy;
+  }
+
+  /**
+   * Active office whose geofence is closest to a point: the one it lies deepest
+   * inside, else the one whose edge is nearest
+   * @param {Object} location - { latitude, longitude }
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|null>} Office with distance_meters, or null when there are none
+   */
+  async findNearestOffice(location, client = pool) {
+    const offices = await client.query(
+      `SELECT ${OFFICE_COLUMNS} FROM office_locations o WHERE o.is_active`
+    );
+    let nearest = null;
+    for (const office of offices.rows) {
+      const distance = distanceMeters(location, office);
+      if (!nearest || distance - office.radius_meters < nearest.distance_meters - nearest.radius_meters) {
+        nearest = { ...office, distance_meters: distance };
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Classify a check-in or check-out location for an employee
+   * Without a location (or without active offices) nobody is onsite.
+   * @param {string} userId - User ID
+   * @param {Object|null} location - { latitude, longitude }
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} { geofence, office_id, distance_meters, policy, flagged }
+   */
+  async classify(userId, location, client = pool) {
+    const nearest = location ? await this.findNearestOffice(location, client) : null;
+    const policy = await this.getPolicy(userId, client);
+
+    let geofence = 'outside';
+    if (nearest && nearest.distance_meters <= nearest.radius_meters) {
+      geofence = 'onsite';
+    } else if (policy === 'remote') {
+      geofence = 'remote';
+    }
+
+    return {
+      geofence,
+      office_id: nearest ? nearest.id : null,
+      distance_meters: nearest ? nearest.distance_meters : null,
+      policy,
+      flagged: geofence === 'outside',
+    };
+  }
+}
+
+module.exports = new OfficeLocationService();
@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { ROLES } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+const LOGIN_STATE_TTL_MINUTES = 10;
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+// Most to least privileged; the first role matched by a group claim wins.
+const ROLE_PRECEDENCE = ['admin', 'hr', 'manager', 'employee'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// A discovery document we cannot trust is a configuration problem, not a server bug
+const discoveryError = (message) => Object.assign(new Error(message), { code: 'SSO_MISCONFIGURED', status: 502 });
+
+// Only an explicit claim counts; an IdP that omits email_verified vouches for nothing
+const isEmailVerified = (profile) => profile.email_verified === true;
+
+const envFlag = (name, defaultValue) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  return value === 'true';
+};
+
+// "idp-admins:admin,idp-hr:hr" -> { 'idp-admins': 'admin', 'idp-hr': 'hr' }
+const parseRoleMapping = (value) => {
+  const mapping = {};
+  for (const entry of (value || '').split(',')) {
+    const separator = entry.lastIndexOf(':');
+    if (separator <= 0) continue;
+    const group = entry.slice(0, separator).trim();
+    const role = entry.slice(separator + 1).trim();
+    if (!ROLES.includes(role)) {
+      logger.warn(`OIDC_ROLE_MAPPING: ignoring unknown role "${role}" for group "${group}"`);
+      continue;
+    }
+    mapping[group] = role;
+  }
+  return mapping;
+};
+
+// Only same-origin paths may be used as post-login destinations.
+const sanitizeRedirect = (redirectTo) => (
+  typeof redirectTo === 'string' && /^\/(?![/\\])/.test(redirectTo) ? redirectTo.slice(0, 500) : null
+);
+
+/**
+ * OIDC Service
+ * Single sign-on against an OpenID Connect provider using the authorization
+ * code flow with PKCE. The IdP redirects the browser back to the frontend,
+ * which posts code + state to the API to exchange them for a session.
+ */
+class OidcService {
+  constructor() {
+    this.issuer = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+    this.clientId = process.env.OIDC_CLIENT_ID;
+    this.clientSecret = process.env.OIDC_CLIENT_SECRET || null;
+    this.redirectUri = process.env.OIDC_REDIRECT_URI
+      || `${process.env.APP_BASE_URL || 'http://localhost:3000'}/auth/oidc/callback`;
+    this.scopes = process.env.OIDC_SCOPES || 'openid email profile';
+    this.matchBy = process.env.OIDC_USER_MATCH === 'employee_id' ? 'employee_id' : 'email';
+    this.claims = {
+      email: process.env.OIDC_EMAIL_CLAIM || 'email',
+      name: process.env.OIDC_NAME_CLAIM || 'name',
+      employeeId: process.env.OIDC_EMPLOYEE_ID_CLAIM || 'employee_id',
+      groups: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    };
+    this.jitProvisioning = envFlag('OIDC_JIT_PROVISIONING', false);
+    this.roleMapping = parseRoleMapping(process.env.OIDC_ROLE_MAPPING);
+    this.defaultRole = ROLES.includes(process.env.OIDC_DEFAULT_ROLE) ? process.env.OIDC_DEFAULT_ROLE : 'employee';
+    this.syncRoles = envFlag('OIDC_SYNC_ROLES', false);
+    this.allowPasswordLogin = envFlag('OIDC_ALLOW_PASSWORD_LOGIN', true);
+
+    this.discovery = null;
+    this.discoveredAt = 0;
+    this.jwks = null;
+  }
+
+  isEnabled() {
+    return !!(this.issuer && this.clientId);
+  }
+
+  /**
+   * Whether a user may still sign in with a local password
+   * Admins always can, so a broken IdP cannot lock everybody out.
+   * @param {Object} user - User row
+   * @returns {boolean}
+   */
+  isPasswordLoginAllowed(user) {
+    return !this.isEnabled() || this.allowPasswordLogin || user.role === 'admin';
+  }
+
+  async getDiscovery() {
+    if (this.discovery && Date.now() - this.discoveredAt < DISCOVERY_CACHE_MS) {
+      return this.discovery;
+    }
+
+    const response = await axios.get(`${this.issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+    const discovery = response.data;
+    if (!discovery || typeof discovery.issuer !== 'string') {
+      throw discoveryError('OIDC discovery document has no issuer');
+    }
+    if (discovery.issuer.replace(/\/+$/, '') !== this.issuer) {
+      throw discoveryError(`OIDC discovery issuer mismatch: ${discovery.issuer}`);
+    }
+
+    this.discovery = discovery;
+    this.discoveredAt = Date.now();
+    this.jwks = null;
+    return discovery;
+  }
+
+  async getSigningKey(kid) {
+    const findKey = () => (this.jwks || []).find((key) => (kid ? key.kid === kid : key.use !== 'enc'));
+
+    // Unknown kid: the IdP may have rotated its keys, fetch once more.
+    if (!findKey()) {
+      const discovery = await this.getDiscovery();
+      const response = await axios.get(discovery.jwks_uri, { timeout: HTTP_TIMEOUT_MS });
+      this.jwks = response.data.keys || [];
+    }
+
+    const jwk = findKey();
+    return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+  }
+
+  /**
+   * Start a login: persist state, nonce and PKCE verifier and build the IdP URL
+   * @param {string} redirectTo - Optional frontend path to return to after login
+   * @returns {Promise<Object>} { authorizationUrl, expiresIn }
+   */
+  async createAuthorizationRequest(redirectTo = null) {
+    const discovery = await this.getDiscovery();
+
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    await pool.query(
+      `INSERT INTO oidc_login_states (state_hash, nonce, code_verifier, redirect_to, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5::int))`,
+      [hashToken(state), nonce, codeVerifier, sanitizeRedirect(redirectTo), LOGIN_STATE_TTL_MINUTES]
+    );
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    }).toString();
+
+    return { authorizationUrl: url.toString(), expiresIn: LOGIN_STATE_TTL_MINUTES * 60 };
+  }
+
+  /**
+   * Consume a login state (single use)
+   * @param {string} state - state returned by the IdP
+   * @returns {Promise<Object|null>} Stored state row or null if unknown / expired
+   */
+  async consumeState(state) {
+    const result = await pool.query(
+      `DELETE FROM oidc_login_states WHERE state_hash = $1
+       RETURNING nonce, code_verifier, redirect_to, expires_at > NOW() AS is_valid`,
+      [hashToken(state)]
+    );
+    const row = result.rows[0];
+    return row && row.is_valid ? row : null;
+  }
+
+  async exchangeCode(code, codeVerifier) {
+    const discovery = await this.getDiscovery();
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: codeVerifier,
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    if (this.clientSecret) {
+      const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const response = await axios.post(discovery.token_endpoint, form.toString(), { headers, timeout: HTTP_TIMEOUT_MS });
+    return response.data;
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) return null;
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    if (!key) return null;
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: this.discovery.issuer,
+      audience: this.clientId,
+      clockTolerance: 60,
+    });
+    if (claims.nonce !== nonce) return null;
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== this.clientId) return null;
+
+    return claims;
+  }
+
+  // Group claims are often only released through the userinfo endpoint.
+  async fetchUserInfo(accessToken, subject) {
+    if (!accessToken || !this.discovery.userinfo_endpoint) return {};
+
+    try {
+      const response = await axios.get(this.discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: HTTP_TIMEOUT_MS,
+      });
+      return response.data && response.data.sub === subject ? response.data : {};
+    } catch (error) {
+      logger.warn(`OIDC userinfo request failed: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Role implied by the group claim, or null when no mapped group is present
+   * @param {Array|string} groups - Group claim value
+   * @returns {string|null}
+   */
+  mapRole(groups) {
+    const list = Array.isArray(groups) ? groups : (groups ? [groups] : []);
+    const roles = list.map((group) => this.roleMapping[group]).filter(Boolean);
+    return ROLE_PRECEDENCE.find((role) => roles.includes(role)) || null;
+  }
+
+  /**
+   * Complete a login: validate state, redeem the code and resolve the local user
+   * @param {Object} params - { code, state }
+   * @returns {Promise<Object>} { user, redirectTo } or { error, message }
+   */
+  async completeLogin({ code, state }) {
+    const loginState = await this.consumeState(state);
+    if (!loginState) {
+      return { error: 'INVALID_SSO_STATE', message: 'Sign-in request is invalid or has expired, please try again' };
+    }
+
+    let tokens;
+    try {
+      tokens = await this.exchangeCode(code, loginState.code_verifier);
+    } catch (error) {
+      logger.warn(`OIDC code exchange failed: ${error.response ? JSON.stringify(error.response.data) : error.message}`);
+      return { error: 'SSO_EXCHANGE_FAILED', message: 'Could not complete sign-in with the identity provider' };
+    }
+
+    let claims;
+    try {
+      claims = tokens.id_token ? await this.verifyIdToken(tokens.id_token, loginState.nonce) : null;
+    } catch (error) {
+      logger.warn(`OIDC ID token rejected: ${error.message}`);
+      claims = null;
+    }
+    if (!claims) {
+      return { error: 'INVALID_ID_TOKEN', message: 'The identity provider returned an invalid ID token' };
+    }
+
+    const profile = { ...(await this.fetchUserInfo(tokens.access_token, claims.sub)), ...claims };
+    const result = await this.resolveUser(profile);
+    if (result.error) return result;
+
+    return { user: result.user, redirectTo: loginState.redirect_to };
+  }
+
+  /**
+   * Map IdP claims to a local user: linked identity first, then email or
+   * employee_id, then just-in-time provisioning when enabled
+   * @param {Object} profile - Verified ID token claims merged with userinfo
+   * @returns {Promise<Object>} { user } or { error, message }
+   */
+  async resolveUser(profile) {
+    const email = profile[this.claims.email] ? String(profile[this.claims.email]).trim() : null;
+    const employeeId = profile[this.claims.employeeId] ? String(profile[this.claims.employeeId]).trim() : null;
+    const mappedRole = this.mapRole(profile[this.claims.groups]);
+
+    const linked = await pool.query(
+      `SELECT u.* FROM user_identities i
+       JOIN users u ON u.id = i.user_id
+       WHERE i.issuer = $1 AND i.subject = $2`,
+      [this.issuer, profile.sub]
+    );
+    let user = linked.rows[0];
+
+    if (!user) {
+      let match;
+      if (this.matchBy === 'employee_id') {
+        match = employeeId
+          ? await pool.query('SELECT * FROM users WHERE employee_id = $1', [employeeId])
+          : { rows: [] };
+      } else {
+        // An unverified address must not take over an existing account.
+        match = email && isEmailVerified(profile)
+          ? await pool.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email])
+          : { rows: [] };
+      }
+      user = match.rows[0];
+
+      if (!user) {
+        if (!this.jitProvisioning) {
+          return { error: 'SSO_USER_NOT_FOUND', message: 'No account is linked to this identity, contact your administrator' };
+        }
+
+        const provisioned = await this.provisionUser(profile, { email, employeeId, role: mappedRole || this.defaultRole });
+        if (provisioned.error) return provisioned;
+        user = provisioned.user;
+      }
+
+      await pool.query(
+        `INSERT INTO user_identities (user_id, issuer, subject, email)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (issuer, subject) DO NOTHING`,
+        [user.id, this.issuer, profile.sub, email]
+      );
+      logger.info(`OIDC identity ${profile.sub} linked to user ${user.email}`);
+    }
+
+    if (user.status !== 'active') {
+      return { error: 'ACCOUNT_INACTIVE', message: 'Your account is inactive' };
+    }
+
+    if (this.syncRoles && mappedRole && mappedRole !== user.role) {
+      const updated = await pool.query(
+        'UPDATE users SET role = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+        [user.id, mappedRole]
+      );
+      logger.info(`Role of ${user.email} synced from IdP groups: ${user.role} -> ${mappedRole}`);
+      user = updated.rows[0];
+    }
+
+    await pool.query(
+      'UPDATE user_identities SET last_login_at = NOW(), email = COALESCE($3, email) WHERE issuer = $1 AND subject = $2',
+      [this.issuer, profile.sub, email]
+    );
+
+    return { user };
+  }
+
+  async provisionUser(profile, { email, employeeId, role }) {
+    if (!email || !isEmailVerified(profile)) {
+      return { error: 'SSO_PROVISIONING_FAILED', message: 'The identity provider did not supply a verified email address' };
+    }
+
+    const name = profile[this.claims.name] || profile.preferred_username || email.split('@')[0];
+    // Employee IDs are required locally; derive a stable one when the IdP has none.
+    const resolvedEmployeeId = employeeId || `SSO-${hashToken(`${this.issuer}|${profile.sub}`).slice(0, 10).toUpperCase()}`;
+    // SSO-only accounts get an unusable random password until someone resets it.
+    const passwordHash = await bcrypt.hash(randomToken(), 10);
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO users (email, password_hash, name, employee_id, role)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [email, passwordHash, String(name).slice(0, 255), resolvedEmployeeId, role]
+      );
+      logger.info(`User provisioned from OIDC: ${email} (${role})`);
+      return { user: result.rows[0] };
+    } catch (error) {
+      if (error.code === '23505') {
+        return { error: 'SSO_ACCOUNT_CONFLICT', message: 'An account with this email or employee ID already exists' };
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new OidcService();
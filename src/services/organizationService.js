@@ -0,0 +1,326 @@
+const pool = require('../config/database');
+const shiftService = require('./shiftService');
+const logger = require('../utils/logger');
+
+const DEPARTMENT_COLUMNS = `d.id, d.name, d.code, d.description, d.head_user_id, head.name AS head_name,
+  d.shift_id, sh.name AS shift_name, d.created_at, d.updated_at`;
+const TEAM_COLUMNS = `t.id, t.department_id, d.name AS department_name, t.name, t.description,
+  t.lead_user_id, lead.name AS lead_name, t.created_at, t.updated_at`;
+
+const UNIQUE_VIOLATION = '23505';
+
+const isActiveUser = async (userId) => {
+  const result = await pool.query(`SELECT 1 FROM users WHERE id = $1 AND status = 'active'`, [userId]);
+  return result.rows.length > 0;
+};
+
+/**
+ * Organization Service
+ * Departments and the teams inside them. Users point at both through
+ * users.department_id / users.team_id; reporting lines stay on users.manager_id.
+ */
+class OrganizationService {
+  /**
+   * List departments with member and team counts
+   * @returns {Promise<Array>}
+   */
+  async listDepartments() {
+    const result = await pool.query(
+      `SELECT ${DEPARTMENT_COLUMNS},
+              (SELECT COUNT(*)::int FROM users u WHERE u.department_id = d.id AND u.status <> 'terminated') AS member_count,
+              (SELECT COUNT(*)::int FROM teams t WHERE t.department_id = d.id) AS team_count
+       FROM departments d
+       LEFT JOIN users head ON head.id = d.head_user_id
+       LEFT JOIN shifts sh ON sh.id = d.shift_id
+       ORDER BY d.name`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Department with its teams
+   * @param {string} departmentId - Department ID
+   * @returns {Promise<Object|null>}
+   */
+  async getDepartment(departmentId) {
+    const result = await pool.query(
+      `SELECT ${DEPARTMENT_COLUMNS},
+              (SELECT COUNT(*)::int FROM users u WHERE u.department_id = d.id AND u.status <> 'terminated') AS member_count
+       FROM departments d
+       LEFT JOIN users head ON head.id = d.head_user_id
+       LEFT JOIN shifts sh ON sh.id = d.shift_id
+       WHERE d.id = $1`,
+      [departmentId]
+    );
+    if (result.rows.length === 0) return null;
+
+    return { ...result.rows[0], teams: await this.listTeams(departmentId) };
+  }
+
+  async validateLeader(userId, field) {
+    if (userId && !(await isActiveUser(userId))) {
+      return { error: 'INVALID_USER', message: `${field} must be an active user` };
+    }
+    return null;
+  }
+
+  /**
+   * Create a department
+   * @param {Object} data - { name, code, description, head_user_id, shift_id }
+   * @returns {Promise<Object>} { department } or { error, message }
+   */
+  async createDepartment({ name, code = null, description = null, head_user_id = null, shift_id = null }) {
+    const invalid = await this.validateLeader(head_user_id, 'head_user_id')
+      || await shiftService.validateShift(shift_id);
+    if (invalid) return invalid;
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO departments (name, code, description, head_user_id, shift_id)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [name, code, description, head_user_id, shift_id]
+      );
+      logger.info(`Department created: ${name}`);
+      return { department: await this.getDepartment(result.rows[0].id) };
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'DEPARTMENT_EXISTS', message: 'A department with this name already exists' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a department
+   * @param {string} departmentId - Department ID
+   * @param {Object} data - Any of { name, code, description, head_user_id, shift_id }
+   * @returns {Promise<Object>} { before, department } or { error, message }
+   */
+  async updateDepartment(departmentId, data) {
+    const before = await this.getDepartment(departmentId);
+    if (!before) {
+      return { error: 'DEPARTMENT_NOT_FOUND', message: 'Department not found' };
+    }
+
+    const invalid = await this.validateLeader(data.head_user_id, 'head_user_id')
+      || await shiftService.validateShift(data.shift_id);
+    if (invalid) return invalid;
+
+    const fields = ['name', 'code', 'description', 'head_user_id', 'shift_id'].filter((field) => data[field] !== undefined);
+    if (fields.length === 0) {
+      return { error: 'NO_UPDATES', message: 'No fields to update' };
+    }
+
+    try {
+      await pool.query(
+        `UPDATE departments
+         SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1`,
+        [departmentId, ...fields.map((field) => data[field])]
+      );
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'DEPARTMENT_EXISTS', message: 'A department with this name already exists' };
+      }
+      throw error;
+    }
+
+    return { before, department: await this.getDepartment(departmentId) };
+  }
+
+  /**
+   * Delete an empty department (no teams, no non-terminated members)
+   * Offboarded members keep their history but lose the department link.
+   * @param {string} departmentId - Department ID
+   * @returns {Promise<Object>} { department } or { error, message }
+   */
+  async deleteDepartment(departmentId) {
+    const department = await this.getDepartment(departmentId);
+    if (!department) {
+      return { error: 'DEPARTMENT_NOT_FOUND', message: 'Department not found' };
+    }
+    if (department.member_count > 0 || department.teams.length > 0) {
+      return { error: 'DEPARTMENT_NOT_EMPTY', message: 'Move the department\'s members and teams before deleting it' };
+    }
+
+    await pool.query('DELETE FROM departments WHERE id = $1', [departmentId]);
+    logger.info(`Department deleted: ${department.name}`);
+    return { department };
+  }
+
+  /**
+   * List teams with member counts
+   * @param {string} departmentId - Optional department filter
+   * @returns {Promise<Array>}
+   */
+  async listTeams(departmentId = null) {
+    const result = await pool.query(
+      `SELECT ${TEAM_COLUMNS},
+              (SELECT COUNT(*)::int FROM users u WHERE u.team_id = t.id AND u.status <> 'terminated') AS member_count
+       FROM teams t
+       JOIN departments d ON d.id = t.department_id
+       LEFT JOIN users lead ON lead.id = t.lead_user_id
+       WHERE ($1::uuid IS NULL OR t.department_id = $1)
+       ORDER BY d.name, t.name`,
+      [departmentId]
+    );
+    return result.rows;
+  }
+
+  async getTeam(teamId) {
+    const result = await pool.query(
+      `SELECT ${TEAM_COLUMNS},
+              (SELECT COUNT(*)::int FROM users u WHERE u.team_id = t.id AND u.status <> 'terminated') AS member_count
+       FROM teams t
+       JOIN departments d ON d.id = t.department_id
+       LEFT JOIN users lead ON lead.id = t.lead_user_id
+       WHERE t.id = $1`,
+      [teamId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a team inside a department
+   * @param {Object} data - { department_id, name, description, lead_user_id }
+   * @returns {Promise<Object>} { team } or { error, message }
+   */
+  async createTeam({ department_id, name, description = null, lead_user_id = null }) {
+    const department = await pool.query('SELECT 1 FROM departments WHERE id = $1', [department_id]);
+    if (department.rows.length === 0) {
+      return { error: 'DEPARTMENT_NOT_FOUND', message: 'Department not found' };
+    }
+
+    const invalid = await this.validateLeader(lead_user_id, 'lead_user_id');
+    if (invalid) return invalid;
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO teams (department_id, name, description, lead_user_id)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [department_id, name, description, lead_user_id]
+      );
+      logger.info(`Team created: ${name}`);
+      return { team: await this.getTeam(result.rows[0].id) };
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'TEAM_EXISTS', message: 'The department already has a team with this name' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a team; moving it to another department moves its members too
+   * @param {string} teamId - Team ID
+   * @param {Object} data - Any of { department_id, name, description, lead_user_id }
+   * @returns {Promise<Object>} { before, team } or { error, message }
+   */
+  async updateTeam(teamId, data) {
+    const before = await this.getTeam(teamId);
+    if (!before) {
+      return { error: 'TEAM_NOT_FOUND', message: 'Team not found' };
+    }
+
+    if (data.department_id) {
+      const department = await pool.query('SELECT 1 FROM departments WHERE id = $1', [data.department_id]);
+      if (department.rows.length === 0) {
+        return { error: 'DEPARTMENT_NOT_FOUND', message: 'Department not found' };
+      }
+    }
+
+    const invalid = await this.validateLeader(data.lead_user_id, 'lead_user_id');
+    if (invalid) return invalid;
+
+    const fields = ['department_id', 'name', 'description', 'lead_user_id'].filter((field) => data[field] !== undefined);
+    if (fields.length === 0) {
+      return { error: 'NO_UPDATES', message: 'No fields to update' };
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE teams
+         SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1`,
+        [teamId, ...fields.map((field) => data[field])]
+      );
+      if (data.department_id && data.department_id !== before.department_id) {
+        await client.query(
+          'UPDATE users SET department_id = $2, updated_at = NOW() WHERE team_id = $1',
+          [teamId, data.department_id]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'TEAM_EXISTS', message: 'The department already has a team with this name' };
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { before, team: await this.getTeam(teamId) };
+  }
+
+  /**
+   * Delete a team without active members
+   * @param {string} teamId - Team ID
+   * @returns {Promise<Object>} { team } or { error, message }
+   */
+  async deleteTeam(teamId) {
+    const team = await this.getTeam(teamId);
+    if (!team) {
+      return { error: 'TEAM_NOT_FOUND', message: 'Team not found' };
+    }
+    if (team.member_count > 0) {
+      return { error: 'TEAM_NOT_EMPTY', message: 'Move the team\'s members before deleting it' };
+    }
+
+    await pool.query('DELETE FROM teams WHERE id = $1', [teamId]);
+    logger.info(`Team deleted: ${team.name}`);
+    return { team };
+  }
+
+  /**
+   * Check a department/team assignment for a user or invite
+   * A team implies its department; naming both requires them to match.
+   * Changing only the department drops a current team from another department.
+   * @param {Object} assignment - { department_id, team_id } (undefined = unchanged, null = cleared)
+   * @param {string} currentTeamId - Team the user or invite is in now
+   * @returns {Promise<Object>} Normalized { department_id, team_id } or { error, message }
+   */
+  async resolveAssignment({ department_id, team_id }, currentTeamId = null) {
+    const resolved = { department_id, team_id };
+
+    if (team_id === undefined && department_id !== undefined && currentTeamId) {
+      const current = await pool.query('SELECT department_id FROM teams WHERE id = $1', [currentTeamId]);
+      if (current.rows[0]?.department_id !== department_id) resolved.team_id = null;
+    }
+
+    if (team_id) {
+      const team = await pool.query('SELECT department_id FROM teams WHERE id = $1', [team_id]);
+      if (team.rows.length === 0) {
+        return { error: 'TEAM_NOT_FOUND', message: 'Team not found' };
+      }
+      if (department_id && department_id !== team.rows[0].department_id) {
+        return { error: 'TEAM_DEPARTMENT_MISMATCH', message: 'Team does not belong to the given department' };
+      }
+      resolved.department_id = team.rows[0].department_id;
+    } else if (department_id) {
+      const department = await pool.query('SELECT 1 FROM departments WHERE id = $1', [department_id]);
+      if (department.rows.length === 0) {
+        return { error: 'DEPARTMENT_NOT_FOUND', message: 'Department not found' };
+      }
+    }
+
+    return resolved;
+  }
+}
+
+module.exports = new OrganizationService();
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const pool = require('../config/database');
+const sessionService = require('./sessionService');
+const loginThrottleService = require('./loginThrottleService');
+const mailService = require('./mailService');
+const logger = require('../utils/logger');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || '60', 10);
+const RESET_REQUEST_COOLDOWN_SECONDS = 60;
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Password Service
+ * Self-service password reset (emailed single-use token, only the SHA-256
+ * hash is stored) and authenticated password change. Both end other sessions.
+ */
+class PasswordService {
+  /**
+   * Start a password reset. Always resolves without revealing whether the email exists.
+   * @param {string} email - Account email
+   * @param {string} ipAddress - Requesting IP (stored for auditing)
+   */
+  async requestReset(email, ipAddress = null) {
+    const result = await pool.query(
+      `SELECT id, email, name, status FROM users WHERE LOWER(email) = LOWER($1)`,
+      [email.trim()]
+    );
+    const user = result.rows[0];
+
+    if (!user || user.status !== 'active') {
+      logger.info(`Password reset requested for unknown or inactive account: ${email}`);
+      return;
+    }
+
+    // Ignore rapid repeats so the endpoint cannot be used to flood a mailbox.
+    const recent = await pool.query(
+      `SELECT 1 FROM password_reset_tokens
+       WHERE user_id = $1 AND created_at > NOW() - make_interval(secs => $2::int)`,
+      [user.id, RESET_REQUEST_COOLDOWN_SECONDS]
+    );
+    if (recent.rows.length > 0) {
+      logger.info(`Password reset for ${user.email} requested again within cooldown, skipped`);
+      return;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Only the newest link works.
+      await client.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+      );
+      await client.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+         VALUES ($1, $2, NOW() + make_interval(mins => $3::int), $4)`,
+        [user.id, hashToken(token), RESET_TOKEN_TTL_MINUTES, ipAddress]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Create password reset token error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const resetUrl = `${APP_BASE_URL}/reset-password?token=${encodeURIComponent(token)}`;
+    await mailService.sendPasswordResetEmail(user, resetUrl, RESET_TOKEN_TTL_MINUTES);
+    logger.info(`Password reset token issued for ${user.email}`);
+  }
+
+  /**
+   * Complete a reset with the emailed token
+   * @param {string} token - Reset token from the link
+   * @param {string} newPassword - New plain-text password
+   * @returns {Promise<Object>} { user } or { error, message }
+   */
+  async resetPassword(token, newPassword) {
+    const client = await pool.connect();
+    let user;
+    try {
+      await client.query('BEGIN');
+
+      const tokenResult = await client.query(
+        `SELECT prt.id, prt.user_id, prt.expires_at, prt.used_at, u.email, u.name, u.status
+         FROM password_reset_tokens prt
+         JOIN users u ON u.id = prt.user_id
+         WHERE prt.token_hash = $1
+         FOR UPDATE OF prt`,
+        [hashToken(token)]
+      );
+      const resetToken = tokenResult.rows[0];
+
+      if (!resetToken || resetToken.used_at || new Date(resetToken.expires_at) <= new Date()) {
+        await client.query('ROLLBACK');
+        return { error: 'INVALID_RESET_TOKEN', message: 'This password reset link is invalid or has expired' };
+      }
+      if (resetToken.status !== 'active') {
+        await client.query('ROLLBACK');
+        return { error: 'ACCOUNT_INACTIVE', message: 'Your account is inactive' };
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await client.query(
+        `UPDATE users
+         SET password_hash = $2, password_changed_at = NOW(), locked_until = NULL, updated_at = NOW()
+         WHERE id = $1`,
+        [resetToken.user_id, hashedPassword]
+      );
+      await client.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [resetToken.id]);
+
+      await client.query('COMMIT');
+      user = { id: resetToken.user_id, email: resetToken.email, name: resetToken.name };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Reset password error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await loginThrottleService.recordSuccess(user.email);
+    await sessionService.revokeAllForUser(user.id, 'password_reset');
+    await mailService.sendPasswordChangedEmail(user);
+
+    logger.info(`Password reset completed for ${user.email}`);
+    return { user };
+  }
+
+  /**
+   * Change the password of a signed-in user
+   * @param {Object} authUser - req.user (id, sid)
+   * @param {string} currentPassword - Current plain-text password
+   * @param {string} newPassword - New plain-text password
+   * @returns {Promise<Object>} { revokedSessions } or { error, message }
+   */
+  async changePassword(authUser, currentPassword, newPassword) {
+    const result = await pool.query(
+      'SELECT id, email, name, password_hash FROM users WHERE id = $1',
+      [authUser.id]
+    );
+    const user = result.rows[0];
+
+    if (!user) {
+      return { error: 'USER_NOT_FOUND', message: 'User not found' };
+    }
+
+    const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!isValidPassword) {
+      return { error: 'INVALID_CURRENT_PASSWORD', message: 'Current password is incorrect' };
+    }
+
+    if (await bcrypt.compare(newPassword, user.password_hash)) {
+      return { error: 'PASSWORD_UNCHANGED', message: 'New password must be different from the current password' };
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await pool.query(
+      `UPDATE users SET password_hash = $2, password_changed_at = NOW(), updated_at = NOW()
+       WHERE id = $1`,
+      [user.id, hashedPassword]
+    );
+
+    // Keep the caller signed in, sign out everywhere else.
+    const revokedSessions = await sessionService.revokeAllForUser(user.id, 'password_change', authUser.sid);
+    await mailService.sendPasswordChangedEmail(user);
+
+    logger.info(`Password changed for ${user.email}`);
+    return { revokedSessions };
+  }
+}
+
+module.exports = new PasswordService();
@@ -0,0 +1,96 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+// Employment details HR maintains through updateUser
+const EMPLOYMENT_FIELDS = [
+  'designation', 'employment_type', 'work_location', 'timezone', 'work_schedule', 'phone', 'geofence_policy',
+];
+// The part of the profile an employee may edit through PUT /api/auth/me. Not the
+// timezone: it decides business dates, lateness and the auto-checkout boundary.
+const SELF_SERVICE_FIELDS = ['phone', 'profile_picture_url'];
+
+const PROFILE_COLUMNS = `u.id, u.email, u.name, u.employee_id, u.role, u.manager_id, m.name AS manager_name,
+  u.department_id, d.name AS department, u.team_id, t.name AS team, u.designation, u.employment_type,
+  TO_CHAR(u.joining_date, 'YYYY-MM-DD') AS joining_date, u.work_location, u.timezone, u.work_schedule,
+  u.phone, u.shift_id, sh.id AS effective_shift_id, sh.name AS shift, u.geofence_policy, hc.id AS holiday_calendar_id,
+  hc.name AS holiday_calendar, u.profile_picture_url, u.status, u.created_at`;
+
+const PROFILE_JOINS = `LEFT JOIN users m ON m.id = u.manager_id
+  LEFT JOIN departments d ON d.id = u.department_id
+  LEFT JOIN teams t ON t.id = u.team_id
+  LEFT JOIN shifts sh ON sh.id = COALESCE(u.shift_id, d.shift_id)
+  LEFT JOIN holiday_calendars hc ON hc.id = COALESCE(u.holiday_calendar_id, (SELECT id FROM holiday_calendars WHERE is_default))`;
+
+// Empty strings clear a field rather than storing ''
+const toColumnValue = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * Profile Service
+ * Employee profile and employment metadata, and the self-service subset
+ * employees can change without HR.
+ */
+class ProfileService {
+  /**
+   * Profile as shown to the employee themselves
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>}
+   */
+  async getProfile(userId) {
+    const result = await pool.query(
+      `SELECT ${PROFILE_COLUMNS}
+       FROM users u
+       ${PROFILE_JOINS}
+       WHERE u.id = $1`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * SET fragments for the employment fields present in a request body
+   * @param {Object} data - Request body
+   * @param {Array} values - Query values so far; field values are appended
+   * @returns {Array<string>} e.g. ["designation = $4"]
+   */
+  buildEmploymentUpdates(data, values) {
+    return EMPLOYMENT_FIELDS
+      .filter((field) => data[field] !== undefined)
+      .map((field) => {
+        values.push(toColumnValue(data[field]));
+        return `${field} = $${values.length}`;
+      });
+  }
+
+  /**
+   * Update the self-service part of the caller's profile
+   * @param {string} userId - Caller
+   * @param {Object} data - Any of SELF_SERVICE_FIELDS; other keys are ignored
+   * @returns {Promise<Object>} { before, user } or { error, message }
+   */
+  async updateOwnProfile(userId, data) {
+    const fields = SELF_SERVICE_FIELDS.filter((field) => data[field] !== undefined);
+    if (fields.length === 0) {
+      return {
+        error: 'NO_UPDATES',
+        message: `No editable fields; employees can change ${SELF_SERVICE_FIELDS.join(', ')}`,
+      };
+    }
+
+    const before = await this.getProfile(userId);
+    if (!before) {
+      return { error: 'USER_NOT_FOUND', message: 'User not found' };
+    }
+
+    await pool.query(
+      `UPDATE users
+       SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1`,
+      [userId, ...fields.map((field) => toColumnValue(data[field]))]
+    );
+
+    logger.info(`Profile updated by user ${userId}: ${fields.join(', ')}`);
+    return { before, user: await this.getProfile(userId) };
+  }
+}
+
+module.exports = new ProfileService();
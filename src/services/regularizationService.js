@@ -0,0 +1,259 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const timezoneService = require('./timezoneService');
+const attendanceCorrectionService = require('./attendanceCorrectionService');
+
+const REQUEST_COLUMNS = `rg.id, rg.user_id, u.name AS user_name, u.employee_id, rg.attendance_record_id,
+  TO_CHAR(rg.date, 'YYYY-MM-DD') AS date, rg.check_in_time, rg.check_out_time, rg.breaks, rg.reason, rg.status,
+  rg.reviewed_by, r.name AS reviewed_by_name, rg.reviewed_at, rg.review_comment, rg.created_at, rg.updated_at`;
+
+const REQUEST_JOINS = `JOIN users u ON u.id = rg.user_id
+  LEFT JOIN users r ON r.id = rg.reviewed_by`;
+
+const UNIQUE_VIOLATION = '23505';
+
+// How far back, in days, an employee may correct their attendance
+const MAX_AGE_DAYS = 30;
+
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const isOpen = (record) => Boolean(record && record.check_in_time && !record.check_out_time);
+
+/**
+ * Regularization Service
+ * Employees' corrections to a settled day (a forgotten check-out stamped at
+ * the end of the day, a tracker crash, an unrecorded break) and their approval.
+ *
+ * A request carries the actual check-in/check-out and, optionally, the breaks
+ * taken. Nothing changes until a manager approves it; approval rewrites the
+ * day through attendanceCorrectionService, which keeps activity_logs and the
+ * totals consistent.
+ */
+class RegularizationService {
+  async getRequest(requestId, client = pool) {
+    const result = await client.query(
+      `SELECT ${REQUEST_COLUMNS} FROM attendance_regularizations rg ${REQUEST_JOINS} WHERE rg.id = $1`,
+      [requestId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List regularization requests
+   * @param {Object} filters - { userId, status, scopeFilter } (scopeFilter from accessService, alias u)
+   * @returns {Promise<Array>}
+   */
+  async listRequests({ userId = null, status = null, scopeFilter = null } = {}) {
+    const params = [userId, status];
+    let scope = 'TRUE';
+    if (scopeFilter) {
+      // Scope filters number their params from 1; shift them after ours
+      const offset = params.length;
+      scope = scopeFilter.clause.replace(/\$(\d+)/g, (match, n) => `$${parseInt(n, 10) + offset}`);
+      params.push(...scopeFilter.params);
+    }
+
+    const result = await pool.query(
+      `SELECT ${REQUEST_COLUMNS}
+       FROM attendance_regularizations rg
+       ${REQUEST_JOINS}
+       WHERE ($1::uuid IS NULL OR rg.user_id = $1::uuid)
+         AND ($2::text IS NULL OR rg.status = $2::text)
+         AND ${scope}
+       ORDER BY rg.date DESC, rg.created_at DESC`,
+      params
+    );
+    return result.rows;
+  }
+
+  async getRecord(userId, date, client = pool) {
+    const result = await client.query(
+      'SELECT * FROM attendance_records WHERE user_id = $1 AND date = $2',
+      [userId, date]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Submit a correction for one of the employee's own days
+   * @param {string} userId - Applicant
+   * @param {Object} data - { date, check_in_time, check_out_time, breaks: [{ start, end }], reason }
+   * @returns {Promise<Object>} { request } or { error, message }
+   */
+  async submitRequest(userId, {
+    date, check_in_time: checkInTime, check_out_time: checkOutTime, breaks = null, reason,
+  }) {
+    const today = await timezoneService.getUserDate(userId);
+    if (date > today) {
+      return { error: 'INVALID_DATES', message: 'Attendance cannot be regularized for a future date' };
+    }
+    if (date < addDays(today, -MAX_AGE_DAYS)) {
+      return {
+        error: 'REGULARIZATION_WINDOW_CLOSED',
+        message: `Attendance can only be regularized for the last ${MAX_AGE_DAYS} days`,
+      };
+    }
+
+    const checkIn = new Date(checkInTime);
+    const checkOut = new Date(checkOutTime);
+    if (checkOut <= checkIn) {
+      return { error: 'INVALID_TIMES', message: 'check_out_time must be after check_in_time' };
+    }
+    if (checkOut > new Date()) {
+      return { error: 'INVALID_TIMES', message: 'check_out_time cannot be in the future' };
+    }
+
+    const record = await this.getRecord(userId, date);
+    if (isOpen(record)) {
+      return { error: 'RECORD_OPEN', message: 'Check out before regularizing this day' };
+    }
+
+    const bounds = await attendanceCorrectionService.getBusinessDayBounds(record || { user_id: userId, date });
+    if (checkIn < bounds.start || checkOut > bounds.end) {
+      return { error: 'INVALID_TIMES', message: `Check-in and check-out must both fall within the working day of ${date}` };
+    }
+
+    const sortedBreaks = breaks && breaks
+      .map((entry) => ({ start: new Date(entry.start), end: new Date(entry.end) }))
+      .sort((a, b) => a.start - b.start);
+    if (sortedBreaks) {
+      const invalid = sortedBreaks.some((entry, index) => entry.start < checkIn || entry.end > checkOut
+        || (index > 0 && entry.start < sortedBreaks[index - 1].end));
+      if (invalid) {
+        return { error: 'INVALID_BREAKS', message: 'Breaks must not overlap and must fall between check-in and check-out' };
+      }
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO attendance_regularizations
+           (user_id, attendance_record_id, date, check_in_time, check_out_time, breaks, reason)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id`,
+        [userId, record?.id || null, date, checkIn, checkOut, sortedBreaks && JSON.stringify(sortedBreaks), reason]
+      );
+
+      logger.info(`Attendance regularization requested by ${userId} for ${date}`);
+      return { request: await this.getRequest(result.rows[0].id) };
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'REGULARIZATION_PENDING', message: 'You already have a pending regularization for this date' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a pending request; approval rewrites the attendance record
+   * @param {Object} reviewer - req.user; access to the applicant is checked by the caller
+   * @param {string} requestId - Regularization ID
+   * @param {string} decision - 'approved' | 'rejected'
+   * @param {string|null} comment - Optional note to the applicant
+   * @returns {Promise<Object>} { before, request, recordBefore, record } or { error, message }
+   *   (recordBefore/record only on approval)
+   */
+  async reviewRequest(reviewer, requestId, decision, comment = null) {
+    const before = await this.getRequest(requestId);
+    if (!before) {
+      return { error: 'REGULARIZATION_NOT_FOUND', message: 'Regularization request not found' };
+    }
+    if (before.user_id === reviewer.id) {
+      return { error: 'SELF_REVIEW', message: 'You cannot review your own regularization request' };
+    }
+    if (before.status !== 'pending') {
+      return { error: 'REGULARIZATION_NOT_PENDING', message: `The request is already ${before.status}` };
+    }
+
+    let recordBefore = null;
+    let record = null;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Lock the request so two reviewers cannot both act on it
+      const locked = await client.query(
+        'SELECT status FROM attendance_regularizations WHERE id = $1 FOR UPDATE',
+        [requestId]
+      );
+      if (locked.rows[0].status !== 'pending') {
+        await client.query('ROLLBACK');
+        return { error: 'REGULARIZATION_NOT_PENDING', message: `The request is already ${locked.rows[0].status}` };
+      }
+
+      let recordId = null;
+      if (decision === 'approved') {
+        // A day without a row (e.g. a day off) gets one, as checking in would have created
+        await client.query(
+          `INSERT INTO attendance_records (user_id, date, status)
+           VALUES ($1, $2, 'absent')
+           ON CONFLICT (user_id, date) DO NOTHING`,
+          [before.user_id, before.date]
+        );
+        const current = await client.query(
+          'SELECT * FROM attendance_records WHERE user_id = $1 AND date = $2 FOR UPDATE',
+          [before.user_id, before.date]
+        );
+        recordBefore = current.rows[0];
+        if (isOpen(recordBefore)) {
+          await client.query('ROLLBACK');
+          return { error: 'RECORD_OPEN', message: 'The employee is checked in on this day; they must check out first' };
+        }
+
+        recordId = recordBefore.id;
+        record = await attendanceCorrectionService.rewriteTimeline(recordBefore, {
+          checkIn: before.check_in_time,
+          checkOut: before.check_out_time,
+          breaks: before.breaks,
+        }, client);
+      }
+
+      await client.query(
+        `UPDATE attendance_regularizations
+         SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_comment = $4,
+             attendance_record_id = COALESCE($5, attendance_record_id), updated_at = NOW()
+         WHERE id = $1`,
+        [requestId, decision, reviewer.id, comment, recordId]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    logger.info(`Attendance regularization ${requestId} ${decision} by ${reviewer.id}`);
+    return { before, request: await this.getRequest(requestId), recordBefore, record };
+  }
+
+  /**
+   * Withdraw a pending request (applicant only)
+   * @param {Object} actor - req.user
+   * @param {string} requestId - Regularization ID
+   * @returns {Promise<Object>} { before, request } or { error, message }
+   */
+  async cancelRequest(actor, requestId) {
+    const before = await this.getRequest(requestId);
+    if (!before || before.user_id !== actor.id) {
+      return { error: 'REGULARIZATION_NOT_FOUND', message: 'Regularization request not found' };
+    }
+
+    const result = await pool.query(
+      `UPDATE attendance_regularizations SET status = 'cancelled', updated_at = NOW()
+       WHERE id = $1 AND status = 'pending'`,
+      [requestId]
+    );
+    if (result.rowCount === 0) {
+      return { error: 'REGULARIZATION_NOT_PENDING', message: `The request is already ${before.status}` };
+    }
+
+    logger.info(`Attendance regularization ${requestId} cancelled by ${actor.id}`);
+    return { before, request: await this.getRequest(requestId) };
+  }
+}
+
+module.exports = new RegularizationService();
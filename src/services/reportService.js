@@ -1,9 +1,51 @@
 const pool = require('../config/database');
-const { formatDate } = require('../utils/helpers');
+const timezoneService = require('./timezoneService');
+const holidayService = require('./holidayService');
+const { formatDate, toDateString } = require('../utils/helpers');
+
+const monthPeriod = (month, year) => {
+  const currentDate = new Date();
+  const targetMonth = month || (currentDate.getMonth() + 1);
+  const targetYear = year || currentDate.getFullYear();
+  return {
+    month: targetMonth,
+    year: targetYear,
+    start: `${targetYear}-${String(targetMonth).padStart(2, '0')}-01`,
+    end: toDateString(new Date(targetYear, targetMonth, 0)),
+  };
+};
+
+/**
+ * WHERE conditions selecting a group of users (alias u)
+ * @param {Array} params - Query params so far; filter values are appended
+ * @param {Object} filters - { scopeFilter, departmentId, teamId }; a missing scopeFilter
+ *   (a caller without the permission) selects nobody
+ * @returns {string} SQL conditions joined with AND
+ */
+const groupConditions = (params, { scopeFilter = null, departmentId = null, teamId = null }) => {
+  const conditions = [];
+  if (!scopeFilter) {
+    conditions.push('FALSE');
+  } else {
+    // Scope filters number their params from 1; shift them after ours
+    const offset = params.length;
+    conditions.push(scopeFilter.clause.replace(/\$(\d+)/g, (match, n) => `$${parseInt(n, 10) + offset}`));
+    params.push(...scopeFilter.params);
+  }
+  if (departmentId) {
+    params.push(departmentId);
+    conditions.push(`u.department_id = $${params.length}`);
+  }
+  if (teamId) {
+    params.push(teamId);
+    conditions.push(`u.team_id = $${params.length}`);
+  }
+  return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+};
 
 class ReportService {
   async getDailyReport(userId, date) {
-    const targetDate = date || formatDate(new Date());
+    const targetDate = date || await timezoneService.getUserDate(userId);
 
     const attendance = await pool.query(
       'SELECT * FROM attendance_records WHERE user_id = $1 AND date::date = $2::date',
@@ -52,8 +94,9 @@ class ReportService {
   }
 
   async getWeeklyReport(userId, startDate, endDate) {
-    const start = startDate || formatDate(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
-    const end = endDate || formatDate(new Date());
+    const timeZone = await timezoneService.getUserTimeZone(userId);
+    const start = startDate || formatDate(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), timeZone);
+    const end = endDate || formatDate(new Date(), timeZone);
 
     const attendance = await pool.query(
       `SELECT * FROM attendance_records 
@@ -84,13 +127,9 @@ class ReportService {
   }
 
   async getMonthlyReport(userId, month, year) {
-    const currentDate = new Date();
-    const targetMonth = month || (currentDate.getMonth() + 1);
-    const targetYear = year || currentDate.getFullYear();
-
-    const startDate = `${targetYear}-${String(targetMonth).padStart(2, '0')}-01`;
-    const endDate = new Date(targetYear, targetMonth, 0);
-    const endDateStr = formatDate(endDate);
+    const {
+      month: targetMonth, year: targetYear, start: startDate, end: endDateStr,
+    } = monthPeriod(month, year);
 
     const attendance = await pool.query(
       `SELECT * FROM attendance_records 
@@ -109,12 +148,25 @@ class ReportService {
          SUM(untracked_seconds) as total_untracked,
          AVG(total_active_duration) as avg_active,
          COUNT(CASE WHEN status = 'present' THEN 1 END) as present_days,
-         COUNT(CASE WHEN status = 'absent' THEN 1 END) as absent_days
+         COUNT(CASE WHEN status = 'absent' THEN 1 END) as absent_days,
+         COUNT(CASE WHEN status = 'half_day' THEN 1 END) as half_days,
+         COUNT(CASE WHEN status = 'on_leave' THEN 1 END) as leave_days,
+         COUNT(CASE WHEN late_by_minutes > 0 THEN 1 END) as late_days,
+         COALESCE(SUM(late_by_minutes), 0) as total_late_minutes,
+         COUNT(CASE WHEN left_early_minutes > 0 THEN 1 END) as early_departure_days,
+         COALESCE(SUM(left_early_minutes), 0) as total_left_early_minutes,
+         COUNT(CASE WHEN check_in_geofence = 'onsite' THEN 1 END) as onsite_days,
+         COUNT(CASE WHEN check_in_geofence = 'remote' THEN 1 END) as remote_days,
+         COUNT(CASE WHEN check_in_geofence = 'outside' THEN 1 END) as outside_days,
+         COUNT(CASE WHEN geofence_flagged THEN 1 END) as flagged_days,
+         ${holidayService.workingDaysCountSql('$1', '$2::date', '$3::date')} as working_days
        FROM attendance_records
        WHERE user_id = $1 AND date >= $2 AND date <= $3`,
       [userId, startDate, endDateStr]
     );
 
+    const { holidays } = await holidayService.getUserCalendar(userId, { startDate, endDate: endDateStr });
+
     const productivity = await pool.query(
       `SELECT * FROM productivity_summary
        WHERE user_id = $1 AND date >= $2 AND date <= $3
@@ -126,20 +178,108 @@ class ReportService {
       period: { month: targetMonth, year: targetYear, start: startDate, end: endDateStr },
       attendance_records: attendance.rows,
       summary: summary.rows[0],
+      holidays,
       productivity_summaries: productivity.rows,
     };
   }
 
+  /**
+   * Per-employee period totals for a department, team or reporting line
+   * Includes employees offboarded during the period.
+   * @param {string} start - YYYY-MM-DD
+   * @param {string} end - YYYY-MM-DD
+   * @param {Object} filters - { scopeFilter, departmentId, teamId }
+   * @returns {Promise<Object>} { employees, summary }
+   */
+  async getGroupReport(start, end, filters) {
+    const params = [start, end];
+    const where = groupConditions(params, filters);
+
+    const result = await pool.query(
+      `SELECT
+         u.id AS user_id,
+         u.name,
+         u.employee_id,
+         u.department_id,
+         d.name AS department,
+         u.team_id,
+         t.name AS team,
+         COUNT(ar.id)::int AS total_days,
+         COALESCE(SUM(ar.total_work_duration), 0)::int AS total_work,
+         COALESCE(SUM(ar.total_active_duration), 0)::int AS total_active,
+         COALESCE(SUM(ar.total_idle_duration), 0)::int AS total_idle,
+         COALESCE(SUM(ar.total_break_duration), 0)::int AS total_break,
+         COALESCE(SUM(ar.untracked_seconds), 0)::int AS total_untracked,
+         COUNT(CASE WHEN ar.status = 'present' THEN 1 END)::int AS present_days,
+         COUNT(CASE WHEN ar.status = 'absent' THEN 1 END)::int AS absent_days,
+         COUNT(CASE WHEN ar.status = 'half_day' THEN 1 END)::int AS half_days,
+         COUNT(CASE WHEN ar.status = 'on_leave' THEN 1 END)::int AS leave_days,
+         COUNT(CASE WHEN ar.late_by_minutes > 0 THEN 1 END)::int AS late_days,
+         COALESCE(SUM(ar.late_by_minutes), 0)::int AS total_late_minutes,
+         COUNT(CASE WHEN ar.left_early_minutes > 0 THEN 1 END)::int AS early_departure_days,
+         COALESCE(SUM(ar.left_early_minutes), 0)::int AS total_left_early_minutes,
+         COUNT(CASE WHEN ar.check_in_geofence = 'onsite' THEN 1 END)::int AS onsite_days,
+         COUNT(CASE WHEN ar.check_in_geofence = 'remote' THEN 1 END)::int AS remote_days,
+         COUNT(CASE WHEN ar.check_in_geofence = 'outside' THEN 1 END)::int AS outside_days,
+         COUNT(CASE WHEN ar.geofence_flagged THEN 1 END)::int AS flagged_days,
+         ${holidayService.workingDaysCountSql('u.id', '$1::date', '$2::date')} AS working_days
+       FROM users u
+       LEFT JOIN departments d ON d.id = u.department_id
+       LEFT JOIN teams t ON t.id = u.team_id
+       LEFT JOIN attendance_records ar ON ar.user_id = u.id AND ar.date >= $1 AND ar.date <= $2
+       WHERE (u.status <> 'terminated' OR u.last_working_day >= $1)
+         AND ${where}
+       GROUP BY u.id, d.name, t.name
+       ORDER BY u.name`,
+      params
+    );
+
+    const totals = ['working_days', 'total_days', 'total_work', 'total_active', 'total_idle', 'total_break',
+      'total_untracked', 'present_days', 'absent_days', 'half_days', 'leave_days', 'late_days',
+      'total_late_minutes', 'early_departure_days', 'total_left_early_minutes', 'onsite_days', 'remote_days',
+      'outside_days', 'flagged_days'];
+    const summary = { employees: result.rows.length };
+    for (const field of totals) {
+      summary[field] = result.rows.reduce((sum, row) => sum + row[field], 0);
+    }
+    summary.avg_active = summary.total_days > 0 ? Math.round(summary.total_active / summary.total_days) : 0;
+
+    return { employees: result.rows, summary };
+  }
+
+  async getGroupWeeklyReport(startDate, endDate, filters) {
+    const timeZone = await timezoneService.getDefaultTimeZone();
+    const start = startDate || formatDate(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), timeZone);
+    const end = endDate || formatDate(new Date(), timeZone);
+
+    return {
+      period: { start, end },
+      filter: { department_id: filters.departmentId || null, team_id: filters.teamId || null },
+      ...(await this.getGroupReport(start, end, filters)),
+    };
+  }
+
+  async getGroupMonthlyReport(month, year, filters) {
+    const period = monthPeriod(month, year);
+
+    return {
+      period,
+      filter: { department_id: filters.departmentId || null, team_id: filters.teamId || null },
+      ...(await this.getGroupReport(period.start, period.end, filters)),
+    };
+  }
+
   async getProductivitySummary(userId, period = 'week') {
     let startDate;
-    const endDate = formatDate(new Date());
+    const timeZone = await timezoneService.getUserTimeZone(userId);
+    const endDate = formatDate(new Date(), timeZone);
 
     if (period === 'week') {
-      startDate = formatDate(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+      startDate = formatDate(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), timeZone);
     } else if (period === 'month') {
-      startDate = formatDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+      startDate = formatDate(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), timeZone);
     } else {
-      startDate = formatDate(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+      startDate = formatDate(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), timeZone);
     }
 
     const result = await pool.query(
@@ -155,8 +295,17 @@ class ReportService {
     };
   }
 
-  async getTeamOverview(date) {
-    const targetDate = date || formatDate(new Date());
+  /**
+   * Attendance overview of active users for a day
+   * Each employee carries is_working_day (and the holiday's name, if any) from
+   * their shift and holiday calendar.
+   * @param {string} date - YYYY-MM-DD, defaults to today in the organization's timezone
+   * @param {Object} filters - { scopeFilter, departmentId, teamId }
+   */
+  async getTeamOverview(date, filters) {
+    const targetDate = date || formatDate(new Date(), await timezoneService.getDefaultTimeZone());
+    const params = [targetDate];
+    const where = groupConditions(params, filters);
 
     const overview = await pool.query(
       `SELECT 
@@ -164,6 +313,11 @@ class ReportService {
          u.name,
          u.email,
          u.employee_id,
+         u.department_id,
+         d.name AS department,
+         u.team_id,
+         t.name AS team,
+         u.timezone,
          ar.check_in_time,
          ar.check_out_time,
          ar.total_work_duration,
@@ -171,12 +325,26 @@ class ReportService {
          ar.total_idle_duration,
          ar.total_break_duration,
          ar.untracked_seconds,
+         ar.late_by_minutes,
+         ar.left_early_minutes,
          ar.status,
+         ar.check_in_geofence,
+         ofc.name AS check_in_office,
+         ar.check_out_geofence,
+         ar.geofence_flagged,
+         ${holidayService.workingDaySql('$1::date', 'sh', 'hc')} AS is_working_day,
+         hol.name AS holiday,
          lb.break_start_time,
          lb.break_end_time,
          lb.break_end_time as break_in_time
        FROM users u
+       LEFT JOIN departments d ON d.id = u.department_id
+       LEFT JOIN teams t ON t.id = u.team_id
+       LEFT JOIN shifts sh ON sh.id = COALESCE(u.shift_id, d.shift_id)
+       ${holidayService.calendarJoinSql()}
+       LEFT JOIN holidays hol ON hol.calendar_id = hc.id AND hol.date = $1::date
        LEFT JOIN attendance_records ar ON u.id = ar.user_id AND ar.date::date = $1::date
+       LEFT JOIN office_locations ofc ON ofc.id = ar.check_in_office_id
        LEFT JOIN LATERAL (
          SELECT break_start_time, break_end_time
          FROM lunch_breaks lb
@@ -185,9 +353,10 @@ class ReportService {
          LIMIT 1
        ) lb ON true
        WHERE u.status = 'active'
+         AND ${where}
        ORDER BY u.name`,
       //  (u.role = 'employee' or u.role = 'hr) AND
-      [targetDate]
+      params
     );
 
     const summary = await pool.query(
@@ -196,8 +365,9 @@ class ReportService {
          COUNT(CASE WHEN check_out_time IS NOT NULL THEN 1 END) as total_checked_out,
          AVG(total_active_duration) as avg_active_duration
        FROM attendance_records
-       WHERE date = $1`,
-      [targetDate]
+       WHERE date = $1
+         AND user_id IN (SELECT u.id FROM users u WHERE u.status = 'active' AND ${where})`,
+      params
     );
 
     return {
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../config/database');
+const { redisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const SESSION_STATUS_CACHE_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Session Service
+ * A session is one login "family": every refresh token issued by rotating
+ * a refresh token belongs to the same session. Presenting an already-used
+ * refresh token is treated as theft and revokes the whole family.
+ */
+class SessionService {
+  /**
+   * Sign a short access token bound to a session
+   * @param {Object} user - User row (id, email, role, employee_id)
+   * @param {string} sessionId - Session the token belongs to
+   * @returns {string} Signed JWT
+   */
+  issueAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        employee_id: user.employee_id,
+        sid: sessionId,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.JWT_EXPIRY || '24h' }
+    );
+  }
+
+  /**
+   * Open a new session for a user and issue its first token pair
+   * @param {Object} user - User row
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { session, accessToken, refreshToken }
+   */
+  async createSession(user, { ipAddress = null, userAgent = null } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const expiresAt = refreshTokenExpiry();
+      const sessionResult = await client.query(
+        `INSERT INTO user_sessions (user_id, ip_address, user_agent, expires_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [user.id, ipAddress, userAgent, expiresAt]
+      );
+      const session = sessionResult.rows[0];
+
+      const refreshToken = generateRefreshToken();
+      await client.query(
+        `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+         VALUES ($1, $2, $3)`,
+        [session.id, hashToken(refreshToken), expiresAt]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        session,
+        accessToken: this.issueAccessToken(user, session.id),
+        refreshToken,
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Create session error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotation)
+   * @param {string} refreshToken - Opaque refresh token presented by the client
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} { user, accessToken, refreshToken } or { error, message }
+   */
+  async rotateRefreshToken(refreshToken, { ipAddress = null, userAgent = null } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Lock the token row so two concurrent refreshes cannot both rotate it.
+      const tokenResult = await client.query(
+        `SELECT rt.*, s.user_id, s.revoked_at AS session_revoked_at
+         FROM refresh_tokens rt
+         JOIN user_sessions s ON s.id = rt.session_id
+         WHERE rt.token_hash = $1
+         FOR UPDATE OF rt`,
+        [hashToken(refreshToken)]
+      );
+
+      if (tokenResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return { error: 'INVALID_REFRESH_TOKEN', message: 'Invalid or expired refresh token' };
+      }
+
+      const storedToken = tokenResult.rows[0];
+
+      if (storedToken.session_revoked_at) {
+        await client.query('ROLLBACK');
+        return { error: 'SESSION_REVOKED', message: 'Your session has ended, please log in again' };
+      }
+
+      if (storedToken.used_at) {
+        // A rotated token came back: either the client or an attacker holds a stale copy.
+        await client.query('COMMIT');
+        await this.revokeSession(storedToken.session_id, 'refresh_token_reuse');
+        logger.warn(`Refresh token reuse detected for session ${storedToken.session_id} (user ${storedToken.user_id}). Session revoked.`);
+        return { error: 'REFRESH_TOKEN_REUSED', message: 'Refresh token has already been used, please log in again' };
+      }
+
+      if (new Date(storedToken.expires_at) <= new Date()) {
+        await client.query('ROLLBACK');
+        return { error: 'INVALID_REFRESH_TOKEN', message: 'Invalid or expired refresh token' };
+      }
+
+      const userResult = await client.query(
+        'SELECT id, email, role, employee_id, status FROM users WHERE id = $1',
+        [storedToken.user_id]
+      );
+      const user = userResult.rows[0];
+
+      if (!user || user.status !== 'active') {
+        await client.query('ROLLBACK');
+        await this.revokeSession(storedToken.session_id, 'account_inactive');
+        return { error: 'ACCOUNT_INACTIVE', message: 'Your account is inactive' };
+      }
+
+      await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [storedToken.id]);
+
+      const expiresAt = refreshTokenExpiry();
+      const newRefreshToken = generateRefreshToken();
+      await client.query(
+        `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+         VALUES ($1, $2, $3)`,
+        [storedToken.session_id, hashToken(newRefreshToken), expiresAt]
+      );
+
+      await client.query(
+        `UPDATE user_sessions
+         SET last_used_at = NOW(),
+             expires_at = $2,
+             ip_address = COALESCE($3, ip_address),
+             user_agent = COALESCE($4, user_agent)
+         WHERE id = $1`,
+        [storedToken.session_id, expiresAt, ipAddress, userAgent]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        user,
+        accessToken: this.issueAccessToken(user, storedToken.session_id),
+        refreshToken: newRefreshToken,
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      logger.error('Refresh token rotation error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Check whether access tokens of a session are still allowed
+   * Cached in Redis for a short time so every request does not hit the database.
+   * @param {string} sessionId - Session ID from the access token
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(sessionId) {
+    const cacheKey = `session:${sessionId}:status`;
+    const cached = await redisClient.get(cacheKey);
+    if (cached === 'active') return true;
+    if (cached === 'revoked') return false;
+
+    const result = await pool.query(
+      'SELECT revoked_at, expires_at FROM user_sessions WHERE id = $1',
+      [sessionId]
+    );
+
+    const session = result.rows[0];
+    const isActive = !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+
+    await redisClient.set(cacheKey, isActive ? 'active' : 'revoked', { EX: SESSION_STATUS_CACHE_SECONDS });
+    return isActive;
+  }
+
+  /**
+   * Revoke a single session and every refresh token in its family
+   * @param {string} sessionId - Session to revoke
+   * @param {string} reason - Short machine-readable reason
+   * @param {string} userId - Optional owner check
+   * @returns {Promise<Object|null>} Revoked session or null if not found / already revoked
+   */
+  async revokeSession(sessionId, reason, userId = null) {
+    const result = await pool.query(
+      `UPDATE user_sessions
+       SET revoked_at = NOW(), revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL ${userId ? 'AND user_id = $3' : ''}
+       RETURNING id, user_id, revoked_at, revoked_reason`,
+      userId ? [sessionId, reason, userId] : [sessionId, reason]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await redisClient.set(`session:${sessionId}:status`, 'revoked', { EX: 86400 });
+    logger.info(`Session ${sessionId} revoked (${reason})`);
+    return result.rows[0];
+  }
+
+  /**
+   * Revoke all active sessions of a user
+   * @param {string} userId - Owner of the sessions
+   * @param {string} reason - Short machine-readable reason
+   * @param {string} exceptSessionId - Optional session to keep (e.g. the caller's own)
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllForUser(userId, reason, exceptSessionId = null) {
+    const result = await pool.query(
+      `UPDATE user_sessions
+       SET revoked_at = NOW(), revoked_reason = $2
+       WHERE user_id = $1 AND revoked_at IS NULL ${exceptSessionId ? 'AND id <> $3' : ''}
+       RETURNING id`,
+      exceptSessionId ? [userId, reason, exceptSessionId] : [userId, reason]
+    );
+
+    for (const row of result.rows) {
+      await redisClient.set(`session:${row.id}:status`, 'revoked', { EX: 86400 });
+    }
+
+    logger.info(`Revoked ${result.rows.length} sessions for user ${userId} (${reason})`);
+    return result.rows.length;
+  }
+
+  async listActiveSessions(userId) {
+    const result = await pool.query(
+      `SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = new SessionService();
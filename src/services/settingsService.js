@@ -0,0 +1,55 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Settings Service
+ * Read access to system_settings with a short in-process cache, so hot paths
+ * (login, check-in) do not query the table on every request.
+ */
+class SettingsService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Get a setting value
+   * @param {string} key - setting_key
+   * @param {*} defaultValue - Returned when the setting does not exist
+   * @returns {Promise<*>} Parsed JSONB value
+   */
+  async get(key, defaultValue = null) {
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.value;
+    }
+
+    try {
+      const result = await pool.query(
+        'SELECT setting_value FROM system_settings WHERE setting_key = $1',
+        [key]
+      );
+      const value = result.rows.length > 0 ? result.rows[0].setting_value : defaultValue;
+      this.cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+      return value;
+    } catch (error) {
+      logger.error(`Failed to load setting ${key}:`, error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Drop cached values after an update
+   * @param {string} key - Optional single key, clears everything when omitted
+   */
+  invalidate(key = null) {
+    if (key) {
+      this.cache.delete(key);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,326 @@
+const pool = require('../config/database');
+const logger = require('../utils/logger');
+const { formatDate, formatClockTime, zonedTimeToUtc } = require('../utils/helpers');
+
+const SHIFT_FIELDS = [
+  'name', 'start_time', 'end_time', 'break_minutes', 'grace_minutes', 'working_days', 'day_boundary', 'geofence_policy',
+];
+
+const SHIFT_COLUMNS = `s.id, s.name, TO_CHAR(s.start_time, 'HH24:MI') AS start_time,
+  TO_CHAR(s.end_time, 'HH24:MI') AS end_time, s.break_minutes, s.grace_minutes, s.working_days,
+  TO_CHAR(s.day_boundary, 'HH24:MI') AS day_boundary, s.geofence_policy, s.created_at, s.updated_at`;
+
+const UNIQUE_VIOLATION = '23505';
+const MINUTE_MS = 60 * 1000;
+
+// Day of week (0 = Sunday) of a 'YYYY-MM-DD' date
+const dayOfWeek = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const nextDate = (dateStr) => addDays(dateStr, 1);
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+const fromMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const isOvernight = (shift) => shift.end_time <= shift.start_time;
+
+// Whether a day boundary falls strictly inside the shift's working hours
+const isWithinShift = (shift, boundary) => (isOvernight(shift)
+  ? boundary > shift.start_time || boundary < shift.end_time
+  : boundary > shift.start_time && boundary < shift.end_time);
+
+/**
+ * Shift Service
+ * Shift definitions (expected hours, break allowance, grace period, working
+ * days) and the punctuality figures derived from them. An employee works the
+ * shift on users.shift_id, else the one on their department.
+ *
+ * The shift also decides the business day an attendance record belongs to:
+ * it runs from one day boundary to the next (shifts.day_boundary; by default
+ * midnight, or the middle of the off-duty gap for a shift that crosses
+ * midnight) and is dated by the day the shift starts. Open records are split
+ * and auto-checked-out at that boundary rather than at midnight.
+ */
+class ShiftService {
+  /**
+   * List shifts with how many users and departments use them
+   * @returns {Promise<Array>}
+   */
+  async listShifts() {
+    const result = await pool.query(
+      `SELECT ${SHIFT_COLUMNS},
+              (SELECT COUNT(*)::int FROM users u WHERE u.shift_id = s.id AND u.status <> 'terminated') AS user_count,
+              (SELECT COUNT(*)::int FROM departments d WHERE d.shift_id = s.id) AS department_count
+       FROM shifts s
+       ORDER BY s.start_time, s.name`
+    );
+    return result.rows;
+  }
+
+  async getShift(shiftId, client = pool) {
+    const result = await client.query(
+      `SELECT ${SHIFT_COLUMNS},
+              (SELECT COUNT(*)::int FROM users u WHERE u.shift_id = s.id AND u.status <> 'terminated') AS user_count,
+              (SELECT COUNT(*)::int FROM departments d WHERE d.shift_id = s.id) AS department_count
+       FROM shifts s
+       WHERE s.id = $1`,
+      [shiftId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create a shift
+   * @param {Object} data - { name, start_time, end_time, break_minutes, grace_minutes, working_days, day_boundary, geofence_policy }
+   * @returns {Promise<Object>} { shift } or { error, message }
+   */
+  async createShift({
+    name, start_time, end_time, break_minutes = 60, grace_minutes = 0, working_days = [1, 2, 3, 4, 5],
+    day_boundary = null, geofence_policy = null,
+  }) {
+    if (day_boundary && isWithinShift({ start_time, end_time }, day_boundary)) {
+      return { error: 'INVALID_DAY_BOUNDARY', message: 'day_boundary cannot fall within the shift\'s hours' };
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO shifts (name, start_time, end_time, break_minutes, grace_minutes, working_days, day_boundary,
+                             geofence_policy)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [name, start_time, end_time, break_minutes, grace_minutes, working_days, day_boundary, geofence_policy]
+      );
+      logger.info(`Shift created: ${name}`);
+      return { shift: await this.getShift(result.rows[0].id) };
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'SHIFT_EXISTS', message: 'A shift with this name already exists' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a shift; attendance already recorded keeps its late/early figures
+   * @param {string} shiftId - Shift ID
+   * @param {Object} data - Any of SHIFT_FIELDS
+   * @returns {Promise<Object>} { before, shift } or { error, message }
+   */
+  async updateShift(shiftId, data) {
+    const before = await this.getShift(shiftId);
+    if (!before) {
+      return { error: 'SHIFT_NOT_FOUND', message: 'Shift not found' };
+    }
+
+    const fields = SHIFT_FIELDS.filter((field) => data[field] !== undefined);
+    if (fields.length === 0) {
+      return { error: 'NO_UPDATES', message: 'No fields to update' };
+    }
+    const times = {
+      start_time: data.start_time || before.start_time,
+      end_time: data.end_time || before.end_time,
+    };
+    if (times.start_time === times.end_time) {
+      return { error: 'INVALID_SHIFT', message: 'end_time must differ from start_time' };
+    }
+    const boundary = data.day_boundary !== undefined ? data.day_boundary : before.day_boundary;
+    if (boundary && isWithinShift(times, boundary)) {
+      return { error: 'INVALID_DAY_BOUNDARY', message: 'day_boundary cannot fall within the shift\'s hours' };
+    }
+
+    try {
+      await pool.query(
+        `UPDATE shifts
+         SET ${fields.map((field, index) => `${field} = $${index + 2}`).join(', ')}, updated_at = NOW()
+         WHERE id = $1`,
+        [shiftId, ...fields.map((field) => data[field])]
+      );
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        return { error: 'SHIFT_EXISTS', message: 'A shift with this name already exists' };
+      }
+      throw error;
+    }
+
+    return { before, shift: await this.getShift(shiftId) };
+  }
+
+  /**
+   * Delete a shift nobody is assigned to
+   * @param {string} shiftId - Shift ID
+   * @returns {Promise<Object>} { shift } or { error, message }
+   */
+  async deleteShift(shiftId) {
+    const shift = await this.getShift(shiftId);
+    if (!shift) {
+      return { error: 'SHIFT_NOT_FOUND', message: 'Shift not found' };
+    }
+    if (shift.user_count > 0 || shift.department_count > 0) {
+      return { error: 'SHIFT_IN_USE', message: 'Reassign the shift\'s users and departments before deleting it' };
+    }
+
+    await pool.query('DELETE FROM shifts WHERE id = $1', [shiftId]);
+    logger.info(`Shift deleted: ${shift.name}`);
+    return { shift };
+  }
+
+  /**
+   * Check that a shift referenced by a user or department exists
+   * @param {string|null|undefined} shiftId - Shift ID (null/undefined need no check)
+   * @returns {Promise<Object|null>} { error, message } or null when valid
+   */
+  async validateShift(shiftId) {
+    if (shiftId && !(await this.getShift(shiftId))) {
+      return { error: 'SHIFT_NOT_FOUND', message: 'Shift not found' };
+    }
+    return null;
+  }
+
+  /**
+   * Shift an employee works: their own, else their department's
+   * @param {string} userId - User ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|null>}
+   */
+  async getUserShift(userId, client = pool) {
+    const result = await client.query(
+      `SELECT ${SHIFT_COLUMNS}
+       FROM users u
+       LEFT JOIN departments d ON d.id = u.department_id
+       JOIN shifts s ON s.id = COALESCE(u.shift_id, d.shift_id)
+       WHERE u.id = $1`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Shift an attendance record's business day follows: the one it was checked
+   * into, else the employee's current shift (placeholders, older records)
+   * @param {Object} record - attendance_records row
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|null>}
+   */
+  async getRecordShift(record, client = pool) {
+    return record.shift_id ? this.getShift(record.shift_id, client) : this.getUserShift(record.user_id, client);
+  }
+
+  /**
+   * Whether a business date is one of the shift's working days
+   * @param {Object} shift - Shift row
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {boolean}
+   */
+  isWorkingDay(shift, dateStr) {
+    return shift.working_days.includes(dayOfWeek(dateStr));
+  }
+
+  /**
+   * Expected start and end of a shift on a date, in the employee's timezone
+   * A shift ending at or before its start time ends the following day.
+   * @param {Object} shift - Shift row
+   * @param {string} dateStr - Business date, YYYY-MM-DD
+   * @param {string} timeZone - IANA zone
+   * @returns {Object|null} { start, end } or null when the date is not a working day
+   */
+  getShiftWindow(shift, dateStr, timeZone) {
+    if (!this.isWorkingDay(shift, dateStr)) return null;
+
+    return {
+      start: zonedTimeToUtc(dateStr, `${shift.start_time}:00.000`, timeZone),
+      end: zonedTimeToUtc(isOvernight(shift) ? nextDate(dateStr) : dateStr, `${shift.end_time}:00.000`, timeZone),
+    };
+  }
+
+  /**
+   * Local time ('HH:MM') at which one business day ends and the next begins
+   * @param {Object|null} shift - Shift row; none means midnight
+   * @returns {string}
+   */
+  getDayBoundary(shift) {
+    if (!shift) return '00:00';
+    if (shift.day_boundary) return shift.day_boundary;
+    if (!isOvernight(shift)) return '00:00';
+
+    const end = toMinutes(shift.end_time);
+    return fromMinutes(end + Math.floor((toMinutes(shift.start_time) - end) / 2));
+  }
+
+  /**
+   * Business date an instant belongs to, i.e. the day its shift starts
+   * @param {Object|null} shift - Shift row; none means the calendar date
+   * @param {Date} instant - Point in time
+   * @param {string} timeZone - IANA zone
+   * @returns {string} YYYY-MM-DD
+   */
+  getBusinessDate(shift, instant, timeZone) {
+    const calendarDate = formatDate(instant, timeZone);
+    if (!shift) return calendarDate;
+
+    const boundary = this.getDayBoundary(shift);
+    const dayStart = formatClockTime(instant, timeZone) < boundary ? addDays(calendarDate, -1) : calendarDate;
+    // A boundary later in the day than the shift start opens the next day's shift
+    return boundary > shift.start_time ? nextDate(dayStart) : dayStart;
+  }
+
+  /**
+   * Last millisecond of a business date
+   * @param {Object|null} shift - Shift row; none means local midnight
+   * @param {string} dateStr - Business date, YYYY-MM-DD
+   * @param {string} timeZone - IANA zone
+   * @returns {Date}
+   */
+  getBusinessDayEnd(shift, dateStr, timeZone) {
+    const boundary = this.getDayBoundary(shift);
+    const endDate = shift && boundary > shift.start_time ? dateStr : nextDate(dateStr);
+    return new Date(zonedTimeToUtc(endDate, `${boundary}:00.000`, timeZone).getTime() - 1);
+  }
+
+  /**
+   * SQL for the business date of a local timestamp, matching getBusinessDate
+   * @param {string} localTime - SQL expression for the wall-clock timestamp
+   * @param {string} alias - Alias of the (left-joined) shifts row
+   * @returns {string}
+   */
+  businessDateSql(localTime, alias = 's') {
+    const boundary = `CASE
+      WHEN ${alias}.day_boundary IS NOT NULL THEN ${alias}.day_boundary
+      WHEN ${alias}.end_time <= ${alias}.start_time THEN ${alias}.end_time + date_trunc('minute', (${alias}.start_time - ${alias}.end_time) / 2)
+      ELSE TIME '00:00'
+    END`;
+    return `((${localTime}) - (${boundary})::interval)::date
+      + CASE WHEN ${boundary} > ${alias}.start_time THEN 1 ELSE 0 END`;
+  }
+
+  /**
+   * Minutes a check-in was late; 0 within the grace period
+   * @returns {number|null} null on a non-working day
+   */
+  getLateByMinutes(shift, dateStr, checkInTime, timeZone) {
+    const window = this.getShiftWindow(shift, dateStr, timeZone);
+    if (!window) return null;
+
+    const minutes = Math.floor((new Date(checkInTime) - window.start) / MINUTE_MS);
+    return minutes > shift.grace_minutes ? minutes : 0;
+  }
+
+  /**
+   * Minutes a check-out came before the shift end; 0 within the grace period
+   * @returns {number|null} null on a non-working day
+   */
+  getLeftEarlyMinutes(shift, dateStr, checkOutTime, timeZone) {
+    const window = this.getShiftWindow(shift, dateStr, timeZone);
+    if (!window) return null;
+
+    const minutes = Math.floor((window.end - new Date(checkOutTime)) / MINUTE_MS);
+    return minutes > shift.grace_minutes ? minutes : 0;
+  }
+}
+
+module.exports = new ShiftService();
@@ -0,0 +1,71 @@
+const pool = require('../config/database');
+const settingsService = require('./settingsService');
+const shiftService = require('./shiftService');
+const { isValidTimeZone, toDateString, DEFAULT_TIME_ZONE } = require('../utils/helpers');
+
+/**
+ * Timezone Service
+ * Each employee's attendance day runs midnight to midnight in their own
+ * timezone (users.timezone), falling back to the organization's
+ * `default_timezone` setting and then to DEFAULT_TIMEZONE. Employees on a
+ * shift get the shift's business day instead (see shiftService).
+ */
+class TimezoneService {
+  /**
+   * Organization-wide timezone
+   * @returns {Promise<string>} IANA zone name
+   */
+  async getDefaultTimeZone() {
+    const setting = await settingsService.get('default_timezone', null);
+    return isValidTimeZone(setting?.timezone) ? setting.timezone : DEFAULT_TIME_ZONE;
+  }
+
+  /**
+   * A stored users.timezone value, or the organization default when it is unset
+   * @param {string|null} timeZone - Value of users.timezone
+   * @returns {Promise<string>}
+   */
+  async resolve(timeZone) {
+    return isValidTimeZone(timeZone) ? timeZone : this.getDefaultTimeZone();
+  }
+
+  /**
+   * Timezone an employee's attendance day is anchored to
+   * @param {string} userId - User ID
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<string>}
+   */
+  async getUserTimeZone(userId, client = pool) {
+    const result = await client.query('SELECT timezone FROM users WHERE id = $1', [userId]);
+    return this.resolve(result.rows[0]?.timezone);
+  }
+
+  /**
+   * Business date ('YYYY-MM-DD') for an employee at a given instant: the
+   * local date, or for a shift worker the day their current shift started
+   * @param {string} userId - User ID
+   * @param {Date} date - Instant, defaults to now
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<string>}
+   */
+  async getUserDate(userId, date = new Date(), client = pool) {
+    const timeZone = await this.getUserTimeZone(userId, client);
+    const shift = await shiftService.getUserShift(userId, client);
+    return shiftService.getBusinessDate(shift, date, timeZone);
+  }
+
+  /**
+   * Last millisecond of an attendance record's business day (local midnight
+   * unless a shift applies, see shiftService.getRecordShift)
+   * @param {Object} record - attendance_records row
+   * @param {string} timeZone - The employee's timezone
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Date>}
+   */
+  async getRecordDayEnd(record, timeZone, client = pool) {
+    const shift = await shiftService.getRecordShift(record, client);
+    return shiftService.getBusinessDayEnd(shift, toDateString(record.date), timeZone);
+  }
+}
+
+module.exports = new TimezoneService();
@@ -0,0 +1,172 @@
+const pool = require('../config/database');
+const timezoneService = require('./timezoneService');
+const shiftService = require('./shiftService');
+
+// Sortable columns; `id` breaks ties so the keyset is unique.
+const SORT_COLUMNS = {
+  name: 'u.name',
+  email: 'u.email',
+  employee_id: 'u.employee_id',
+  created_at: 'u.created_at',
+};
+const SORT_TYPES = {
+  name: 'text',
+  email: 'text',
+  employee_id: 'text',
+  created_at: 'timestamp',
+};
+
+const DIRECTORY_COLUMNS = `u.id, u.email, u.name, u.employee_id, u.role, u.designation, u.department_id,
+  d.name AS department, u.team_id, t.name AS team, u.manager_id, u.status, u.profile_picture_url, u.created_at`;
+const ORGANIZATION_JOINS = `LEFT JOIN departments d ON d.id = u.department_id
+       LEFT JOIN teams t ON t.id = u.team_id`;
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && typeof cursor.v === 'string' && typeof cursor.id === 'string' ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+// Where a user stands today, derived from their attendance record
+const attendanceState = (row) => {
+  if (!row.attendance_id) return 'not_checked_in';
+  if (row.check_out_time) return 'checked_out';
+  if (row.current_state === 'LUNCH') return 'on_break';
+  if (row.current_state === 'IDLE') return 'idle';
+  return row.check_in_time ? 'working' : 'not_checked_in';
+};
+
+/**
+ * User Directory Service
+ * Search, filter and keyset (cursor) pagination over users.
+ */
+class UserDirectoryService {
+  /**
+   * List users visible to the caller
+   * @param {Object} scopeFilter - { clause, params } from accessService.buildUserScopeFilter (alias u)
+   * @param {Object} options - { q, roles, status, department, departmentId, teamId, managerId,
+   *   sort, order, limit, cursor, includeAttendance }
+   * @returns {Promise<Object>} { users, total, nextCursor } or { error, message }
+   */
+  async listUsers(scopeFilter, {
+    q,
+    roles = [],
+    status,
+    department,
+    departmentId,
+    teamId,
+    managerId,
+    sort = 'created_at',
+    order = 'desc',
+    limit = 50,
+    cursor,
+    includeAttendance = false,
+  }) {
+    const params = [...scopeFilter.params];
+    const conditions = [scopeFilter.clause];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace(/\?/g, `$${params.length}`));
+    };
+
+    if (q) {
+      add(`(u.name ILIKE ? OR u.email ILIKE ? OR u.employee_id ILIKE ?)`, `%${escapeLike(q)}%`);
+    }
+    if (roles.length > 0) add('u.role = ANY(?)', roles);
+    // Offboarded employees stay out of the directory unless asked for
+    if (!status) conditions.push(`u.status <> 'terminated'`);
+    else if (status !== 'all') add('u.status = ?', status);
+    if (department) add('LOWER(d.name) = LOWER(?)', department);
+    if (departmentId === 'none') conditions.push('u.department_id IS NULL');
+    else if (departmentId) add('u.department_id = ?', departmentId);
+    if (teamId === 'none') conditions.push('u.team_id IS NULL');
+    else if (teamId) add('u.team_id = ?', teamId);
+    if (managerId === 'none') conditions.push('u.manager_id IS NULL');
+    else if (managerId) add('u.manager_id = ?', managerId);
+
+    const filterWhere = conditions.join(' AND ');
+    const filterParams = [...params];
+
+    const sortColumn = SORT_COLUMNS[sort];
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded || decoded.s !== sort || decoded.o !== order) {
+        return { error: 'INVALID_CURSOR', message: 'Cursor is invalid or does not match the requested sort' };
+      }
+      params.push(decoded.v, decoded.id);
+      const comparator = direction === 'ASC' ? '>' : '<';
+      conditions.push(
+        `(${sortColumn}, u.id) ${comparator} ($${params.length - 1}::${SORT_TYPES[sort]}, $${params.length}::uuid)`
+      );
+    }
+
+    let attendanceJoin = '';
+    let attendanceColumns = '';
+    if (includeAttendance) {
+      // "Today" for each user is the current business date in their own timezone
+      params.push(await timezoneService.getDefaultTimeZone());
+      const localToday = `(${shiftService.businessDateSql(`NOW() AT TIME ZONE COALESCE(u.timezone, $${params.length})`, 'sh')})`;
+      attendanceJoin = `LEFT JOIN shifts sh ON sh.id = COALESCE(u.shift_id, d.shift_id)
+        LEFT JOIN attendance_records ar ON ar.user_id = u.id AND ar.date = ${localToday}`;
+      attendanceColumns = `, TO_CHAR(${localToday}, 'YYYY-MM-DD') AS attendance_date, ar.id AS attendance_id, ar.check_in_time, ar.check_out_time,
+        ar.current_state, ar.status AS attendance_status, ar.total_work_duration`;
+    }
+
+    params.push(limit + 1);
+    const result = await pool.query(
+      `SELECT ${DIRECTORY_COLUMNS}, ${sortColumn}::text AS sort_value ${attendanceColumns}
+       FROM users u
+       ${ORGANIZATION_JOINS}
+       ${attendanceJoin}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${sortColumn} ${direction}, u.id ${direction}
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM users u ${ORGANIZATION_JOINS} WHERE ${filterWhere}`,
+      filterParams
+    );
+
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+
+    const users = rows.map((row) => {
+      const {
+        sort_value, attendance_date, attendance_id, check_in_time, check_out_time,
+        current_state, attendance_status, total_work_duration, ...user
+      } = row;
+      if (includeAttendance) {
+        user.today_attendance = {
+          state: attendanceState(row),
+          attendance_id: attendance_id || null,
+          date: attendance_date,
+          check_in_time: check_in_time || null,
+          check_out_time: check_out_time || null,
+          status: attendance_status || null,
+          total_work_duration: total_work_duration || 0,
+        };
+      }
+      return user;
+    });
+
+    return {
+      users,
+      total: countResult.rows[0].total,
+      nextCursor: hasMore ? encodeCursor({ s: sort, o: order, v: last.sort_value, id: last.id }) : null,
+    };
+  }
+}
+
+module.exports = new UserDirectoryService();
@@ -0,0 +1,364 @@
+const pool = require('../config/database');
+const inviteService = require('./inviteService');
+const accessService = require('./accessService');
+const mailService = require('./mailService');
+const { validateUserImportRow } = require('../utils/validators');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS || '1000', 10);
+const IMPORT_FIELDS = [
+  'email', 'name', 'employee_id', 'role', 'department', 'department_id', 'team', 'team_id',
+  'manager', 'manager_id', 'joining_date',
+];
+// Fields an import may change on an existing account. Not the email: moving an
+// account to another address would hand it over through a password reset
+const SYNC_FIELDS = ['name', 'role', 'department_id', 'team_id', 'manager_id', 'joining_date'];
+// An open invite has no account behind it yet, so its email may be corrected
+const INVITE_SYNC_FIELDS = ['email', ...SYNC_FIELDS];
+
+// Trim values, drop unknown columns and treat empty cells as "not provided"
+const normalizeRow = (raw) => {
+  const row = {};
+  for (const [key, value] of Object.entries(raw || {})) {
+    const field = key.trim().toLowerCase().replace(/\s+/g, '_');
+    if (!IMPORT_FIELDS.includes(field) || value === null || value === undefined) continue;
+    const text = String(value).trim();
+    if (text !== '') row[field] = text;
+  }
+  if (row.email) row.email = row.email.toLowerCase();
+  return row;
+};
+
+const rowError = (field, message) => ({ field, message });
+
+/**
+ * User Import Service
+ * Bulk create-or-update of accounts keyed by employee_id. New employees get
+ * an invitation (no passwords travel through imports); existing ones are
+ * updated in place. Every run can be previewed with a dry run first.
+ */
+class UserImportService {
+  async loadExisting(entries) {
+    const employeeIds = entries.map((entry) => entry.data.employee_id);
+    const emails = entries.map((entry) => entry.data.email);
+    const managerRefs = entries.map((entry) => entry.data.manager).filter(Boolean);
+
+    const users = await pool.query(
+      `SELECT id, email, name, employee_id, role, department_id, team_id, manager_id,
+              TO_CHAR(joining_date, 'YYYY-MM-DD') AS joining_date, status
+       FROM users
+       WHERE employee_id = ANY($1) OR LOWER(email) = ANY($2)`,
+      [employeeIds, emails]
+    );
+
+    const invites = await pool.query(
+      `SELECT id, email, name, employee_id, role, department_id, team_id, manager_id,
+              TO_CHAR(joining_date, 'YYYY-MM-DD') AS joining_date
+       FROM user_invites
+       WHERE accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         AND (employee_id = ANY($1) OR LOWER(email) = ANY($2))`,
+      [employeeIds, emails]
+    );
+
+    const managers = await pool.query(
+      `SELECT id, employee_id, LOWER(email) AS email FROM users
+       WHERE status = 'active'
+         AND (employee_id = ANY($1) OR LOWER(email) = ANY($2) OR id::text = ANY($3))`,
+      [
+        managerRefs,
+        managerRefs.map((ref) => ref.toLowerCase()),
+        entries.map((entry) => entry.data.manager_id).filter(Boolean),
+      ]
+    );
+
+    const departments = await pool.query('SELECT id, LOWER(name) AS name FROM departments');
+    const teams = await pool.query('SELECT id, department_id, LOWER(name) AS name FROM teams');
+
+    const index = (rows, key) => new Map(rows.map((row) => [key(row), row]));
+    return {
+      usersByEmployeeId: index(users.rows, (row) => row.employee_id),
+      usersByEmail: index(users.rows, (row) => row.email.toLowerCase()),
+      invitesByEmployeeId: index(invites.rows, (row) => row.employee_id),
+      invitesByEmail: index(invites.rows, (row) => row.email.toLowerCase()),
+      managers: managers.rows,
+      departments: departments.rows,
+      teams: teams.rows,
+    };
+  }
+
+  resolveManager(data, managers) {
+    if (data.manager) {
+      const ref = data.manager.toLowerCase();
+      const manager = managers.find((row) => row.employee_id === data.manager || row.email === ref);
+      return manager ? manager.id : undefined;
+    }
+    if (data.manager_id) {
+      return managers.some((row) => row.id === data.manager_id) ? data.manager_id : undefined;
+    }
+    return null;
+  }
+
+  /**
+   * Turn department/team names or IDs into department_id/team_id
+   * A team implies its department; team names only need the department
+   * column when the same name exists in more than one department.
+   * @returns {Object|null} Row error or null
+   */
+  resolveOrganization(data, { departments, teams }) {
+    let departmentId = data.department_id;
+    if (data.department) {
+      const department = departments.find((row) => row.name === data.department.toLowerCase());
+      if (!department) return rowError('department', 'Department not found');
+      departmentId = department.id;
+    } else if (departmentId && !departments.some((row) => row.id === departmentId)) {
+      return rowError('department_id', 'Department not found');
+    }
+
+    let team;
+    if (data.team) {
+      const matches = teams.filter((row) => row.name === data.team.toLowerCase()
+        && (!departmentId || row.department_id === departmentId));
+      if (matches.length === 0) return rowError('team', 'Team not found in this department');
+      if (matches.length > 1) return rowError('team', 'Team name exists in several departments; add the department column');
+      [team] = matches;
+    } else if (data.team_id) {
+      team = teams.find((row) => row.id === data.team_id);
+      if (!team) return rowError('team_id', 'Team not found');
+    }
+
+    if (team) {
+      if (departmentId && departmentId !== team.department_id) {
+        return rowError('team', 'Team does not belong to the given department');
+      }
+      data.team_id = team.id;
+      departmentId = team.department_id;
+    }
+    if (departmentId) data.department_id = departmentId;
+
+    delete data.department;
+    delete data.team;
+    return null;
+  }
+
+  // A department change without a team drops a team from the old department
+  dropStaleTeam(data, current, { teams }) {
+    if (data.department_id === undefined || data.team_id !== undefined || !current.team_id) return;
+    const team = teams.find((row) => row.id === current.team_id);
+    if (!team || team.department_id !== data.department_id) data.team_id = null;
+  }
+
+  // Fields present in the row that differ from the current record
+  diffFields(current, data, fields = SYNC_FIELDS) {
+    const changes = {};
+    for (const field of fields) {
+      if (data[field] === undefined) continue;
+      if (field === 'email' ? current.email.toLowerCase() === data.email : current[field] === data[field]) continue;
+      changes[field] = { before: current[field] ?? null, after: data[field] };
+    }
+    return changes;
+  }
+
+  /**
+   * Decide what each valid row would do against the current database state
+   * @param {Object} actor - Importing user (role limits apply)
+   * @param {Array} entries - Validated entries
+   */
+  async plan(actor, entries) {
+    const existing = await this.loadExisting(entries.filter((entry) => entry.errors.length === 0));
+
+    for (const entry of entries) {
+      if (entry.errors.length > 0) continue;
+      const { data } = entry;
+
+      if (data.manager || data.manager_id) {
+        const managerId = this.resolveManager(data, existing.managers);
+        if (!managerId) {
+          entry.errors.push(rowError('manager', 'Manager not found or not active'));
+          continue;
+        }
+        data.manager_id = managerId;
+      }
+      delete data.manager;
+
+      const organizationError = this.resolveOrganization(data, existing);
+      if (organizationError) {
+        entry.errors.push(organizationError);
+        continue;
+      }
+
+      if (data.role && !inviteService.canGrantRole(actor, data.role)) {
+        entry.errors.push(rowError('role', 'Only admins can grant the admin role'));
+        continue;
+      }
+
+      const user = existing.usersByEmployeeId.get(data.employee_id);
+      const emailOwner = existing.usersByEmail.get(data.email);
+      const invite = existing.invitesByEmployeeId.get(data.employee_id);
+      const emailInvite = existing.invitesByEmail.get(data.email);
+
+      if (user) {
+        entry.target = user;
+        if (!accessService.canManageUser(actor, user)) {
+          entry.errors.push(rowError('employee_id', 'Only admins can modify admin accounts'));
+        } else if (user.email.toLowerCase() !== data.email) {
+          entry.errors.push(rowError('email', 'The email of an existing account cannot be changed by an import'));
+        } else if (user.status === 'terminated') {
+          entry.errors.push(rowError('employee_id', 'Employee has been offboarded; rehire them before importing'));
+        } else if (data.manager_id === user.id) {
+          entry.errors.push(rowError('manager', 'A user cannot be their own manager'));
+        } else if (data.manager_id && await accessService.wouldCreateCycle(user.id, data.manager_id)) {
+          entry.errors.push(rowError('manager', 'The manager reports to this user; reporting lines cannot loop'));
+        } else {
+          this.dropStaleTeam(data, user, existing);
+          entry.changes = this.diffFields(user, data);
+          entry.action = Object.keys(entry.changes).length > 0 ? 'update' : 'unchanged';
+        }
+      } else if (emailOwner) {
+        entry.errors.push(rowError('email', 'Email belongs to a user with a different employee ID'));
+      } else if (invite) {
+        entry.target = invite;
+        if (!accessService.canManageUser(actor, invite)) {
+          entry.errors.push(rowError('employee_id', 'Only admins can modify admin invites'));
+        } else if (emailInvite && emailInvite.id !== invite.id) {
+          entry.errors.push(rowError('email', 'Email has an open invite for a different employee ID'));
+        } else {
+          this.dropStaleTeam(data, invite, existing);
+          entry.changes = this.diffFields(invite, data, INVITE_SYNC_FIELDS);
+          entry.action = Object.keys(entry.changes).length > 0 ? 'update_invite' : 'unchanged';
+        }
+      } else if (emailInvite) {
+        entry.errors.push(rowError('email', 'Email has an open invite for a different employee ID'));
+      } else {
+        entry.action = 'invite';
+      }
+    }
+  }
+
+  async applyUpdate(entry) {
+    const fields = Object.keys(entry.changes);
+    const assignments = fields.map((field, index) => `${field} = $${index + 2}`);
+    const result = await pool.query(
+      `UPDATE users SET ${assignments.join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, email, name, employee_id, role, department_id, team_id, manager_id,
+                 TO_CHAR(joining_date, 'YYYY-MM-DD') AS joining_date, status`,
+      [entry.target.id, ...fields.map((field) => entry.data[field])]
+    );
+    entry.before = entry.target;
+    entry.after = result.rows[0];
+  }
+
+  async applyInvite(actor, entry, sendInvites) {
+    const { data } = entry;
+    const result = await inviteService.createInvite({
+      email: data.email,
+      name: data.name,
+      employee_id: data.employee_id,
+      role: data.role || 'employee',
+      department_id: data.department_id || null,
+      team_id: data.team_id || null,
+      manager_id: data.manager_id || null,
+      joining_date: data.joining_date || null,
+    }, actor);
+
+    if (result.error) {
+      entry.errors.push(rowError('employee_id', result.message));
+      return;
+    }
+
+    entry.invite = result.invite;
+    entry.emailSent = false;
+    if (sendInvites) {
+      const mail = await mailService.sendInviteEmail(result.invite, result.acceptUrl);
+      entry.emailSent = mail.sent;
+    }
+  }
+
+  async applyInviteUpdate(entry) {
+    const merged = { ...entry.target };
+    for (const field of Object.keys(entry.changes)) merged[field] = entry.data[field];
+
+    const invite = await inviteService.updateInviteDetails(entry.target.id, merged);
+    if (!invite) {
+      entry.errors.push(rowError('employee_id', 'Invite is no longer open'));
+      return;
+    }
+    // Snapshot the same fields on both sides so the audit diff shows only what changed
+    entry.before = entry.target;
+    entry.after = Object.fromEntries(Object.keys(entry.target).map((field) => [field, invite[field]]));
+    entry.invite = invite;
+  }
+
+  /**
+   * Import (or preview importing) a batch of users
+   * @param {Object} actor - req.user
+   * @param {Array} rawRows - Row objects from CSV or JSON
+   * @param {Object} options - { dryRun, sendInvites, onApplied } where onApplied(entry) is awaited
+   *   right after each row is applied, so a failure later in the batch cannot leave it unaudited
+   * @returns {Promise<Object>} { summary, rows } or { error, message }
+   */
+  async importUsers(actor, rawRows, { dryRun = false, sendInvites = true, onApplied = async () => {} } = {}) {
+    if (rawRows.length === 0) {
+      return { error: 'EMPTY_IMPORT', message: 'No rows to import' };
+    }
+    if (rawRows.length > MAX_IMPORT_ROWS) {
+      return { error: 'IMPORT_TOO_LARGE', message: `Imports are limited to ${MAX_IMPORT_ROWS} rows` };
+    }
+
+    const entries = [];
+    const seenEmployeeIds = new Set();
+    const seenEmails = new Set();
+    for (const [index, raw] of rawRows.entries()) {
+      const { row: data, errors } = await validateUserImportRow(normalizeRow(raw));
+      if (data.employee_id && seenEmployeeIds.has(data.employee_id)) {
+        errors.push(rowError('employee_id', 'Employee ID appears more than once in this import'));
+      }
+      if (data.email && seenEmails.has(data.email)) {
+        errors.push(rowError('email', 'Email appears more than once in this import'));
+      }
+      seenEmployeeIds.add(data.employee_id);
+      seenEmails.add(data.email);
+      entries.push({ row: index + 1, data, errors, action: null, changes: null });
+    }
+
+    await this.plan(actor, entries);
+
+    if (!dryRun) {
+      for (const entry of entries) {
+        if (entry.errors.length > 0) continue;
+        if (entry.action === 'update') await this.applyUpdate(entry);
+        else if (entry.action === 'invite') await this.applyInvite(actor, entry, sendInvites);
+        else if (entry.action === 'update_invite') await this.applyInviteUpdate(entry);
+        if (entry.errors.length === 0 && entry.action !== 'unchanged') await onApplied(entry);
+      }
+      logger.info(`User import by ${actor.email}: ${entries.length} rows processed`);
+    }
+
+    const rows = entries.map((entry) => ({
+      row: entry.row,
+      employee_id: entry.data.employee_id || null,
+      email: entry.data.email || null,
+      action: entry.errors.length > 0 ? 'error' : entry.action,
+      changes: entry.errors.length === 0 && entry.changes && Object.keys(entry.changes).length > 0 ? entry.changes : null,
+      errors: entry.errors,
+      ...(entry.invite ? { invite_id: entry.invite.id } : {}),
+      ...(entry.emailSent !== undefined ? { email_sent: entry.emailSent } : {}),
+    }));
+
+    const count = (action) => rows.filter((row) => row.action === action).length;
+    return {
+      summary: {
+        dry_run: dryRun,
+        total: rows.length,
+        invited: count('invite'),
+        updated: count('update'),
+        invites_updated: count('update_invite'),
+        unchanged: count('unchanged'),
+        failed: count('error'),
+      },
+      rows,
+    };
+  }
+}
+
+module.exports = new UserImportService();
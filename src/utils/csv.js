@@ -0,0 +1,97 @@
+// Values starting with these are treated as formulas by spreadsheet apps.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const escapeCell = (value) => {
+  let text = formatValue(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document (RFC 4180, CRLF line endings)
+ * @param {Array} columns - [{ key, header }] or plain keys
+ * @param {Array} rows - Objects to serialize
+ * @returns {string}
+ */
+const toCsv = (columns, rows) => {
+  const normalized = columns.map((column) => (typeof column === 'string' ? { key: column, header: column } : column));
+  const lines = [normalized.map((column) => escapeCell(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(normalized.map((column) => escapeCell(row[column.key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Parse a CSV document into row objects keyed by header
+ * Accepts RFC 4180 quoting, CRLF or LF line endings and a UTF-8 BOM.
+ * Headers are trimmed and lower-cased; blank lines are skipped.
+ * @param {string} text - CSV document
+ * @returns {Object} { headers, rows } or { error, message }
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: 'INVALID_CSV', message: 'CSV has an unterminated quoted field' };
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((values) => values.some((value) => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { error: 'INVALID_CSV', message: 'CSV is empty' };
+  }
+
+  const headers = nonEmpty[0].map((header) => header.trim().toLowerCase());
+  const rows = nonEmpty.slice(1).map((values) => Object.fromEntries(
+    headers.map((header, index) => [header, values[index] ?? ''])
+  ));
+
+  return { headers, rows };
+};
+
+module.exports = {
+  toCsv,
+  parseCsv,
+};
@@ -28,24 +28,27 @@ const getClientIp = (req) => {
          req.connection.remoteAddress;
 };
 
-const formatDate = (date) => {
+// Fallback when neither the user nor the organization has a timezone
+const DEFAULT_TIME_ZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+const formatDate = (date, timeZone = DEFAULT_TIME_ZONE) => {
   if (!date) return null;
   return new Intl.DateTimeFormat('en-CA', {
-    timeZone: 'Asia/Kolkata',
+    timeZone,
     year: 'numeric',
     month: '2-digit',
     day: '2-digit'
   }).format(new Date(date));
 };
 
-const formatTime = (date) => {
+const formatTime = (date, timeZone = DEFAULT_TIME_ZONE) => {
   if (!date) return '-';
   try {
     return new Date(date).toLocaleTimeString('en-US', {
       hour: '2-digit',
       minute: '2-digit',
       hour12: true,
-      timeZone: 'Asia/Kolkata'
+      timeZone
     });
   } catch (e) {
     return new Date(date).toLocaleTimeString('en-US', {
@@ -56,11 +59,83 @@ const formatTime = (date) => {
   }
 };
 
+// Wall-clock 'HH:MM:SS' (24-hour) in timeZone
+const formatClockTime = (date, timeZone = DEFAULT_TIME_ZONE) => new Intl.DateTimeFormat('en-GB', {
+  timeZone,
+  hourCycle: 'h23',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+}).format(new Date(date));
+
+// 'YYYY-MM-DD' of a DATE column; node-postgres hands those back as local midnight
+const toDateString = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') return value.slice(0, 10);
+  const date = new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Milliseconds the wall clock in timeZone is ahead of UTC at the given instant
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which the wall clock in timeZone shows dateStr + timeStr ('HH:MM:SS.mmm')
+const zonedTimeToUtc = (dateStr, timeStr, timeZone = DEFAULT_TIME_ZONE) => {
+  const wallClock = new Date(`${dateStr}T${timeStr}Z`);
+  const guess = new Date(wallClock.getTime() - getTimeZoneOffset(wallClock, timeZone));
+  // Second pass picks up an offset change (DST) between the guess and the target
+  return new Date(wallClock.getTime() - getTimeZoneOffset(guess, timeZone));
+};
+
+// Last millisecond of a business date in timeZone
+const endOfDay = (dateStr, timeZone = DEFAULT_TIME_ZONE) => zonedTimeToUtc(dateStr, '23:59:59.999', timeZone);
+
+// IANA zone name such as "Europe/Berlin"
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
 const isValidUUID = (uuid) => {
   const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
   return uuidRegex.test(uuid);
 };
 
+// ?page=&limit= -> { page, limit, offset }, limit capped at maxLimit
+const getPagination = (query, defaultLimit = 50, maxLimit = 200) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+const buildPagination = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  total_pages: Math.ceil(total / limit),
+});
+
 module.exports = {
   successResponse,
   errorResponse,
@@ -68,5 +143,13 @@ module.exports = {
   getClientIp,
   formatDate,
   formatTime,
+  formatClockTime,
+  toDateString,
+  zonedTimeToUtc,
+  endOfDay,
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
   isValidUUID,
+  getPagination,
+  buildPagination,
 };
@@ -0,0 +1,98 @@
+// Longest all-day event expanded into individual dates
+const MAX_EVENT_DAYS = 31;
+
+// RFC 5545 §3.1: a line starting with a space or tab continues the previous one
+const unfold = (text) => text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+// 'YYYYMMDD' or 'YYYYMMDDTHHMMSS[Z]' → { date: 'YYYY-MM-DD', midnight }
+const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{6})Z?)?$/.exec(value.trim());
+  if (!match) return null;
+  return {
+    date: `${match[1]}-${match[2]}-${match[3]}`,
+    midnight: match[4] === undefined || match[4] === '000000',
+  };
+};
+
+const addDay = (dateStr) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Dates an event covers. All-day DTEND is exclusive (RFC 5545), as is a
+ * timed end at midnight; otherwise the end date itself is included.
+ */
+const expandDates = (start, end) => {
+  if (!end) return [start.date];
+
+  const last = end.midnight ? end.date : addDay(end.date);
+  const dates = [];
+  for (let date = start.date; date < last && dates.length < MAX_EVENT_DAYS; date = addDay(date)) {
+    dates.push(date);
+  }
+  return dates.length > 0 ? dates : [start.date];
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar document into holiday dates
+ * Only what a holiday feed needs: UID, SUMMARY, DTSTART, DTEND and STATUS.
+ * Recurring (RRULE) and cancelled events are reported as skipped.
+ * @param {string} text - iCalendar (.ics) document
+ * @returns {Object} { events: [{ uid, name, dates }], skipped: [{ uid, name, reason }] } or { error, message }
+ */
+const parseIcs = (text) => {
+  const lines = unfold(text);
+  if (!lines.some((line) => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return { error: 'INVALID_ICS', message: 'Not an iCalendar document (missing BEGIN:VCALENDAR)' };
+  }
+
+  const events = [];
+  const skipped = [];
+  let current = null;
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const property = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (property === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+      current = {};
+    } else if (property === 'END' && value.toUpperCase() === 'VEVENT' && current) {
+      const uid = current.uid || null;
+      const eventName = current.summary || null;
+      if (current.cancelled) {
+        skipped.push({ uid, name: eventName, reason: 'Event is cancelled' });
+      } else if (current.rrule) {
+        skipped.push({ uid, name: eventName, reason: 'Recurring events (RRULE) are not supported' });
+      } else if (!current.start) {
+        skipped.push({ uid, name: eventName, reason: 'Missing or invalid DTSTART' });
+      } else if (!eventName) {
+        skipped.push({ uid, name: null, reason: 'Missing SUMMARY' });
+      } else {
+        events.push({ uid, name: eventName.slice(0, 200), dates: expandDates(current.start, current.end) });
+      }
+      current = null;
+    } else if (current) {
+      if (property === 'UID') current.uid = value.trim();
+      else if (property === 'SUMMARY') current.summary = unescapeText(value);
+      else if (property === 'DTSTART') current.start = parseDateValue(value);
+      else if (property === 'DTEND') current.end = parseDateValue(value);
+      else if (property === 'RRULE') current.rrule = value;
+      else if (property === 'STATUS') current.cancelled = value.trim().toUpperCase() === 'CANCELLED';
+    }
+  }
+
+  return { events, skipped };
+};
+
+module.exports = {
+  parseIcs,
+};
@@ -17,13 +17,149 @@ CREATE TABLE IF NOT EXISTS users (
     password_hash VARCHAR(255) NOT NULL,
     name VARCHAR(255) NOT NULL,
     employee_id VARCHAR(50) UNIQUE NOT NULL,
-    role VARCHAR(20) NOT NULL CHECK (role IN ('employee', 'admin', 'hr')),
+    role VARCHAR(20) NOT NULL CHECK (role IN ('employee', 'manager', 'admin', 'hr')),
     profile_picture_url TEXT,
+    manager_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    joining_date DATE,
+    designation VARCHAR(100),
+    employment_type VARCHAR(20) CHECK (employment_type IN ('full_time', 'contract', 'intern')),
+    work_location VARCHAR(150),
+    timezone VARCHAR(64),
+    work_schedule JSONB,
+    phone VARCHAR(30),
     status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'terminated')),
+    last_working_day DATE,
+    terminated_at TIMESTAMP,
+    offboarded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    offboarding_reason TEXT,
+    anonymized_at TIMESTAMP,
+    geofence_policy VARCHAR(10) CHECK (geofence_policy IN ('remote', 'flag', 'reject')),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create shifts table if it doesn't exist (expected working hours, assigned to users or departments)
+CREATE TABLE IF NOT EXISTS shifts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    break_minutes INTEGER NOT NULL DEFAULT 60 CHECK (break_minutes >= 0),
+    grace_minutes INTEGER NOT NULL DEFAULT 0 CHECK (grace_minutes >= 0),
+    working_days SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+    day_boundary TIME,
+    geofence_policy VARCHAR(10) CHECK (geofence_policy IN ('remote', 'flag', 'reject')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create holiday_calendars table if it doesn't exist (public holidays and weekly offs per region/office)
+CREATE TABLE IF NOT EXISTS holiday_calendars (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    region VARCHAR(100),
+    weekly_off SMALLINT[] NOT NULL DEFAULT '{0}',
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create holidays table if it doesn't exist (one non-working date in a calendar)
+CREATE TABLE IF NOT EXISTS holidays (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    calendar_id UUID NOT NULL REFERENCES holiday_calendars(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    name VARCHAR(200) NOT NULL,
+    source_uid VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_calendar_date UNIQUE(calendar_id, date)
+);
+
+-- Create office_locations table if it doesn't exist (geofences check-ins are classified against)
+CREATE TABLE IF NOT EXISTS office_locations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    address TEXT,
+    latitude DOUBLE PRECISION NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+    longitude DOUBLE PRECISION NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+    radius_meters INTEGER NOT NULL DEFAULT 200 CHECK (radius_meters > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create departments table if it doesn't exist (users.department_id)
+CREATE TABLE IF NOT EXISTS departments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    code VARCHAR(20),
+    description TEXT,
+    head_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create teams table if it doesn't exist (every team belongs to one department)
+CREATE TABLE IF NOT EXISTS teams (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    department_id UUID NOT NULL REFERENCES departments(id),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    lead_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create leave_types table if it doesn't exist (allowance in days per year; unpaid types have no balance)
+CREATE TABLE IF NOT EXISTS leave_types (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(30) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    is_paid BOOLEAN NOT NULL DEFAULT TRUE,
+    yearly_allowance NUMERIC(5,1) NOT NULL DEFAULT 0 CHECK (yearly_allowance >= 0),
+    max_carry_forward NUMERIC(5,1) NOT NULL DEFAULT 0 CHECK (max_carry_forward >= 0),
+    allow_half_day BOOLEAN NOT NULL DEFAULT TRUE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create leave_balances table if it doesn't exist (one row per user, type and year; used/pending come from leave_requests)
+CREATE TABLE IF NOT EXISTS leave_balances (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    leave_type_id UUID NOT NULL REFERENCES leave_types(id) ON DELETE CASCADE,
+    year SMALLINT NOT NULL,
+    allocated NUMERIC(5,1) NOT NULL DEFAULT 0,
+    carried_forward NUMERIC(5,1) NOT NULL DEFAULT 0,
+    adjusted NUMERIC(5,1) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, leave_type_id, year)
+);
+
+-- Create leave_requests table if it doesn't exist
+CREATE TABLE IF NOT EXISTS leave_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    leave_type_id UUID NOT NULL REFERENCES leave_types(id),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    half_day BOOLEAN NOT NULL DEFAULT FALSE,
+    days NUMERIC(5,1) NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date),
+    CHECK (NOT half_day OR start_date = end_date)
+);
+
 -- Create attendance_records table if it doesn't exist
 CREATE TABLE IF NOT EXISTS attendance_records (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -47,11 +183,49 @@ CREATE TABLE IF NOT EXISTS attendance_records (
     check_out_location JSONB,
     notes TEXT,
     untracked_seconds INTEGER DEFAULT 0,
+    shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL,
+    late_by_minutes INTEGER,
+    left_early_minutes INTEGER,
+    status_evaluated_at TIMESTAMP,
+    leave_request_id UUID REFERENCES leave_requests(id) ON DELETE SET NULL,
+    status_override BOOLEAN NOT NULL DEFAULT FALSE,
+    check_in_geofence VARCHAR(10) CHECK (check_in_geofence IN ('onsite', 'remote', 'outside')),
+    check_in_office_id UUID REFERENCES office_locations(id) ON DELETE SET NULL,
+    check_in_distance_meters INTEGER,
+    check_out_geofence VARCHAR(10) CHECK (check_out_geofence IN ('onsite', 'remote', 'outside')),
+    check_out_office_id UUID REFERENCES office_locations(id) ON DELETE SET NULL,
+    check_out_distance_meters INTEGER,
+    geofence_flagged BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     CONSTRAINT unique_user_date UNIQUE(user_id, date)
 );
 
+-- Create attendance_sessions table if it doesn't exist (each check-in/check-out pair of a day; the record holds the day totals)
+CREATE TABLE IF NOT EXISTS attendance_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    attendance_record_id UUID NOT NULL REFERENCES attendance_records(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    check_in_time TIMESTAMP NOT NULL,
+    check_out_time TIMESTAMP,
+    check_in_ip VARCHAR(45),
+    check_out_ip VARCHAR(45),
+    check_in_location JSONB,
+    check_out_location JSONB,
+    check_in_geofence VARCHAR(10) CHECK (check_in_geofence IN ('onsite', 'remote', 'outside')),
+    check_in_office_id UUID REFERENCES office_locations(id) ON DELETE SET NULL,
+    check_in_distance_meters INTEGER,
+    check_out_geofence VARCHAR(10) CHECK (check_out_geofence IN ('onsite', 'remote', 'outside')),
+    check_out_office_id UUID REFERENCES office_locations(id) ON DELETE SET NULL,
+    check_out_distance_meters INTEGER,
+    work_duration INTEGER,
+    active_duration INTEGER,
+    idle_duration INTEGER,
+    break_duration INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create activity_logs table if it doesn't exist
 CREATE TABLE IF NOT EXISTS activity_logs (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -125,6 +299,25 @@ CREATE TABLE IF NOT EXISTS attendance_notes (
     CONSTRAINT unique_user_date_note UNIQUE (user_id, date)
 );
 
+-- Create attendance_regularizations table if it doesn't exist (employee corrections to a day, applied on approval)
+CREATE TABLE IF NOT EXISTS attendance_regularizations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    attendance_record_id UUID REFERENCES attendance_records(id) ON DELETE SET NULL,
+    date DATE NOT NULL,
+    check_in_time TIMESTAMP NOT NULL,
+    check_out_time TIMESTAMP NOT NULL,
+    breaks JSONB,
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'cancelled')),
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    review_comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (check_out_time > check_in_time)
+);
+
 -- Create productivity_summary table if it doesn't exist
 CREATE TABLE IF NOT EXISTS productivity_summary (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -155,6 +348,149 @@ CREATE TABLE IF NOT EXISTS system_settings (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create user_sessions table if it doesn't exist (one row per login / refresh token family)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50)
+);
+
+-- Create refresh_tokens table if it doesn't exist (only SHA-256 hashes are stored)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP
+);
+
+-- Create login_failures table if it doesn't exist (fallback for failed-login counters when Redis is down)
+CREATE TABLE IF NOT EXISTS login_failures (
+    scope VARCHAR(10) NOT NULL CHECK (scope IN ('email', 'ip')),
+    identifier VARCHAR(255) NOT NULL,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    first_failed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_failed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (scope, identifier)
+);
+
+-- Create user_invites table if it doesn't exist (invite-only onboarding; only token hashes are stored)
+CREATE TABLE IF NOT EXISTS user_invites (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email VARCHAR(255) NOT NULL,
+    name VARCHAR(255),
+    employee_id VARCHAR(50) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('employee', 'manager', 'admin', 'hr')),
+    department_id UUID REFERENCES departments(id) ON DELETE SET NULL,
+    team_id UUID REFERENCES teams(id) ON DELETE SET NULL,
+    manager_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    joining_date DATE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    sent_count INTEGER NOT NULL DEFAULT 1,
+    last_sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    accepted_at TIMESTAMP,
+    accepted_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create password_reset_tokens table if it doesn't exist (single-use reset links; only token hashes are stored)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP
+);
+
+-- Create user_mfa table if it doesn't exist (TOTP secret encrypted at rest; enabled once confirmed)
+CREATE TABLE IF NOT EXISTS user_mfa (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL,
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create mfa_recovery_codes table if it doesn't exist (one-time codes, hashed)
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create devices table if it doesn't exist (desktop trackers with scoped, revocable keys; only key hashes are stored)
+CREATE TABLE IF NOT EXISTS devices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    os VARCHAR(100),
+    tracker_version VARCHAR(50),
+    key_prefix VARCHAR(12) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT ARRAY['heartbeat', 'screenshots'],
+    last_seen_at TIMESTAMP,
+    last_ip VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50)
+);
+
+-- Create user_identities table if it doesn't exist (accounts at an external OIDC provider linked to users)
+CREATE TABLE IF NOT EXISTS user_identities (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    issuer VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP,
+    UNIQUE(issuer, subject)
+);
+
+-- Create oidc_login_states table if it doesn't exist (pending SSO sign-ins: state, nonce, PKCE verifier)
+CREATE TABLE IF NOT EXISTS oidc_login_states (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    state_hash VARCHAR(64) UNIQUE NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    redirect_to VARCHAR(500),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create audit_events table if it doesn't exist (append-only security log; actor kept by value, no FK)
+CREATE TABLE IF NOT EXISTS audit_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    actor_id UUID,
+    actor_email VARCHAR(255),
+    actor_role VARCHAR(20),
+    action VARCHAR(100) NOT NULL,
+    outcome VARCHAR(20) NOT NULL DEFAULT 'success' CHECK (outcome IN ('success', 'failure')),
+    target_type VARCHAR(50),
+    target_id VARCHAR(100),
+    changes JSONB,
+    metadata JSONB,
+    ip_address VARCHAR(45),
+    user_agent TEXT
+);
+
 -- Create indexes for better query performance (only if they don't exist)
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_employee_id ON users(employee_id);
@@ -190,11 +526,160 @@ CREATE INDEX IF NOT EXISTS idx_settings_key ON system_settings(setting_key);
 CREATE INDEX IF NOT EXISTS idx_attendance_notes_user_id ON attendance_notes(user_id);
 CREATE INDEX IF NOT EXISTS idx_attendance_notes_date ON attendance_notes(date);
 
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_devices_user_id ON devices(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_occurred_at ON audit_events(occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action);
+
+-- At most one open invite per email
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_invites_pending_email ON user_invites(LOWER(email))
+    WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+-- Audit events can be added but never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_event_changes() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events;
+CREATE TRIGGER audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_event_changes();
+DROP TRIGGER IF EXISTS audit_events_no_truncate ON audit_events;
+CREATE TRIGGER audit_events_no_truncate
+    BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_event_changes();
+
 -- Alter queries for updating existing database installations
 ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS untracked_seconds INTEGER DEFAULT 0;
 ALTER TABLE activity_logs DROP CONSTRAINT IF EXISTS activity_logs_activity_type_check;
 ALTER TABLE activity_logs ADD CONSTRAINT activity_logs_activity_type_check CHECK (activity_type IN ('active', 'idle', 'lunch_break', 'meeting', 'untracked'));
 ALTER TABLE attendance_records ALTER COLUMN check_in_time DROP NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('employee', 'manager', 'admin', 'hr'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS manager_id UUID REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_users_manager_id ON users(manager_id);
+CREATE INDEX IF NOT EXISTS idx_users_name ON users(name, id);
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at, id);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_working_day DATE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS terminated_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS offboarded_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS offboarding_reason TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS joining_date DATE;
+ALTER TABLE user_invites ADD COLUMN IF NOT EXISTS manager_id UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE user_invites ADD COLUMN IF NOT EXISTS joining_date DATE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS department_id UUID REFERENCES departments(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+ALTER TABLE user_invites ADD COLUMN IF NOT EXISTS department_id UUID REFERENCES departments(id) ON DELETE SET NULL;
+ALTER TABLE user_invites ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_departments_name ON departments(LOWER(name));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_teams_department_name ON teams(department_id, LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_users_department_id ON users(department_id);
+CREATE INDEX IF NOT EXISTS idx_users_team_id ON users(team_id);
+
+-- Move the free-text users.department / user_invites.department into departments
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'department') THEN
+        INSERT INTO departments (name)
+        SELECT DISTINCT ON (LOWER(TRIM(department))) TRIM(department) FROM users
+        WHERE TRIM(COALESCE(department, '')) <> ''
+        ORDER BY LOWER(TRIM(department)), TRIM(department)
+        ON CONFLICT ((LOWER(name))) DO NOTHING;
+
+        UPDATE users u SET department_id = d.id
+        FROM departments d
+        WHERE u.department_id IS NULL AND LOWER(d.name) = LOWER(TRIM(u.department));
+
+        ALTER TABLE users DROP COLUMN department;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'user_invites' AND column_name = 'department') THEN
+        INSERT INTO departments (name)
+        SELECT DISTINCT ON (LOWER(TRIM(department))) TRIM(department) FROM user_invites
+        WHERE TRIM(COALESCE(department, '')) <> '' AND accepted_at IS NULL AND revoked_at IS NULL
+        ORDER BY LOWER(TRIM(department)), TRIM(department)
+        ON CONFLICT ((LOWER(name))) DO NOTHING;
+
+        UPDATE user_invites i SET department_id = d.id
+        FROM departments d
+        WHERE i.department_id IS NULL AND LOWER(d.name) = LOWER(TRIM(i.department));
+
+        ALTER TABLE user_invites DROP COLUMN department;
+    END IF;
+END $$;
+ALTER TABLE user_invites DROP CONSTRAINT IF EXISTS user_invites_role_check;
+ALTER TABLE user_invites ADD CONSTRAINT user_invites_role_check CHECK (role IN ('employee', 'manager', 'admin', 'hr'));
+ALTER TABLE screenshots ADD COLUMN IF NOT EXISTS device_id UUID REFERENCES devices(id) ON DELETE SET NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS designation VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS employment_type VARCHAR(20) CHECK (employment_type IN ('full_time', 'contract', 'intern'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS work_location VARCHAR(150);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS work_schedule JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone VARCHAR(30);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL;
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL;
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS shift_id UUID REFERENCES shifts(id) ON DELETE SET NULL;
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS late_by_minutes INTEGER;
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS left_early_minutes INTEGER;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shifts_name ON shifts(LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_users_shift_id ON users(shift_id);
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS day_boundary TIME;
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS status_evaluated_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_attendance_status_pending ON attendance_records(date) WHERE status_evaluated_at IS NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS holiday_calendar_id UUID REFERENCES holiday_calendars(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_holiday_calendars_name ON holiday_calendars(LOWER(name));
+-- At most one default calendar, used for employees without their own
+CREATE UNIQUE INDEX IF NOT EXISTS idx_holiday_calendars_default ON holiday_calendars(is_default) WHERE is_default;
+CREATE INDEX IF NOT EXISTS idx_users_holiday_calendar_id ON users(holiday_calendar_id);
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS leave_request_id UUID REFERENCES leave_requests(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_attendance_leave_request_id ON attendance_records(leave_request_id);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_user_dates ON leave_requests(user_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status);
+CREATE INDEX IF NOT EXISTS idx_attendance_regularizations_user_date ON attendance_regularizations(user_id, date);
+CREATE INDEX IF NOT EXISTS idx_attendance_regularizations_status ON attendance_regularizations(status);
+-- At most one open correction per employee and day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_regularizations_pending ON attendance_regularizations(user_id, date) WHERE status = 'pending';
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS status_override BOOLEAN NOT NULL DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_attendance_sessions_record ON attendance_sessions(attendance_record_id, check_in_time);
+-- At most one open session per day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_sessions_open ON attendance_sessions(attendance_record_id) WHERE check_out_time IS NULL;
+-- Records from before sessions existed become a single session
+INSERT INTO attendance_sessions
+    (attendance_record_id, user_id, check_in_time, check_out_time, check_in_ip, check_out_ip, check_in_location,
+     check_out_location, work_duration, active_duration, idle_duration, break_duration)
+SELECT ar.id, ar.user_id, ar.check_in_time, ar.check_out_time, ar.check_in_ip, ar.check_out_ip, ar.check_in_location,
+       ar.check_out_location, ar.total_work_duration, ar.total_active_duration, ar.total_idle_duration, ar.total_break_duration
+FROM attendance_records ar
+WHERE ar.check_in_time IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM attendance_sessions s WHERE s.attendance_record_id = ar.id);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS geofence_policy VARCHAR(10) CHECK (geofence_policy IN ('remote', 'flag', 'reject'));
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS geofence_policy VARCHAR(10) CHECK (geofence_policy IN ('remote', 'flag', 'reject'));
+CREATE UNIQUE INDEX IF NOT EXISTS idx_office_locations_name ON office_locations(LOWER(name));
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS check_in_geofence VARCHAR(10) CHECK (check_in_geofence IN ('onsite', 'remote', 'outside'));
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS check_in_office_id UUID REFERENCES office_locations(id) ON DELETE SET NULL;
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS check_in_distance_meters INTEGER;
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS check_out_geofence VARCHAR(10) CHECK (check_out_geofence IN ('onsite', 'remote', 'outside'));
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS check_out_office_id UUID REFERENCES office_locations(id) ON DELETE SET NULL;
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS check_out_distance_meters INTEGER;
+ALTER TABLE attendance_records ADD COLUMN IF NOT EXISTS geofence_flagged BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE attendance_sessions ADD COLUMN IF NOT EXISTS check_in_geofence VARCHAR(10) CHECK (check_in_geofence IN ('onsite', 'remote', 'outside'));
+ALTER TABLE attendance_sessions ADD COLUMN IF NOT EXISTS check_in_office_id UUID REFERENCES office_locations(id) ON DELETE SET NULL;
+ALTER TABLE attendance_sessions ADD COLUMN IF NOT EXISTS check_in_distance_meters INTEGER;
+ALTER TABLE attendance_sessions ADD COLUMN IF NOT EXISTS check_out_geofence VARCHAR(10) CHECK (check_out_geofence IN ('onsite', 'remote', 'outside'));
+ALTER TABLE attendance_sessions ADD COLUMN IF NOT EXISTS check_out_office_id UUID REFERENCES office_locations(id) ON DELETE SET NULL;
+ALTER TABLE attendance_sessions ADD COLUMN IF NOT EXISTS check_out_distance_meters INTEGER;
+CREATE INDEX IF NOT EXISTS idx_attendance_geofence_flagged ON attendance_records(date) WHERE geofence_flagged;
 `;
 
 async function runMigration() {
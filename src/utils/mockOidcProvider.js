@@ -0,0 +1,162 @@
+// Minimal OpenID Connect provider for local development and testing of SSO.
+// Supports discovery, JWKS, the authorization code flow with PKCE (S256),
+// the token endpoint and userinfo. Any identity typed into the login form is accepted.
+//
+//   npm run oidc:mock
+//   OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=attendance-app npm start
+//
+// Never run this anywhere real users can reach it.
+require('dotenv').config();
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.OIDC_MOCK_PORT || '9400', 10);
+const ISSUER = (process.env.OIDC_MOCK_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'attendance-app';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || null;
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const oauthError = (res, error, description, status = 400) => res.status(status).json({ error, error_description: description });
+
+const buildClaims = (form) => {
+  const email = String(form.email || '').trim();
+  const claims = {
+    sub: form.sub || crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+    email,
+    email_verified: form.email_verified !== 'false',
+    name: form.name || email.split('@')[0],
+    groups: String(form.groups || '').split(',').map((group) => group.trim()).filter(Boolean),
+  };
+  if (form.employee_id) claims.employee_id = form.employee_id;
+  return claims;
+};
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    grant_types_supported: ['authorization_code'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'none'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups'],
+  });
+});
+
+app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+const validateAuthorizeParams = (params) => {
+  if (params.client_id !== CLIENT_ID) return 'unknown client_id';
+  if (params.response_type !== 'code') return 'only response_type=code is supported';
+  if (!params.redirect_uri) return 'redirect_uri is required';
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') return 'PKCE with S256 is required';
+  if (!String(params.scope || '').split(' ').includes('openid')) return 'scope must include openid';
+  return null;
+};
+
+app.get('/authorize', (req, res) => {
+  const problem = validateAuthorizeParams(req.query);
+  if (problem) return oauthError(res, 'invalid_request', problem);
+
+  const hidden = ['client_id', 'response_type', 'redirect_uri', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n');
+
+  res.send(`<!doctype html>
+<html><body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+<h2>Mock identity provider</h2>
+<form method="post" action="/authorize">
+${hidden}
+<p><label>Email<br><input name="email" type="email" required style="width:100%"></label></p>
+<p><label>Name<br><input name="name" style="width:100%"></label></p>
+<p><label>Employee ID<br><input name="employee_id" style="width:100%"></label></p>
+<p><label>Groups (comma separated)<br><input name="groups" style="width:100%"></label></p>
+<p><label><input type="checkbox" name="email_verified" value="false"> Email not verified</label></p>
+<button type="submit">Sign in</button>
+</form>
+</body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const problem = validateAuthorizeParams(req.body);
+  if (problem) return oauthError(res, 'invalid_request', problem);
+  if (!req.body.email) return oauthError(res, 'invalid_request', 'email is required');
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri: req.body.redirect_uri,
+    codeChallenge: req.body.code_challenge,
+    nonce: req.body.nonce,
+    claims: buildClaims(req.body),
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const redirect = new URL(req.body.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (req.body.state) redirect.searchParams.set('state', req.body.state);
+  res.redirect(302, redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+  if (basic) {
+    const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+    if (CLIENT_SECRET && secret !== CLIENT_SECRET) return oauthError(res, 'invalid_client', 'bad client secret', 401);
+    clientId = id;
+  } else if (CLIENT_SECRET) {
+    return oauthError(res, 'invalid_client', 'client authentication required', 401);
+  }
+
+  if (req.body.grant_type !== 'authorization_code') return oauthError(res, 'unsupported_grant_type', 'only authorization_code');
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!grant || grant.expiresAt < Date.now()) return oauthError(res, 'invalid_grant', 'unknown or expired code');
+  if (grant.clientId !== clientId) return oauthError(res, 'invalid_grant', 'code was issued to another client');
+  if (grant.redirectUri !== req.body.redirect_uri) return oauthError(res, 'invalid_grant', 'redirect_uri mismatch');
+
+  const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+  if (challenge !== grant.codeChallenge) return oauthError(res, 'invalid_grant', 'PKCE verification failed');
+
+  const idToken = jwt.sign(
+    { ...grant.claims, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: TOKEN_TTL_SECONDS }
+  );
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.claims);
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const claims = match && accessTokens.get(match[1]);
+  if (!claims) return oauthError(res, 'invalid_token', 'unknown access token', 401);
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider listening on ${ISSUER} (client_id=${CLIENT_ID})`);
+});
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+// Signed screenshot file URLs: `<img src>` cannot send an Authorization header,
+// so file access is granted per screenshot and variant by an expiring HMAC instead.
+const VARIANTS = ['thumb', 'full'];
+const URL_TTL_SECONDS = parseInt(process.env.SCREENSHOT_URL_TTL_SECONDS || '300', 10);
+// Expiry is rounded up so repeated listings return the same URL and browsers can cache it.
+const EXPIRY_BUCKET_SECONDS = 60;
+
+const signingKey = () => process.env.SCREENSHOT_URL_SECRET || `${process.env.JWT_SECRET}:screenshot-url`;
+
+const computeSignature = (screenshotId, variant, expires) => crypto
+  .createHmac('sha256', signingKey())
+  .update(`${screenshotId}:${variant}:${expires}`)
+  .digest('base64url');
+
+/**
+ * Build a signed file URL for one screenshot variant
+ * @param {string} screenshotId - Screenshot ID
+ * @param {string} variant - 'thumb' or 'full'
+ * @returns {Object} { url, expiresAt }
+ */
+const signScreenshotUrl = (screenshotId, variant) => {
+  const expires = Math.ceil((Date.now() / 1000 + URL_TTL_SECONDS) / EXPIRY_BUCKET_SECONDS) * EXPIRY_BUCKET_SECONDS;
+  const params = new URLSearchParams({
+    variant,
+    expires: String(expires),
+    signature: computeSignature(screenshotId, variant, expires),
+  });
+
+  return {
+    url: `/api/screenshots/${screenshotId}/file?${params.toString()}`,
+    expiresAt: new Date(expires * 1000).toISOString(),
+  };
+};
+
+/**
+ * Attach signed thumb/full URLs to a screenshot row
+ * @param {Object} screenshot - Screenshot row
+ * @returns {Object} Row with `file_urls: { thumb, full, expires_at }`
+ */
+const withFileUrls = (screenshot) => {
+  const thumb = signScreenshotUrl(screenshot.id, 'thumb');
+  const full = signScreenshotUrl(screenshot.id, 'full');
+  return { ...screenshot, file_urls: { thumb: thumb.url, full: full.url, expires_at: full.expiresAt } };
+};
+
+/**
+ * Check a signed URL
+ * @param {string} screenshotId - Screenshot ID from the path
+ * @param {Object} query - { variant, expires, signature }
+ * @returns {Object} { variant, expiresIn } or { error, message }
+ */
+const verifyScreenshotSignature = (screenshotId, { variant, expires, signature } = {}) => {
+  if (!VARIANTS.includes(variant) || !/^\d+$/.test(expires || '') || typeof signature !== 'string') {
+    return { error: 'INVALID_SIGNATURE', message: 'Screenshot URL is missing or has an invalid signature' };
+  }
+
+  const expected = Buffer.from(computeSignature(screenshotId, variant, expires));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { error: 'INVALID_SIGNATURE', message: 'Screenshot URL is missing or has an invalid signature' };
+  }
+
+  const expiresIn = parseInt(expires, 10) - Math.floor(Date.now() / 1000);
+  if (expiresIn <= 0) {
+    return { error: 'URL_EXPIRED', message: 'Screenshot URL has expired, reload to get a new one' };
+  }
+
+  return { variant, expiresIn };
+};
+
+module.exports = {
+  signScreenshotUrl,
+  withFileUrls,
+  verifyScreenshotSignature,
+};
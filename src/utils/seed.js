@@ -2,6 +2,7 @@ const bcrypt = require('bcrypt');
 const pool = require('../config/database');
 const logger = require('../utils/logger');
 const ensureDatabaseExists = require('./ensureDatabase');
+const { DEFAULT_TIME_ZONE } = require('./helpers');
 
 async function seedData() {
   await ensureDatabaseExists(process.env.DATABASE_URL);
@@ -71,6 +72,31 @@ async function seedData() {
         value: { minutes: 60 },
         description: 'Maximum lunch break duration in minutes',
       },
+      {
+        key: 'mfa_policy',
+        value: { required_roles: [] },
+        description: 'Roles that must use two-factor authentication (e.g. ["admin", "hr"])',
+      },
+      {
+        key: 'offboarding_policy',
+        value: { data_handling: 'retain' },
+        description: 'What happens to personal data when an employee is offboarded: "retain" or "anonymize"',
+      },
+      {
+        key: 'default_timezone',
+        value: { timezone: DEFAULT_TIME_ZONE },
+        description: 'IANA timezone for employees without their own; sets the attendance day and auto-checkout time',
+      },
+      {
+        key: 'attendance_status_rules',
+        value: { full_day_minutes: 480, half_day_minutes: 240 },
+        description: 'Minutes worked for a day to count as present or half_day; less is absent',
+      },
+      {
+        key: 'geofence_policy',
+        value: { default_policy: 'remote' },
+        description: 'Check-ins away from every office location for employees whose user or shift sets no policy: "remote" (allowed), "flag" (allowed, flagged for review) or "reject"',
+      },
     ];
 
     for (const setting of defaultSettings) {
@@ -84,6 +110,33 @@ async function seedData() {
 
     logger.info('✅ Default system settings created');
 
+    // Organization-wide calendar: Sundays off, holidays added by HR
+    await client.query(
+      `INSERT INTO holiday_calendars (name, weekly_off, is_default)
+       SELECT 'Organization', '{0}', TRUE
+       WHERE NOT EXISTS (SELECT 1 FROM holiday_calendars WHERE is_default)`
+    );
+
+    logger.info('✅ Default holiday calendar created');
+
+    const defaultLeaveTypes = [
+      { code: 'casual', name: 'Casual leave', is_paid: true, yearly_allowance: 12, max_carry_forward: 0 },
+      { code: 'sick', name: 'Sick leave', is_paid: true, yearly_allowance: 10, max_carry_forward: 0 },
+      { code: 'earned', name: 'Earned leave', is_paid: true, yearly_allowance: 15, max_carry_forward: 30 },
+      { code: 'unpaid', name: 'Unpaid leave', is_paid: false, yearly_allowance: 0, max_carry_forward: 0 },
+    ];
+
+    for (const type of defaultLeaveTypes) {
+      await client.query(
+        `INSERT INTO leave_types (code, name, is_paid, yearly_allowance, max_carry_forward)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (code) DO NOTHING`,
+        [type.code, type.name, type.is_paid, type.yearly_allowance, type.max_carry_forward]
+      );
+    }
+
+    logger.info('✅ Default leave types created');
+
     await client.query('COMMIT');
 
     logger.info('✅ Data seeding completed successfully!');
@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { ROLES } = require('../config/permissions');
+const { isValidUUID, isValidTimeZone } = require('./helpers');
 
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -15,12 +17,391 @@ const validate = (req, res, next) => {
   next();
 };
 
-const registerValidation = [
+const EMPLOYMENT_TYPES = ['full_time', 'contract', 'intern'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const GEOFENCE_POLICIES = ['remote', 'flag', 'reject'];
+
+// { latitude, longitude } in decimal degrees
+const isCoordinates = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && typeof value.latitude === 'number' && value.latitude >= -90 && value.latitude <= 90
+  && typeof value.longitude === 'number' && value.longitude >= -180 && value.longitude <= 180;
+
+// Non-empty list of distinct days of the week, 0 = Sunday
+const isWorkingDays = (days) => Array.isArray(days) && days.length > 0 && new Set(days).size === days.length
+  && days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+
+// Weekly offs may be empty (no regular day off) but cannot cover the whole week
+const isWeeklyOff = (days) => Array.isArray(days) && (days.length === 0 || isWorkingDays(days)) && days.length < 7;
+
+// { start: "09:00", end: "18:00", working_days: [1, 2, 3, 4, 5] } with 0 = Sunday
+const isWorkSchedule = (value) => {
+  if (value === null) return true;
+  if (typeof value !== 'object' || Array.isArray(value)) return false;
+  if (!TIME_OF_DAY.test(value.start) || !TIME_OF_DAY.test(value.end)) return false;
+  return isWorkingDays(value.working_days);
+};
+
+const phoneRule = () => body('phone').optional({ nullable: true }).isString().trim()
+  .matches(/^\+?[0-9 ()-]{6,25}$/).withMessage('phone must be a phone number');
+const timezoneRule = () => body('timezone').optional({ nullable: true })
+  .custom(isValidTimeZone).withMessage('timezone must be an IANA time zone such as Europe/Berlin');
+const geofencePolicyRule = () => body('geofence_policy').optional({ nullable: true })
+  .isIn(GEOFENCE_POLICIES).withMessage(`geofence_policy must be one of ${GEOFENCE_POLICIES.join(', ')}`);
+
+// Employment details HR maintains on a user
+const employmentFieldRules = [
+  body('designation').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('designation must be at most 100 characters'),
+  body('employment_type').optional({ nullable: true }).isIn(EMPLOYMENT_TYPES).withMessage(`employment_type must be one of ${EMPLOYMENT_TYPES.join(', ')}`),
+  body('work_location').optional({ nullable: true }).isString().trim().isLength({ max: 150 }).withMessage('work_location must be at most 150 characters'),
+  body('work_schedule').optional({ nullable: true }).custom(isWorkSchedule).withMessage('work_schedule must be { start: "HH:MM", end: "HH:MM", working_days: [0-6] }'),
+  timezoneRule(),
+  phoneRule(),
+  body('shift_id').optional({ nullable: true }).isUUID().withMessage('shift_id must be a shift ID'),
+  body('holiday_calendar_id').optional({ nullable: true }).isUUID().withMessage('holiday_calendar_id must be a holiday calendar ID'),
+  geofencePolicyRule(),
+];
+
+// Account fields shared by admin-created users and bulk imports
+const userFieldRules = [
   body('email').isEmail().withMessage('Valid email is required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   body('name').notEmpty().withMessage('Name is required'),
   body('employee_id').notEmpty().withMessage('Employee ID is required'),
-  body('role').optional().isIn(['employee', 'admin', 'hr']).withMessage('Invalid role'),
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('manager_id').optional({ nullable: true }).isUUID().withMessage('manager_id must be a user ID'),
+  body('department_id').optional({ nullable: true }).isUUID().withMessage('department_id must be a department ID'),
+  body('team_id').optional({ nullable: true }).isUUID().withMessage('team_id must be a team ID'),
+  body('joining_date').optional({ nullable: true }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('joining_date must be a YYYY-MM-DD date'),
+];
+
+const registerValidation = [
+  ...userFieldRules,
+  ...employmentFieldRules,
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  validate,
+];
+
+const importRowRules = [
+  ...userFieldRules,
+  body('manager').optional({ nullable: true }).isString().trim().isLength({ max: 255 }).withMessage('manager must be an employee ID or email'),
+  body('department').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('department must be a department name'),
+  body('team').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('team must be a team name'),
+];
+
+/**
+ * Validate one import row with the same rules as registerValidation (minus the password)
+ * @param {Object} row - Parsed CSV/JSON row
+ * @returns {Promise<Object>} { row (sanitized), errors: [{ field, message }] }
+ */
+const validateUserImportRow = async (row) => {
+  const req = { body: { ...row } };
+  for (const rule of importRowRules) {
+    await rule.run(req);
+  }
+  const errors = validationResult(req).array().map((error) => ({ field: error.path, message: error.msg }));
+  return { row: req.body, errors };
+};
+
+const updateUserValidation = [
+  body('name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('status').optional().isIn(['active', 'inactive']).withMessage('Status must be active or inactive; use the offboarding endpoint to terminate'),
+  body('manager_id').optional({ nullable: true }).isUUID().withMessage('manager_id must be a user ID'),
+  body('department_id').optional({ nullable: true }).isUUID().withMessage('department_id must be a department ID'),
+  body('team_id').optional({ nullable: true }).isUUID().withMessage('team_id must be a team ID'),
+  body('joining_date').optional({ nullable: true }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('joining_date must be a YYYY-MM-DD date'),
+  ...employmentFieldRules,
+  validate,
+];
+
+// Fields employees may change on their own profile
+const updateProfileValidation = [
+  phoneRule(),
+  body('profile_picture_url').optional({ nullable: true }).isURL().withMessage('profile_picture_url must be a URL'),
+  validate,
+];
+
+const userListValidation = [
+  query('q').optional().isString().trim().isLength({ max: 100 }).withMessage('Search term is too long'),
+  query('role').optional().custom((value) => value.split(',').every((role) => ROLES.includes(role))).withMessage('Invalid role'),
+  query('status').optional().isIn(['active', 'inactive', 'terminated', 'all']).withMessage('Invalid status'),
+  query('department').optional().isString().trim(),
+  query('department_id').optional().custom((value) => value === 'none' || isValidUUID(value)).withMessage('department_id must be a department ID or "none"'),
+  query('team_id').optional().custom((value) => value === 'none' || isValidUUID(value)).withMessage('team_id must be a team ID or "none"'),
+  query('manager_id').optional().custom((value) => value === 'none' || isValidUUID(value)).withMessage('manager_id must be a user ID or "none"'),
+  query('sort').optional().isIn(['name', 'email', 'employee_id', 'created_at']).withMessage('Invalid sort field'),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+  query('cursor').optional().isString(),
+  query('include').optional().isIn(['attendance']).withMessage('include only supports attendance'),
+  validate,
+];
+
+const offboardValidation = [
+  body('last_working_day').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('last_working_day must be a YYYY-MM-DD date'),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  body('data_handling').optional().isIn(['retain', 'anonymize']).withMessage('data_handling must be retain or anonymize'),
+  validate,
+];
+
+const purgeUserValidation = [
+  body('confirm_employee_id').isString().notEmpty().withMessage('confirm_employee_id is required to purge a user'),
+  validate,
+];
+
+const departmentValidation = [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('code').optional({ nullable: true }).isString().trim().isLength({ max: 20 }).withMessage('Code must be at most 20 characters'),
+  body('description').optional({ nullable: true }).isString().trim(),
+  body('head_user_id').optional({ nullable: true }).isUUID().withMessage('head_user_id must be a user ID'),
+  body('shift_id').optional({ nullable: true }).isUUID().withMessage('shift_id must be a shift ID'),
+  validate,
+];
+
+const updateDepartmentValidation = [
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name cannot be empty (max 100 characters)'),
+  body('code').optional({ nullable: true }).isString().trim().isLength({ max: 20 }).withMessage('Code must be at most 20 characters'),
+  body('description').optional({ nullable: true }).isString().trim(),
+  body('head_user_id').optional({ nullable: true }).isUUID().withMessage('head_user_id must be a user ID'),
+  body('shift_id').optional({ nullable: true }).isUUID().withMessage('shift_id must be a shift ID'),
+  validate,
+];
+
+const teamValidation = [
+  body('department_id').isUUID().withMessage('department_id must be a department ID'),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('description').optional({ nullable: true }).isString().trim(),
+  body('lead_user_id').optional({ nullable: true }).isUUID().withMessage('lead_user_id must be a user ID'),
+  validate,
+];
+
+const updateTeamValidation = [
+  body('department_id').optional().isUUID().withMessage('department_id must be a department ID'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name cannot be empty (max 100 characters)'),
+  body('description').optional({ nullable: true }).isString().trim(),
+  body('lead_user_id').optional({ nullable: true }).isUUID().withMessage('lead_user_id must be a user ID'),
+  validate,
+];
+
+const shiftValidation = [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('start_time').matches(TIME_OF_DAY).withMessage('start_time must be HH:MM'),
+  body('end_time').matches(TIME_OF_DAY).withMessage('end_time must be HH:MM')
+    .custom((value, { req }) => value !== req.body.start_time).withMessage('end_time must differ from start_time'),
+  body('break_minutes').optional().isInt({ min: 0, max: 720 }).toInt().withMessage('break_minutes must be between 0 and 720'),
+  body('grace_minutes').optional().isInt({ min: 0, max: 240 }).toInt().withMessage('grace_minutes must be between 0 and 240'),
+  body('working_days').optional().custom(isWorkingDays).withMessage('working_days must be a list of days 0-6 (0 = Sunday)'),
+  body('day_boundary').optional({ nullable: true }).matches(TIME_OF_DAY).withMessage('day_boundary must be HH:MM'),
+  geofencePolicyRule(),
+  validate,
+];
+
+const updateShiftValidation = [
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name cannot be empty (max 100 characters)'),
+  body('start_time').optional().matches(TIME_OF_DAY).withMessage('start_time must be HH:MM'),
+  body('end_time').optional().matches(TIME_OF_DAY).withMessage('end_time must be HH:MM'),
+  body('break_minutes').optional().isInt({ min: 0, max: 720 }).toInt().withMessage('break_minutes must be between 0 and 720'),
+  body('grace_minutes').optional().isInt({ min: 0, max: 240 }).toInt().withMessage('grace_minutes must be between 0 and 240'),
+  body('working_days').optional().custom(isWorkingDays).withMessage('working_days must be a list of days 0-6 (0 = Sunday)'),
+  body('day_boundary').optional({ nullable: true }).matches(TIME_OF_DAY).withMessage('day_boundary must be HH:MM'),
+  geofencePolicyRule(),
+  validate,
+];
+
+const officeValidation = [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('address').optional({ nullable: true }).isString().trim(),
+  body('latitude').isFloat({ min: -90, max: 90 }).toFloat().withMessage('latitude must be between -90 and 90'),
+  body('longitude').isFloat({ min: -180, max: 180 }).toFloat().withMessage('longitude must be between -180 and 180'),
+  body('radius_meters').optional().isInt({ min: 10, max: 50000 }).toInt().withMessage('radius_meters must be between 10 and 50000'),
+  body('is_active').optional().isBoolean().toBoolean().withMessage('is_active must be a boolean'),
+  validate,
+];
+
+const updateOfficeValidation = [
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name cannot be empty (max 100 characters)'),
+  body('address').optional({ nullable: true }).isString().trim(),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).toFloat().withMessage('latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).toFloat().withMessage('longitude must be between -180 and 180'),
+  body('radius_meters').optional().isInt({ min: 10, max: 50000 }).toInt().withMessage('radius_meters must be between 10 and 50000'),
+  body('is_active').optional().isBoolean().toBoolean().withMessage('is_active must be a boolean'),
+  validate,
+];
+
+const calendarValidation = [
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('region').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('region must be at most 100 characters'),
+  body('weekly_off').optional().custom(isWeeklyOff).withMessage('weekly_off must be a list of days 0-6 (0 = Sunday), not the whole week'),
+  body('is_default').optional().isBoolean().toBoolean().withMessage('is_default must be a boolean'),
+  validate,
+];
+
+const updateCalendarValidation = [
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name cannot be empty (max 100 characters)'),
+  body('region').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('region must be at most 100 characters'),
+  body('weekly_off').optional().custom(isWeeklyOff).withMessage('weekly_off must be a list of days 0-6 (0 = Sunday), not the whole week'),
+  body('is_default').optional().isBoolean().toBoolean().withMessage('is_default must be a boolean'),
+  validate,
+];
+
+const holidayValidation = [
+  body('date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('date must be a YYYY-MM-DD date'),
+  body('name').isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Name is required (max 200 characters)'),
+  validate,
+];
+
+const updateHolidayValidation = [
+  body('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('date must be a YYYY-MM-DD date'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 200 }).withMessage('Name cannot be empty (max 200 characters)'),
+  validate,
+];
+
+const holidayRangeValidation = [
+  query('start_date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('start_date must be a YYYY-MM-DD date'),
+  query('end_date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('end_date must be a YYYY-MM-DD date'),
+  validate,
+];
+
+// Leave is counted in half days
+const isHalfDays = (value) => Number.isInteger(Number(value) * 2);
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const dateRule = (field) => body(field).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage(`${field} must be a YYYY-MM-DD date`);
+
+const leaveTypeValidation = [
+  body('code').isString().trim().toLowerCase().matches(/^[a-z][a-z0-9_]{1,29}$/).withMessage('code must be 2-30 lowercase letters, digits or underscores'),
+  body('name').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('is_paid').optional().isBoolean().toBoolean().withMessage('is_paid must be a boolean'),
+  body('yearly_allowance').optional().isFloat({ min: 0, max: 366 }).custom(isHalfDays).toFloat().withMessage('yearly_allowance must be 0-366 days in half days'),
+  body('max_carry_forward').optional().isFloat({ min: 0, max: 366 }).custom(isHalfDays).toFloat().withMessage('max_carry_forward must be 0-366 days in half days'),
+  body('allow_half_day').optional().isBoolean().toBoolean().withMessage('allow_half_day must be a boolean'),
+  body('is_active').optional().isBoolean().toBoolean().withMessage('is_active must be a boolean'),
+  validate,
+];
+
+const updateLeaveTypeValidation = [
+  body('code').optional().isString().trim().toLowerCase().matches(/^[a-z][a-z0-9_]{1,29}$/).withMessage('code must be 2-30 lowercase letters, digits or underscores'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Name cannot be empty (max 100 characters)'),
+  body('is_paid').optional().isBoolean().toBoolean().withMessage('is_paid must be a boolean'),
+  body('yearly_allowance').optional().isFloat({ min: 0, max: 366 }).custom(isHalfDays).toFloat().withMessage('yearly_allowance must be 0-366 days in half days'),
+  body('max_carry_forward').optional().isFloat({ min: 0, max: 366 }).custom(isHalfDays).toFloat().withMessage('max_carry_forward must be 0-366 days in half days'),
+  body('allow_half_day').optional().isBoolean().toBoolean().withMessage('allow_half_day must be a boolean'),
+  body('is_active').optional().isBoolean().toBoolean().withMessage('is_active must be a boolean'),
+  validate,
+];
+
+const leaveRequestValidation = [
+  body('leave_type_id').isUUID().withMessage('leave_type_id must be a leave type ID'),
+  dateRule('start_date'),
+  dateRule('end_date').optional(),
+  body('half_day').optional().isBoolean().toBoolean().withMessage('half_day must be a boolean'),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('reason must be at most 1000 characters'),
+  validate,
+];
+
+const leaveReviewValidation = [
+  body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('comment must be at most 1000 characters'),
+  validate,
+];
+
+const leaveBalanceAdjustValidation = [
+  body('user_id').isUUID().withMessage('user_id must be a user ID'),
+  body('leave_type_id').isUUID().withMessage('leave_type_id must be a leave type ID'),
+  body('year').isInt({ min: 2000, max: 2100 }).toInt().withMessage('year must be a year'),
+  body('days').isFloat({ min: -366, max: 366 }).custom((value) => isHalfDays(value) && Number(value) !== 0).toFloat()
+    .withMessage('days must be a non-zero number of half days (negative to deduct)'),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('reason must be at most 500 characters'),
+  validate,
+];
+
+const leaveListValidation = [
+  query('user_id').optional().isUUID().withMessage('user_id must be a user ID'),
+  query('status').optional().isIn(LEAVE_STATUSES).withMessage(`status must be one of ${LEAVE_STATUSES.join(', ')}`),
+  query('year').optional().isInt({ min: 2000, max: 2100 }).toInt().withMessage('year must be a year'),
+  validate,
+];
+
+// Corrected times are absolute instants; an offset (or Z) makes the local time unambiguous
+const isInstant = (value) => typeof value === 'string' && /(Z|[+-]\d{2}:?\d{2})$/i.test(value) && !Number.isNaN(Date.parse(value));
+
+// [{ start, end }] with instants, each ending after it starts
+const isBreakList = (breaks) => Array.isArray(breaks) && breaks.length <= 10
+  && breaks.every((entry) => entry && isInstant(entry.start) && isInstant(entry.end) && Date.parse(entry.end) > Date.parse(entry.start));
+
+const instantRule = (field) => body(field).custom(isInstant).withMessage(`${field} must be an ISO 8601 time with a UTC offset`);
+
+const regularizationValidation = [
+  dateRule('date'),
+  instantRule('check_in_time'),
+  instantRule('check_out_time'),
+  body('breaks').optional({ nullable: true }).custom(isBreakList).withMessage('breaks must be a list of up to 10 { start, end } ISO 8601 times'),
+  body('reason').isString().trim().notEmpty().isLength({ max: 1000 }).withMessage('reason is required (max 1000 characters)'),
+  validate,
+];
+
+const ACTIVITY_TYPES = ['active', 'idle', 'lunch_break', 'meeting', 'untracked'];
+const ATTENDANCE_STATUSES = ['present', 'absent', 'half_day', 'on_leave'];
+
+// { add?: [{ [activity_type], start, end }], remove?: [id] } as sent to PUT /api/attendance/:id
+const isTimelineChange = (withType) => (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const { add = [], remove = [] } = value;
+  if (!Array.isArray(add) || !Array.isArray(remove) || add.length > 50 || remove.length > 200) return false;
+  return add.every((entry) => entry && isInstant(entry.start) && isInstant(entry.end)
+      && Date.parse(entry.end) > Date.parse(entry.start) && (!withType || ACTIVITY_TYPES.includes(entry.activity_type)))
+    && remove.every(isValidUUID);
+};
+
+const attendanceEditValidation = [
+  param('id').isUUID().withMessage('Invalid attendance record ID'),
+  body('check_in_time').optional().custom(isInstant).withMessage('check_in_time must be an ISO 8601 time with a UTC offset'),
+  body('check_out_time').optional().custom(isInstant).withMessage('check_out_time must be an ISO 8601 time with a UTC offset'),
+  body('segments').optional().custom(isTimelineChange(true))
+    .withMessage(`segments must be { add?: [{ activity_type (${ACTIVITY_TYPES.join(', ')}), start, end }], remove?: [id] }`),
+  body('breaks').optional().custom(isTimelineChange(false)).withMessage('breaks must be { add?: [{ start, end }], remove?: [id] }'),
+  body('status').optional().custom((value) => value === null || ATTENDANCE_STATUSES.includes(value))
+    .withMessage(`status must be one of ${ATTENDANCE_STATUSES.join(', ')}, or null to compute it again`),
+  body('reason').isString().trim().notEmpty().isLength({ max: 1000 }).withMessage('reason is required (max 1000 characters)'),
+  validate,
+];
+
+const regularizationReviewValidation = [
+  body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('comment must be at most 1000 characters'),
+  validate,
+];
+
+const regularizationListValidation = [
+  query('user_id').optional().isUUID().withMessage('user_id must be a user ID'),
+  query('status').optional().isIn(LEAVE_STATUSES).withMessage(`status must be one of ${LEAVE_STATUSES.join(', ')}`),
+  validate,
+];
+
+const orgFilterValidation = [
+  query('department_id').optional().isUUID().withMessage('department_id must be a department ID'),
+  query('team_id').optional().isUUID().withMessage('team_id must be a team ID'),
+  validate,
+];
+
+const inviteValidation = [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('employee_id').notEmpty().withMessage('Employee ID is required'),
+  body('name').optional().isString().trim(),
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('manager_id').optional({ nullable: true }).isUUID().withMessage('manager_id must be a user ID'),
+  body('department_id').optional({ nullable: true }).isUUID().withMessage('department_id must be a department ID'),
+  body('team_id').optional({ nullable: true }).isUUID().withMessage('team_id must be a team ID'),
+  body('joining_date').optional({ nullable: true }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('joining_date must be a YYYY-MM-DD date'),
+  validate,
+];
+
+const userImportValidation = [
+  query('dry_run').optional().isBoolean().withMessage('dry_run must be true or false'),
+  query('send_invites').optional().isBoolean().withMessage('send_invites must be true or false'),
+  validate,
+];
+
+const acceptInviteValidation = [
+  body('token').isString().notEmpty().withMessage('Invite token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('name').optional().isString().trim(),
   validate,
 ];
 
@@ -30,8 +411,77 @@ const loginValidation = [
   validate,
 ];
 
+const refreshTokenValidation = [
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token is required'),
+  validate,
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().withMessage('Valid email is required'),
+  validate,
+];
+
+const resetPasswordValidation = [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  validate,
+];
+
+const changePasswordValidation = [
+  body('current_password').notEmpty().withMessage('Current password is required'),
+  body('new_password').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
+  validate,
+];
+
+const oidcCallbackValidation = [
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required'),
+  validate,
+];
+
+const mfaTokenValidation = [
+  body('mfa_token').isString().notEmpty().withMessage('MFA token is required'),
+  validate,
+];
+
+const mfaVerifyValidation = [
+  body('mfa_token').isString().notEmpty().withMessage('MFA token is required'),
+  body('code').isString().notEmpty().withMessage('Authentication code is required'),
+  validate,
+];
+
+const mfaCodeValidation = [
+  body('code').isString().notEmpty().withMessage('Authentication code is required'),
+  validate,
+];
+
+const disableMfaValidation = [
+  body('password').notEmpty().withMessage('Current password is required'),
+  body('code').isString().notEmpty().withMessage('Authentication code is required'),
+  validate,
+];
+
+const registerDeviceValidation = [
+  body('name').isString().trim().notEmpty().withMessage('Device name is required')
+    .isLength({ max: 100 }).withMessage('Device name must be at most 100 characters'),
+  body('os').optional().isString().trim().isLength({ max: 100 }).withMessage('os must be at most 100 characters'),
+  body('tracker_version').optional().isString().trim().isLength({ max: 50 }).withMessage('tracker_version must be at most 50 characters'),
+  body('scopes').optional().isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+  body('scopes.*').optional().isIn(['heartbeat', 'screenshots']).withMessage('Invalid device scope'),
+  validate,
+];
+
+// Route params that are looked up by UUID; a malformed one would otherwise fail the cast in Postgres
+const idParamValidation = (name, message) => [
+  param(name).isUUID().withMessage(message),
+  validate,
+];
+
+// Only the coordinates are kept; they are classified against the office geofences
 const checkInValidation = [
-  body('location').optional().isObject().withMessage('Location must be an object'),
+  body('location').optional({ nullable: true }).custom(isCoordinates)
+    .withMessage('location must be { latitude, longitude } in decimal degrees')
+    .customSanitizer((location) => ({ latitude: location.latitude, longitude: location.longitude })),
   validate,
 ];
 
@@ -49,11 +499,75 @@ const dateQueryValidation = [
   validate,
 ];
 
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200'),
+];
+
+const auditQueryValidation = [
+  query('action').optional().isString().trim(),
+  query('outcome').optional().isIn(['success', 'failure']).withMessage('Invalid outcome'),
+  query('actor_id').optional().isUUID().withMessage('actor_id must be a user ID'),
+  query('actor_email').optional().isString().trim(),
+  query('target_type').optional().isString().trim(),
+  query('target_id').optional().isString().trim(),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+  ...paginationValidation,
+  validate,
+];
+
 module.exports = {
   validate,
   registerValidation,
+  updateUserValidation,
+  updateProfileValidation,
+  userListValidation,
+  offboardValidation,
+  purgeUserValidation,
+  userImportValidation,
+  validateUserImportRow,
+  departmentValidation,
+  updateDepartmentValidation,
+  teamValidation,
+  updateTeamValidation,
+  shiftValidation,
+  updateShiftValidation,
+  officeValidation,
+  updateOfficeValidation,
+  calendarValidation,
+  updateCalendarValidation,
+  holidayValidation,
+  updateHolidayValidation,
+  holidayRangeValidation,
+  leaveTypeValidation,
+  updateLeaveTypeValidation,
+  leaveRequestValidation,
+  leaveReviewValidation,
+  leaveBalanceAdjustValidation,
+  leaveListValidation,
+  regularizationValidation,
+  attendanceEditValidation,
+  regularizationReviewValidation,
+  regularizationListValidation,
+  orgFilterValidation,
+  inviteValidation,
+  acceptInviteValidation,
   loginValidation,
+  refreshTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  oidcCallbackValidation,
+  mfaTokenValidation,
+  mfaVerifyValidation,
+  mfaCodeValidation,
+  disableMfaValidation,
+  registerDeviceValidation,
+  idParamValidation,
   checkInValidation,
   activityHeartbeatValidation,
   dateQueryValidation,
+  paginationValidation,
+  auditQueryValidation,
 };